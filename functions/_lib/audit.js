@@ -0,0 +1,37 @@
+// =============================================================================
+// /functions/_lib/audit.js  —  Admin audit trail (audit_log table).
+//
+// Every admin mutation adds auditStatement(...) to the same D1 batch as the
+// change, so a change is never saved without its record (or vice versa).
+//
+//   action       "<entity>.<verb>", e.g. "booking.cancel", "service.reprice"
+//   before/after plain objects with only the fields that changed
+//                (null for creates / deletes); stored as JSON
+// =============================================================================
+
+// `user` is context.data.user from functions/_middleware.js.
+// ifChanged: only record when the statement just before this one in the batch
+// changed a row — for guarded writes (e.g. a move that loses a slot race).
+export function auditStatement(db, user, { action, entity_type, entity_id = null, before = null, after = null },
+                               { ifChanged = false } = {}) {
+  return db.prepare(
+    `INSERT INTO audit_log (created_at, actor_id, actor_email, actor_role, action, entity_type, entity_id, before, after)
+     SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?${ifChanged ? " WHERE changes() > 0" : ""}`
+  ).bind(
+    new Date().toISOString(),
+    user?.id ?? null,
+    user?.email ?? null,
+    user?.role ?? null,
+    action,
+    entity_type,
+    entity_id == null ? null : String(entity_id),
+    before == null ? null : JSON.stringify(before),
+    after  == null ? null : JSON.stringify(after),
+  );
+}
+
+// Parses a row from audit_log for API responses
+export function parseAuditRow(row) {
+  const parse = (text) => { try { return text ? JSON.parse(text) : null; } catch { return null; } };
+  return { ...row, before: parse(row.before), after: parse(row.after) };
+}
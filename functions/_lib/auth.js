@@ -0,0 +1,135 @@
+// =============================================================================
+// /functions/_lib/auth.js  —  Staff passwords and admin login sessions.
+//
+// Passwords are hashed with PBKDF2-SHA256 (Web Crypto; Workers cap it at
+// 100,000 iterations). A session is a random 256-bit token in an HttpOnly
+// cookie; only its SHA-256 is stored in admin_sessions.
+//
+// Roles: "owner" can do everything; "staff" gets STAFF_PERMISSIONS only.
+// Routes check can(context.data.user, "<permission>") before acting.
+//
+// Used by functions/_middleware.js (every /api/admin request) and
+// functions/api/auth/*.
+// =============================================================================
+
+import { base64url, fromBase64url, safeEqual } from "./signing.js";
+
+export const SESSION_COOKIE    = "__Host-lusso_admin";
+export const SESSION_TTL_HOURS = 12;
+export const MIN_PASSWORD_LENGTH = 10;
+
+export const ROLES = ["owner", "staff"];
+
+// Permissions:  bookings.view  bookings.change  memberships.view
+//               memberships.decide  catalog.view  catalog.edit
+//               schedule.view  schedule.edit  users.manage  audit.view
+//               jobs.run
+const STAFF_PERMISSIONS = new Set([
+  "bookings.view", "bookings.change", "memberships.view", "catalog.view", "schedule.view",
+]);
+
+export function can(user, permission) {
+  if (user?.role === "owner") return true;
+  return user?.role === "staff" && STAFF_PERMISSIONS.has(permission);
+}
+
+const PBKDF2_ITERATIONS = 100_000;
+const encoder = new TextEncoder();
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256
+  );
+  return base64url(bits);
+}
+
+async function sha256(str) {
+  return base64url(await crypto.subtle.digest("SHA-256", encoder.encode(str)));
+}
+
+// ── Passwords ────────────────────────────────────────────────────────────────
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2-sha256$${PBKDF2_ITERATIONS}$${base64url(salt)}$${hash}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2-sha256" || !salt || !hash) return false;
+  return safeEqual(await pbkdf2(password, fromBase64url(salt), Number(iterations)), hash);
+}
+
+// Hash of a random password, checked when the email is unknown so a failed
+// login takes the same time either way
+let dummyHash = null;
+export async function burnPasswordCheck(password) {
+  dummyHash ??= await hashPassword(crypto.randomUUID());
+  await verifyPassword(password, dummyHash);
+}
+
+// null when acceptable, otherwise the error message
+export function passwordProblem(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password.length > 200) return "Password is too long.";
+  return null;
+}
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+
+function readCookie(request, name) {
+  const header = request.headers.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return null;
+}
+
+export function sessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL_HOURS * 3600}`;
+}
+
+export function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+// Creates a session row; returns the raw token for the cookie
+export async function createSession(db, user, request, now = new Date()) {
+  const token   = base64url(crypto.getRandomValues(new Uint8Array(32)));
+  const expires = new Date(now.getTime() + SESSION_TTL_HOURS * 3_600_000).toISOString();
+  const agent   = (request.headers.get("user-agent") || "").slice(0, 200) || null;
+
+  await db.batch([
+    db.prepare(`DELETE FROM admin_sessions WHERE expires_at <= ?`).bind(now.toISOString()),
+    db.prepare(
+      `INSERT INTO admin_sessions (id, user_id, created_at, expires_at, user_agent) VALUES (?, ?, ?, ?, ?)`
+    ).bind(await sha256(token), user.id, now.toISOString(), expires, agent),
+    db.prepare(`UPDATE admin_users SET last_login_at = ? WHERE id = ?`).bind(now.toISOString(), user.id),
+  ]);
+  return token;
+}
+
+// The signed-in staff user for this request, or null
+// → { id, email, name, role, session_id } | null
+export async function getSessionUser(db, request, now = new Date()) {
+  const token = readCookie(request, SESSION_COOKIE);
+  if (!token) return null;
+
+  return db.prepare(
+    `SELECT u.id, u.email, u.name, u.role, s.id AS session_id
+       FROM admin_sessions s
+       JOIN admin_users u ON u.id = s.user_id
+      WHERE s.id = ? AND s.expires_at > ? AND u.active = 1`
+  ).bind(await sha256(token), now.toISOString()).first();
+}
+
+export async function destroySession(db, request) {
+  const token = readCookie(request, SESSION_COOKIE);
+  if (!token) return;
+  await db.prepare(`DELETE FROM admin_sessions WHERE id = ?`).bind(await sha256(token)).run();
+}
@@ -0,0 +1,84 @@
+// =============================================================================
+// /functions/_lib/booking-emails.js  —  Emails sent when a booking is made
+// (/api/book, a claimed waitlist offer) or changes (cancelled or
+// rescheduled, by the admin or by the customer), and the scheduled
+// appointment reminders. Who gets what, and when; the emails themselves are
+// templates in _lib/email-templates.js.
+//
+// The customer's confirmation, reschedule and cancellation emails carry an
+// .ics invite for the same calendar event (_lib/ical.js), so the customer's
+// calendar follows the booking.
+// =============================================================================
+
+import { sendEmail } from "./email.js";
+import { renderEmail } from "./email-templates.js";
+import { bookingInvite } from "./ical.js";
+
+// ── Owner: new booking ────────────────────────────────────────────────────────
+export async function sendBookingEmail(booking, env) {
+  // Silently skip if Resend isn't configured yet
+  if (!env.RESEND_API_KEY || !env.NOTIFY_EMAIL) return;
+
+  // Never throws — the booking is already saved, a failed notification
+  // shouldn't fail the whole request
+  await sendEmail(env, {
+    to: env.NOTIFY_EMAIL,
+    ...renderEmail("booking_owner_new", { booking }),
+  }, "booking-emails");
+}
+
+// ── Customer: confirmation ────────────────────────────────────────────────────
+export async function sendCustomerConfirmation(booking, env) {
+  if (!env.RESEND_API_KEY || !booking.email) return;
+
+  await sendEmail(env, {
+    to: booking.email,
+    ...renderEmail("booking_confirmation", { booking }),
+    attachments: [await bookingInvite(env, booking, "new")].filter(Boolean),
+  }, "booking-emails");
+}
+
+// ── Customer: cancelled ───────────────────────────────────────────────────────
+export async function sendCancellationEmail(booking, env) {
+  if (!booking.email) return;
+
+  await sendEmail(env, {
+    to: booking.email,
+    ...renderEmail("booking_cancelled", { booking }),
+    attachments: [await bookingInvite(env, booking, "cancelled")].filter(Boolean),
+  }, "booking-emails");
+}
+
+// ── Customer: rescheduled ─────────────────────────────────────────────────────
+export async function sendRescheduleEmail(booking, previous, env, manage = null) {
+  if (!booking.email) return;
+
+  await sendEmail(env, {
+    to: booking.email,
+    ...renderEmail("booking_rescheduled", { booking, previous, manage }),
+    attachments: [await bookingInvite(env, { ...booking, manage }, "moved")].filter(Boolean),
+  }, "booking-emails");
+}
+
+// ── Owner: a booking changed ──────────────────────────────────────────────────
+// change: { kind: "cancelled" | "rescheduled", by: "customer" | "admin", previous? }
+export async function sendOwnerChangeEmail(booking, change, env) {
+  if (!env.NOTIFY_EMAIL) return;
+
+  await sendEmail(env, {
+    to: env.NOTIFY_EMAIL,
+    ...renderEmail("booking_owner_change", { booking, change }),
+  }, "booking-emails");
+}
+
+// ── Customer: upcoming appointment reminder ───────────────────────────────────
+// kind: "48h" | "2h". → sendEmail()'s result; truthy once it is sent or
+// queued for retry.
+export async function sendReminderEmail(booking, kind, env, manage = null) {
+  if (!booking.email) return false;
+
+  return sendEmail(env, {
+    to: booking.email,
+    ...renderEmail("booking_reminder", { booking, kind, manage }),
+  }, "reminders");
+}
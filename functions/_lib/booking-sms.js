@@ -0,0 +1,116 @@
+// =============================================================================
+// /functions/_lib/booking-sms.js  —  Texts about a booking, and the
+// customer's replies to them (see _lib/sms.js).
+//
+// The confirmation and reminder texts end with "Reply C to confirm or R to
+// reschedule". A reply (via /api/webhooks/sms) applies to the booking of the
+// last text sent to that number, as long as it is still upcoming:
+//   C / CONFIRM / Y / YES  → sms_confirmed_at is set
+//   R / RESCHEDULE         → reschedule_requested_at is set, and the answer
+//                            carries the self-service link (/manage)
+// Anything else gets a short how-to. Carrier keywords (STOP, START, HELP …)
+// are Twilio's to answer and get no reply from us.
+// =============================================================================
+
+import { sendSms, toE164, logStatement } from "./sms.js";
+import { formatHour, formatDate } from "./email.js";
+import { loadSchedule, studioToday } from "./schedule.js";
+import { manageUrl } from "./manage-token.js";
+
+const REPLY_HINT = "Reply C to confirm or R to reschedule.";
+
+const CONFIRM_WORDS    = ["C", "CONFIRM", "CONFIRMED", "Y", "YES"];
+const RESCHEDULE_WORDS = ["R", "RESCHEDULE"];
+// Twilio handles these itself (opt-out, opt-in, help)
+const CARRIER_WORDS    = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "START", "UNSTOP", "HELP", "INFO"];
+
+const when = b => `${formatDate(b.date)} at ${formatHour(b.start_hour)}`;
+
+// ── Outgoing ──────────────────────────────────────────────────────────────────
+export async function sendConfirmationSms(booking, env) {
+  if (!booking.phone) return false;
+  return sendSms(env, {
+    to:         booking.phone,
+    body:       `Lusso Auto Studio: you're booked for ${booking.service} on ${when(booking)}. ${REPLY_HINT}`,
+    kind:       "confirmation",
+    booking_id: booking.id,
+  }, "booking-sms");
+}
+
+// kind: "48h" | "2h"
+export async function sendReminderSms(booking, kind, env) {
+  if (!booking.phone) return false;
+  const body = kind === "2h"
+    ? `Lusso Auto Studio: see you at ${formatHour(booking.start_hour)} today for your ${booking.service}.`
+    : `Lusso Auto Studio reminder: ${booking.service} on ${when(booking)}. ${REPLY_HINT}`;
+  return sendSms(env, { to: booking.phone, body, kind: `reminder_${kind}`, booking_id: booking.id }, "reminders");
+}
+
+// ── Replies ───────────────────────────────────────────────────────────────────
+// What a reply asks for, from its first word
+function intentOf(body) {
+  const word = String(body ?? "").trim().split(/\s+/)[0].replace(/[^a-z]/gi, "").toUpperCase();
+  if (CONFIRM_WORDS.includes(word))    return "confirm";
+  if (RESCHEDULE_WORDS.includes(word)) return "reschedule";
+  if (CARRIER_WORDS.includes(word))    return "carrier";
+  return "other";
+}
+
+// The upcoming booking the customer was last texted about, or null
+async function bookingForReply(db, phone, now) {
+  const schedule = await loadSchedule(db, now.toISOString().slice(0, 10));
+  return db.prepare(
+    `SELECT b.* FROM sms_messages s
+       JOIN bookings b ON b.id = s.booking_id
+      WHERE s.phone = ? AND s.direction = 'out' AND s.status = 'sent'
+        AND b.status = 'active' AND b.date >= ?
+      ORDER BY s.created_at DESC
+      LIMIT 1`
+  ).bind(phone, studioToday(schedule, now)).first();
+}
+
+// Logs an inbound text, acts on it, and logs the answer.
+//   message: { from, body, provider_id }
+// → the answer to text back, or null for none
+export async function handleReply(env, { from, body, provider_id = null }, now = new Date()) {
+  const db     = env.DB;
+  const phone  = toE164(from) ?? String(from ?? "");
+  const at     = now.toISOString();
+  const intent = intentOf(body);
+
+  const booking = intent === "carrier" ? null : await bookingForReply(db, phone, now);
+  const statements = [logStatement(db, {
+    direction: "in", phone, body: String(body ?? ""), booking_id: booking?.id ?? null,
+    kind: intent === "carrier" ? "other" : intent, status: "received", provider_id,
+  }, now)];
+
+  let answer = null;
+  if (intent === "carrier") {
+    // Twilio answers these
+  } else if (!booking) {
+    answer = "Lusso Auto Studio: we couldn't find an upcoming appointment for this number. You can book or make changes at lussoautostudio.ca.";
+  } else if (intent === "confirm") {
+    statements.push(db.prepare(
+      `UPDATE bookings SET sms_confirmed_at = COALESCE(sms_confirmed_at, ?) WHERE id = ? AND status = 'active'`
+    ).bind(at, booking.id));
+    answer = `Thanks — your appointment on ${when(booking)} is confirmed. See you then!`;
+  } else if (intent === "reschedule") {
+    statements.push(db.prepare(
+      `UPDATE bookings SET reschedule_requested_at = ? WHERE id = ? AND status = 'active'`
+    ).bind(at, booking.id));
+    const url = await manageUrl(env, booking);
+    answer = url
+      ? `No problem — pick a new time here: ${url}`
+      : "No problem — we'll be in touch to find a new time.";
+  } else {
+    answer = `Lusso Auto Studio: about your appointment on ${when(booking)} — ${REPLY_HINT}`;
+  }
+
+  if (answer) {
+    statements.push(logStatement(db, {
+      direction: "out", phone, body: answer, booking_id: booking?.id ?? null, kind: "reply", status: "sent",
+    }, now));
+  }
+  await db.batch(statements);
+  return answer;
+}
@@ -0,0 +1,151 @@
+// =============================================================================
+// /functions/_lib/booking-waitlist.js  —  Waitlist for fully booked days.
+// Table: migrations/0014_booking_waitlist.sql.
+//
+// A customer joins through POST /api/waitlist for a date, service and time
+// window. When capacity frees up — an admin cancel or move, or a customer's
+// own cancel or reschedule — offerFreedSlots() walks that date's waiting
+// entries oldest first and offers each one the earliest free start inside its
+// window, by email with a claim link (_lib/manage-token.js). The link books
+// the slot through /api/waitlist/claim until offer_expires_at: OFFER_HOURS
+// from the offer, or the slot's start time if that comes first.
+//
+// An offer doesn't hold the slot against /api/book — whoever books first gets
+// it, and a claim that loses goes back to waiting. Live offers do count as
+// busy here, so the same slot isn't offered to two people at once.
+//
+// runBookingWaitlist() expires unclaimed offers (that customer's turn is
+// over), offers again for every date still waiting, and expires entries whose
+// date has passed. Run by the Cron Trigger in workers/scheduler.
+// =============================================================================
+
+import { loadSchedule, checkBookable, studioToday } from "./schedule.js";
+import { zonedTime } from "./dates.js";
+import { claimUrl } from "./manage-token.js";
+import { BUSY_SQL } from "./bookings.js";
+import { sendEmail } from "./email.js";
+import { renderEmail } from "./email-templates.js";
+
+export const OFFER_HOURS = 2;
+
+// Offers free slots on `date` to the customers waiting for it.
+// → [{ id, start_hour }] offered
+export async function offerFreedSlots(env, date, now = new Date()) {
+  const db = env.DB;
+  const at = now.toISOString();
+
+  const schedule = await loadSchedule(db, date);
+  const day = checkBookable(schedule, date, now);
+  if (!day.ok) return [];
+
+  const [bookingsRes, offersRes, waitingRes] = await db.batch([
+    db.prepare(
+      `SELECT start_hour, end_hour FROM bookings WHERE date = ? AND ${BUSY_SQL}`
+    ).bind(date),
+    db.prepare(
+      `SELECT offered_start_hour AS start_hour, offered_start_hour + duration_hours AS end_hour
+         FROM booking_waitlist
+        WHERE date = ? AND status = 'offered' AND offer_expires_at > ?`
+    ).bind(date, at),
+    db.prepare(
+      `SELECT * FROM booking_waitlist
+        WHERE date = ? AND status = 'waiting'
+        ORDER BY created_at ASC, id ASC`
+    ).bind(date),
+  ]);
+
+  const busy = [...(bookingsRes.results || []), ...(offersRes.results || [])];
+  const free = (start, end) => !busy.some(b => b.start_hour < end && b.end_hour > start);
+
+  const offered = [];
+  for (const entry of waitingRes.results || []) {
+    const from = Math.max(entry.window_start, day.first_start);
+    const last = Math.min(entry.window_end, day.close_hour) - entry.duration_hours;
+
+    let start_hour = null;
+    for (let h = from; h <= last; h++) {
+      if (free(h, h + entry.duration_hours)) { start_hour = h; break; }
+    }
+    if (start_hour == null) continue;
+
+    const slotStart = zonedTime(date, start_hour, schedule.timeZone);
+    const expires   = new Date(Math.min(now.getTime() + OFFER_HOURS * 3_600_000, slotStart.getTime()));
+
+    // Guarded on 'waiting' so overlapping runs offer each entry once
+    const claim = await db.prepare(
+      `UPDATE booking_waitlist
+          SET status = 'offered', offered_start_hour = ?, offered_at = ?, offer_expires_at = ?
+        WHERE id = ? AND status = 'waiting'`
+    ).bind(start_hour, at, expires.toISOString(), entry.id).run();
+    if ((claim.meta?.changes ?? 0) === 0) continue;
+
+    busy.push({ start_hour, end_hour: start_hour + entry.duration_hours });
+    offered.push({ id: entry.id, start_hour });
+    await sendOfferEmail(env, { ...entry, offered_start_hour: start_hour }, expires, schedule.timeZone);
+  }
+  return offered;
+}
+
+// Called after a booking is cancelled or moved off `date`. Never throws — the
+// change itself has already been saved.
+export async function notifyWaitlist(env, date, tag) {
+  try {
+    await offerFreedSlots(env, date);
+  } catch (e) {
+    console.error(`[${tag}] waitlist offer error:`, e?.message ?? e);
+  }
+}
+
+// → { now, expired: [id], offered: [{ id, start_hour }], lapsed: n }
+//   expired: unclaimed offers; lapsed: entries whose date passed unoffered
+export async function runBookingWaitlist(env, now = new Date()) {
+  const db = env.DB;
+  const at = now.toISOString();
+
+  const schedule = await loadSchedule(db, at.slice(0, 10));
+  const today    = studioToday(schedule, now);
+
+  const { results: stale } = await db.prepare(
+    `SELECT id FROM booking_waitlist WHERE status = 'offered' AND offer_expires_at <= ?`
+  ).bind(at).all();
+
+  const expired = [];
+  for (const { id } of stale || []) {
+    const res = await db.prepare(
+      `UPDATE booking_waitlist SET status = 'expired' WHERE id = ? AND status = 'offered'`
+    ).bind(id).run();
+    if ((res.meta?.changes ?? 0) > 0) expired.push(id);
+  }
+
+  const lapsed = await db.prepare(
+    `UPDATE booking_waitlist SET status = 'expired' WHERE status = 'waiting' AND date < ?`
+  ).bind(today).run();
+
+  const { results: dates } = await db.prepare(
+    `SELECT DISTINCT date FROM booking_waitlist WHERE status = 'waiting' AND date >= ? ORDER BY date`
+  ).bind(today).all();
+
+  const offered = [];
+  for (const { date } of dates || []) offered.push(...await offerFreedSlots(env, date, now));
+
+  return { now: at, expired, offered, lapsed: lapsed.meta?.changes ?? 0 };
+}
+
+// ── Customer emails ───────────────────────────────────────────────────────────
+export async function sendWaitlistJoinedEmail(env, entry) {
+  await sendEmail(env, {
+    to: entry.email,
+    ...renderEmail("waitlist_joined", { entry }),
+  }, "booking-waitlist");
+}
+
+async function sendOfferEmail(env, entry, expires, timeZone) {
+  const url = await claimUrl(env, entry.id, expires);
+  if (!url) return;
+
+  const deadline = expires.toLocaleTimeString("en-CA", { timeZone, hour: "numeric", minute: "2-digit" });
+  await sendEmail(env, {
+    to: entry.email,
+    ...renderEmail("waitlist_offer", { entry, url, deadline }),
+  }, "booking-waitlist");
+}
@@ -0,0 +1,109 @@
+// =============================================================================
+// /functions/_lib/bookings.js  —  Slot rules shared by every endpoint that
+// places or moves a booking (/api/book, /api/admin move, /api/manage).
+//
+// Writes are race-safe: insertBookingStatement / moveBookingStatement only
+// take effect if the slot is still free, checked inside the same SQL
+// statement. D1 runs each statement atomically, so when two requests race
+// for one slot the second changes 0 rows and the caller answers 409.
+// hasOverlap() stays as a friendly early check; it is not what prevents
+// double bookings.
+// =============================================================================
+
+import { loadSchedule, checkBookable, MEMBER_LEAD_DAYS } from "./schedule.js";
+import { isDate } from "./dates.js";
+
+// Bookings whose hours are taken: upcoming, checked in or completed. A
+// no-show or cancellation frees its time. For any query that asks "is this
+// time free?" (here, /api/slots, the availability calendar, the waitlist).
+export const BUSY_SQL = `status IN ('active', 'checked_in', 'completed')`;
+
+// Busy bookings overlapping [start_hour, end_hour) on a date, other than
+// the given id. Binds: date, exclude id, end_hour, start_hour.
+const CLASH_SQL = `
+  SELECT 1 FROM bookings
+   WHERE date = ? AND ${BUSY_SQL} AND id != ?
+     AND start_hour < ? AND end_hour > ?`;
+
+// True when [start_hour, end_hour) on `date` overlaps another active booking.
+// `excludeId` skips the booking being moved.
+export async function hasOverlap(db, date, start_hour, end_hour, excludeId = null) {
+  const row = await db.prepare(`SELECT EXISTS (${CLASH_SQL}) AS taken`)
+    .bind(date, excludeId ?? "", end_hour, start_hour).first();
+  return Boolean(row?.taken);
+}
+
+// INSERT for a new active booking that does nothing if the slot was taken in
+// the meantime. `row` maps column → value (trusted keys only; values bound).
+// Check result.meta.changes — 0 means the slot is gone.
+export function insertBookingStatement(db, row) {
+  const cols = Object.keys(row);
+  return db.prepare(
+    `INSERT INTO bookings (${cols.join(", ")})
+     SELECT ${cols.map(() => "?").join(", ")}
+      WHERE NOT EXISTS (${CLASH_SQL})`
+  ).bind(...cols.map(c => row[c]), row.date, row.id, row.end_hour, row.start_hour);
+}
+
+// UPDATE moving an active booking, guarded the same way. Reminder flags are
+// cleared so the new time gets its own reminders, and so are the customer's
+// text replies — a confirmation was for the old time, and a reschedule
+// request is now done.
+export function moveBookingStatement(db, id, date, start_hour, end_hour) {
+  return db.prepare(
+    `UPDATE bookings
+        SET date = ?, start_hour = ?, end_hour = ?,
+            reminder_48h_sent_at = NULL, reminder_2h_sent_at = NULL,
+            sms_confirmed_at = NULL, reschedule_requested_at = NULL
+      WHERE id = ? AND status = 'active'
+        AND NOT EXISTS (${CLASH_SQL})`
+  ).bind(date, start_hour, end_hour, id, date, id, end_hour, start_hour);
+}
+
+// Validates moving an existing booking to date/start_hour, keeping its
+// duration: open day, inside the horizon, inside opening hours, not already
+// started, no overlap. Member visits (series_id set) may move as far ahead as
+// their series books.
+// → { ok: true, end_hour, cutoffHours } | { ok: false, status, error }
+export async function checkMove(db, booking, date, start_hour, now = new Date()) {
+  if (booking.status !== "active") {
+    return { ok: false, status: 400, error: "Only active bookings can be moved." };
+  }
+  if (!isDate(date)) {
+    return { ok: false, status: 400, error: "Invalid date (expect YYYY-MM-DD)." };
+  }
+  if (!Number.isInteger(start_hour)) {
+    return { ok: false, status: 400, error: "start_hour must be an integer hour." };
+  }
+
+  const schedule = await loadSchedule(db, date);
+  const day = checkBookable(booking.series_id
+    ? { ...schedule, horizonDays: schedule.horizonDays + MEMBER_LEAD_DAYS }
+    : schedule, date, now);
+  if (!day.ok) return { ok: false, status: 400, error: `${day.error}.` };
+
+  const end_hour = start_hour + booking.duration_hours;
+  if (start_hour < day.open_hour || end_hour > day.close_hour) {
+    return { ok: false, status: 400, error: "Outside business hours." };
+  }
+  if (start_hour < day.first_start) {
+    return { ok: false, status: 400, error: "That start time has already passed." };
+  }
+
+  if (await hasOverlap(db, date, start_hour, end_hour, booking.id)) {
+    return { ok: false, status: 409, error: "Target time is already booked." };
+  }
+
+  return { ok: true, end_hour, cutoffHours: schedule.cutoffHours };
+}
+
+// Earlier bookings the same customer didn't show up for, matched on email
+// (any case) or phone as typed.
+export async function noShowCount(db, { email, phone }) {
+  if (!email && !phone) return 0;
+  const row = await db.prepare(
+    `SELECT COUNT(*) AS n FROM bookings
+      WHERE status = 'no_show' AND (email = ? COLLATE NOCASE OR phone = ?)`
+  ).bind(email || null, phone || null).first();
+  return row?.n ?? 0;
+}
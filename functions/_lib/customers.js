@@ -0,0 +1,145 @@
+// =============================================================================
+// /functions/_lib/customers.js  —  Customer and vehicle records behind
+// bookings and membership applications (migrations/0017_customers.sql).
+//
+// Contact details are matched on a normalised key: the email lower-cased, the
+// phone reduced to its digits without a leading North American 1, so
+// "(519) 555-1234" and "+1 519.555.1234" are the same person. Email wins; a
+// phone match only counts when it can't contradict the email (the customer
+// on file has no email, or none was given) — a shared household phone with
+// two different emails stays two customers.
+//
+// A matched record is only ever filled in (a missing email, phone or city),
+// never overwritten; corrections go through /api/admin/customers.
+// =============================================================================
+
+// Tables whose rows carry customer_id / vehicle_id
+const LINKED_TABLES = ["bookings", "membership_applications"];
+
+export function emailKey(email) {
+  const key = String(email ?? "").trim().toLowerCase();
+  return key || null;
+}
+
+export function phoneKey(phone) {
+  let digits = String(phone ?? "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+  return digits.length >= 7 ? digits : null;
+}
+
+export function vehicleKey(vehicle) {
+  const key = String(vehicle ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  return key || null;
+}
+
+async function findCustomer(db, email_key, phone_key) {
+  if (email_key) {
+    const byEmail = await db.prepare(`SELECT * FROM customers WHERE email_key = ?`).bind(email_key).first();
+    if (byEmail) return byEmail;
+  }
+  if (!phone_key) return null;
+  return db.prepare(
+    `SELECT * FROM customers
+      WHERE phone_key = ? AND (email_key IS NULL OR ? IS NULL)
+      ORDER BY created_at ASC, id ASC LIMIT 1`
+  ).bind(phone_key, email_key).first();
+}
+
+// Finds or creates the customer for these contact details and records the
+// vehicle against them.
+// → { customer_id, vehicle_id } — both null without a usable email or phone;
+//   vehicle_id null without a vehicle
+export async function resolveCustomer(db, { name, email, phone, city, vehicle }, now = new Date()) {
+  const at        = now.toISOString();
+  const email_key = emailKey(email);
+  const phone_key = phoneKey(phone);
+  if (!email_key && !phone_key) return { customer_id: null, vehicle_id: null };
+
+  let customer = await findCustomer(db, email_key, phone_key);
+  if (!customer) {
+    // OR IGNORE: a parallel request may have just created them by email
+    await db.prepare(
+      `INSERT OR IGNORE INTO customers
+         (id, name, email, phone, city, email_key, phone_key, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(crypto.randomUUID(), name || email || phone, email_key ? email.trim() : null,
+           phone_key ? phone.trim() : null, city || null, email_key, phone_key, at, at).run();
+    customer = await findCustomer(db, email_key, phone_key);
+    if (!customer) throw new Error("customer insert failed");
+  } else {
+    const fill = {};
+    if (!customer.email_key && email_key) Object.assign(fill, { email: email.trim(), email_key });
+    if (!customer.phone_key && phone_key) Object.assign(fill, { phone: phone.trim(), phone_key });
+    if (!customer.city && city)           fill.city = city;
+    const cols = Object.keys(fill);
+    if (cols.length) {
+      // OR IGNORE: if that email was claimed in the meantime, keep the record as is
+      await db.prepare(
+        `UPDATE OR IGNORE customers SET ${cols.map(c => `${c} = ?`).join(", ")}, updated_at = ? WHERE id = ?`
+      ).bind(...cols.map(c => fill[c]), at, customer.id).run();
+    }
+  }
+
+  const description_key = vehicleKey(vehicle);
+  if (!description_key) return { customer_id: customer.id, vehicle_id: null };
+
+  await db.prepare(
+    `INSERT OR IGNORE INTO vehicles (id, customer_id, description, description_key, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(crypto.randomUUID(), customer.id, vehicle.trim(), description_key, at).run();
+  const row = await db.prepare(
+    `SELECT id FROM vehicles WHERE customer_id = ? AND description_key = ?`
+  ).bind(customer.id, description_key).first();
+
+  return { customer_id: customer.id, vehicle_id: row?.id ?? null };
+}
+
+// Links a saved booking or application to its customer. Never throws — the
+// row itself is already saved, and "link_existing" picks up any it missed.
+// → customer_id, or null
+export async function linkCustomer(db, table, id, contact, tag) {
+  if (!LINKED_TABLES.includes(table)) throw new Error(`Not a customer-linked table: ${table}`);
+  try {
+    const { customer_id, vehicle_id } = await resolveCustomer(db, contact);
+    if (!customer_id) return null;
+    await db.prepare(
+      `UPDATE ${table} SET customer_id = ?, vehicle_id = ? WHERE id = ?`
+    ).bind(customer_id, vehicle_id, id).run();
+    return customer_id;
+  } catch (e) {
+    console.error(`[${tag}] customer link error:`, e?.message ?? e);
+    return null;
+  }
+}
+
+// Links bookings and applications saved without a customer, oldest first so
+// the earliest spelling of a name is the one kept. Pages by (created_at, id):
+// pass the `after` of one call to the next, so rows that can't be linked stay
+// behind instead of filling every page.
+// → { linked, skipped, more, after: { created_at, id } | null }
+//   skipped: rows without a usable email or phone
+export async function linkExisting(db, { limit = 200, after = null } = {}) {
+  const { results } = await db.prepare(
+    `SELECT * FROM (
+       SELECT 'bookings' AS tbl, id, name, email, phone, city, vehicle, created_at
+         FROM bookings WHERE customer_id IS NULL AND kind = 'booking'
+       UNION ALL
+       SELECT 'membership_applications', id, name, email, phone, city, vehicle, created_at
+         FROM membership_applications WHERE customer_id IS NULL
+     )
+     ${after ? "WHERE (created_at, id) > (?, ?)" : ""}
+     ORDER BY created_at ASC, id ASC
+     LIMIT ?`
+  ).bind(...(after ? [after.created_at, after.id] : []), limit).all();
+
+  const rows = results || [];
+  let linked = 0;
+  for (const row of rows) {
+    if (await linkCustomer(db, row.tbl, row.id, row, "customers")) linked++;
+  }
+  const last = rows[rows.length - 1];
+  return {
+    linked, skipped: rows.length - linked, more: rows.length === limit,
+    after: last ? { created_at: last.created_at, id: last.id } : after,
+  };
+}
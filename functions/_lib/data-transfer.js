@@ -0,0 +1,143 @@
+// =============================================================================
+// /functions/_lib/data-transfer.js  —  Columns and file formats shared by
+// /api/admin/export and /api/admin/import, so an export can be imported
+// again as it is.
+//
+// Formats:
+//   csv     RFC 4180: a header row, CRLF line ends, fields quoted when they
+//           hold a comma, quote or line break. A text field starting with
+//           = + - @ (other than a number) gets a leading ' so a spreadsheet
+//           doesn't run it as a formula; import takes it off again.
+//   ndjson  one JSON object per line
+// =============================================================================
+
+export const FORMATS = ["csv", "ndjson"];
+
+// entity → table, the columns in file order, which of them an import may set
+// (the rest — links to other records — are export only), the statuses, and
+// the column the from / to filters apply to
+export const ENTITIES = {
+  bookings: {
+    table:    "bookings",
+    columns:  ["id", "kind", "status", "date", "start_hour", "end_hour", "duration_hours",
+               "service", "name", "email", "phone", "vehicle", "city", "notes",
+               "quote", "quote_total_cents", "final_price_cents", "staff_notes",
+               "created_at", "created_by", "checked_in_at", "completed_at", "no_show_at",
+               "membership_id", "series_id", "customer_id", "vehicle_id"],
+    readOnly: ["membership_id", "series_id", "customer_id", "vehicle_id"],
+    statuses: ["active", "checked_in", "completed", "no_show", "cancelled"],
+    dateSql:  "date",
+    orderBy:  ["date", "start_hour", "id"],
+    json:     ["quote"],
+  },
+  memberships: {
+    table:    "membership_applications",
+    columns:  ["id", "status", "name", "email", "phone", "vehicle", "city", "parking",
+               "preferred_start", "message", "rejection_reason", "start_date", "activated_at",
+               "next_billing_date", "last_payment_status", "cancel_at", "cancelled_at",
+               "waitlisted_at", "created_at", "customer_id", "vehicle_id"],
+    readOnly: ["customer_id", "vehicle_id"],
+    statuses: ["pending", "waitlisted", "accepted", "rejected", "active", "cancel_scheduled", "cancelled"],
+    dateSql:  "substr(created_at, 1, 10)",
+    orderBy:  ["created_at", "id"],
+    json:     [],
+  },
+};
+
+// ── Writing ───────────────────────────────────────────────────────────────────
+function csvField(value) {
+  if (value == null) return "";
+  let str = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(str) && !/^[+-]?\d/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function csvLine(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+// One exported record (a DB row) as a line of `format`
+export function formatRecord(entity, row, format) {
+  const { columns, json } = ENTITIES[entity];
+  if (format === "csv") return csvLine(columns.map(c => row[c]));
+
+  const record = {};
+  for (const c of columns) {
+    let value = row[c] ?? null;
+    if (json.includes(c) && typeof value === "string") {
+      try { value = JSON.parse(value); } catch {}
+    }
+    record[c] = value;
+  }
+  return JSON.stringify(record) + "\n";
+}
+
+// ── Reading ───────────────────────────────────────────────────────────────────
+// → [{ row, record } | { row, error }], row counting data rows from 1
+export function parseRecords(text, format) {
+  return format === "csv" ? parseCsv(text) : parseNdjson(text);
+}
+
+function parseNdjson(text) {
+  const out = [];
+  String(text).split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const row = out.length + 1;
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== "object" || Array.isArray(record)) throw new Error("not an object");
+      out.push({ row, record });
+    } catch {
+      out.push({ row, error: "Not a JSON object." });
+    }
+  });
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = splitCsv(String(text).replace(/^﻿/, ""));
+  if (!lines.length) return [];
+
+  const header = lines[0].map(h => h.trim());
+  return lines.slice(1)
+    .filter(fields => fields.some(f => f !== ""))
+    .map((fields, i) => {
+      if (fields.length !== header.length) {
+        return { row: i + 1, error: `Has ${fields.length} fields; the header has ${header.length}.` };
+      }
+      const record = {};
+      header.forEach((h, j) => { record[h] = unguard(fields[j]); });
+      return { row: i + 1, record };
+    });
+}
+
+// Undo csvField's formula guard
+function unguard(str) {
+  return /^'[=+\-@\t\r]/.test(str) ? str.slice(1) : str;
+}
+
+// CSV text → rows of fields. Quoted fields may hold commas, "" and line breaks.
+function splitCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
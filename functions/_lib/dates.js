@@ -0,0 +1,113 @@
+// =============================================================================
+// /functions/_lib/dates.js  —  Calendar dates and wall-clock hours in the
+// studio's timezone.
+//
+// Bookings store a local date ("YYYY-MM-DD") and whole local hours. Workers
+// run in UTC, so "today", "has this slot started?" and "how long until the
+// appointment?" must be answered in the studio's zone — otherwise a Saturday
+// evening in Toronto is already Sunday. The zone comes from the
+// studio_timezone schedule setting (see _lib/schedule.js).
+//
+// Every function that depends on the current time takes `now` as its last
+// argument, so behaviour can be checked against a fixed clock.
+//
+// Date-only arithmetic (addDays, weekdayOf, daysBetween) is done on UTC
+// midnights, where every day is exactly 24 hours — DST never shifts a date.
+// =============================================================================
+
+export const DEFAULT_TIMEZONE = "America/Toronto";
+
+const DAY_MS = 86_400_000;
+
+// Intl formatters are costly to build — one per zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+// True for IANA names the runtime knows, e.g. "America/Toronto"
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Strict YYYY-MM-DD check — rejects 2025-02-31 as well as bad formats
+export function isDate(str) {
+  if (typeof str !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const [y, m, d] = str.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+// ── Date-only arithmetic ──────────────────────────────────────────────────────
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday, the same in every timezone
+export function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// Whole days from `from` to `to`. Negative when `to` is earlier.
+export function daysBetween(from, to) {
+  const [y1, m1, d1] = from.split("-").map(Number);
+  const [y2, m2, d2] = to.split("-").map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / DAY_MS);
+}
+
+// ── Wall clock ────────────────────────────────────────────────────────────────
+// The studio's wall clock at `now`.
+// → { date: "YYYY-MM-DD", hour: 0–23, minute: 0–59 }
+export function localNow(timeZone, now = new Date()) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(now)) parts[p.type] = p.value;
+  return {
+    date:   `${parts.year}-${parts.month}-${parts.day}`,
+    hour:   Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+export function todayIn(timeZone, now = new Date()) {
+  return localNow(timeZone, now).date;
+}
+
+// Milliseconds the zone is ahead of UTC at instant `ms` (negative in the
+// Americas), e.g. -4h for Toronto in summer and -5h in winter
+function offsetAt(timeZone, ms) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(new Date(ms))) parts[p.type] = Number(p.value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a local date + hour happens in the zone. Uses the offset in
+// force at that moment, so 10:00 in July and 10:00 in January both come out
+// right. The hour repeated in November resolves to its first occurrence; the
+// hour skipped in March (2:00) comes out as 1:00 standard time.
+export function zonedTime(dateStr, hour, timeZone) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const wall  = Date.UTC(y, m - 1, d, hour);
+  const first = wall - offsetAt(timeZone, wall);
+  const exact = wall - offsetAt(timeZone, first);
+  return new Date(exact);
+}
@@ -0,0 +1,92 @@
+// =============================================================================
+// /functions/_lib/email-samples.js  —  Sample data for the email previews
+// (/api/admin/email-preview), built from the live catalog and calendar: the
+// next open days a few days out, real services with one of their add-ons at
+// today's prices, the claim deadline the waitlist gives, and answers the
+// membership form offers. Only the people are made up.
+//
+//   previewEmail(name, await sampleContext(env.DB))
+// =============================================================================
+
+import { loadSchedule, dayHours, studioToday } from "./schedule.js";
+import { loadCatalog, buildQuote } from "./services.js";
+import { addDays } from "./dates.js";
+import { OFFER_HOURS } from "./booking-waitlist.js";
+import { PARKING_OPTIONS, START_OPTIONS } from "./membership.js";
+
+const SITE_URL = "https://lussoautostudio.ca";
+
+const LEAD_DAYS   = 3;   // samples fall a few days out, like most bookings
+const SEARCH_DAYS = 60;  // how far to look for open days
+
+// As the "cancel" action in admin/membership-action.js
+const CANCEL_NOTICE_DAYS = 30;
+
+// → the context every template's sample() reads (see _lib/email-templates.js).
+// Throws when there is nothing to build from: no open day or no service.
+export async function sampleContext(db, now = new Date()) {
+  const utcToday = now.toISOString().slice(0, 10);
+  const [schedule, catalog] = await Promise.all([
+    loadSchedule(db, addDays(utcToday, -1), addDays(utcToday, SEARCH_DAYS)),
+    loadCatalog(db),
+  ]);
+
+  const [first, second = first] = openDays(schedule, addDays(studioToday(schedule, now), LEAD_DAYS), 2);
+  if (!first)          throw new Error(`No open day in the next ${SEARCH_DAYS} days to build samples from.`);
+  if (!catalog.length) throw new Error("No active service to build samples from.");
+
+  // The booking: a priced service with an add-on, if the catalog has one
+  const priced  = catalog.filter(s => s.base_price_cents != null);
+  const service = priced.find(s => s.addons.length) ?? priced[0] ?? catalog[0];
+  const { quote, duration_hours } = buildQuote(service, service.addons.slice(0, 1).map(a => a.id));
+  const start_hour = Math.max(first.open_hour, Math.min(first.open_hour + 2, first.close_hour - duration_hours));
+
+  // The waitlist entry and member visits use other services where there are any
+  const waitService  = priced.find(s => s !== service) ?? service;
+  const window_start = first.open_hour;
+  const window_end   = Math.min(first.close_hour, window_start + waitService.duration_hours + 3);
+  const visitService = [...catalog].sort((a, b) => a.duration_hours - b.duration_hours)[0];
+
+  const app = {
+    id: "8d1e4b2a-7c3f-4a9e-b5d6-0e1f2a3b4c5d", name: "Sam Patel", email: "sam@example.com",
+    phone: "(226) 555-0199", vehicle: "2023 Porsche 911", city: "Kitchener",
+    parking: PARKING_OPTIONS[0], preferred_start: START_OPTIONS[1],
+    message: "Prefer weekend mornings.", start_date: first.date, status: "pending", position: 3,
+  };
+
+  return {
+    booking: {
+      id: "3f2a9c1e-5b7d-4e8a-9c0f-1a2b3c4d5e6f", date: first.date, start_hour, end_hour: start_hour + duration_hours,
+      service: service.name, name: "Jordan Reyes", email: "jordan@example.com", phone: "(519) 555-0142",
+      vehicle: "2021 Audi Q5", city: "Waterloo", notes: "Dog hair in the back seats <please> & trunk",
+      quote,
+    },
+    previous: { date: second.date, start_hour: second.open_hour },
+    manage:   { url: `${SITE_URL}/manage?t=sample`, cutoffHours: schedule.cutoffHours },
+    entry: {
+      id: "b7c8d9e0-1f2a-4b3c-8d4e-5f6a7b8c9d0e", date: first.date, window_start, window_end,
+      duration_hours: waitService.duration_hours,
+      offered_start_hour: Math.min(window_start + 1, window_end - waitService.duration_hours),
+      service: waitService.name, name: "Alex Kim", email: "alex@example.com",
+    },
+    // Worded as in booking-waitlist.js
+    deadline: new Date(now.getTime() + OFFER_HOURS * 3_600_000)
+      .toLocaleTimeString("en-CA", { timeZone: schedule.timeZone, hour: "numeric", minute: "2-digit" }),
+    app,
+    cancelAt: new Date(now.getTime() + CANCEL_NOTICE_DAYS * 86_400_000).toISOString(),
+    visits: [first, second].map(day => ({
+      series_date: day.date, name: app.name, start_hour: day.open_hour + 1, service: visitService.name,
+    })),
+  };
+}
+
+// The first `count` open days from `from` onwards → [{ date, open_hour, close_hour }]
+function openDays(schedule, from, count) {
+  const days = [];
+  for (let i = 0; i < SEARCH_DAYS - LEAD_DAYS && days.length < count; i++) {
+    const date = addDays(from, i);
+    const day  = dayHours(schedule, date);
+    if (day.open) days.push({ date, open_hour: day.open_hour, close_hour: day.close_hour });
+  }
+  return days;
+}
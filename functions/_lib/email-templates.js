@@ -0,0 +1,475 @@
+// =============================================================================
+// /functions/_lib/email-templates.js  —  Every email the studio sends: one
+// branded layout, the partials the emails share, and the templates.
+//
+//   renderEmail(name, data) → { subject, html, text }
+//
+// Templates are written with the `html` tag, which escapes every value put
+// into it — customer input can't add markup to an email. Only other `html`
+// results (partials) go in as they are; raw() is for the rare constant that
+// is already markup. The plain-text part is derived from the same markup
+// (htmlToText), so the two can't drift apart.
+//
+// Each template picks its sample data for the admin preview
+// (/api/admin/email-preview) from a context built out of the live catalog and
+// calendar (_lib/email-samples.js), so a preview shows what customers get.
+// =============================================================================
+
+import { formatHour, formatDate } from "./email.js";
+import { formatPrice } from "./services.js";
+
+// ── Escaping ──────────────────────────────────────────────────────────────────
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+export function esc(str) {
+  return String(str ?? "").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;");
+}
+
+function interpolate(value) {
+  if (value == null || value === false) return "";
+  if (value instanceof SafeHtml)        return value.value;
+  if (Array.isArray(value))             return value.map(interpolate).join("");
+  return esc(value);
+}
+
+// Tagged template: html`<p>${name}</p>` escapes `name`. Arrays are joined,
+// null / undefined / false render nothing.
+export function html(strings, ...values) {
+  let out = strings[0];
+  for (let i = 0; i < values.length; i++) out += interpolate(values[i]) + strings[i + 1];
+  return new SafeHtml(out);
+}
+
+// Markup that is trusted as it is. Never for anything a user typed.
+export function raw(markup) {
+  return new SafeHtml(String(markup));
+}
+
+// ── Plain text ────────────────────────────────────────────────────────────────
+// Good enough for the markup below, not for HTML in general: table cells
+// become "Label: value", links keep their address, blocks become lines.
+export function htmlToText(markup) {
+  return String(markup)
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/<a\s[^>]*?href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (_, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "");
+      return /^(tel|mailto):/i.test(href) || text === href ? text : `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/td>\s*<td[^>]*>/gi, ": ")
+    .replace(/<\/(p|table|h1)>/gi, "\n\n")
+    .replace(/<(p|div|tr|table|h1)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ").replace(/&amp;/g, "&")
+    .split("\n").map(line => line.replace(/[ \t]+/g, " ").trim()).join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ── Layout ────────────────────────────────────────────────────────────────────
+// `accent` is an "r,g,b" triple for the header tint; `notice` an optional
+// orange line under the title.
+const GOLD_THEME = { titleColor: "#c7a76a", accent: "199,167,106" };
+const RED_THEME  = { titleColor: "#f87171", accent: "248,113,113" };
+
+function layout({ title, titleColor = GOLD_THEME.titleColor, accent = GOLD_THEME.accent, notice, body, footer }) {
+  return html`
+    <div style="font-family:system-ui,sans-serif;max-width:520px;margin:0 auto;background:#09090b;color:#ece9e2;border-radius:16px;overflow:hidden;border:1px solid rgba(199,167,106,.20)">
+      <div style="background:linear-gradient(135deg,rgba(${accent},.12),rgba(${accent},.04));padding:24px 28px;border-bottom:1px solid rgba(${accent},.15)">
+        <p style="margin:0;font-size:11px;letter-spacing:.25em;text-transform:uppercase;color:#a8894e">Lusso Auto Studio</p>
+        <h1 style="margin:8px 0 0;font-size:22px;font-weight:600;color:${titleColor}">${title}</h1>${notice ? html`
+        <p style="margin:6px 0 0;font-size:13px;color:#fb923c">${notice}</p>` : ""}
+      </div>
+      <div style="padding:24px 28px">${body}
+      </div>
+      <div style="padding:16px 28px;border-top:1px solid rgba(255,255,255,.07);font-size:11px;color:rgba(255,255,255,.30)">
+        ${footer}
+      </div>
+    </div>`;
+}
+
+function layoutText({ title, notice, body, footer }) {
+  return [
+    "LUSSO AUTO STUDIO",
+    title,
+    ...(notice ? [htmlToText(html`${notice}`)] : []),
+    "",
+    htmlToText(body),
+    "",
+    "—",
+    htmlToText(html`${footer}`),
+  ].join("\n");
+}
+
+// ── Partials ──────────────────────────────────────────────────────────────────
+const LABEL  = "padding:8px 0;font-size:12px;color:rgba(255,255,255,.45);text-transform:uppercase;letter-spacing:.15em";
+const VALUE  = "padding:8px 0;font-size:14px";
+const STRONG = `${VALUE};font-weight:600`;
+const GOLD   = `${STRONG};color:#c7a76a`;
+const ALERT  = `${STRONG};color:#f87171`;
+const STRUCK = `${VALUE};text-decoration:line-through;color:rgba(255,255,255,.45)`;
+const WAS    = "padding:8px 0;font-size:13px;text-decoration:line-through;color:rgba(255,255,255,.45)";
+const MUTED  = "padding:8px 0;font-size:13px;color:rgba(255,255,255,.65);line-height:1.7";
+const TEXT   = "margin:0 0 20px;color:rgba(255,255,255,.70);line-height:1.7";
+const CTA    = "display:inline-block;margin-top:4px;padding:12px 22px;border-radius:12px;background:#c7a76a;color:#09090b;font-weight:600;font-size:14px;text-decoration:none";
+const BOXES  = {
+  gold:  "margin-top:20px;padding:14px 16px;border-radius:12px;background:rgba(199,167,106,.08);border:1px solid rgba(199,167,106,.18);color:rgba(255,255,255,.65);font-size:13px;line-height:1.6",
+  plain: "margin-top:20px;padding:14px 16px;border-radius:12px;background:rgba(255,255,255,.04);border:1px solid rgba(255,255,255,.08);color:rgba(255,255,255,.65);font-size:13px;line-height:1.6",
+};
+
+const SITE_URL = "https://lussoautostudio.ca";
+const FOOTER   = "Lusso Auto Studio · lussoautostudio.ca";
+
+function paragraph(content) {
+  return html`
+        <p style="${TEXT}">${content}</p>`;
+}
+
+function box(content, tone = "gold") {
+  return html`
+        <div style="${BOXES[tone]}">${content}</div>`;
+}
+
+function link(url, label = url) {
+  return html`<a href="${url}" style="color:#c7a76a">${label}</a>`;
+}
+
+function button(url, label) {
+  return html`
+        <a href="${url}" style="${CTA}">${label}</a>
+        <p style="margin:20px 0 0;font-size:12px;color:rgba(255,255,255,.45);line-height:1.6;word-break:break-all">Or open: ${url}</p>`;
+}
+
+// Label / value table. rows: [{ label, value, style?, divider? }]; falsy
+// entries are skipped so optional rows can be written inline.
+function details(rows) {
+  return html`
+        <table style="width:100%;border-collapse:collapse">${rows.filter(Boolean).map((r, i) => html`
+          <tr${r.divider ? raw(` style="border-top:1px solid rgba(255,255,255,.07)"`) : ""}><td style="${LABEL};vertical-align:top${i === 0 ? ";width:110px" : ""}">${r.label}</td><td style="${r.style || VALUE}">${r.value}</td></tr>`)}
+        </table>`;
+}
+
+const timeRange = (start, end) => `${formatHour(start)} – ${formatHour(end)}`;
+
+function appointmentRows(booking, { struck = false, vehicle = false } = {}) {
+  return [
+    { label: "Date",    value: formatDate(booking.date), style: struck ? `${STRUCK};font-weight:600` : STRONG },
+    { label: "Time",    value: timeRange(booking.start_hour, booking.end_hour), style: struck ? STRUCK : GOLD },
+    { label: "Service", value: booking.service, style: struck ? STRUCK : VALUE },
+    vehicle && { label: "Vehicle", value: booking.vehicle },
+  ];
+}
+
+function quoteRows(quote) {
+  if (!quote) return [];
+  return [
+    {
+      label: "Quote", style: MUTED, divider: true,
+      value: quote.items.map(i => html`<div>${i.kind === "addon" ? "+ " : ""}${i.name} · ${formatPrice(i.price_cents)}</div>`),
+    },
+    { label: "Total", style: GOLD, value: quote.total_cents == null ? "To be confirmed" : formatPrice(quote.total_cents) },
+  ];
+}
+
+function phoneLink(phone) {
+  return phone ? link(`tel:${phone}`, phone) : "—";
+}
+
+// Self-service link box. manage: { url, cutoffHours } or null when disabled.
+function manageBox(manage, lead) {
+  if (!manage?.url) return "";
+  return box(html`${lead} ${link(manage.url, "Reschedule or cancel online")} up to ${manage.cutoffHours} hours before your appointment.`);
+}
+
+// ── Templates ─────────────────────────────────────────────────────────────────
+// name → { description, sample(ctx) → data, render(data) → { subject, title,
+// titleColor?, accent?, notice?, body, footer } }
+//
+// ctx (see sampleContext in _lib/email-samples.js):
+//   { booking, previous: { date, start_hour }, manage, entry, deadline, app,
+//     cancelAt, visits: [{ series_date, name, start_hour, service }] }
+
+// `sample`: extra data for the template, or ctx → extra data
+function booking(render, sample = {}, description) {
+  return { description, render, sample: ctx => ({ booking: ctx.booking, ...extra(sample, ctx) }) };
+}
+
+function membership(render, sample = {}, description) {
+  return { description, render, sample: ctx => ({ app: ctx.app, ...extra(sample, ctx) }) };
+}
+
+function extra(sample, ctx) {
+  return typeof sample === "function" ? sample(ctx) : sample;
+}
+
+const TEMPLATES = {
+  // ── Bookings ──
+  booking_owner_new: booking(({ booking: b }) => ({
+    subject: `📅 New Booking — ${b.name} · ${formatDate(b.date)} at ${formatHour(b.start_hour)}`,
+    title:   "New Booking Confirmed",
+    body: details([
+      ...appointmentRows(b),
+      { label: "Client",  value: b.name, style: STRONG, divider: true },
+      { label: "Phone",   value: phoneLink(b.phone) },
+      { label: "Vehicle", value: b.vehicle },
+      { label: "City",    value: b.city || "—" },
+      b.no_show_count ? { label: "History", style: ALERT, value: `⚠ ${b.no_show_count} previous no-show${b.no_show_count === 1 ? "" : "s"}` } : null,
+      ...quoteRows(b.quote),
+      b.notes ? { label: "Notes", value: b.notes, style: MUTED, divider: true } : null,
+    ]),
+    footer: `Booking ID: ${b.id} · Lusso Auto Studio Admin`,
+  }), { no_show_count: 0 }, "To the owner: a new booking"),
+
+  booking_confirmation: booking(({ booking: b }) => ({
+    subject: `✓ Booking Confirmed — ${formatDate(b.date)} at ${formatHour(b.start_hour)}`,
+    title:   "Your Appointment is Confirmed",
+    body: html`${paragraph(`Hi ${b.name}, your booking has been received and confirmed. Here are your details:`)}${details([
+      ...appointmentRows(b, { vehicle: true }),
+      ...quoteRows(b.quote),
+    ])}${box(html`We will confirm final details by text before your appointment. ${b.manage?.url
+      ? html`Need to make a change? ${link(b.manage.url, "Reschedule or cancel online")} up to ${b.manage.cutoffHours} hours before your appointment.`
+      : "If you need to make any changes, please reply to this email or contact us directly."}`)}`,
+    footer: `Booking ID: ${b.id} · ${FOOTER}`,
+  }), ctx => ({ booking: { ...ctx.booking, manage: ctx.manage } }), "To the customer: booking confirmed"),
+
+  booking_cancelled: booking(({ booking: b }) => ({
+    ...RED_THEME,
+    subject: `Appointment Cancelled — ${formatDate(b.date)}`,
+    title:   "Appointment Cancelled",
+    body: html`${paragraph(`Hi ${b.name}, your appointment has been cancelled. Here are the details of the cancelled booking:`)}${details(
+      appointmentRows(b, { struck: true })
+    )}${box(html`If you would like to rebook, please visit ${link(`${SITE_URL}/#book`, "lussoautostudio.ca")} to select a new time.`, "plain")}`,
+    footer: `Booking ID: ${b.id} · ${FOOTER}`,
+  }), {}, "To the customer: booking cancelled"),
+
+  // previous: { date, start_hour }; manage: { url, cutoffHours } | null
+  booking_rescheduled: booking(({ booking: b, previous, manage }) => ({
+    subject: `Appointment Rescheduled — ${formatDate(b.date)} at ${formatHour(b.start_hour)}`,
+    title:   "Your Appointment Has Moved",
+    body: html`${paragraph(`Hi ${b.name}, your appointment has been rescheduled. Here are your new details:`)}${details([
+      ...appointmentRows(b),
+      { label: "Was", value: `${formatDate(previous.date)} · ${formatHour(previous.start_hour)}`, style: WAS },
+    ])}${manageBox(manage, "Need another change?")}`,
+    footer: `Booking ID: ${b.id} · ${FOOTER}`,
+  }), ctx => ({ previous: ctx.previous, manage: ctx.manage }), "To the customer: booking moved"),
+
+  // change: { kind: "cancelled" | "rescheduled", by: "customer" | "admin", previous? }
+  booking_owner_change: booking(({ booking: b, change }) => {
+    const cancelled = change.kind === "cancelled";
+    const who       = change.by === "customer" ? "by Customer" : "by Admin";
+    return {
+      ...(cancelled ? RED_THEME : GOLD_THEME),
+      subject: `${cancelled ? "✕ Cancelled" : "↻ Rescheduled"} — ${b.name} · ${formatDate(b.date)} at ${formatHour(b.start_hour)}`,
+      title:   cancelled ? `Booking Cancelled ${who}` : `Booking Rescheduled ${who}`,
+      body: details([
+        { label: "Date", value: formatDate(b.date), style: STRONG },
+        { label: "Time", value: timeRange(b.start_hour, b.end_hour), style: GOLD },
+        change.previous && { label: "Was", value: `${formatDate(change.previous.date)} · ${formatHour(change.previous.start_hour)}`, style: WAS },
+        { label: "Service", value: b.service },
+        { label: "Client",  value: b.name, style: STRONG, divider: true },
+        { label: "Phone",   value: phoneLink(b.phone) },
+      ]),
+      footer: `Booking ID: ${b.id} · Lusso Auto Studio Admin`,
+    };
+  }, ctx => ({ change: { kind: "rescheduled", by: "customer", previous: ctx.previous } }), "To the owner: a booking was cancelled or moved"),
+
+  // kind: "48h" | "2h"
+  booking_reminder: booking(({ booking: b, kind, manage }) => {
+    const soon = kind === "2h";
+    return {
+      subject: `${soon ? "Today" : "Reminder"} — ${formatDate(b.date)} at ${formatHour(b.start_hour)}`,
+      title:   soon ? "See You Shortly" : "Your Appointment is Coming Up",
+      body: html`${paragraph(`Hi ${b.name}, ${soon
+        ? "a quick reminder that your appointment starts in about two hours."
+        : "this is a friendly reminder of your appointment in two days."} Here are your details:`)}${details(
+        appointmentRows(b, { vehicle: true })
+      )}${soon ? "" : manageBox(manage, "Can't make it?")}`,
+      footer: `Booking ID: ${b.id} · ${FOOTER}`,
+    };
+  }, ctx => ({ kind: "48h", manage: ctx.manage }), "To the customer: appointment reminder (48h or 2h)"),
+
+  // ── Booking waitlist ──
+  waitlist_joined: {
+    description: "To the customer: joined the waitlist for a full day",
+    sample: ctx => ({ entry: ctx.entry }),
+    render: ({ entry }) => ({
+      subject: `You're on the waitlist — ${formatDate(entry.date)}`,
+      title:   "You're on the Waitlist",
+      body: html`${paragraph(`Hi ${entry.name}, we'll email you as soon as a time opens up that fits. Offers go out in the order people joined, and each one can be claimed for a limited time.`)}${details([
+        { label: "Date",    value: formatDate(entry.date), style: STRONG },
+        { label: "Between", value: timeRange(entry.window_start, entry.window_end) },
+        { label: "Service", value: entry.service },
+      ])}`,
+      footer: FOOTER,
+    }),
+  },
+
+  // url: the claim link; deadline: when the offer lapses, as studio time
+  waitlist_offer: {
+    description: "To the customer: a waitlisted time opened up",
+    sample: ctx => ({ entry: ctx.entry, url: `${SITE_URL}/claim?t=sample`, deadline: ctx.deadline }),
+    render: ({ entry, url, deadline }) => {
+      const start = entry.offered_start_hour;
+      return {
+        subject: `A spot opened up — ${formatDate(entry.date)} at ${formatHour(start)}`,
+        title:   "A Spot Opened Up",
+        body: html`${paragraph(`Hi ${entry.name}, good news — a time on your waitlisted day is free:`)}${details([
+          { label: "Date",    value: formatDate(entry.date), style: STRONG },
+          { label: "Time",    value: timeRange(start, start + entry.duration_hours), style: GOLD },
+          { label: "Service", value: entry.service },
+        ])}${box(html`${link(url, "Claim this time")} by ${deadline} — after that it goes to the next person waiting. It's first come, first served, so claim it soon.`)}`,
+        footer: FOOTER,
+      };
+    },
+  },
+
+  // ── Memberships ──
+  membership_application_owner: membership(({ app }) => ({
+    subject: `🔖 Membership Application — ${app.name}`,
+    title:   "New Membership Application",
+    notice:  app.status === "waitlisted" ? `Roster full — waitlisted at #${app.position}` : null,
+    body: details([
+      { label: "Name",    value: app.name, style: STRONG },
+      { label: "Phone",   value: phoneLink(app.phone) },
+      { label: "Email",   value: app.email ? link(`mailto:${app.email}`, app.email) : "—" },
+      { label: "Vehicle", value: app.vehicle },
+      { label: "City",    value: app.city },
+      { label: "Parking", value: app.parking },
+      { label: "Start",   value: app.preferred_start },
+      app.message ? { label: "Notes", value: app.message, style: MUTED, divider: true } : null,
+    ]),
+    footer: `Application ID: ${app.id} · Review at /admin/membership`,
+  }), {}, "To the owner: a new membership application"),
+
+  membership_received: membership(({ app }) => ({
+    subject: "We've Received Your Membership Application",
+    title:   "Application Received",
+    body: html`${paragraph(`Hi ${app.name}, thank you for applying for a Lusso membership. We review every application personally and will email you with a decision, usually within a few days.`)}${box(
+      html`Vehicle: ${app.vehicle} · ${app.city}<br>Preferred start: ${app.preferred_start}`, "plain")}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), {}, "To the applicant: application received"),
+
+  membership_waitlisted: membership(({ app, position }) => ({
+    subject: "You're on the Lusso Membership Waitlist",
+    title:   "You're on the Waitlist",
+    body: html`${paragraph(html`Hi ${app.name}, thank you for applying for a Lusso membership. Our roster is full right now, so we've added you to the waitlist${position ? html` — you're <b>#${position}</b> in line` : ""}.`)}${box(
+      "We'll email you as soon as a spot opens. There's nothing else you need to do.", "plain")}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), ctx => ({ position: ctx.app.position }), "To the applicant: added to the membership waitlist"),
+
+  membership_spot_offered: membership(({ app }) => ({
+    subject: "A Lusso Membership Spot Has Opened",
+    title:   "A Spot Has Opened",
+    body: paragraph(`Hi ${app.name}, good news — a spot has opened on our membership roster and your application is now under review. We'll email you with a decision shortly.`),
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), {}, "To the applicant: off the waitlist, back under review"),
+
+  // paymentUrl: the Square link, when there is one
+  membership_accepted: membership(({ app, paymentUrl }) => ({
+    subject: "Your Lusso Membership is Approved",
+    title:   "Welcome to Lusso",
+    body: html`${paragraph(`Hi ${app.name}, great news — your membership application has been approved.`)}${paymentUrl
+      ? html`${paragraph(html`<b>Next step:</b> complete your first payment through Square. Your membership starts as soon as it goes through, and your card is billed automatically each cycle after that.`)}${button(paymentUrl, "Start membership")}`
+      : paragraph(html`<b>Next steps:</b> we'll be in touch shortly to set up billing and schedule your first visit${app.start_date ? ` — your membership starts ${formatDate(app.start_date)}` : ""}.`)}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), { paymentUrl: "https://square.link/u/sample" }, "To the applicant: approved, with next steps"),
+
+  membership_rejected: membership(({ app, reason }) => ({
+    subject: "About Your Lusso Membership Application",
+    title:   "Application Update",
+    body: html`${paragraph(`Hi ${app.name}, thank you for your interest in a Lusso membership. Unfortunately we're unable to offer you a membership at this time.`)}${box(reason, "plain")}${paragraph(
+      html`You're always welcome to book individual appointments at ${link(SITE_URL, "lussoautostudio.ca")}.`)}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), { reason: "We're only serving Kitchener, Waterloo and Cambridge at the moment." }, "To the applicant: not accepted, with the reason"),
+
+  membership_cancel_scheduled: membership(({ app, cancelAt }) => ({
+    ...RED_THEME,
+    subject: "Your Lusso Membership Cancellation",
+    title:   "Cancellation Scheduled",
+    body: html`${paragraph(html`Hi ${app.name}, your membership has been set to end on <b>${formatDate(cancelAt.slice(0, 10))}</b>. You keep all member benefits until then.`)}${box(
+      "Changed your mind? Reply to this email before that date and we'll keep your membership going.", "plain")}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), ctx => ({ cancelAt: ctx.cancelAt }), "To the member: cancellation scheduled"),
+
+  membership_cancel_undone: membership(({ app }) => ({
+    subject: "Your Lusso Membership Continues",
+    title:   "Cancellation Withdrawn",
+    body: paragraph(`Hi ${app.name}, your scheduled cancellation has been withdrawn — your membership continues as before.`),
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), {}, "To the member: scheduled cancellation withdrawn"),
+
+  membership_active: membership(({ app }) => ({
+    subject: "Welcome — Your Lusso Membership is Active",
+    title:   "Your Membership is Active",
+    body: paragraph(html`Hi ${app.name}, your Lusso membership is now active. We'll be in touch to schedule your first visit — or book any time at ${link(SITE_URL, "lussoautostudio.ca")}.`),
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), {}, "To the member: membership active"),
+
+  membership_cancelled: membership(({ app }) => ({
+    ...RED_THEME,
+    subject: "Your Lusso Membership Has Ended",
+    title:   "Your Membership Has Ended",
+    body: paragraph(`Hi ${app.name}, your Lusso membership has now ended and you won't be charged again. Thank you for being a member — you're welcome back any time.`),
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), {}, "To the member: membership ended"),
+
+  // toApplicant: false when it goes to the owner to forward
+  membership_payment_link: membership(({ app, url, toApplicant }) => ({
+    subject: toApplicant ? "Lusso Membership — Complete Your Sign-Up" : `Payment link for ${app.name}`,
+    title:   toApplicant ? "Start Your Membership" : "Payment Link to Forward",
+    body: html`${paragraph(toApplicant
+      ? `Hi ${app.name}, here is your link to start your Lusso membership. Complete your first payment through Square — your card is then billed automatically each cycle.`
+      : `${app.name}'s application has no email address on file. Please forward this payment link to them (phone: ${app.phone}).`)}${button(url, "Start membership")}`,
+    footer: `Application ID: ${app.id} · ${FOOTER}`,
+  }), { url: "https://square.link/u/sample", toApplicant: true }, "To the applicant (or the owner, to forward): Square payment link"),
+
+  // rows: [{ series_date, name, start_hour, service, reason }], reason as
+  // shown to the owner
+  member_visit_conflicts: {
+    description: "To the owner: recurring member visits that couldn't be booked",
+    sample: ctx => ({ rows: ctx.visits.map((v, i) => ({ ...v, reason: i ? "Slot already booked" : "Studio closed that day" })) }),
+    render: ({ rows }) => ({
+      ...RED_THEME,
+      subject: `⚠ ${rows.length} member visit${rows.length === 1 ? "" : "s"} could not be booked`,
+      title:   "Member Visit Conflicts",
+      body: html`${paragraph("These recurring member visits could not be booked at their usual time. Each is retried automatically; place or skip them at /admin/membership.")}${details(
+        rows.map(r => ({
+          label: formatDate(r.series_date),
+          value: html`${r.name} · ${formatHour(r.start_hour)} · ${r.service}<br>
+              <span style="font-size:12px;color:#f87171">${r.reason}</span>`,
+        }))
+      )}`,
+      footer: "Lusso Auto Studio · member visit series",
+    }),
+  },
+};
+
+// → { subject, html, text }. Throws on an unknown template name.
+export function renderEmail(name, data) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const { subject, ...parts } = template.render(data);
+  const body = parts.body instanceof SafeHtml ? parts.body : html`${parts.body}`;
+  return {
+    subject,
+    html: layout({ ...parts, body }).value,
+    text: layoutText({ ...parts, body }),
+  };
+}
+
+// → [{ name, description }] for the admin preview
+export function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({ name, description: t.description }));
+}
+
+// Renders a template with its sample data, picked from `ctx` (built by
+// sampleContext in _lib/email-samples.js). → { subject, html, text } | null
+export function previewEmail(name, ctx) {
+  const template = TEMPLATES[name];
+  return template ? renderEmail(name, template.sample(ctx)) : null;
+}
@@ -0,0 +1,57 @@
+// =============================================================================
+// /functions/_lib/email.js  —  Email sender and date/time labels for emails.
+// The emails themselves are in _lib/email-templates.js.
+//
+// Environment variables: RESEND_API_KEY (emails are skipped when unset),
+// FROM_EMAIL and the rest listed in _lib/resend.js.
+// =============================================================================
+
+import { weekdayOf } from "./dates.js";
+import { enqueueEmail, deliverMessage } from "./outbox.js";
+import { resendSend } from "./resend.js";
+
+// Sends one email through the outbox (_lib/outbox.js): saved first, then
+// tried straight away; if Resend doesn't take it, the scheduler retries.
+// Never throws — a failed notification must not fail the request that
+// triggered it. `tag` names the sender in the outbox and the logs.
+// `text` is the plain-text part; renderEmail() makes both. `attachments`:
+// [{ filename, content (base64), content_type }], e.g. a calendar invite.
+// → "sent" when Resend accepted it, "queued" when it will be retried,
+//   false when it was not sent and won't be
+export async function sendEmail(env, { to, subject, html, text, attachments }, tag = "email") {
+  if (!env.RESEND_API_KEY || !to) return false;
+
+  let id;
+  try {
+    id = await enqueueEmail(env.DB, { to, subject, html, text, attachments }, tag);
+  } catch (e) {
+    // No outbox to fall back on — one direct attempt, as before it existed
+    console.error(`[${tag}] outbox error:`, e?.message ?? e);
+    const result = await resendSend(env, { to, subject, html, text, attachments });
+    if (!result.ok) console.error(`[${tag}] ${result.error}`);
+    return result.ok ? "sent" : false;
+  }
+
+  try {
+    const outcome = await deliverMessage(env, id);
+    return outcome === "failed" ? false : outcome ?? "queued";
+  } catch (e) {
+    // Saved but the attempt didn't finish — the scheduler picks it up
+    console.error(`[${tag}] outbox delivery error:`, e?.message ?? e);
+    return "queued";
+  }
+}
+
+// ── Labels ────────────────────────────────────────────────────────────────────
+export function formatHour(h) {
+  const period = h >= 12 ? "PM" : "AM";
+  const hr = ((h + 11) % 12) + 1;
+  return `${hr}:00 ${period}`;
+}
+
+export function formatDate(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  const days   = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+  return `${days[weekdayOf(dateStr)]}, ${months[m-1]} ${d}, ${y}`;
+}
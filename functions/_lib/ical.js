@@ -0,0 +1,151 @@
+// =============================================================================
+// /functions/_lib/ical.js  —  iCalendar (RFC 5545) events for bookings: the
+// .ics invite attached to customer emails, and the owner's subscribed feed
+// (/api/admin/calendar.ics).
+//
+// Every booking is one event with the UID "<booking id>@lussoautostudio.ca",
+// in invites and in the feed alike, so a move or a cancellation updates the
+// event already in the calendar instead of adding a second one.
+//
+// Invites follow iTIP (RFC 5546): METHOD:REQUEST when a booking is made or
+// moved, METHOD:CANCEL when it is cancelled. A calendar only applies an update
+// with a higher SEQUENCE than the copy it has — the first invite is 0, and
+// every change after it uses the seconds since SEQUENCE_EPOCH, which only
+// ever grows, so no counter has to be kept per booking.
+//
+// Times are written in UTC (converted from the studio's timezone), so no
+// VTIMEZONE block is needed.
+// =============================================================================
+
+import { zonedTime } from "./dates.js";
+import { loadSchedule } from "./schedule.js";
+
+const PRODID         = "-//Lusso Auto Studio//Bookings//EN";
+const UID_DOMAIN     = "lussoautostudio.ca";
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+export function eventUid(bookingId) {
+  return `${bookingId}@${UID_DOMAIN}`;
+}
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// 20261023T140000Z
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits between characters, never inside a multi-byte one.
+function fold(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = "", size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// Bare address from "Name <address>" or "address"
+function mailbox(from) {
+  return (/<([^>]+)>/.exec(from)?.[1] ?? from).trim();
+}
+
+// lines: ["NAME:value", …, null] (nulls skipped) → CRLF-terminated text
+function serialize(lines) {
+  return lines.filter(Boolean).map(fold).join("\r\n") + "\r\n";
+}
+
+// → calendar text. props: extra calendar properties, e.g. "METHOD:REQUEST"
+export function calendar(events, props = []) {
+  return serialize([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...props,
+    ...events.flat(),
+    "END:VCALENDAR",
+  ]);
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+// One VEVENT, as an array of unfolded lines.
+//   fields: { summary, description?, location?, status, sequence,
+//             organizer?: { name, email }, attendee?: { name, email } }
+export function bookingEvent(booking, timeZone, fields, now = new Date()) {
+  const { summary, description, location, status, sequence, organizer, attendee } = fields;
+  return [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(booking.id)}`,
+    `DTSTAMP:${icsTime(now)}`,
+    `DTSTART:${icsTime(zonedTime(booking.date, booking.start_hour, timeZone))}`,
+    `DTEND:${icsTime(zonedTime(booking.date, booking.end_hour, timeZone))}`,
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${icsText(summary)}`,
+    description ? `DESCRIPTION:${icsText(description)}` : null,
+    location    ? `LOCATION:${icsText(location)}`       : null,
+    organizer   ? `ORGANIZER;CN=${icsText(organizer.name)}:mailto:${organizer.email}` : null,
+    attendee    ? `ATTENDEE;CN=${icsText(attendee.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${attendee.email}` : null,
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ];
+}
+
+// ── Customer invite ───────────────────────────────────────────────────────────
+// .ics attachment for a customer email about `booking` (needs id, date,
+// start_hour, end_hour, service, name, email; vehicle, city and manage.url
+// when known).
+//   change: "new" | "moved" | "cancelled"
+// → { filename, content (base64), content_type } for sendEmail(), or null
+//   when it can't be built — the email then goes without it. Never throws.
+export async function bookingInvite(env, booking, change, now = new Date()) {
+  if (!booking.email) return null;
+  try {
+    const { timeZone } = await loadSchedule(env.DB, booking.date);
+    const cancelled = change === "cancelled";
+    const method    = cancelled ? "CANCEL" : "REQUEST";
+
+    const event = bookingEvent(booking, timeZone, {
+      summary:     `Lusso Auto Studio — ${booking.service}`,
+      description: [
+        booking.vehicle ? `${booking.service} · ${booking.vehicle}` : booking.service,
+        !cancelled && booking.manage?.url ? `Reschedule or cancel: ${booking.manage.url}` : null,
+        `Booking ID: ${booking.id}`,
+      ].filter(Boolean).join("\n"),
+      location:  booking.city,
+      status:    cancelled ? "CANCELLED" : "CONFIRMED",
+      sequence:  change === "new" ? 0 : Math.floor((now.getTime() - SEQUENCE_EPOCH) / 1000),
+      organizer: { name: "Lusso Auto Studio", email: mailbox(env.FROM_EMAIL || "onboarding@resend.dev") },
+      attendee:  { name: booking.name, email: booking.email },
+    }, now);
+
+    const bytes = new TextEncoder().encode(calendar([event], [`METHOD:${method}`]));
+    return {
+      filename:     cancelled ? "cancelled.ics" : "appointment.ics",
+      content:      btoa(String.fromCharCode(...bytes)),
+      content_type: `text/calendar; charset=utf-8; method=${method}`,
+    };
+  } catch (e) {
+    console.error("[ical] invite error:", e?.message ?? e);
+    return null;
+  }
+}
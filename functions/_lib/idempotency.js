@@ -0,0 +1,116 @@
+// =============================================================================
+// /functions/_lib/idempotency.js  —  Idempotency-Key handling for POSTs that
+// create records and send email.
+//
+//   export async function onRequestPost(context) {
+//     return withIdempotency(context, "book", createBooking, CORS_HEADERS);
+//   }
+//
+// No header → the handler runs as usual. With a key:
+//   first request            → handler runs; its response is stored
+//   same key + same body     → stored response replayed (Idempotent-Replayed:
+//                              true); nothing is inserted or emailed again
+//   same key + other body    → 422
+//   same key, first request
+//   still running            → 409, retry shortly
+// 5xx responses are not stored, so the client can retry with the same key.
+// Keys live for KEY_TTL_HOURS. A claim left unfinished for STALE_CLAIM_SECONDS
+// (worker died mid-request) can be retaken by the same body.
+// =============================================================================
+
+const KEY_TTL_HOURS       = 24;
+const STALE_CLAIM_SECONDS = 60;
+const encoder = new TextEncoder();
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function jsonResponse(data, status, headers) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...headers, "content-type": "application/json" },
+  });
+}
+
+// `handler` is the route's normal ({ request, env, ... }) → Response function.
+// CORS headers of the route's own responses are copied onto error responses.
+export async function withIdempotency(context, scope, handler, corsHeaders = {}) {
+  const { request, env } = context;
+  const key = request.headers.get("idempotency-key");
+  if (key === null) return handler(context);
+
+  if (!/^[\x21-\x7e]{8,255}$/.test(key)) {
+    return jsonResponse({ ok: false, error: "Idempotency-Key must be 8–255 printable characters." }, 400, corsHeaders);
+  }
+
+  const hash  = await sha256Hex(await request.clone().text());
+  const now   = new Date();
+  const stale = new Date(now.getTime() - STALE_CLAIM_SECONDS * 1000).toISOString();
+  const dead  = new Date(now.getTime() - KEY_TTL_HOURS * 3_600_000).toISOString();
+
+  // ── Claim ───────────────────────────────────────────────────────────────────
+  // Inserts a fresh claim, or retakes an expired key / an abandoned claim for
+  // the same body. 0 changes → someone already holds this key.
+  let existing = null;
+  try {
+    const claim = await env.DB.prepare(
+      `INSERT INTO idempotency_keys (scope, key, request_hash, created_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (scope, key) DO UPDATE
+          SET request_hash = excluded.request_hash, created_at = excluded.created_at,
+              status = NULL, headers = NULL, response = NULL
+        WHERE idempotency_keys.created_at < ?
+           OR (idempotency_keys.status IS NULL AND idempotency_keys.created_at < ?
+               AND idempotency_keys.request_hash = excluded.request_hash)`
+    ).bind(scope, key, hash, now.toISOString(), dead, stale).run();
+
+    if ((claim.meta?.changes ?? 0) === 0) {
+      existing = await env.DB.prepare(
+        `SELECT request_hash, status, headers, response FROM idempotency_keys WHERE scope = ? AND key = ?`
+      ).bind(scope, key).first();
+    }
+  } catch (e) {
+    console.error(`[idempotency:${scope}] claim error:`, e?.message ?? e);
+    return jsonResponse({ ok: false, error: "A server error occurred. Please try again." }, 500, corsHeaders);
+  }
+
+  if (existing) {
+    if (existing.request_hash !== hash) {
+      return jsonResponse({ ok: false, error: "This Idempotency-Key was already used for a different request." }, 422, corsHeaders);
+    }
+    if (existing.status === null) {
+      return jsonResponse({ ok: false, error: "This request is still being processed. Please wait a moment." }, 409,
+        { ...corsHeaders, "retry-after": "2" });
+    }
+    const headers = new Headers(JSON.parse(existing.headers || "[]"));
+    headers.set("idempotent-replayed", "true");
+    return new Response(existing.response, { status: existing.status, headers });
+  }
+
+  // ── Run and store ───────────────────────────────────────────────────────────
+  let response;
+  try {
+    response = await handler(context);
+  } catch (e) {
+    console.error(`[idempotency:${scope}] handler error:`, e?.message ?? e);
+  }
+
+  try {
+    if (!response || response.status >= 500) {
+      await env.DB.prepare(`DELETE FROM idempotency_keys WHERE scope = ? AND key = ?`).bind(scope, key).run();
+    } else {
+      const headers = [...response.headers].filter(([name]) => name !== "set-cookie");
+      await env.DB.batch([
+        env.DB.prepare(
+          `UPDATE idempotency_keys SET status = ?, headers = ?, response = ? WHERE scope = ? AND key = ?`
+        ).bind(response.status, JSON.stringify(headers), await response.clone().text(), scope, key),
+        env.DB.prepare(`DELETE FROM idempotency_keys WHERE created_at < ?`).bind(dead),
+      ]);
+    }
+  } catch (e) {
+    console.error(`[idempotency:${scope}] store error:`, e?.message ?? e);
+  }
+
+  return response ?? jsonResponse({ ok: false, error: "A server error occurred. Please try again." }, 500, corsHeaders);
+}
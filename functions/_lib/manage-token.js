@@ -0,0 +1,87 @@
+// =============================================================================
+// /functions/_lib/manage-token.js  —  Signed, expiring links that let a
+// customer view, cancel or reschedule their own booking, or claim a slot
+// offered from the booking waitlist.
+//
+// Token format:  <booking id>.<expiry, unix seconds>.<HMAC-SHA256, base64url>
+// Claim tokens sign "claim.<waitlist id>.<expiry>" instead, so one kind can
+// never be passed off as the other. Nothing is stored: the signature proves
+// we issued it, the expiry caps its life (end of the appointment day for
+// manage links, the offer's deadline for claim links).
+//
+// Environment variables:
+//   MANAGE_TOKEN_SECRET  → long random string (links are not issued when unset)
+//   SITE_URL             → base URL for links (default https://lussoautostudio.ca)
+// =============================================================================
+
+import { base64url, safeEqual } from "./signing.js";
+
+const encoder = new TextEncoder();
+
+async function sign(secret, payload) {
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  return base64url(await crypto.subtle.sign("HMAC", key, encoder.encode(payload)));
+}
+
+// Token valid until the end of the day after the appointment (UTC) — the
+// extra day keeps the link working through the whole appointment day in the
+// studio's timezone, which runs hours behind UTC
+export async function createManageToken(env, booking) {
+  if (!env.MANAGE_TOKEN_SECRET) return null;
+  const [y, m, d] = booking.date.split("-").map(Number);
+  const exp = Math.floor(Date.UTC(y, m - 1, d + 2) / 1000);
+  const payload = `${booking.id}.${exp}`;
+  return `${payload}.${await sign(env.MANAGE_TOKEN_SECRET, payload)}`;
+}
+
+// Full link for emails, or null when manage links are not configured
+export async function manageUrl(env, booking) {
+  const token = await createManageToken(env, booking);
+  if (!token) return null;
+  const base = env.SITE_URL || "https://lussoautostudio.ca";
+  return `${base}/manage?token=${encodeURIComponent(token)}`;
+}
+
+// → { ok: true, id } | { ok: false, error }
+export async function verifyManageToken(env, token, now = Date.now()) {
+  if (!env.MANAGE_TOKEN_SECRET) return { ok: false, error: "Self-service changes are not enabled." };
+
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "Invalid link." };
+
+  const [id, exp, sig] = parts;
+  const expected = await sign(env.MANAGE_TOKEN_SECRET, `${id}.${exp}`);
+  if (!safeEqual(sig, expected)) return { ok: false, error: "Invalid link." };
+  if (!(Number(exp) * 1000 > now)) return { ok: false, error: "This link has expired." };
+
+  return { ok: true, id };
+}
+
+// ── Waitlist claim links ──────────────────────────────────────────────────────
+// Full link for the offer email, valid until `expiresAt` (Date), or null when
+// links are not configured
+export async function claimUrl(env, waitlistId, expiresAt) {
+  if (!env.MANAGE_TOKEN_SECRET) return null;
+  const exp = Math.floor(expiresAt.getTime() / 1000);
+  const payload = `${waitlistId}.${exp}`;
+  const token = `${payload}.${await sign(env.MANAGE_TOKEN_SECRET, `claim.${payload}`)}`;
+  const base = env.SITE_URL || "https://lussoautostudio.ca";
+  return `${base}/claim?token=${encodeURIComponent(token)}`;
+}
+
+// → { ok: true, id } | { ok: false, error }
+export async function verifyClaimToken(env, token, now = Date.now()) {
+  if (!env.MANAGE_TOKEN_SECRET) return { ok: false, error: "Claim links are not enabled." };
+
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return { ok: false, error: "Invalid link." };
+
+  const [id, exp, sig] = parts;
+  const expected = await sign(env.MANAGE_TOKEN_SECRET, `claim.${id}.${exp}`);
+  if (!safeEqual(sig, expected)) return { ok: false, error: "Invalid link." };
+  if (!(Number(exp) * 1000 > now)) return { ok: false, error: "This offer has expired." };
+
+  return { ok: true, id };
+}
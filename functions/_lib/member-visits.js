@@ -0,0 +1,221 @@
+// =============================================================================
+// /functions/_lib/member-visits.js  —  Recurring visit series for members.
+//
+// A series books one visit every interval_days (14 = every other week) at the
+// same start hour, from anchor_date on. Visits are ordinary bookings rows with
+// membership_id / series_id / series_date set, so public availability,
+// reminders and the admin move / cancel flows all treat them like any other
+// booking. Tables: migrations/0012_member_visits.sql.
+//
+// runMemberVisits() books every occurrence from tomorrow through the public
+// horizon + MEMBER_LEAD_DAYS — ahead of what the public can book — for
+// members whose status is 'active', or 'cancel_scheduled' up to cancel_at.
+// Run by the Cron Trigger in workers/scheduler and right after a series is
+// created.
+//
+// An occurrence that can't be booked (closed day, outside hours, slot taken)
+// goes into member_visit_conflicts and is emailed to the owner once. It is
+// retried on every run until it books or an admin places or skips it.
+//
+// A skipped visit is a cancelled booking; a moved one keeps its series_date.
+// Either way its occurrence stays taken and is never booked again.
+// =============================================================================
+
+import { loadSchedule, dayHours, studioToday, MEMBER_LEAD_DAYS } from "./schedule.js";
+import { insertBookingStatement } from "./bookings.js";
+import { addDays, daysBetween } from "./dates.js";
+import { sendEmail } from "./email.js";
+import { renderEmail } from "./email-templates.js";
+import { appendEventStatement } from "./membership.js";
+
+export const CONFLICT_REASONS = {
+  closed: "Studio closed that day",
+  hours:  "Outside opening hours",
+  booked: "Slot already booked",
+};
+
+// Occurrence dates of a series between `from` and `to` (inclusive)
+export function occurrences(series, from, to) {
+  let date = series.anchor_date;
+  if (date < from) {
+    date = addDays(date, Math.ceil(daysBetween(date, from) / series.interval_days) * series.interval_days);
+  }
+  const dates = [];
+  for (; date <= to; date = addDays(date, series.interval_days)) dates.push(date);
+  return dates;
+}
+
+// Pass seriesId to fill just that series.
+// → { now, booked: [{ series_id, series_date, id }],
+//     conflicts: [{ series_id, series_date, reason }] }  (new conflicts only)
+export async function runMemberVisits(env, now = new Date(), { seriesId = null } = {}) {
+  const db = env.DB;
+  const at = now.toISOString();
+
+  // Settings first — the window depends on the timezone and horizon
+  const settings = await loadSchedule(db, at.slice(0, 10));
+  const today    = studioToday(settings, now);
+  const from     = addDays(today, 1);
+  const to       = addDays(today, settings.horizonDays + MEMBER_LEAD_DAYS);
+  const schedule = await loadSchedule(db, from, to);
+
+  const [seriesRes, takenRes, conflictsRes] = await db.batch([
+    db.prepare(
+      `SELECT s.*, m.status AS membership_status, m.cancel_at,
+              m.name, m.phone, m.email, m.vehicle, m.city, m.customer_id, m.vehicle_id
+         FROM member_visit_series s
+         JOIN membership_applications m ON m.id = s.membership_id
+        WHERE s.status = 'active' AND m.status IN ('active', 'cancel_scheduled')
+          ${seriesId ? "AND s.id = ?" : ""}`
+    ).bind(...(seriesId ? [seriesId] : [])),
+    db.prepare(
+      `SELECT series_id, series_date FROM bookings
+        WHERE series_id IS NOT NULL AND series_date >= ?`
+    ).bind(from),
+    db.prepare(
+      `SELECT series_id, series_date, resolved_at FROM member_visit_conflicts
+        WHERE series_date >= ?`
+    ).bind(from),
+  ]);
+
+  const key       = (id, date) => `${id}|${date}`;
+  const taken     = new Set((takenRes.results || []).map(r => key(r.series_id, r.series_date)));
+  const conflicts = new Map((conflictsRes.results || []).map(r => [key(r.series_id, r.series_date), r]));
+
+  const summary = { now: at, booked: [], conflicts: [] };
+  const report  = [];
+
+  for (const series of seriesRes.results || []) {
+    // A scheduled cancellation ends the member's visits on that date
+    const until = series.membership_status === "cancel_scheduled" && series.cancel_at
+      ? series.cancel_at.slice(0, 10) : null;
+
+    for (const date of occurrences(series, from, to)) {
+      if (until && date >= until) break;
+      const k = key(series.id, date);
+      if (taken.has(k) || conflicts.get(k)?.resolved_at) continue;
+
+      const result = await bookOccurrence(db, series, date, schedule, at);
+      if (result.id) {
+        summary.booked.push({ series_id: series.id, series_date: date, id: result.id });
+        if (conflicts.has(k)) {
+          await db.prepare(
+            `UPDATE member_visit_conflicts SET resolved_at = ?, resolution = 'booked'
+              WHERE series_id = ? AND series_date = ? AND resolved_at IS NULL`
+          ).bind(at, series.id, date).run();
+        }
+      } else if (result.reason) {
+        const recorded = await db.prepare(
+          `INSERT OR IGNORE INTO member_visit_conflicts (series_id, series_date, reason, detected_at)
+           VALUES (?, ?, ?, ?)`
+        ).bind(series.id, date, result.reason, at).run();
+        if ((recorded.meta?.changes ?? 0) === 0) continue;
+        summary.conflicts.push({ series_id: series.id, series_date: date, reason: result.reason });
+        report.push({ ...series, series_date: date, reason: result.reason });
+      }
+    }
+  }
+
+  if (report.length) await sendConflictEmail(env, report);
+  return summary;
+}
+
+// Books one occurrence at the series' usual time.
+// → { id } | { reason } | {} when another run booked it first
+async function bookOccurrence(db, series, date, schedule, at) {
+  const day = dayHours(schedule, date);
+  if (!day.open) return { reason: "closed" };
+
+  const end_hour = series.start_hour + series.duration_hours;
+  if (series.start_hour < day.open_hour || end_hour > day.close_hour) return { reason: "hours" };
+
+  const id = crypto.randomUUID();
+  const result = await insertBookingStatement(db, visitRow(series, {
+    id, series_date: date, date, start_hour: series.start_hour, at,
+  })).run();
+  if ((result.meta?.changes ?? 0) > 0) return { id };
+
+  // Our own occurrence from an overlapping run also blocks the slot
+  const mine = await db.prepare(
+    `SELECT 1 FROM bookings WHERE series_id = ? AND series_date = ?`
+  ).bind(series.id, date).first();
+  return mine ? {} : { reason: "booked" };
+}
+
+// bookings row for one visit. `series` carries the member's contact columns
+// and customer_id / vehicle_id; `date` differs from `series_date` when an
+// admin places a visit elsewhere.
+export function visitRow(series, { id, series_date, date, start_hour, at }) {
+  return {
+    id, date, start_hour,
+    duration_hours: series.duration_hours,
+    end_hour:       start_hour + series.duration_hours,
+    service:        series.service,
+    name:           series.name,
+    phone:          series.phone,
+    email:          series.email,
+    vehicle:        series.vehicle,
+    city:           series.city,
+    notes:          "Member visit",
+    status:         "active",
+    created_at:     at,
+    membership_id:  series.membership_id,
+    customer_id:    series.customer_id,
+    vehicle_id:     series.vehicle_id,
+    series_id:      series.id,
+    series_date,
+  };
+}
+
+// ── Ending a series ───────────────────────────────────────────────────────────
+// Statements that end a series and cancel its visits from `today` on. Run
+// them in one batch (callers add their audit / event_log entry); the second
+// result's meta.changes is the number of visits cancelled.
+export function endSeriesStatements(db, seriesId, today, at) {
+  return [
+    db.prepare(
+      `UPDATE member_visit_series SET status = 'ended', ended_at = ?
+        WHERE id = ? AND status = 'active'`
+    ).bind(at, seriesId),
+    db.prepare(
+      `UPDATE bookings SET status = 'cancelled'
+        WHERE series_id = ? AND status = 'active' AND date >= ?`
+    ).bind(seriesId, today),
+    db.prepare(
+      `UPDATE member_visit_conflicts SET resolved_at = ?, resolution = 'ended'
+        WHERE series_id = ? AND resolved_at IS NULL`
+    ).bind(at, seriesId),
+  ];
+}
+
+// When a membership ends: stops its series and cancels the upcoming visits,
+// noting it in event_log. No-op without a running series.
+// → number of visits cancelled
+export async function endMemberVisits(env, app, by, now = new Date()) {
+  const series = await env.DB.prepare(
+    `SELECT id FROM member_visit_series WHERE membership_id = ? AND status = 'active'`
+  ).bind(app.id).first();
+  if (!series) return 0;
+
+  const at       = now.toISOString();
+  const schedule = await loadSchedule(env.DB, at.slice(0, 10));
+  const results  = await env.DB.batch([
+    ...endSeriesStatements(env.DB, series.id, studioToday(schedule, now), at),
+    appendEventStatement(env.DB, app.id, {
+      event: "visits_ended", note: "Recurring visits stopped; upcoming visits cancelled.", at, by,
+    }),
+  ]);
+  return results[1].meta?.changes ?? 0;
+}
+
+// ── Owner email ───────────────────────────────────────────────────────────────
+async function sendConflictEmail(env, rows) {
+  if (!env.NOTIFY_EMAIL) return;
+
+  await sendEmail(env, {
+    to: env.NOTIFY_EMAIL,
+    ...renderEmail("member_visit_conflicts", {
+      rows: rows.map(r => ({ ...r, reason: CONFLICT_REASONS[r.reason] })),
+    }),
+  }, "member-visits");
+}
@@ -0,0 +1,61 @@
+// =============================================================================
+// /functions/_lib/membership-billing.js  —  Square payment link for an
+// accepted membership application.
+//
+// Called when the owner accepts an application — the link then goes out in
+// the "accepted" email — and again by the "send_payment_link" action to
+// resend it on its own. The link is created once and kept in
+// payment_link_url; resending reuses it. Every attempt is written to the
+// application's event_log.
+// =============================================================================
+
+import { createMembershipPaymentLink } from "./square.js";
+import { notifyMember, sendPaymentLinkEmail } from "./membership-emails.js";
+import { appendEventStatement } from "./membership.js";
+
+// app: the membership_applications row. `by` is the admin's email.
+// `accepted: true` sends the link inside the acceptance email (applicants
+// without an email still get it forwarded through the owner).
+// → { ok: true, url, sent_to: "applicant" | "owner" | null }
+//   | { ok: false, error }
+export async function sendPaymentLink(env, app, by, { accepted = false } = {}) {
+  const at = new Date().toISOString();
+  let url  = app.payment_link_url;
+
+  if (!url) {
+    const link = await createMembershipPaymentLink(env, app);
+    if (!link.ok) {
+      await appendEventStatement(env.DB, app.id, {
+        event: "payment_link_failed", note: `Payment link could not be created. ${link.error}`, at, by,
+      }).run();
+      return { ok: false, error: link.error };
+    }
+    url = link.url;
+    await appendEventStatement(env.DB, app.id,
+      { event: "payment_link_created", note: "Square payment link created.", at, by },
+      { payment_link_url: url, square_payment_link_id: link.id, square_order_id: link.order_id },
+    ).run();
+  }
+
+  if (accepted && app.email) {
+    // notifyMember logs the email itself
+    const sent = await notifyMember(env, app, "accepted", { paymentUrl: url }, by);
+    if (sent) {
+      await env.DB.prepare(`UPDATE membership_applications SET payment_link_sent_at = ? WHERE id = ?`)
+        .bind(at, app.id).run();
+    }
+    return { ok: true, url, sent_to: sent ? "applicant" : null };
+  }
+
+  const sent_to = await sendPaymentLinkEmail(app, url, env);
+  if (sent_to) {
+    await appendEventStatement(env.DB, app.id,
+      { event: "payment_link_sent", note: sent_to === "applicant"
+          ? `Payment link emailed to ${app.email}.`
+          : "No applicant email on file — payment link emailed to the owner to forward.", at, by },
+      { payment_link_sent_at: at },
+    ).run();
+  }
+
+  return { ok: true, url, sent_to };
+}
@@ -0,0 +1,71 @@
+// =============================================================================
+// /functions/_lib/membership-emails.js  —  Emails sent to membership
+// applicants and members at every change of their application.
+//
+//   notifyMember(env, app, kind, details, by)
+//     kind: "received"          apply.js, after the application is saved
+//           "waitlisted"        { position } — instead of "received" while
+//                               the roster is full, or when moved to the
+//                               waitlist by the owner
+//           "spot_offered"      off the waitlist, back under review
+//           "accepted"          { paymentUrl? } — next steps, with the Square
+//                               link when there is one
+//           "rejected"          { reason }
+//           "cancel_scheduled"  { cancelAt }
+//           "cancel_undone"
+//           "active"            membership-lifecycle.js
+//           "cancelled"         immediate, or at the end of the notice period
+//
+// Every attempt is logged in the application's event_log — sent, failed, or
+// skipped because no email is on file — so the owner can see what the
+// member was told. The emails are the membership_<kind> templates in
+// _lib/email-templates.js.
+// =============================================================================
+
+import { sendEmail } from "./email.js";
+import { renderEmail } from "./email-templates.js";
+import { appendEventStatement } from "./membership.js";
+
+// Sends the `kind` email to the member and logs the attempt in event_log.
+// `by` is who caused the change (admin email, "scheduler", or null for the
+// applicant). Never throws. → sendEmail()'s result: "sent", "queued" (will be
+// retried) or false
+export async function notifyMember(env, app, kind, details = {}, by = null) {
+  const email = renderEmail(`membership_${kind}`, { app, ...details });
+  const { subject } = email;
+
+  let sent = false;
+  let entry;
+  if (!app.email) {
+    entry = { event: "email_skipped", note: `"${subject}" not sent — no email on file.` };
+  } else {
+    sent = await sendEmail(env, { to: app.email, ...email }, "membership-emails");
+    entry = sent === "sent"   ? { event: "email_sent",   note: `"${subject}" emailed to ${app.email}.` }
+          : sent === "queued" ? { event: "email_queued", note: `"${subject}" to ${app.email} didn't go through yet — retrying automatically.` }
+          :                     { event: "email_failed", note: `"${subject}" could not be emailed to ${app.email}.` };
+  }
+
+  try {
+    await appendEventStatement(env.DB, app.id, {
+      ...entry, email: kind, at: new Date().toISOString(), ...(by ? { by } : {}),
+    }).run();
+  } catch (e) {
+    console.error("[membership-emails] event log error:", e?.message ?? e);
+  }
+  return sent;
+}
+
+// ── Payment link (resend, or forward via the owner) ───────────────────────────
+// Goes to the applicant, or to the owner to forward when the application has
+// no email on file. → "applicant" | "owner" | null when nothing was sent
+export async function sendPaymentLinkEmail(app, url, env) {
+  const toApplicant = Boolean(app.email);
+  const to = toApplicant ? app.email : env.NOTIFY_EMAIL;
+  if (!to) return null;
+
+  const ok = await sendEmail(env, {
+    to,
+    ...renderEmail("membership_payment_link", { app, url, toApplicant }),
+  }, "membership-emails");
+  return ok ? (toApplicant ? "applicant" : "owner") : null;
+}
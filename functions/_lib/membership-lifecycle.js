@@ -0,0 +1,95 @@
+// =============================================================================
+// /functions/_lib/membership-lifecycle.js  —  Scheduled membership transitions.
+//
+// Run by the Cron Trigger in workers/scheduler and by
+// POST /api/admin/membership-lifecycle for manual runs with a chosen "now".
+//
+//   accepted         → active     once a payment has gone through
+//                                  (last_payment_status "completed" / "paid")
+//                                  or start_date (studio time) has arrived
+//   cancel_scheduled → cancelled  once cancel_at has passed; the Square
+//                                  subscription, if any, is cancelled too, and
+//                                  so are the member's upcoming visits
+//
+// Spots freed by cancellations are then offered to the waitlist when
+// auto-offer is on (_lib/membership-roster.js).
+//
+// Each transition is claimed with a status-guarded UPDATE, so overlapping
+// runs (or an admin acting at the same moment) apply it only once. Every
+// transition is appended to event_log and the member is emailed.
+// =============================================================================
+
+import { loadSchedule, studioToday } from "./schedule.js";
+import { appendEventStatement } from "./membership.js";
+import { cancelSquareSubscription } from "./square.js";
+import { notifyMember } from "./membership-emails.js";
+import { endMemberVisits } from "./member-visits.js";
+import { fillOpenSpots } from "./membership-roster.js";
+
+const BY = "scheduler";
+
+// → { now, activated: [id], cancelled: [id], offered: [id] }
+export async function runMembershipLifecycle(env, now = new Date()) {
+  const at = now.toISOString();
+  // Only the timezone setting matters here
+  const schedule = await loadSchedule(env.DB, at.slice(0, 10));
+  const today    = studioToday(schedule, now);
+
+  const [dueActive, dueCancel] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT * FROM membership_applications
+        WHERE status = 'accepted'
+          AND (last_payment_status IN ('completed', 'paid')
+               OR (start_date IS NOT NULL AND start_date <= ?))`
+    ).bind(today),
+    env.DB.prepare(
+      `SELECT * FROM membership_applications
+        WHERE status = 'cancel_scheduled' AND cancel_at IS NOT NULL AND cancel_at <= ?`
+    ).bind(at),
+  ]);
+
+  const summary = { now: at, activated: [], cancelled: [], offered: [] };
+
+  // ── accepted → active ─────────────────────────────────────────────────────
+  for (const app of dueActive.results || []) {
+    const paid = ["completed", "paid"].includes(app.last_payment_status);
+    const claim = await appendEventStatement(env.DB, app.id, {
+      event: "activated",
+      note:  paid ? "Membership active — first payment received." : `Membership active — start date ${app.start_date}.`,
+      at, by: BY,
+    }, { status: "active", activated_at: at }, "accepted").run();
+    if ((claim.meta?.changes ?? 0) === 0) continue;
+
+    await notifyMember(env, app, "active", {}, BY);
+    summary.activated.push(app.id);
+  }
+
+  // ── cancel_scheduled → cancelled ──────────────────────────────────────────
+  for (const app of dueCancel.results || []) {
+    const claim = await appendEventStatement(env.DB, app.id, {
+      event: "cancelled",
+      note:  "Membership ended at the end of the notice period.",
+      at, by: BY,
+    }, { status: "cancelled", cancelled_at: at }, "cancel_scheduled").run();
+    if ((claim.meta?.changes ?? 0) === 0) continue;
+
+    await endSquareSubscription(env, app, BY);
+    await endMemberVisits(env, app, BY, now);
+    await notifyMember(env, app, "cancelled", {}, BY);
+    summary.cancelled.push(app.id);
+  }
+
+  if (summary.cancelled.length) summary.offered = await fillOpenSpots(env, BY);
+  return summary;
+}
+
+// Cancels the member's Square subscription, noting a failure in event_log so
+// the owner can cancel it by hand. No-op without a subscription.
+export async function endSquareSubscription(env, app, by) {
+  if (!app.square_subscription_id) return;
+  const result = await cancelSquareSubscription(env, app.square_subscription_id);
+  await appendEventStatement(env.DB, app.id, result.ok
+    ? { event: "subscription_cancel_requested", note: "Square subscription cancelled — no further charges.", at: new Date().toISOString(), by }
+    : { event: "subscription_cancel_failed", note: `Square subscription could not be cancelled. ${result.error} Cancel it in the Square dashboard.`, at: new Date().toISOString(), by },
+  ).run();
+}
@@ -0,0 +1,110 @@
+// =============================================================================
+// /functions/_lib/membership-roster.js  —  Roster capacity and the
+// membership waitlist (settings: migrations/0013_membership_waitlist.sql).
+//
+// A member holds a spot while their application is accepted, active or
+// cancel_scheduled. With membership_capacity set:
+//   • apply.js waitlists new applications while the roster is full, or while
+//     anyone is already waiting, so the queue stays first come first served
+//   • accepting is refused once every spot is taken
+//   • when a spot opens, fillOpenSpots() offers it to the head of the queue
+//     (back to 'pending' + an email) if membership_auto_offer is on;
+//     otherwise the admin page shows who is next
+// =============================================================================
+
+import { appendEventStatement } from "./membership.js";
+import { notifyMember } from "./membership-emails.js";
+
+export const SEAT_STATUSES = ["accepted", "active", "cancel_scheduled"];
+
+// Members holding a spot, as a subquery — used to guard accept in SQL
+export const SEATS_TAKEN_SQL =
+  `(SELECT COUNT(*) FROM membership_applications WHERE status IN ('accepted', 'active', 'cancel_scheduled'))`;
+
+// 1 = next in line. For a membership_applications row aliased `m`.
+export const WAITLIST_POSITION_SQL = `
+  (SELECT COUNT(*) FROM membership_applications w
+    WHERE w.status = 'waitlisted'
+      AND (w.waitlisted_at < m.waitlisted_at OR (w.waitlisted_at = m.waitlisted_at AND w.id <= m.id)))`;
+
+// Whole number ≥ 1, or null for "no limit"
+export function parseCapacity(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+}
+
+// → { capacity, autoOffer, members, pending, waitlisted, open }
+//   open: spots free right now (null without a capacity)
+export async function loadRoster(db) {
+  const [settingsRes, countsRes] = await db.batch([
+    db.prepare(
+      `SELECT key, value FROM schedule_settings
+        WHERE key IN ('membership_capacity', 'membership_auto_offer')`
+    ),
+    db.prepare(
+      `SELECT status, COUNT(*) AS n FROM membership_applications
+        WHERE status IN ('accepted', 'active', 'cancel_scheduled', 'pending', 'waitlisted')
+        GROUP BY status`
+    ),
+  ]);
+
+  const settings = {};
+  for (const row of settingsRes.results || []) settings[row.key] = row.value;
+  const counts = {};
+  for (const row of countsRes.results || []) counts[row.status] = row.n;
+
+  const capacity = parseCapacity(settings.membership_capacity);
+  const members  = SEAT_STATUSES.reduce((sum, s) => sum + (counts[s] || 0), 0);
+  return {
+    capacity,
+    autoOffer:  settings.membership_auto_offer === "1",
+    members,
+    pending:    counts.pending || 0,
+    waitlisted: counts.waitlisted || 0,
+    open:       capacity == null ? null : Math.max(0, capacity - members),
+  };
+}
+
+export async function waitlistPosition(db, id) {
+  const row = await db.prepare(
+    `SELECT ${WAITLIST_POSITION_SQL} AS position FROM membership_applications m WHERE m.id = ?`
+  ).bind(id).first();
+  return row?.position ?? null;
+}
+
+// Moves a waitlisted applicant back to 'pending' for review and emails them.
+// → false when they were no longer waitlisted
+export async function offerSpot(env, app, by) {
+  const claim = await appendEventStatement(env.DB, app.id, {
+    event: "spot_offered", note: "A spot opened — moved from the waitlist back to review.",
+    at: new Date().toISOString(), by,
+  }, { status: "pending" }, "waitlisted").run();
+  if ((claim.meta?.changes ?? 0) === 0) return false;
+
+  await notifyMember(env, app, "spot_offered", {}, by);
+  return true;
+}
+
+// With auto-offer on, offers every open spot not already covered by an
+// application pending review. → [id] offered
+export async function fillOpenSpots(env, by) {
+  const roster = await loadRoster(env.DB);
+  if (!roster.autoOffer || roster.capacity == null || !roster.waitlisted) return [];
+
+  const spots = roster.open - roster.pending;
+  if (spots <= 0) return [];
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM membership_applications
+      WHERE status = 'waitlisted'
+      ORDER BY waitlisted_at ASC, id ASC
+      LIMIT ?`
+  ).bind(spots).all();
+
+  const offered = [];
+  for (const app of results || []) {
+    if (await offerSpot(env, app, by)) offered.push(app.id);
+  }
+  return offered;
+}
@@ -0,0 +1,38 @@
+// =============================================================================
+// /functions/_lib/membership.js  —  Shared helpers for membership_applications.
+//
+// event_log is a JSON array of { event, note, at, by? } entries, newest last.
+// Appending happens inside SQL (json_insert) so an admin action and a
+// webhook landing at the same moment can't overwrite each other's entries.
+// =============================================================================
+
+// The answers the application form offers (index.html); /api/membership/apply
+// accepts nothing else
+export const PARKING_OPTIONS = [
+  "Private driveway",
+  "Private garage",
+  "Condo / underground",
+  "Other",
+];
+
+export const START_OPTIONS = [
+  "Within 7 days",
+  "2–3 weeks",
+  "Next month",
+];
+
+// UPDATE that appends `entry` to the event log and sets `fields` (column →
+// value; trusted column names only, values are bound) on one application.
+// With `fromStatus` (one status or a list), nothing happens unless the
+// application still has it — check meta.changes to know whether this caller
+// made the change. `guard` adds one more SQL condition: { sql, binds }.
+export function appendEventStatement(db, id, entry, fields = {}, fromStatus = null, guard = null) {
+  const cols     = Object.keys(fields);
+  const sets     = cols.map(c => `${c} = ?`);
+  const statuses = fromStatus == null ? [] : [].concat(fromStatus);
+  return db.prepare(
+    `UPDATE membership_applications
+        SET ${[...sets, `event_log = json_insert(COALESCE(event_log, '[]'), '$[#]', json(?))`].join(", ")}
+      WHERE id = ?${statuses.length ? ` AND status IN (${statuses.map(() => "?").join(", ")})` : ""}${guard ? ` AND ${guard.sql}` : ""}`
+  ).bind(...cols.map(c => fields[c]), JSON.stringify(entry), id, ...statuses, ...(guard?.binds ?? []));
+}
@@ -0,0 +1,118 @@
+// =============================================================================
+// /functions/_lib/outbox.js  —  Durable email outbox (migrations/
+// 0018_email_outbox.sql). sendEmail() in _lib/email.js is the way in.
+//
+// A message is saved before the first attempt, so a Resend outage or a
+// request that dies half-way loses nothing. Each attempt is claimed by
+// pushing next_attempt_at ATTEMPT_LOCK_MINUTES ahead with a conditional
+// UPDATE — overlapping runs can't send the same message twice — and is sent
+// with an Idempotency-Key tied to the message (a fresh one when an admin
+// resends it), so a retry after a lost response isn't a second email.
+//
+// A failed attempt is retried after RETRY_BASE_MINUTES × 2^(attempt − 1)
+// (5, 10, 20 … minutes); after MAX_ATTEMPTS, or straight away when Resend
+// rejects the message itself, it is marked 'failed' for an admin to look at
+// (/api/admin/email-outbox). runEmailOutbox() is run by the Cron Trigger in
+// workers/scheduler.
+// =============================================================================
+
+import { resendSend } from "./resend.js";
+
+export const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MINUTES   = 5;
+const ATTEMPT_LOCK_MINUTES = 5;
+const BATCH_SIZE           = 50;
+const KEEP_DAYS            = 90;   // sent / delivered messages are purged after this
+
+const minutesFrom = (now, minutes) => new Date(now.getTime() + minutes * 60_000).toISOString();
+
+// Saves a message for delivery. → outbox id
+export async function enqueueEmail(db, { to, subject, html, text, attachments }, tag, now = new Date()) {
+  const id = crypto.randomUUID();
+  const at = now.toISOString();
+  await db.prepare(
+    `INSERT INTO email_outbox (id, tag, to_email, subject, html, text, attachments, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(id, tag, to, subject, html, text ?? null,
+         attachments?.length ? JSON.stringify(attachments) : null, at, at, at).run();
+  return id;
+}
+
+// One delivery attempt for a due message.
+// → "sent" | "queued" (retry scheduled) | "failed" | null (not due, or
+//   another run has it)
+export async function deliverMessage(env, id, now = new Date()) {
+  const db = env.DB;
+  const at = now.toISOString();
+
+  const claim = await db.prepare(
+    `UPDATE email_outbox SET attempts = attempts + 1, next_attempt_at = ?, updated_at = ?
+      WHERE id = ? AND status = 'queued' AND next_attempt_at <= ?`
+  ).bind(minutesFrom(now, ATTEMPT_LOCK_MINUTES), at, id, at).run();
+  if ((claim.meta?.changes ?? 0) === 0) return null;
+
+  const msg = await db.prepare(`SELECT * FROM email_outbox WHERE id = ?`).bind(id).first();
+  const result = await resendSend(env, {
+    to: msg.to_email, subject: msg.subject, html: msg.html, text: msg.text,
+    attachments: msg.attachments ? JSON.parse(msg.attachments) : undefined,
+  }, `${msg.id}.${msg.requeues}`);
+
+  if (result.ok) {
+    await db.prepare(
+      `UPDATE email_outbox
+          SET status = 'sent', provider_id = ?, sent_at = ?, next_attempt_at = NULL,
+              last_error = NULL, updated_at = ?
+        WHERE id = ?`
+    ).bind(result.id, at, at, id).run();
+    return "sent";
+  }
+
+  const giveUp = !result.retry || msg.attempts >= MAX_ATTEMPTS;
+  console.error(`[${msg.tag}] ${result.error} (attempt ${msg.attempts} of ${MAX_ATTEMPTS}${giveUp ? ", giving up" : ""})`);
+  await db.prepare(
+    `UPDATE email_outbox SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?`
+  ).bind(giveUp ? "failed" : "queued", result.error,
+         giveUp ? null : minutesFrom(now, RETRY_BASE_MINUTES * 2 ** (msg.attempts - 1)), at, id).run();
+  return giveUp ? "failed" : "queued";
+}
+
+// Starts a failed (or still queued) message over with a full set of attempts
+// and sends it now. → the attempt's result, or null if it can't be resent
+export async function resendMessage(env, id, now = new Date()) {
+  const at = now.toISOString();
+  const res = await env.DB.prepare(
+    `UPDATE email_outbox
+        SET status = 'queued', attempts = 0, requeues = requeues + 1,
+            next_attempt_at = ?, last_error = NULL, updated_at = ?
+      WHERE id = ? AND status IN ('failed', 'queued')`
+  ).bind(at, at, id).run();
+  if ((res.meta?.changes ?? 0) === 0) return null;
+  return (await deliverMessage(env, id, now)) ?? "queued";
+}
+
+// → { now, due, sent, retrying, failed, purged }
+export async function runEmailOutbox(env, now = new Date()) {
+  const at = now.toISOString();
+  const summary = { now: at, due: 0, sent: 0, retrying: 0, failed: 0, purged: 0 };
+
+  const { results } = await env.DB.prepare(
+    `SELECT id FROM email_outbox
+      WHERE status = 'queued' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC LIMIT ?`
+  ).bind(at, BATCH_SIZE).all();
+  summary.due = (results || []).length;
+
+  for (const { id } of results || []) {
+    const outcome = await deliverMessage(env, id, now);
+    if (outcome === "sent")   summary.sent++;
+    if (outcome === "queued") summary.retrying++;
+    if (outcome === "failed") summary.failed++;
+  }
+
+  const purged = await env.DB.prepare(
+    `DELETE FROM email_outbox WHERE status IN ('sent', 'delivered') AND created_at < ?`
+  ).bind(new Date(now.getTime() - KEEP_DAYS * 86_400_000).toISOString()).run();
+  summary.purged = purged.meta?.changes ?? 0;
+
+  return summary;
+}
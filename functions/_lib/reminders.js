@@ -0,0 +1,76 @@
+// =============================================================================
+// /functions/_lib/reminders.js  —  Appointment reminder job.
+//
+// Run by the Cron Trigger in workers/scheduler (every 15 minutes) and by
+// POST /api/admin/reminders for manual runs with a chosen "now".
+//
+// Windows (hours until the appointment starts):
+//   48h reminder → 24 < h ≤ 48   (bookings made less than a day ahead skip it;
+//                                  they just received their confirmation)
+//   2h reminder  →  0 < h ≤ 2
+//
+// Each reminder goes out by email and, when the booking has a number to
+// text, by SMS (_lib/booking-sms.js). It is claimed by setting
+// reminder_<kind>_sent_at with a conditional UPDATE before anything goes out,
+// so overlapping runs can never send it twice. Once the email is in the
+// outbox its retries are the outbox's job (_lib/outbox.js); only a reminder
+// that reached the customer neither way releases the claim for the next run.
+// =============================================================================
+
+import { loadSchedule, hoursUntil, studioToday } from "./schedule.js";
+import { addDays } from "./dates.js";
+import { manageUrl } from "./manage-token.js";
+import { sendReminderEmail } from "./booking-emails.js";
+import { sendReminderSms } from "./booking-sms.js";
+import { canText } from "./sms.js";
+
+const WINDOWS = [
+  { kind: "48h", column: "reminder_48h_sent_at", from: 24, to: 48 },
+  { kind: "2h",  column: "reminder_2h_sent_at",  from: 0,  to: 2  },
+];
+
+// → { now, checked, sent: [{ id, kind, email, sms }], failed: [{ id, kind }] }
+export async function runReminders(env, now = new Date()) {
+  // Only the settings matter here (timezone, cutoff), not the exceptions
+  const schedule = await loadSchedule(env.DB, now.toISOString().slice(0, 10));
+  const today    = studioToday(schedule, now);
+  const horizon  = addDays(today, 3);
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM bookings
+      WHERE status = 'active' AND date BETWEEN ? AND ?
+        AND (reminder_48h_sent_at IS NULL OR reminder_2h_sent_at IS NULL)`
+  ).bind(today, horizon).all();
+
+  const summary = { now: now.toISOString(), checked: results.length, sent: [], failed: [] };
+  if (!results.length) return summary;
+
+  for (const booking of results) {
+    if (!booking.email && !canText(env, booking.phone)) continue;
+
+    const hours  = hoursUntil(schedule, booking.date, booking.start_hour, now);
+    const window = WINDOWS.find(w => !booking[w.column] && hours > w.from && hours <= w.to);
+    if (!window) continue;
+
+    // Claim — only one run can flip the column from NULL
+    const claim = await env.DB.prepare(
+      `UPDATE bookings SET ${window.column} = ? WHERE id = ? AND ${window.column} IS NULL AND status = 'active'`
+    ).bind(now.toISOString(), booking.id).run();
+    if ((claim.meta?.changes ?? 0) === 0) continue;
+
+    const manage = { url: await manageUrl(env, booking), cutoffHours: schedule.cutoffHours };
+    const email  = Boolean(await sendReminderEmail(booking, window.kind, env, manage));
+    const sms    = await sendReminderSms(booking, window.kind, env);
+
+    if (email || sms) {
+      summary.sent.push({ id: booking.id, kind: window.kind, email, sms });
+    } else {
+      await env.DB.prepare(
+        `UPDATE bookings SET ${window.column} = NULL WHERE id = ?`
+      ).bind(booking.id).run();
+      summary.failed.push({ id: booking.id, kind: window.kind });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,86 @@
+// =============================================================================
+// /functions/_lib/resend.js  —  Minimal Resend API client: one send call and
+// webhook signature checks. Queueing and retries live in _lib/outbox.js.
+//
+// Environment variables:
+//   RESEND_API_KEY         → API key (emails are skipped when unset)
+//   FROM_EMAIL             → verified "from" address (default
+//                            onboarding@resend.dev)
+//   RESEND_API_BASE        → default https://api.resend.com; point it at a
+//                            local stand-in server in testing
+//   RESEND_WEBHOOK_SECRET  → signing secret ("whsec_…") of the webhook
+//                            endpoint in the Resend dashboard
+// =============================================================================
+
+import { safeEqual } from "./signing.js";
+
+const DEFAULT_API_BASE = "https://api.resend.com";
+
+// Signed webhook deliveries older than this are refused (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Sends one message. `idempotencyKey` makes a repeat of the same message a
+// no-op on Resend's side, so a retry after a lost response can't send twice.
+// Never throws.
+// → { ok: true, id } | { ok: false, retry, error }
+//   retry: false when Resend refused the message itself (bad address, bad
+//   request) — sending it again won't help
+export async function resendSend(env, { to, subject, html, text, attachments }, idempotencyKey) {
+  const base = (env.RESEND_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, "");
+  try {
+    const res = await fetch(`${base}/emails`, {
+      method:  "POST",
+      headers: {
+        "Authorization": `Bearer ${env.RESEND_API_KEY}`,
+        "Content-Type":  "application/json",
+        ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+      },
+      body: JSON.stringify({
+        from: env.FROM_EMAIL || "onboarding@resend.dev",
+        to:   [to],
+        subject,
+        html,
+        ...(text ? { text } : {}),
+        ...(attachments?.length ? { attachments } : {}),
+      }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok) return { ok: true, id: data.id ?? null };
+
+    const error = `Resend responded ${res.status}${data.message ? `: ${data.message}` : ""}`;
+    return { ok: false, retry: res.status === 429 || res.status >= 500, error };
+  } catch (e) {
+    return { ok: false, retry: true, error: `Resend could not be reached: ${e?.message ?? e}` };
+  }
+}
+
+// Resend signs webhooks the Svix way: HMAC-SHA256 over
+// "<svix-id>.<svix-timestamp>.<body>", base64, in svix-signature as one or
+// more space-separated "v1,<signature>" entries.
+export async function verifyResendSignature(env, headers, rawBody, now = new Date()) {
+  const secret    = env.RESEND_WEBHOOK_SECRET;
+  const id        = headers.get("svix-id");
+  const timestamp = headers.get("svix-timestamp");
+  const signature = headers.get("svix-signature");
+  if (!secret || !id || !timestamp || !signature) return false;
+
+  if (Math.abs(now.getTime() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+  let keyBytes;
+  try {
+    keyBytes = Uint8Array.from(atob(secret.replace(/^whsec_/, "")), c => c.charCodeAt(0));
+  } catch {
+    return false;
+  }
+  const key = await crypto.subtle.importKey(
+    "raw", keyBytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${id}.${timestamp}.${rawBody}`));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(mac)));
+
+  return signature.split(" ").some(entry => {
+    const [version, sig] = entry.split(",");
+    return version === "v1" && sig && safeEqual(expected, sig);
+  });
+}
+
@@ -0,0 +1,155 @@
+// =============================================================================
+// /functions/_lib/schedule.js  —  Business calendar shared by every endpoint
+// that needs to know when the studio is open.
+//
+// Tables (see migrations/0001_business_calendar.sql):
+//   business_hours       → per-weekday open_hour / close_hour (NULL = closed)
+//   schedule_exceptions  → per-date overrides: 'closed' (holiday / vacation)
+//                          or 'open' (extra day, e.g. long-weekend Monday)
+//   schedule_settings    → booking_horizon_days, manage_cutoff_hours,
+//                          studio_timezone
+//
+// Usage:
+//   const schedule = await loadSchedule(env.DB, date);
+//   const check    = checkBookable(schedule, date);
+//   if (!check.ok) → check.reason is "closed" | "past" | "day_over" | "too_far"
+//   else           → check.open_hour / check.close_hour for that date, and
+//                    check.first_start — the earliest start hour that hasn't
+//                    already passed (later than open_hour only for today)
+//
+// "Today" and "now" are the studio's wall clock (see _lib/dates.js), never
+// the server's UTC date.
+// =============================================================================
+
+import { DEFAULT_TIMEZONE, isValidTimeZone, weekdayOf, daysBetween, localNow, zonedTime } from "./dates.js";
+
+// Fallbacks used when a row or setting is missing (matches the seed data)
+export const DEFAULT_OPEN_HOUR    = 8;
+export const DEFAULT_CLOSE_HOUR   = 20;
+export const DEFAULT_HORIZON_DAYS = 30;
+export const DEFAULT_CUTOFF_HOURS = 24; // no self-service changes this close in
+
+// Member visit series book this many days past the public horizon, so members
+// get their slots first (see _lib/member-visits.js)
+export const MEMBER_LEAD_DAYS = 14;
+
+const DEFAULT_WEEKDAYS = [0, 6]; // Sunday + Saturday
+
+const REASON_MESSAGES = {
+  closed:  "The studio is closed on that date",
+  past:    "Cannot book a date in the past",
+  day_over: "No start times are left today",
+  too_far: (days) => `Bookings can only be made up to ${days} days ahead`,
+};
+
+// ── Loading ───────────────────────────────────────────────────────────────────
+// Reads weekday hours, the exceptions between `from` and `to` (inclusive) and
+// the settings in one D1 round trip.
+export async function loadSchedule(db, from, to = from) {
+  return parseSchedule(await db.batch(scheduleStatements(db, from, to)));
+}
+
+// The three reads behind loadSchedule, for callers that want to add their own
+// statements to the same batch. Pass the first three results to parseSchedule.
+export function scheduleStatements(db, from, to = from) {
+  return [
+    db.prepare(`SELECT weekday, open_hour, close_hour FROM business_hours`),
+    db.prepare(
+      `SELECT date, kind, open_hour, close_hour, note
+         FROM schedule_exceptions
+        WHERE date BETWEEN ? AND ?`
+    ).bind(from, to),
+    db.prepare(`SELECT key, value FROM schedule_settings`),
+  ];
+}
+
+export function parseSchedule([hoursRes, exceptionsRes, settingsRes]) {
+  const hoursRows = hoursRes.results || [];
+  const hours = new Array(7).fill(null);
+  if (hoursRows.length) {
+    for (const row of hoursRows) {
+      if (row.open_hour != null && row.close_hour != null) {
+        hours[row.weekday] = { open_hour: row.open_hour, close_hour: row.close_hour };
+      }
+    }
+  } else {
+    // Migration not applied yet — behave exactly like the old hard-coded rules
+    for (const dow of DEFAULT_WEEKDAYS) {
+      hours[dow] = { open_hour: DEFAULT_OPEN_HOUR, close_hour: DEFAULT_CLOSE_HOUR };
+    }
+  }
+
+  const exceptions = {};
+  for (const row of exceptionsRes.results || []) exceptions[row.date] = row;
+
+  const settings = {};
+  for (const row of settingsRes.results || []) settings[row.key] = row.value;
+
+  const horizon = Number(settings.booking_horizon_days);
+  const cutoff  = Number(settings.manage_cutoff_hours);
+  return {
+    hours,
+    exceptions,
+    horizonDays: Number.isInteger(horizon) && horizon > 0 ? horizon : DEFAULT_HORIZON_DAYS,
+    cutoffHours: Number.isInteger(cutoff) && cutoff >= 0 ? cutoff : DEFAULT_CUTOFF_HOURS,
+    timeZone:    isValidTimeZone(settings.studio_timezone) ? settings.studio_timezone : DEFAULT_TIMEZONE,
+  };
+}
+
+// ── Rules ─────────────────────────────────────────────────────────────────────
+// The studio's current date, e.g. for "from today onwards" queries
+export function studioToday(schedule, now = new Date()) {
+  return localNow(schedule.timeZone, now).date;
+}
+
+// Real hours from now until an appointment starts — DST-aware, so the night
+// the clocks change counts as 23 or 25 hours
+export function hoursUntil(schedule, dateStr, startHour, now = new Date()) {
+  return (zonedTime(dateStr, startHour, schedule.timeZone).getTime() - now.getTime()) / 3_600_000;
+}
+
+// Opening hours for one date, with exceptions applied.
+// → { open: true, open_hour, close_hour } | { open: false, note }
+export function dayHours(schedule, dateStr) {
+  const exception = schedule.exceptions[dateStr];
+  const weekly    = schedule.hours[weekdayOf(dateStr)];
+
+  if (exception?.kind === "closed") {
+    return { open: false, note: exception.note || null };
+  }
+  if (exception?.kind === "open") {
+    return {
+      open:       true,
+      open_hour:  exception.open_hour  ?? weekly?.open_hour  ?? DEFAULT_OPEN_HOUR,
+      close_hour: exception.close_hour ?? weekly?.close_hour ?? DEFAULT_CLOSE_HOUR,
+    };
+  }
+  if (!weekly) return { open: false, note: null };
+  return { open: true, open_hour: weekly.open_hour, close_hour: weekly.close_hour };
+}
+
+// Full bookability check for a date: open day + inside the booking horizon,
+// and for today, a start hour that hasn't begun yet.
+// → { ok: true, open_hour, close_hour, first_start } | { ok: false, reason, error }
+export function checkBookable(schedule, dateStr, now = new Date()) {
+  const clock = localNow(schedule.timeZone, now);
+  const diff  = daysBetween(clock.date, dateStr);
+  if (diff < 0) {
+    return { ok: false, reason: "past", error: REASON_MESSAGES.past };
+  }
+  if (diff > schedule.horizonDays) {
+    return { ok: false, reason: "too_far", error: REASON_MESSAGES.too_far(schedule.horizonDays) };
+  }
+
+  const day = dayHours(schedule, dateStr);
+  if (!day.open) {
+    return { ok: false, reason: "closed", error: REASON_MESSAGES.closed };
+  }
+
+  // An hour that has started is gone: at 10:00 or 10:40 the first start is 11
+  const first_start = diff === 0 ? Math.max(day.open_hour, clock.hour + 1) : day.open_hour;
+  if (first_start >= day.close_hour) {
+    return { ok: false, reason: "day_over", error: REASON_MESSAGES.day_over };
+  }
+  return { ok: true, open_hour: day.open_hour, close_hour: day.close_hour, first_start };
+}
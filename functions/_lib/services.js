@@ -0,0 +1,95 @@
+// =============================================================================
+// /functions/_lib/services.js  —  Service catalog shared by /api/services,
+// /api/book and the admin endpoints.
+//
+// Tables (see migrations/0002_service_catalog.sql):
+//   services        → name, duration_hours, base_price_cents, active
+//   addons          → name, price_cents, duration_hours (extra time), active
+//   service_addons  → which add-ons each service offers
+//
+// Prices are integer cents. base_price_cents NULL = quoted on request.
+// =============================================================================
+
+// Reads every service with its add-ons in one D1 round trip.
+// Retired services / add-ons are left out unless includeRetired is set.
+export async function loadCatalog(db, { includeRetired = false } = {}) {
+  const activeOnly = includeRetired ? "" : "WHERE active = 1";
+  const [servicesRes, addonsRes, linksRes] = await db.batch([
+    db.prepare(
+      `SELECT id, name, duration_hours, base_price_cents, description, sort_order, active
+         FROM services ${activeOnly}
+        ORDER BY sort_order ASC, name ASC`
+    ),
+    db.prepare(
+      `SELECT id, name, price_cents, duration_hours, sort_order, active
+         FROM addons ${activeOnly}
+        ORDER BY sort_order ASC, name ASC`
+    ),
+    db.prepare(`SELECT service_id, addon_id FROM service_addons`),
+  ]);
+
+  const addonsById = {};
+  for (const addon of addonsRes.results || []) {
+    addonsById[addon.id] = { ...addon, active: !!addon.active };
+  }
+
+  const linked = {};
+  for (const { service_id, addon_id } of linksRes.results || []) {
+    (linked[service_id] ||= new Set()).add(addon_id);
+  }
+
+  return (servicesRes.results || []).map(service => ({
+    ...service,
+    active: !!service.active,
+    addons: Object.values(addonsById).filter(a => linked[service.id]?.has(a.id)),
+  }));
+}
+
+// ── Quotes ────────────────────────────────────────────────────────────────────
+// Itemized quote for a service plus the chosen add-on ids. Add-ons must be
+// offered with that service. Add-on hours extend the booking.
+// → { ok: true, quote: { items, total_cents }, duration_hours }
+// | { ok: false, error }
+export function buildQuote(service, addonIds = []) {
+  const items = [{
+    kind:           "service",
+    id:             service.id,
+    name:           service.name,
+    price_cents:    service.base_price_cents,
+    duration_hours: service.duration_hours,
+  }];
+
+  for (const addonId of new Set(addonIds)) {
+    const addon = service.addons.find(a => a.id === addonId);
+    if (!addon) {
+      const valid = service.addons.map(a => a.id).join(", ") || "none";
+      return { ok: false, error: `Add-on "${addonId}" is not available with ${service.name}. Valid: ${valid}` };
+    }
+    items.push({
+      kind:           "addon",
+      id:             addon.id,
+      name:           addon.name,
+      price_cents:    addon.price_cents,
+      duration_hours: addon.duration_hours,
+    });
+  }
+
+  const total_cents = items.some(i => i.price_cents == null)
+    ? null
+    : items.reduce((sum, i) => sum + i.price_cents, 0);
+  const duration_hours = items.reduce((sum, i) => sum + i.duration_hours, 0);
+
+  return { ok: true, quote: { items, total_cents }, duration_hours };
+}
+
+// "$150" / "$40" — whole dollars when there are no cents
+export function formatPrice(cents) {
+  if (cents == null) return "Quoted on request";
+  const dollars = cents / 100;
+  return Number.isInteger(dollars) ? `$${dollars}` : `$${dollars.toFixed(2)}`;
+}
+
+// "Full Detail" → "full-detail"
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60);
+}
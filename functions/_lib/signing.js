@@ -0,0 +1,30 @@
+// =============================================================================
+// /functions/_lib/signing.js  —  Shared pieces for checking secrets and
+// signatures: base64url, and a constant-time compare so a token or signature
+// can't be guessed byte by byte from response times.
+//
+// Used by staff sessions (_lib/auth.js), manage / claim links
+// (_lib/manage-token.js), the provider webhooks (_lib/resend.js,
+// _lib/square.js, _lib/sms.js) and the token-protected endpoints.
+// =============================================================================
+
+// Bytes (ArrayBuffer or typed array) → unpadded base64url
+export function base64url(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// base64url (padded or not) → Uint8Array
+export function fromBase64url(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+// Constant-time string compare; only the length can leak
+export function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
@@ -0,0 +1,141 @@
+// =============================================================================
+// /functions/_lib/sms.js  —  Text messages: one interface over the SMS
+// provider, and the log of every text (migrations/0021_sms.sql).
+//
+// Providers (SMS_PROVIDER):
+//   "twilio"  (default) → Twilio's Messages API; inbound texts arrive at
+//                          /api/webhooks/sms, signed with the auth token
+//   "fake"              → sends nothing; each text is logged to the console
+//                          and the table as if sent, and inbound posts are
+//                          taken unsigned. For local testing only.
+//
+// Texts are sent once and not retried: a reminder that arrives late is
+// worse than none. Nothing is sent while the provider isn't configured.
+//
+// Environment variables:
+//   SMS_PROVIDER                  → "twilio" | "fake"
+//   TWILIO_ACCOUNT_SID            → account SID ("AC…")
+//   TWILIO_AUTH_TOKEN             → auth token; also verifies webhooks
+//   TWILIO_FROM_NUMBER            → sender number, E.164 ("+1…"), or
+//   TWILIO_MESSAGING_SERVICE_SID  → a Messaging Service ("MG…") instead
+//   TWILIO_API_BASE               → default https://api.twilio.com; point it
+//                                   at a local stand-in server in testing
+// =============================================================================
+
+import { safeEqual } from "./signing.js";
+
+const DEFAULT_TWILIO_BASE = "https://api.twilio.com";
+
+// ── Phone numbers ─────────────────────────────────────────────────────────────
+// E.164 for a number as customers type it. Numbers without a country code
+// are North American (10 digits, or 11 starting with 1). → "+1…" | null
+export function toE164(phone) {
+  const raw    = String(phone ?? "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+// name → { configured(env), send(env, { to, body }) → { ok, id } | { ok: false, error },
+//          verify(env, url, params, headers) → boolean }
+const PROVIDERS = {
+  twilio: {
+    configured: env => Boolean(env.TWILIO_ACCOUNT_SID && env.TWILIO_AUTH_TOKEN &&
+                               (env.TWILIO_FROM_NUMBER || env.TWILIO_MESSAGING_SERVICE_SID)),
+    send:   twilioSend,
+    verify: verifyTwilioSignature,
+  },
+  fake: {
+    configured: () => true,
+    send: async (env, { to, body }) => {
+      console.log(`[sms:fake] → ${to}: ${body}`);
+      return { ok: true, id: `fake_${crypto.randomUUID()}` };
+    },
+    verify: async () => true,
+  },
+};
+
+// → the configured provider, or null when texts are off
+export function smsProvider(env) {
+  const provider = PROVIDERS[env.SMS_PROVIDER || "twilio"];
+  return provider?.configured(env) ? provider : null;
+}
+
+// True when a text to `phone` would be attempted
+export function canText(env, phone) {
+  return Boolean(smsProvider(env) && toE164(phone));
+}
+
+async function twilioSend(env, { to, body }) {
+  const base = (env.TWILIO_API_BASE || DEFAULT_TWILIO_BASE).replace(/\/+$/, "");
+  const sid  = env.TWILIO_ACCOUNT_SID;
+  const form = new URLSearchParams({ To: to, Body: body });
+  if (env.TWILIO_MESSAGING_SERVICE_SID) form.set("MessagingServiceSid", env.TWILIO_MESSAGING_SERVICE_SID);
+  else form.set("From", env.TWILIO_FROM_NUMBER);
+
+  try {
+    const res = await fetch(`${base}/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method:  "POST",
+      headers: {
+        "Authorization": `Basic ${btoa(`${sid}:${env.TWILIO_AUTH_TOKEN}`)}`,
+        "Content-Type":  "application/x-www-form-urlencoded",
+      },
+      body: form.toString(),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok) return { ok: true, id: data.sid ?? null };
+    return { ok: false, error: `Twilio responded ${res.status}${data.message ? `: ${data.message}` : ""}` };
+  } catch (e) {
+    return { ok: false, error: `Twilio could not be reached: ${e?.message ?? e}` };
+  }
+}
+
+// Twilio signs webhooks with HMAC-SHA1 (auth token) over the full URL
+// followed by every POST parameter, sorted by name, as name + value; base64,
+// in X-Twilio-Signature.
+async function verifyTwilioSignature(env, url, params, headers) {
+  const signature = headers.get("x-twilio-signature");
+  if (!signature) return false;
+
+  const payload = url + Object.keys(params).sort().map(k => k + params[k]).join("");
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(env.TWILIO_AUTH_TOKEN), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+  return safeEqual(btoa(String.fromCharCode(...new Uint8Array(mac))), signature);
+}
+
+// ── Sending ───────────────────────────────────────────────────────────────────
+// Sends one text and logs it. `kind` and `booking_id` are kept with it so a
+// reply can be matched to the booking. Never throws — a failed text must not
+// fail the request that triggered it. → true when the provider took it
+export async function sendSms(env, { to, body, kind = null, booking_id = null }, tag = "sms") {
+  const provider = smsProvider(env);
+  const phone    = toE164(to);
+  if (!provider || !phone) return false;
+
+  const result = await provider.send(env, { to: phone, body });
+  if (!result.ok) console.error(`[${tag}] ${result.error}`);
+
+  try {
+    await logStatement(env.DB, {
+      direction: "out", phone, body, booking_id, kind,
+      status: result.ok ? "sent" : "failed", provider_id: result.id ?? null, error: result.ok ? null : result.error,
+    }).run();
+  } catch (e) {
+    console.error(`[${tag}] log error:`, e?.message ?? e);
+  }
+  return result.ok;
+}
+
+// INSERT for one sms_messages row
+export function logStatement(db, { direction, phone, body, booking_id = null, kind = null, status,
+                                   provider_id = null, error = null }, now = new Date()) {
+  return db.prepare(
+    `INSERT INTO sms_messages (id, direction, phone, body, booking_id, kind, status, provider_id, error, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(crypto.randomUUID(), direction, phone, body, booking_id, kind, status, provider_id, error, now.toISOString());
+}
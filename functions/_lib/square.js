@@ -0,0 +1,108 @@
+// =============================================================================
+// /functions/_lib/square.js  —  Minimal Square API client: subscription
+// payment links, cancellation and webhook signature checks.
+//
+// Environment variables:
+//   SQUARE_ACCESS_TOKEN           → API access token (billing is off when unset)
+//   SQUARE_LOCATION_ID            → location the payment link belongs to
+//   SQUARE_PLAN_VARIATION_ID      → subscription plan variation members join
+//   MEMBERSHIP_PRICE_CENTS        → first charge shown on the link (CAD cents)
+//   SQUARE_API_BASE               → default https://connect.squareup.com; use
+//                                   https://connect.squareupsandbox.com for the
+//                                   sandbox, or a local mock server in testing
+//   SQUARE_WEBHOOK_SIGNATURE_KEY  → from the webhook subscription in the
+//                                   Square Developer Dashboard
+//   SQUARE_WEBHOOK_URL            → notification URL exactly as registered with
+//                                   Square (default: the URL the request hit)
+// =============================================================================
+
+import { safeEqual } from "./signing.js";
+
+const DEFAULT_API_BASE = "https://connect.squareup.com";
+const SQUARE_VERSION   = "2024-07-17";
+
+export function squareConfigured(env) {
+  return Boolean(env.SQUARE_ACCESS_TOKEN && env.SQUARE_LOCATION_ID && env.SQUARE_PLAN_VARIATION_ID &&
+    Number.isInteger(Number(env.MEMBERSHIP_PRICE_CENTS)) && Number(env.MEMBERSHIP_PRICE_CENTS) > 0);
+}
+
+// One API call. Never throws.
+// → { ok: true, data } | { ok: false, error }
+async function squareRequest(env, method, path, body) {
+  const base = (env.SQUARE_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, "");
+  try {
+    const res = await fetch(`${base}/v2${path}`, {
+      method,
+      headers: {
+        "Authorization":  `Bearer ${env.SQUARE_ACCESS_TOKEN}`,
+        "Content-Type":   "application/json",
+        "Square-Version": SQUARE_VERSION,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const detail = data.errors?.[0]?.detail || data.errors?.[0]?.code || `HTTP ${res.status}`;
+      console.error(`[square] ${method} ${path} responded ${res.status}: ${detail}`);
+      return { ok: false, error: `Square: ${detail}` };
+    }
+    return { ok: true, data };
+  } catch (e) {
+    console.error(`[square] ${method} ${path} error:`, e?.message ?? e);
+    return { ok: false, error: "Square could not be reached." };
+  }
+}
+
+// Checkout link that signs the applicant up for the membership plan.
+// The idempotency key is tied to the application, so a retry after a failed
+// save gets the same link back instead of a second one.
+// → { ok: true, id, url, order_id } | { ok: false, error }
+export async function createMembershipPaymentLink(env, app) {
+  if (!squareConfigured(env)) return { ok: false, error: "Square billing is not configured." };
+
+  const base = env.SITE_URL || "https://lussoautostudio.ca";
+  const result = await squareRequest(env, "POST", "/online-checkout/payment-links", {
+    idempotency_key: `membership-link-${app.id}`,
+    quick_pay: {
+      name:        "Lusso Membership",
+      price_money: { amount: Number(env.MEMBERSHIP_PRICE_CENTS), currency: "CAD" },
+      location_id: env.SQUARE_LOCATION_ID,
+    },
+    checkout_options: {
+      subscription_plan_id: env.SQUARE_PLAN_VARIATION_ID,
+      redirect_url:         `${base}/#membership`,
+    },
+    pre_populated_data: app.email ? { buyer_email: app.email } : undefined,
+    payment_note: `Membership application ${app.id}`,
+  });
+  if (!result.ok) return result;
+
+  const link = result.data.payment_link;
+  if (!link?.url) return { ok: false, error: "Square returned no payment link." };
+  return { ok: true, id: link.id, url: link.url, order_id: link.order_id ?? null };
+}
+
+// Stops future charges. Square ends the subscription at the close of the
+// period already paid for. → { ok: true } | { ok: false, error }
+export async function cancelSquareSubscription(env, subscriptionId) {
+  if (!env.SQUARE_ACCESS_TOKEN) return { ok: false, error: "Square billing is not configured." };
+  const result = await squareRequest(env, "POST", `/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`);
+  return result.ok ? { ok: true } : result;
+}
+
+// ── Webhooks ──────────────────────────────────────────────────────────────────
+// Square signs base64(HMAC-SHA256(key, notification URL + raw body)) into
+// the x-square-hmacsha256-signature header.
+export async function verifySquareSignature(env, notificationUrl, rawBody, signature) {
+  if (!env.SQUARE_WEBHOOK_SIGNATURE_KEY || !signature) return false;
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(env.SQUARE_WEBHOOK_SIGNATURE_KEY),
+    { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(notificationUrl + rawBody));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(mac)));
+  return safeEqual(expected, signature);
+}
+
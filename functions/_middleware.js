@@ -0,0 +1,45 @@
+// =============================================================================
+// /functions/_middleware.js  —  Runs before every Pages Function.
+//
+// Everything under /api/admin requires a signed-in staff session (cookie set
+// by POST /api/auth/login). The user is handed to the route as
+// context.data.user = { id, email, name, role, session_id }.
+// Role checks (owner vs staff) are made by each route with can().
+// CORS preflights pass through untouched, and so do the TOKEN_PATHS —
+// routes fetched by other apps, which check a token of their own.
+// =============================================================================
+
+import { getSessionUser } from "./_lib/auth.js";
+
+// Calendar apps subscribe to the feed without a session
+const TOKEN_PATHS = new Set(["/api/admin/calendar.ics"]);
+
+function isAdminPath(pathname) {
+  return pathname === "/api/admin" || pathname.startsWith("/api/admin/");
+}
+
+function deny(status, error) {
+  return new Response(JSON.stringify({ ok: false, error }), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store" },
+  });
+}
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { pathname } = new URL(request.url);
+
+  if (!isAdminPath(pathname) || request.method === "OPTIONS" || TOKEN_PATHS.has(pathname)) return context.next();
+
+  let user;
+  try {
+    user = await getSessionUser(env.DB, request);
+  } catch (e) {
+    console.error("[auth] session lookup error:", e?.message ?? e);
+    return deny(500, "A server error occurred.");
+  }
+  if (!user) return deny(401, "Unauthorized");
+
+  context.data.user = user;
+  return context.next();
+}
@@ -1,3 +1,10 @@
+import { checkMove, moveBookingStatement } from "../_lib/bookings.js";
+import { manageUrl } from "../_lib/manage-token.js";
+import { sendRescheduleEmail } from "../_lib/booking-emails.js";
+import { notifyWaitlist } from "../_lib/booking-waitlist.js";
+import { can } from "../_lib/auth.js";
+import { auditStatement } from "../_lib/audit.js";
+
 function json(data, status = 200) {
   return new Response(JSON.stringify(data), {
     status,
@@ -5,43 +12,14 @@ function json(data, status = 200) {
   });
 }
 
-function requireAdmin(env, request) {
-  const url = new URL(request.url);
-  const token =
-    request.headers.get("x-admin-token") ||
-    url.searchParams.get("token") ||
-    "";
-
-  return env.ADMIN_TOKEN && token === env.ADMIN_TOKEN;
-}
-
-function isWeekend(dateStr) {
-  const [y, m, d] = dateStr.split("-").map(Number);
-  const dt = new Date(Date.UTC(y, m - 1, d));
-  const day = dt.getUTCDay();
-  return day === 0 || day === 6;
-}
-
-function daysBetweenUTC(a, b) {
-  const ms = 24 * 60 * 60 * 1000;
-  const ua = Date.UTC(a.getUTCFullYear(), a.getUTCMonth(), a.getUTCDate());
-  const ub = Date.UTC(b.getUTCFullYear(), b.getUTCMonth(), b.getUTCDate());
-  return Math.floor((ub - ua) / ms);
-}
-
-function overlap(aStart, aEnd, bStart, bEnd) {
-  return aStart < bEnd && bStart < aEnd;
-}
-
-export async function onRequest({ env, request }) {
-  if (!requireAdmin(env, request)) {
-    return json({ error: "Unauthorized" }, 401);
-  }
-
+// Auth: admin session cookie, checked in functions/_middleware.js
+export async function onRequest({ env, request, data }) {
   const url = new URL(request.url);
 
   // GET /api/admin?date=YYYY-MM-DD  -> list bookings for date
   if (request.method === "GET") {
+    if (!can(data.user, "bookings.view")) return json({ error: "Forbidden" }, 403);
+
     const date = url.searchParams.get("date");
     if (date) {
       const { results } = await env.DB.prepare(
@@ -58,6 +36,8 @@ export async function onRequest({ env, request }) {
 
   // POST actions: cancel, move
   if (request.method === "POST") {
+    if (!can(data.user, "bookings.change")) return json({ error: "Forbidden" }, 403);
+
     let body;
     try {
       body = await request.json();
@@ -72,9 +52,25 @@ export async function onRequest({ env, request }) {
       const id = body.id;
       if (!id) return json({ error: "Missing id" }, 400);
 
-      await env.DB.prepare(
-        "UPDATE bookings SET status='cancelled' WHERE id=?"
-      ).bind(id).run();
+      const booking = await env.DB.prepare(
+        "SELECT id, status, date FROM bookings WHERE id=?"
+      ).bind(id).first();
+      if (!booking) return json({ error: "Booking not found." }, 404);
+      // Checked-in, completed and no-show bookings have already happened
+      if (booking.status !== "active") return json({ error: `A ${booking.status.replace("_", " ")} booking can't be cancelled.` }, 409);
+
+      const [result] = await env.DB.batch([
+        env.DB.prepare("UPDATE bookings SET status='cancelled' WHERE id=? AND status='active'").bind(id),
+        auditStatement(env.DB, data.user, {
+          action: "booking.cancel", entity_type: "booking", entity_id: id,
+          before: { status: booking.status }, after: { status: "cancelled" },
+        }, { ifChanged: true }),
+      ]);
+      // Cancelled meanwhile — that request has offered the time
+      if ((result.meta?.changes ?? 0) === 0) return json({ error: "This booking is no longer active." }, 409);
+
+      // The freed time goes to anyone waiting for that day
+      await notifyWaitlist(env, booking.date, "admin");
 
       return json({ ok: true });
     }
@@ -89,49 +85,33 @@ export async function onRequest({ env, request }) {
         return json({ error: "Missing fields" }, 400);
       }
 
-      // rules: weekend + within 30 days + within hours
-      if (!isWeekend(date)) return json({ error: "Weekend bookings only." }, 400);
-
-      const now = new Date();
-      const [y, m, d] = date.split("-").map(Number);
-      const reqDate = new Date(Date.UTC(y, m - 1, d));
-      const diff = daysBetweenUTC(
-        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
-        reqDate
-      );
-      if (diff < 0 || diff > 30) return json({ error: "Must be within 30 days." }, 400);
-
       const booking = await env.DB.prepare(
         "SELECT * FROM bookings WHERE id=?"
       ).bind(id).first();
 
       if (!booking) return json({ error: "Booking not found." }, 404);
-      if (booking.status !== "active") return json({ error: "Only active bookings can be moved." }, 400);
-
-      const duration = booking.duration_hours;
-      const end_hour = start_hour + duration;
-
-      const OPEN_HOUR = 8;
-      const CLOSE_HOUR = 20;
-      if (start_hour < OPEN_HOUR || end_hour > CLOSE_HOUR) {
-        return json({ error: "Outside business hours." }, 400);
-      }
-
-      // Check overlap against other bookings on that date
-      const existing = await env.DB.prepare(
-        "SELECT id, start_hour, end_hour FROM bookings WHERE date=? AND status='active'"
-      ).bind(date).all();
-
-      for (const row of existing.results || []) {
-        if (row.id === id) continue;
-        if (overlap(start_hour, end_hour, row.start_hour, row.end_hour)) {
-          return json({ error: "Target time is already booked." }, 409);
-        }
-      }
 
-      await env.DB.prepare(
-        "UPDATE bookings SET date=?, start_hour=?, end_hour=? WHERE id=?"
-      ).bind(date, start_hour, end_hour, id).run();
+      // rules: open day + within booking horizon + within hours + no overlap
+      const check = await checkMove(env.DB, booking, date, start_hour);
+      if (!check.ok) return json({ error: check.error }, check.status);
+      const end_hour = check.end_hour;
+
+      const [moveResult] = await env.DB.batch([
+        moveBookingStatement(env.DB, id, date, start_hour, end_hour),
+        auditStatement(env.DB, data.user, {
+          action: "booking.move", entity_type: "booking", entity_id: id,
+          before: { date: booking.date, start_hour: booking.start_hour, end_hour: booking.end_hour },
+          after:  { date, start_hour, end_hour },
+        }, { ifChanged: true }),
+      ]);
+      // Someone else took the slot between the check and the write
+      if ((moveResult.meta?.changes ?? 0) === 0) return json({ error: "Target time is already booked." }, 409);
+
+      // Let the customer know, with a fresh self-service link for the new date
+      const moved = { ...booking, date, start_hour, end_hour };
+      const manage = { url: await manageUrl(env, moved), cutoffHours: check.cutoffHours };
+      await sendRescheduleEmail(moved, { date: booking.date, start_hour: booking.start_hour }, env, manage);
+      await notifyWaitlist(env, booking.date, "admin");
 
       return json({ ok: true });
     }
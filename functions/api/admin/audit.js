@@ -0,0 +1,92 @@
+// =============================================================================
+// /functions/api/admin/audit.js
+// GET /api/admin/audit  →  admin audit trail, newest first
+//
+// Query params (all optional):
+//   entity_type  booking | membership | customer | email | service | addon |
+//                schedule | user | job
+//   entity_id    e.g. a booking id → that booking's full history
+//   actor_id     one staff member's actions
+//   action       exact match, e.g. "booking.cancel"
+//   from, to     YYYY-MM-DD (inclusive, by created_at UTC date)
+//   limit        1–500 (default 100)
+//   before_id    cursor — pass the last entry's id to fetch the next page
+//
+// Response: { ok, entries: [{ id, created_at, actor_id, actor_email,
+//             actor_role, action, entity_type, entity_id, before, after }],
+//             next_before_id }
+//
+// Owner only. Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { parseAuditRow } from "../../_lib/audit.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+function isDate(str) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(str);
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "audit.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const params = new URL(request.url).searchParams;
+  const limit  = Math.min(Math.max(parseInt(params.get("limit") || "100", 10) || 100, 1), 500);
+
+  const where = [];
+  const binds = [];
+  for (const key of ["entity_type", "entity_id", "actor_id", "action"]) {
+    const val = params.get(key);
+    if (val) { where.push(`${key} = ?`); binds.push(val.slice(0, 100)); }
+  }
+
+  const from = params.get("from");
+  const to   = params.get("to");
+  if (from) {
+    if (!isDate(from)) return json({ ok: false, error: "from must be YYYY-MM-DD." }, 400);
+    where.push(`created_at >= ?`); binds.push(from);
+  }
+  if (to) {
+    if (!isDate(to)) return json({ ok: false, error: "to must be YYYY-MM-DD." }, 400);
+    where.push(`created_at < ?`); binds.push(`${to}T99`); // anything on that date sorts below "T99"
+  }
+
+  const beforeId = Number(params.get("before_id"));
+  if (Number.isInteger(beforeId) && beforeId > 0) { where.push(`id < ?`); binds.push(beforeId); }
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT id, created_at, actor_id, actor_email, actor_role, action, entity_type, entity_id, before, after
+         FROM audit_log
+        ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+        ORDER BY id DESC
+        LIMIT ?`
+    ).bind(...binds, limit).all();
+
+    const entries = (results || []).map(parseAuditRow);
+    return json({
+      ok: true,
+      entries,
+      next_before_id: entries.length === limit ? entries[entries.length - 1].id : null,
+    });
+  } catch (e) {
+    console.error("[admin/audit] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
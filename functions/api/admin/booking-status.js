@@ -0,0 +1,138 @@
+// =============================================================================
+// /functions/api/admin/booking-status.js
+// POST /api/admin/booking-status  — records what happened on the day
+// (statuses: migrations/0016_booking_lifecycle.sql).
+//
+// Body: { id, action, final_price_cents?, staff_notes? }
+// action: "check_in"   active → checked_in         on the day of the booking
+//         "complete"   active | checked_in → completed, once the day has come;
+//                      final_price_cents = what was actually charged
+//         "no_show"    active → no_show             once the start time has
+//                      passed; the hours are freed
+// staff_notes (any action) replaces the booking's internal notes.
+//
+// Any other move is refused with 409 — e.g. a cancelled booking can't be
+// completed and a completed one can't become a no-show. Cancelling stays with
+// /api/admin/cancel. Each step is stamped (checked_in_at, completed_at,
+// no_show_at) and audited as booking.<action>.
+//
+// Requires bookings.change and an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { loadSchedule, studioToday, hoursUntil } from "../../_lib/schedule.js";
+import { noShowCount } from "../../_lib/bookings.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const TRANSITIONS = {
+  check_in: { from: ["active"],               to: "checked_in", stamp: "checked_in_at" },
+  complete: { from: ["active", "checked_in"], to: "completed",  stamp: "completed_at" },
+  no_show:  { from: ["active"],               to: "no_show",    stamp: "no_show_at" },
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+function sanitize(val, max = 1000) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "bookings.change")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const id          = sanitize(body.id, 100);
+  const action      = sanitize(body.action, 30);
+  const staff_notes = sanitize(body.staff_notes) || null;
+  const transition  = TRANSITIONS[action];
+
+  if (!id) return json({ ok: false, error: "Missing id." }, 400);
+  if (!transition) {
+    return json({ ok: false, error: `Invalid action. Valid: ${Object.keys(TRANSITIONS).join(", ")}` }, 400);
+  }
+
+  let final_price_cents = null;
+  if (body.final_price_cents != null && body.final_price_cents !== "") {
+    if (action !== "complete") {
+      return json({ ok: false, error: "final_price_cents can only be set when completing a booking." }, 400);
+    }
+    final_price_cents = Number(body.final_price_cents);
+    if (!Number.isInteger(final_price_cents) || final_price_cents < 0) {
+      return json({ ok: false, error: "final_price_cents must be a whole number of cents ≥ 0." }, 400);
+    }
+  }
+
+  // ── Load + validate ───────────────────────────────────────────────────────
+  let booking, schedule;
+  try {
+    booking = await env.DB.prepare(`SELECT * FROM bookings WHERE id = ?`).bind(id).first();
+    if (!booking || booking.kind === "block") return json({ ok: false, error: "Booking not found." }, 404);
+    schedule = await loadSchedule(env.DB, booking.date);
+  } catch (e) {
+    console.error("[admin/booking-status] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  if (!transition.from.includes(booking.status)) {
+    return json({ ok: false, error: `A ${booking.status.replace("_", "-")} booking can't be marked ${transition.to.replace("_", "-")}.` }, 409);
+  }
+
+  const today = studioToday(schedule);
+  if (action === "check_in" && booking.date !== today) {
+    return json({ ok: false, error: "Check-in is only possible on the day of the booking." }, 409);
+  }
+  if (action === "complete" && booking.date > today) {
+    return json({ ok: false, error: "This booking hasn't happened yet." }, 409);
+  }
+  if (action === "no_show" && hoursUntil(schedule, booking.date, booking.start_hour) > 0) {
+    return json({ ok: false, error: "A booking can only be marked a no-show once its start time has passed." }, 409);
+  }
+
+  // ── Apply ─────────────────────────────────────────────────────────────────
+  // Guarded on the current status so two admins can't apply conflicting steps
+  const at = new Date().toISOString();
+  try {
+    const [result] = await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE bookings
+            SET status = ?, ${transition.stamp} = ?,
+                final_price_cents = COALESCE(?, final_price_cents),
+                staff_notes       = COALESCE(?, staff_notes)
+          WHERE id = ? AND status = ?`
+      ).bind(transition.to, at, final_price_cents, staff_notes, id, booking.status),
+      auditStatement(env.DB, data.user, {
+        action: `booking.${action}`, entity_type: "booking", entity_id: id,
+        before: { status: booking.status },
+        after:  { status: transition.to, final_price_cents, staff_notes },
+      }, { ifChanged: true }),
+    ]);
+    if ((result.meta?.changes ?? 0) === 0) {
+      return json({ ok: false, error: "This booking was just changed by someone else. Refresh and try again." }, 409);
+    }
+  } catch (e) {
+    console.error("[admin/booking-status] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  const response = { ok: true, id, status: transition.to, [transition.stamp]: at };
+  if (action === "no_show") response.no_show_count = await noShowCount(env.DB, booking);
+  return json(response);
+}
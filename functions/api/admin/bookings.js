@@ -1,22 +1,61 @@
 // =============================================================================
 // /functions/api/admin/bookings.js
-// GET /api/admin/bookings  →  returns all bookings, newest first
+// GET  /api/admin/bookings  →  returns all bookings and time blocks, newest
+//                              first (kind: "booking" | "block"), each with
+//                              the customer's no_show_count and customer_id
+//                              (timeline: /api/admin/customers?id=…), and
+//                              sms_confirmed_at / reschedule_requested_at
+//                              from the customer's text replies
 //
-// PROTECTED: Requires a secret token sent as the x-admin-token request header.
-// The token value must match the ADMIN_TOKEN environment variable set as a
-// Cloudflare Secret (Pages → Settings → Environment Variables → Add secret).
+// POST /api/admin/bookings   Body: { action, ... }
+//   action: "create"   phone / walk-in booking:
+//                      { service, addons?, date, start_hour, name, phone?,
+//                        email?, vehicle?, city?, notes?, override?, notify? }
+//           "block"    time with no customer, e.g. personal time or
+//                      equipment maintenance:
+//                      { date, start_hour, end_hour, reason, override? }
+//           "unblock"  { id }  → removes a block; the freed time goes to the
+//                      booking waitlist
 //
-// Setup:
-//   1. Go to Cloudflare Dashboard → your Pages project → Settings → Environment Variables
-//   2. Under "Secrets", click Add secret
-//   3. Name: ADMIN_TOKEN   Value: make up a long random string (e.g. lusso-admin-a7f3k9x2)
-//   4. Save → Redeploy
+// "create" checks the same rules as /api/book. `override` lists the ones to
+// set aside for this booking — see OVERRIDES; any rule broken without being
+// listed is refused with `needs_override`. The overrides actually used are
+// stored on the row (bookings.overrides) and in the audit log. The customer
+// gets the usual confirmation email when an email is given, and the
+// confirmation text when the phone can be texted, unless notify: false. A
+// block only checks for overlaps.
+//
+// PROTECTED: Requires an admin session cookie — checked for every /api/admin
+// route in functions/_middleware.js. Sign in via POST /api/auth/login.
 // =============================================================================
 
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { loadSchedule, checkBookable, dayHours } from "../../_lib/schedule.js";
+import { loadCatalog, buildQuote } from "../../_lib/services.js";
+import { hasOverlap, insertBookingStatement, noShowCount } from "../../_lib/bookings.js";
+import { isDate } from "../../_lib/dates.js";
+import { manageUrl } from "../../_lib/manage-token.js";
+import { sendCustomerConfirmation } from "../../_lib/booking-emails.js";
+import { sendConfirmationSms } from "../../_lib/booking-sms.js";
+import { linkCustomer } from "../../_lib/customers.js";
+import { notifyWaitlist } from "../../_lib/booking-waitlist.js";
+
 const CORS_HEADERS = {
   "access-control-allow-origin": "https://lussoautostudio.ca",
-  "access-control-allow-methods": "GET, OPTIONS",
-  "access-control-allow-headers": "content-type, x-admin-token",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = ["create", "block", "unblock"];
+
+// Booking rules an admin can set aside, and how a broken one is described
+const OVERRIDES = {
+  window:  "outside the booking window (already started, or past the booking horizon)",
+  closed:  "on a day the studio is closed",
+  hours:   "outside opening hours",
+  overlap: "overlapping another booking or block",
+  email:   "missing an email address",
 };
 
 function json(data, status = 200) {
@@ -26,34 +65,243 @@ function json(data, status = 200) {
   });
 }
 
+function sanitize(val, max = 500) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
 export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: CORS_HEADERS });
 }
 
-export async function onRequestGet({ request, env }) {
-  // ── Auth check ──────────────────────────────────────────────────────────────
-  // Read the token the browser sent in the x-admin-token header
-  const token = request.headers.get("x-admin-token");
-
-  // Compare it against the secret stored in Cloudflare env
-  if (!token || token !== env.ADMIN_TOKEN) {
-    return json({ ok: false, error: "Unauthorized" }, 401);
-  }
+export async function onRequestGet({ env, data }) {
+  if (!can(data.user, "bookings.view")) return json({ ok: false, error: "Forbidden" }, 403);
 
   // ── Fetch bookings ───────────────────────────────────────────────────────────
   try {
     const { results } = await env.DB.prepare(
-      `SELECT id, date, start_hour, end_hour, duration_hours,
-              service, name, phone, vehicle, city, notes, status, created_at
-         FROM bookings
-        ORDER BY date DESC, start_hour ASC
+      `SELECT b.id, b.date, b.start_hour, b.end_hour, b.duration_hours,
+              b.service, b.name, b.phone, b.vehicle, b.city, b.notes, b.status, b.created_at,
+              b.email, b.quote, b.quote_total_cents, b.membership_id, b.series_id,
+              b.kind, b.created_by, b.overrides,
+              b.checked_in_at, b.completed_at, b.no_show_at, b.final_price_cents, b.staff_notes,
+              b.customer_id, b.vehicle_id, b.sms_confirmed_at, b.reschedule_requested_at,
+              (SELECT COUNT(*) FROM bookings n
+                WHERE n.status = 'no_show'
+                  AND (n.email = NULLIF(b.email, '') COLLATE NOCASE OR n.phone = NULLIF(b.phone, ''))) AS no_show_count
+         FROM bookings b
+        ORDER BY b.date DESC, b.start_hour ASC
         LIMIT 500`
     ).all();
 
-    return json({ ok: true, bookings: results });
+    // quote and overrides are stored as JSON text — hand them back parsed
+    const bookings = results.map(b => {
+      let quote = null, overrides = null;
+      try { quote = b.quote ? JSON.parse(b.quote) : null; } catch {}
+      try { overrides = b.overrides ? JSON.parse(b.overrides) : null; } catch {}
+      return { ...b, quote, overrides };
+    });
+
+    return json({ ok: true, bookings });
   } catch (e) {
     // Log internally but never expose DB details to the client
     console.error("[admin/bookings] DB error:", e?.message ?? e);
     return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
   }
 }
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "bookings.change")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+
+  const override = Array.isArray(body.override) ? body.override.map(r => sanitize(r, 30)) : [];
+  const unknown  = override.filter(r => !(r in OVERRIDES));
+  if ((body.override !== undefined && !Array.isArray(body.override)) || unknown.length) {
+    return json({ ok: false, error: `override must be a list of: ${Object.keys(OVERRIDES).join(", ")}` }, 400);
+  }
+
+  try {
+    if (action === "create")  return await createBooking(env, data.user, body, override);
+    if (action === "block")   return await createBlock(env, data.user, body, override);
+    return await removeBlock(env, data.user, body);
+  } catch (e) {
+    console.error(`[admin/bookings] ${action} error:`, e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+}
+
+// Refusal for rules broken without an override. Overlaps alone are a 409,
+// like a lost slot on /api/book.
+function needsOverride(missing) {
+  return json({
+    ok: false,
+    error: `This is ${missing.map(r => OVERRIDES[r]).join(", and ")}. Override ${missing.map(r => `"${r}"`).join(", ")} to save it anyway.`,
+    needs_override: missing,
+  }, missing.length === 1 && missing[0] === "overlap" ? 409 : 400);
+}
+
+// INSERT without the overlap guard, for an overridden overlap
+function plainInsertStatement(db, row) {
+  const cols = Object.keys(row);
+  return db.prepare(
+    `INSERT INTO bookings (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => row[c]));
+}
+
+// ── Create (phone / walk-in) ──────────────────────────────────────────────────
+async function createBooking(env, user, body, override) {
+  const date       = sanitize(body.date, 10);
+  const service    = sanitize(body.service, 200);
+  const name       = sanitize(body.name, 200);
+  const phone      = sanitize(body.phone, 50);
+  const email      = sanitize(body.email, 254);
+  const vehicle    = sanitize(body.vehicle, 200);
+  const city       = sanitize(body.city, 200);
+  const notes      = sanitize(body.notes);
+  const start_hour = Number(body.start_hour);
+  const addonIds   = Array.isArray(body.addons) ? body.addons.map(a => sanitize(a, 100)).filter(Boolean) : [];
+
+  if (!isDate(date)) return json({ ok: false, error: "date must be YYYY-MM-DD." }, 400);
+  if (!Number.isInteger(start_hour) || start_hour < 0 || start_hour > 23) {
+    return json({ ok: false, error: "start_hour must be an integer hour 0–23." }, 400);
+  }
+  if (!name) return json({ ok: false, error: "Name is required." }, 400);
+  if (phone && !/^[\d\s\(\)\+\-\.]{7,20}$/.test(phone)) {
+    return json({ ok: false, error: "Invalid phone number format." }, 400);
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return json({ ok: false, error: "Invalid email address." }, 400);
+  }
+
+  const catalog    = await loadCatalog(env.DB);
+  const serviceRow = catalog.find(s => s.name === service);
+  if (!serviceRow) {
+    return json({ ok: false, error: `Unknown service. Valid: ${catalog.map(s => s.name).join(", ")}` }, 400);
+  }
+  const priced = buildQuote(serviceRow, addonIds);
+  if (!priced.ok) return json({ ok: false, error: priced.error }, 400);
+  const { quote, duration_hours } = priced;
+  const end_hour = start_hour + duration_hours;
+  if (end_hour > 24) return json({ ok: false, error: "The booking would run past midnight." }, 400);
+
+  // ── Rules ─────────────────────────────────────────────────────────────────
+  const schedule = await loadSchedule(env.DB, date);
+  const hours    = dayHours(schedule, date);
+  const bookable = checkBookable(schedule, date);
+
+  const broken = [];
+  if (["past", "too_far", "day_over"].includes(bookable.reason) ||
+      (bookable.ok && start_hour < bookable.first_start)) broken.push("window");
+  if (!hours.open) broken.push("closed");
+  else if (start_hour < hours.open_hour || end_hour > hours.close_hour) broken.push("hours");
+  if (await hasOverlap(env.DB, date, start_hour, end_hour)) broken.push("overlap");
+  if (!email) broken.push("email");
+
+  const missing = broken.filter(r => !override.includes(r));
+  if (missing.length) return needsOverride(missing);
+
+  // ── Insert ────────────────────────────────────────────────────────────────
+  const id  = crypto.randomUUID();
+  const row = {
+    id, date, start_hour, duration_hours, end_hour,
+    service, name, phone, email: email || null, vehicle, city, notes,
+    status: "active", created_at: new Date().toISOString(),
+    quote: JSON.stringify(quote), quote_total_cents: quote.total_cents,
+    kind: "booking", created_by: user.email,
+    overrides: broken.length ? JSON.stringify(broken) : null,
+  };
+
+  const [result] = await env.DB.batch([
+    broken.includes("overlap") ? plainInsertStatement(env.DB, row) : insertBookingStatement(env.DB, row),
+    auditStatement(env.DB, user, {
+      action: "booking.create", entity_type: "booking", entity_id: id,
+      after: { date, start_hour, end_hour, service, name, overrides: broken },
+    }, { ifChanged: true }),
+  ]);
+  if ((result.meta?.changes ?? 0) === 0) return needsOverride(["overlap"]);
+
+  const customer_id = await linkCustomer(env.DB, "bookings", id, row, "admin/bookings");
+
+  if (body.notify !== false) {
+    if (email) {
+      const manage = { url: await manageUrl(env, row), cutoffHours: schedule.cutoffHours };
+      await sendCustomerConfirmation({ ...row, quote, manage }, env);
+    }
+    await sendConfirmationSms(row, env);
+  }
+
+  const no_show_count = await noShowCount(env.DB, { email, phone });
+  return json({ ok: true, id, date, start_hour, end_hour, overrides: broken, no_show_count, customer_id }, 201);
+}
+
+// ── Block time ────────────────────────────────────────────────────────────────
+async function createBlock(env, user, body, override) {
+  const date       = sanitize(body.date, 10);
+  const reason     = sanitize(body.reason, 200);
+  const start_hour = Number(body.start_hour);
+  const end_hour   = Number(body.end_hour);
+
+  if (!isDate(date)) return json({ ok: false, error: "date must be YYYY-MM-DD." }, 400);
+  if (!Number.isInteger(start_hour) || !Number.isInteger(end_hour) ||
+      start_hour < 0 || end_hour > 24 || end_hour <= start_hour) {
+    return json({ ok: false, error: "start_hour and end_hour must be whole hours with 0 ≤ start < end ≤ 24." }, 400);
+  }
+  if (!reason) return json({ ok: false, error: "A reason is required (e.g. \"Equipment maintenance\")." }, 400);
+
+  const overlap = await hasOverlap(env.DB, date, start_hour, end_hour);
+  if (overlap && !override.includes("overlap")) return needsOverride(["overlap"]);
+
+  const id  = crypto.randomUUID();
+  const row = {
+    id, date, start_hour, end_hour, duration_hours: end_hour - start_hour,
+    notes: reason, status: "active", created_at: new Date().toISOString(),
+    kind: "block", created_by: user.email,
+    overrides: overlap ? JSON.stringify(["overlap"]) : null,
+  };
+
+  const [result] = await env.DB.batch([
+    overlap ? plainInsertStatement(env.DB, row) : insertBookingStatement(env.DB, row),
+    auditStatement(env.DB, user, {
+      action: "booking.block", entity_type: "booking", entity_id: id,
+      after: { date, start_hour, end_hour, reason, overrides: overlap ? ["overlap"] : [] },
+    }, { ifChanged: true }),
+  ]);
+  if ((result.meta?.changes ?? 0) === 0) return needsOverride(["overlap"]);
+
+  return json({ ok: true, id, date, start_hour, end_hour }, 201);
+}
+
+async function removeBlock(env, user, body) {
+  const id = sanitize(body.id, 100);
+  if (!id) return json({ ok: false, error: "Missing id." }, 400);
+
+  const block = await env.DB.prepare(
+    `SELECT id, date, start_hour, end_hour, notes FROM bookings
+      WHERE id = ? AND kind = 'block' AND status = 'active'`
+  ).bind(id).first();
+  if (!block) return json({ ok: false, error: "Block not found or already removed." }, 404);
+
+  const [result] = await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE bookings SET status = 'cancelled' WHERE id = ? AND kind = 'block' AND status = 'active'`
+    ).bind(id),
+    auditStatement(env.DB, user, {
+      action: "booking.unblock", entity_type: "booking", entity_id: id,
+      before: { status: "active", reason: block.notes }, after: { status: "cancelled" },
+    }, { ifChanged: true }),
+  ]);
+  if ((result.meta?.changes ?? 0) === 0) {
+    return json({ ok: false, error: "Block not found or already removed." }, 404);
+  }
+
+  await notifyWaitlist(env, block.date, "admin/bookings");
+  return json({ ok: true, id });
+}
@@ -0,0 +1,95 @@
+// =============================================================================
+// /functions/api/admin/calendar.ics.js
+// GET /api/admin/calendar.ics?token=…  —  Private iCalendar feed of bookings
+// for Google / Apple Calendar to subscribe to (see _lib/ical.js).
+//
+// Calendar apps can't sign in, so this route skips the admin session
+// (functions/_middleware.js) and checks `token` against CALENDAR_FEED_TOKEN
+// instead. Subscribe with the full URL, token included; change the variable
+// to cut off every existing subscription.
+//
+// Holds every booking whose hours are taken (upcoming, checked in, completed)
+// from FEED_PAST_DAYS ago onwards; time blocks and cancelled bookings are
+// left out, so a cancellation drops off on the next refresh. Each event has
+// the booking's own UID, the same one as the customer's invite.
+//
+// Environment variables:
+//   CALENDAR_FEED_TOKEN  → long random string; the feed answers 503 until set
+// =============================================================================
+
+import { bookingEvent, calendar } from "../../_lib/ical.js";
+import { loadSchedule, studioToday } from "../../_lib/schedule.js";
+import { BUSY_SQL } from "../../_lib/bookings.js";
+import { addDays } from "../../_lib/dates.js";
+import { formatPrice } from "../../_lib/services.js";
+import { safeEqual } from "../../_lib/signing.js";
+
+const FEED_PAST_DAYS = 60;
+
+const STATUS_LABELS = { active: "Booked", checked_in: "Checked in", completed: "Completed" };
+
+function text(body, status) {
+  return new Response(body, {
+    status,
+    headers: { "content-type": "text/plain; charset=utf-8", "cache-control": "no-store" },
+  });
+}
+
+export async function onRequestGet({ request, env }) {
+  if (!env.CALENDAR_FEED_TOKEN) return text("The calendar feed is not configured.", 503);
+
+  const token = new URL(request.url).searchParams.get("token") || "";
+  if (!safeEqual(token, env.CALENDAR_FEED_TOKEN)) return text("Unauthorized", 401);
+
+  const now = new Date();
+  let schedule, bookings;
+  try {
+    schedule = await loadSchedule(env.DB, now.toISOString().slice(0, 10));
+    const { results } = await env.DB.prepare(
+      `SELECT id, date, start_hour, end_hour, service, name, email, phone, vehicle, city, notes,
+              status, quote_total_cents, final_price_cents, series_id, created_by
+         FROM bookings
+        WHERE kind = 'booking' AND ${BUSY_SQL} AND date >= ?
+        ORDER BY date ASC, start_hour ASC`
+    ).bind(addDays(studioToday(schedule, now), -FEED_PAST_DAYS)).all();
+    bookings = results || [];
+  } catch (e) {
+    console.error("[admin/calendar.ics] DB fetch error:", e?.message ?? e);
+    return text("A server error occurred.", 500);
+  }
+
+  const events = bookings.map(b => {
+    const price = b.final_price_cents ?? b.quote_total_cents;
+    return bookingEvent(b, schedule.timeZone, {
+      summary:     `${b.status === "active" ? "" : "✓ "}${b.service} — ${b.name}`,
+      description: [
+        `Status: ${STATUS_LABELS[b.status] ?? b.status}${b.series_id ? " · member visit" : ""}`,
+        b.phone   && `Phone: ${b.phone}`,
+        b.email   && `Email: ${b.email}`,
+        b.vehicle && `Vehicle: ${b.vehicle}`,
+        price != null && `${b.final_price_cents != null ? "Charged" : "Quote"}: ${formatPrice(price)}`,
+        b.notes   && `Notes: ${b.notes}`,
+        b.created_by && `Entered by ${b.created_by}`,
+      ].filter(Boolean).join("\n"),
+      location: b.city,
+      status:   "CONFIRMED",
+      sequence: 0,
+    }, now);
+  });
+
+  const body = calendar(events, [
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Lusso Bookings",
+    `X-WR-TIMEZONE:${schedule.timeZone}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT15M",
+    "X-PUBLISHED-TTL:PT15M",
+  ]);
+  return new Response(body, {
+    headers: {
+      "content-type":        "text/calendar; charset=utf-8",
+      "content-disposition": 'inline; filename="lusso-bookings.ics"',
+      "cache-control":       "no-store",
+    },
+  });
+}
+
@@ -0,0 +1,259 @@
+// =============================================================================
+// /functions/api/admin/customers.js
+// Customer records and their history (see _lib/customers.js).
+//
+// GET  /api/admin/customers[?q=…]
+//   → { ok, customers: [{ id, name, email, phone, city, bookings, completed,
+//       no_shows, spend_cents, last_visit, membership_status }] }
+//   q matches name, email or phone digits; most recently active first, 200 max
+//
+// GET  /api/admin/customers?id=…
+//   → { ok, customer, vehicles, bookings, memberships, totals, timeline }
+//     totals:   { bookings, completed, no_shows, cancelled, spend_cents }
+//     timeline: [{ at, type: "booking" | "membership", id, event, summary,
+//                  note }] newest first — bookings made, checked in,
+//                completed, no-shows; every membership event_log entry
+//
+// spend_cents is what completed bookings were charged (final_price_cents,
+// else the quote). Membership billing lives in Square and isn't included.
+//
+// POST /api/admin/customers   Body: { action, ... }
+//   action: "update"         { id, name?, email?, phone?, city?, notes? }
+//                            → 409 if the email belongs to another customer
+//           "link_existing"  { after? } links bookings and applications
+//                            saved before customers existed, 200 per call;
+//                            while `more`, call again with the `after` returned
+//                            → { linked, skipped, more, after }
+//
+// GET needs bookings.view; "update" needs bookings.change and is audited;
+// "link_existing" is owner only (jobs.run).
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { emailKey, phoneKey, linkExisting } from "../../_lib/customers.js";
+import { formatHour } from "../../_lib/email.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = ["update", "link_existing"];
+const EDITABLE      = ["name", "email", "phone", "city", "notes"];
+
+// What a completed booking brought in
+const SPEND_SQL = `CASE WHEN b.status = 'completed' THEN COALESCE(b.final_price_cents, b.quote_total_cents, 0) ELSE 0 END`;
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "bookings.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const params = new URL(request.url).searchParams;
+  const id     = params.get("id");
+
+  try {
+    return id ? await customerDetail(env.DB, id) : await customerList(env.DB, sanitize(params.get("q") || ""));
+  } catch (e) {
+    console.error("[admin/customers] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+// ── List ──────────────────────────────────────────────────────────────────────
+async function customerList(db, q) {
+  const filters = [], binds = [];
+  if (q) {
+    const typed  = q.replace(/\D/g, "");
+    const digits = typed.length >= 3 ? typed : null;
+    filters.push(`(c.name LIKE ? OR c.email_key LIKE ?${digits ? " OR c.phone_key LIKE ?" : ""})`);
+    binds.push(`%${q}%`, `%${q.toLowerCase()}%`, ...(digits ? [`%${digits}%`] : []));
+  }
+
+  const { results } = await db.prepare(
+    `SELECT c.id, c.name, c.email, c.phone, c.city, c.created_at,
+            COUNT(b.id)                                           AS bookings,
+            COALESCE(SUM(b.status = 'completed'), 0)              AS completed,
+            COALESCE(SUM(b.status = 'no_show'), 0)                AS no_shows,
+            COALESCE(SUM(${SPEND_SQL}), 0)                        AS spend_cents,
+            MAX(CASE WHEN b.status = 'completed' THEN b.date END) AS last_visit,
+            (SELECT m.status FROM membership_applications m
+              WHERE m.customer_id = c.id
+              ORDER BY m.created_at DESC LIMIT 1)                 AS membership_status
+       FROM customers c
+       LEFT JOIN bookings b ON b.customer_id = c.id
+      ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+      GROUP BY c.id
+      ORDER BY COALESCE(MAX(b.date), c.created_at) DESC
+      LIMIT 200`
+  ).bind(...binds).all();
+
+  return json({ ok: true, customers: results || [] });
+}
+
+// ── Detail + timeline ─────────────────────────────────────────────────────────
+async function customerDetail(db, id) {
+  const customer = await db.prepare(
+    `SELECT id, name, email, phone, city, notes, created_at, updated_at FROM customers WHERE id = ?`
+  ).bind(id).first();
+  if (!customer) return json({ ok: false, error: "Customer not found." }, 404);
+
+  const [vehiclesRes, bookingsRes, membershipsRes] = await db.batch([
+    db.prepare(
+      `SELECT id, description, created_at FROM vehicles WHERE customer_id = ? ORDER BY created_at ASC`
+    ).bind(id),
+    db.prepare(
+      `SELECT b.id, b.date, b.start_hour, b.end_hour, b.service, b.vehicle, b.vehicle_id, b.status,
+              b.created_at, b.created_by, b.membership_id, b.quote_total_cents, b.final_price_cents,
+              b.checked_in_at, b.completed_at, b.no_show_at, b.staff_notes, b.notes
+         FROM bookings b
+        WHERE b.customer_id = ?
+        ORDER BY b.date DESC, b.start_hour DESC`
+    ).bind(id),
+    db.prepare(
+      `SELECT id, status, vehicle, vehicle_id, start_date, activated_at, cancel_at,
+              next_billing_date, event_log, created_at
+         FROM membership_applications
+        WHERE customer_id = ?
+        ORDER BY created_at DESC`
+    ).bind(id),
+  ]);
+
+  const bookings    = bookingsRes.results || [];
+  const memberships = (membershipsRes.results || []).map(m => {
+    let event_log = [];
+    try { event_log = m.event_log ? JSON.parse(m.event_log) : []; } catch {}
+    return { ...m, event_log };
+  });
+
+  const totals = { bookings: bookings.length, completed: 0, no_shows: 0, cancelled: 0, spend_cents: 0 };
+  const timeline = [];
+  for (const b of bookings) {
+    const what = `${b.service} · ${b.date} ${formatHour(b.start_hour)}`;
+    if (b.status === "completed") {
+      totals.completed++;
+      totals.spend_cents += b.final_price_cents ?? b.quote_total_cents ?? 0;
+    }
+    if (b.status === "no_show")   totals.no_shows++;
+    if (b.status === "cancelled") totals.cancelled++;
+
+    timeline.push({
+      at: b.created_at, type: "booking", id: b.id, event: "booked",
+      summary: `${what}${b.status === "cancelled" ? " (cancelled)" : ""}`,
+      note: b.created_by ? `Entered by ${b.created_by}` : null,
+    });
+    if (b.checked_in_at) timeline.push({ at: b.checked_in_at, type: "booking", id: b.id, event: "checked_in", summary: what, note: null });
+    if (b.completed_at)  timeline.push({ at: b.completed_at,  type: "booking", id: b.id, event: "completed",  summary: what, note: b.staff_notes });
+    if (b.no_show_at)    timeline.push({ at: b.no_show_at,    type: "booking", id: b.id, event: "no_show",    summary: what, note: b.staff_notes });
+  }
+  for (const m of memberships) {
+    for (const entry of m.event_log) {
+      timeline.push({ at: entry.at, type: "membership", id: m.id, event: entry.event, summary: `Membership · ${m.status}`, note: entry.note ?? null });
+    }
+  }
+  timeline.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+
+  return json({ ok: true, customer, vehicles: vehiclesRes.results || [], bookings, memberships, totals, timeline });
+}
+
+// ── Changes ───────────────────────────────────────────────────────────────────
+export async function onRequestPost({ request, env, data }) {
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+
+  if (action === "link_existing") {
+    if (!can(data.user, "jobs.run")) return json({ ok: false, error: "Only the owner can link old records." }, 403);
+    try {
+      const after = body.after && typeof body.after === "object" &&
+                    typeof body.after.created_at === "string" && typeof body.after.id === "string"
+        ? { created_at: body.after.created_at, id: body.after.id } : null;
+      return json({ ok: true, ...await linkExisting(env.DB, { after }) });
+    } catch (e) {
+      console.error("[admin/customers] link error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+  }
+
+  if (!can(data.user, "bookings.change")) return json({ ok: false, error: "Forbidden" }, 403);
+  return updateCustomer(env, data.user, body);
+}
+
+async function updateCustomer(env, user, body) {
+  const id = sanitize(body.id, 100);
+  if (!id) return json({ ok: false, error: "Missing id." }, 400);
+
+  const changes = {};
+  for (const field of EDITABLE) {
+    if (body[field] !== undefined) changes[field] = sanitize(body[field], field === "notes" ? 2000 : 254);
+  }
+  if (!Object.keys(changes).length) {
+    return json({ ok: false, error: `Nothing to update. Editable: ${EDITABLE.join(", ")}` }, 400);
+  }
+  if (changes.name === "") return json({ ok: false, error: "Name can't be empty." }, 400);
+  if (changes.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(changes.email)) {
+    return json({ ok: false, error: "Invalid email address." }, 400);
+  }
+  if (changes.phone && !/^[\d\s\(\)\+\-\.]{7,20}$/.test(changes.phone)) {
+    return json({ ok: false, error: "Invalid phone number format." }, 400);
+  }
+
+  // The match keys follow the contact details they're derived from
+  const sets = { ...changes };
+  if ("email" in changes) sets.email_key = emailKey(changes.email);
+  if ("phone" in changes) sets.phone_key = phoneKey(changes.phone);
+  for (const field of ["email", "phone", "city", "notes"]) {
+    if (sets[field] === "") sets[field] = null;
+  }
+
+  try {
+    const current = await env.DB.prepare(`SELECT * FROM customers WHERE id = ?`).bind(id).first();
+    if (!current) return json({ ok: false, error: "Customer not found." }, 404);
+
+    if (sets.email_key && sets.email_key !== current.email_key) {
+      const taken = await env.DB.prepare(
+        `SELECT id, name FROM customers WHERE email_key = ? AND id != ?`
+      ).bind(sets.email_key, id).first();
+      if (taken) {
+        return json({ ok: false, error: `That email belongs to another customer (${taken.name}).`, customer_id: taken.id }, 409);
+      }
+    }
+
+    const cols   = Object.keys(sets);
+    const before = Object.fromEntries(Object.keys(changes).map(f => [f, current[f]]));
+    await env.DB.batch([
+      env.DB.prepare(
+        `UPDATE customers SET ${cols.map(c => `${c} = ?`).join(", ")}, updated_at = ? WHERE id = ?`
+      ).bind(...cols.map(c => sets[c]), new Date().toISOString(), id),
+      auditStatement(env.DB, user, {
+        action: "customer.update", entity_type: "customer", entity_id: id, before, after: changes,
+      }),
+    ]);
+  } catch (e) {
+    console.error("[admin/customers] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  return customerDetail(env.DB, id);
+}
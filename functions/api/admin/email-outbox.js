@@ -0,0 +1,148 @@
+// =============================================================================
+// /functions/api/admin/email-outbox.js
+// Outgoing emails and their delivery state (see _lib/outbox.js).
+//
+// GET  /api/admin/email-outbox[?status=…][&id=…]
+//   → { ok, counts: { queued, sent, delivered, failed, bounced, complained },
+//       messages: [{ id, tag, to_email, subject, status, attempts, requeues,
+//                    next_attempt_at, last_error, created_at, sent_at,
+//                    delivered_at, bounced_at }] }  newest first, 200 max
+//   status: one of the counts' keys, or "problems" (the default) for failed,
+//   bounced, complained and queued-after-a-failed-attempt together
+//   id: that one message, with its html and plain text
+//
+// POST /api/admin/email-outbox   Body: { action, ... }
+//   action: "resend"  { id } → a failed or waiting message gets a fresh set
+//                     of attempts, the first one now
+//                     → { ok, id, outcome: "sent" | "queued" | "failed" }
+//           "run"     delivers every message that's due, as the scheduler
+//                     does → the job summary
+//
+// GET needs bookings.view; "resend" needs bookings.change and is audited;
+// "run" is owner only (jobs.run).
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { resendMessage, runEmailOutbox } from "../../_lib/outbox.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const STATUSES      = ["queued", "sent", "delivered", "failed", "bounced", "complained"];
+const VALID_ACTIONS = ["resend", "run"];
+
+const COLUMNS = `id, tag, to_email, subject, status, attempts, requeues, next_attempt_at,
+                 last_error, created_at, sent_at, delivered_at, bounced_at`;
+
+// Messages someone should look at
+const PROBLEMS_SQL = `(status IN ('failed', 'bounced', 'complained') OR (status = 'queued' AND last_error IS NOT NULL))`;
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+function sanitize(val, max = 100) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "bookings.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const params = new URL(request.url).searchParams;
+  const id     = params.get("id");
+  const status = params.get("status") || "problems";
+  if (status !== "problems" && !STATUSES.includes(status)) {
+    return json({ ok: false, error: `Invalid status. Valid: problems, ${STATUSES.join(", ")}` }, 400);
+  }
+
+  try {
+    if (id) {
+      const message = await env.DB.prepare(`SELECT ${COLUMNS}, html, text FROM email_outbox WHERE id = ?`).bind(id).first();
+      if (!message) return json({ ok: false, error: "Message not found." }, 404);
+      return json({ ok: true, message });
+    }
+
+    const [countsRes, messagesRes] = await env.DB.batch([
+      env.DB.prepare(`SELECT status, COUNT(*) AS n FROM email_outbox GROUP BY status`),
+      env.DB.prepare(
+        `SELECT ${COLUMNS} FROM email_outbox
+          WHERE ${status === "problems" ? PROBLEMS_SQL : "status = ?"}
+          ORDER BY created_at DESC LIMIT 200`
+      ).bind(...(status === "problems" ? [] : [status])),
+    ]);
+
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const row of countsRes.results || []) counts[row.status] = row.n;
+    return json({ ok: true, counts, messages: messagesRes.results || [] });
+  } catch (e) {
+    console.error("[admin/email-outbox] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+
+  // ── Run the job ───────────────────────────────────────────────────────────
+  if (action === "run") {
+    if (!can(data.user, "jobs.run")) return json({ ok: false, error: "Forbidden" }, 403);
+    try {
+      const summary = await runEmailOutbox(env);
+      await auditStatement(env.DB, data.user, {
+        action: "job.email_outbox", entity_type: "job", entity_id: "email_outbox", after: summary,
+      }).run();
+      return json({ ok: true, ...summary });
+    } catch (e) {
+      console.error("[admin/email-outbox] job error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+  }
+
+  // ── Resend one ────────────────────────────────────────────────────────────
+  if (!can(data.user, "bookings.change")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const id = sanitize(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, 400);
+
+  try {
+    const message = await env.DB.prepare(
+      `SELECT id, to_email, subject, status, last_error FROM email_outbox WHERE id = ?`
+    ).bind(id).first();
+    if (!message) return json({ ok: false, error: "Message not found." }, 404);
+    if (!["failed", "queued"].includes(message.status)) {
+      return json({ ok: false, error: `A ${message.status} message can't be resent.` }, 409);
+    }
+
+    await auditStatement(env.DB, data.user, {
+      action: "email.resend", entity_type: "email", entity_id: id,
+      before: { status: message.status, last_error: message.last_error },
+      after:  { to: message.to_email, subject: message.subject },
+    }).run();
+
+    const outcome = await resendMessage(env, id);
+    if (!outcome) return json({ ok: false, error: "This message was just changed. Refresh and try again." }, 409);
+    return json({ ok: true, id, outcome });
+  } catch (e) {
+    console.error("[admin/email-outbox] resend error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
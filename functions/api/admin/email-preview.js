@@ -0,0 +1,78 @@
+// =============================================================================
+// /functions/api/admin/email-preview.js
+// Every email template rendered with sample data (see _lib/email-templates.js),
+// to check wording and layout without sending anything. The samples use the
+// live catalog and calendar (_lib/email-samples.js).
+//
+// GET /api/admin/email-preview
+//   → { ok, templates: [{ name, description }] }
+//
+// GET /api/admin/email-preview?template=…[&format=html|text|json]
+//   html (default) → the email as a page, to open in a browser tab
+//   text           → its plain-text part
+//   json           → { ok, name, subject, html, text }
+//
+// Needs bookings.view.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { listTemplates, previewEmail } from "../../_lib/email-templates.js";
+import { sampleContext } from "../../_lib/email-samples.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const FORMATS = ["html", "text", "json"];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "bookings.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const params = new URL(request.url).searchParams;
+  const name   = params.get("template");
+  const format = params.get("format") || "html";
+  if (!name) return json({ ok: true, templates: listTemplates() });
+  if (!FORMATS.includes(format)) {
+    return json({ ok: false, error: `Invalid format. Valid: ${FORMATS.join(", ")}` }, 400);
+  }
+
+  let email;
+  try {
+    email = previewEmail(name, await sampleContext(env.DB));
+  } catch (e) {
+    console.error("[admin/email-preview] render error:", e?.message ?? e);
+    return json({ ok: false, error: "This template could not be rendered." }, 500);
+  }
+  if (!email) return json({ ok: false, error: "Unknown template." }, 404);
+
+  if (format === "json") return json({ ok: true, name, ...email });
+
+  const body = format === "text"
+    ? `Subject: ${email.subject}\n\n${email.text}\n`
+    : `<!doctype html><meta charset="utf-8"><title>${escTitle(email.subject)}</title><body style="margin:0;padding:32px 12px;background:#18181b">${email.html}</body>`;
+  return new Response(body, {
+    headers: {
+      "content-type":  format === "text" ? "text/plain; charset=utf-8" : "text/html; charset=utf-8",
+      "cache-control": "no-store",
+      ...CORS,
+    },
+  });
+}
+
+function escTitle(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+}
@@ -0,0 +1,159 @@
+// =============================================================================
+// /functions/api/admin/export.js
+// GET /api/admin/export?entity=…&format=…[&from=…&to=…&status=…&kind=…]
+//   Downloads every booking or membership application matching the filters,
+//   as a file (see _lib/data-transfer.js for the columns and formats).
+//
+//   entity  "bookings" | "memberships"
+//   format  "csv" (default) | "ndjson"
+//   from/to YYYY-MM-DD, both inclusive — the appointment date for bookings,
+//           the day the application came in for memberships
+//   status  comma-separated, e.g. "completed,no_show"; default all
+//   kind    bookings only: "booking" (default) | "block" | "all"
+//
+// Rows are read PAGE_SIZE at a time and streamed out as they come, so there
+// is no cap on how many an export holds. Bookings come in appointment order,
+// applications in the order they came in. The file can be sent back as it is
+// to /api/admin/import.
+//
+// Needs bookings.view (bookings) or memberships.view (memberships). Every
+// export is audited — it takes customer details out of the system.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { isDate } from "../../_lib/dates.js";
+import { ENTITIES, FORMATS, csvLine, formatRecord } from "../../_lib/data-transfer.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const PAGE_SIZE = 500;
+
+const PERMISSIONS  = { bookings: "bookings.view", memberships: "memberships.view" };
+const AUDIT_ENTITY = { bookings: "booking", memberships: "membership" };
+const KINDS        = ["booking", "block", "all"];
+
+const CONTENT_TYPES = { csv: "text/csv; charset=utf-8", ndjson: "application/x-ndjson; charset=utf-8" };
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  const params = new URL(request.url).searchParams;
+  const entity = params.get("entity") || "";
+  const format = params.get("format") || "csv";
+
+  if (!ENTITIES[entity]) {
+    return json({ ok: false, error: `Invalid entity. Must be one of: ${Object.keys(ENTITIES).join(", ")}` }, 400);
+  }
+  if (!can(data.user, PERMISSIONS[entity])) return json({ ok: false, error: "Forbidden" }, 403);
+  if (!FORMATS.includes(format)) {
+    return json({ ok: false, error: `Invalid format. Must be one of: ${FORMATS.join(", ")}` }, 400);
+  }
+
+  const filters = parseFilters(entity, params);
+  if (filters.error) return json({ ok: false, error: filters.error }, 400);
+
+  try {
+    await auditStatement(env.DB, data.user, {
+      action: `${AUDIT_ENTITY[entity]}.export`, entity_type: AUDIT_ENTITY[entity],
+      after:  { format, from: filters.from, to: filters.to, status: filters.status, kind: filters.kind },
+    }).run();
+  } catch (e) {
+    console.error("[admin/export] audit error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  return new Response(exportStream(env.DB, entity, format, filters), {
+    headers: {
+      "content-type":        CONTENT_TYPES[format],
+      "content-disposition": `attachment; filename="lusso-${entity}-${stamp}.${format}"`,
+      "cache-control":       "no-store",
+      ...CORS,
+    },
+  });
+}
+
+// ── Filters ───────────────────────────────────────────────────────────────────
+// → { from, to, status: [...] | null, kind } | { error }
+function parseFilters(entity, params) {
+  const from = params.get("from") || null;
+  const to   = params.get("to")   || null;
+  if (from && !isDate(from)) return { error: "Invalid from date (expect YYYY-MM-DD)." };
+  if (to   && !isDate(to))   return { error: "Invalid to date (expect YYYY-MM-DD)." };
+  if (from && to && from > to) return { error: "from must not be after to." };
+
+  const { statuses } = ENTITIES[entity];
+  const status = (params.get("status") || "").split(",").map(s => s.trim()).filter(Boolean);
+  const unknown = status.filter(s => !statuses.includes(s));
+  if (unknown.length) return { error: `Unknown status: ${unknown.join(", ")}. Valid: ${statuses.join(", ")}` };
+
+  const kind = entity === "bookings" ? params.get("kind") || "booking" : null;
+  if (kind && !KINDS.includes(kind)) return { error: `Invalid kind. Must be one of: ${KINDS.join(", ")}` };
+
+  return { from, to, status: status.length ? status : null, kind };
+}
+
+// → { clauses: ["…"], binds: [...] } for the filters
+function filterSql(entity, { from, to, status, kind }) {
+  const { dateSql } = ENTITIES[entity];
+  const clauses = [], binds = [];
+  if (from)   { clauses.push(`${dateSql} >= ?`); binds.push(from); }
+  if (to)     { clauses.push(`${dateSql} <= ?`); binds.push(to); }
+  if (status) { clauses.push(`status IN (${status.map(() => "?").join(", ")})`); binds.push(...status); }
+  if (kind && kind !== "all") { clauses.push("kind = ?"); binds.push(kind); }
+  return { clauses, binds };
+}
+
+// ── Streaming ─────────────────────────────────────────────────────────────────
+// Pages by the sort key (keyset), not OFFSET, so a long export doesn't slow
+// down page by page and rows added meanwhile can't shift a page.
+function exportStream(db, entity, format, filters) {
+  const { table, columns, orderBy } = ENTITIES[entity];
+  const { clauses, binds } = filterSql(entity, filters);
+  const encoder = new TextEncoder();
+
+  let after = null;  // sort key of the last row sent
+
+  return new ReadableStream({
+    start(controller) {
+      if (format === "csv") controller.enqueue(encoder.encode(csvLine(columns)));
+    },
+    async pull(controller) {
+      try {
+        const where = after ? [...clauses, `(${orderBy.join(", ")}) > (${orderBy.map(() => "?").join(", ")})`] : clauses;
+        const { results } = await db.prepare(
+          `SELECT ${columns.join(", ")} FROM ${table}
+           ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+           ORDER BY ${orderBy.join(", ")}
+           LIMIT ?`
+        ).bind(...binds, ...(after ?? []), PAGE_SIZE).all();
+
+        const rows = results || [];
+        if (rows.length) {
+          controller.enqueue(encoder.encode(rows.map(r => formatRecord(entity, r, format)).join("")));
+          const last = rows[rows.length - 1];
+          after = orderBy.map(c => last[c]);
+        }
+        if (rows.length < PAGE_SIZE) controller.close();
+      } catch (e) {
+        console.error("[admin/export] DB fetch error:", e?.message ?? e);
+        controller.error(e);
+      }
+    },
+  });
+}
@@ -0,0 +1,478 @@
+// =============================================================================
+// /functions/api/admin/import.js
+// POST /api/admin/import  —  Loads bookings or membership applications from a
+// file, e.g. after a migration or from an /api/admin/export download (see
+// _lib/data-transfer.js for the columns and formats).
+//
+// Body: { entity, format, data, commit?, skip_duplicates?, override? }
+//   entity           "bookings" | "memberships"
+//   format           "csv" | "ndjson"
+//   data             the file's text, MAX_ROWS rows at most
+//   commit           false (default) → check only; true → save
+//   skip_duplicates  true → leave duplicates out instead of failing on them
+//   override         ["overlap"] → save bookings that overlap others anyway
+//                    (reported as warnings; stored in bookings.overrides)
+//
+// Every row is checked before anything is saved:
+//   - the fields: required ones present, ids, dates, hours, statuses,
+//     emails, phones and amounts in the right form
+//   - duplicates: an id that is already saved or repeats in the file; a
+//     booking for the same person at the same date and hour; an application
+//     from the same email or phone on the same day
+//   - overlaps: a booking whose hours are taken (BUSY_STATUSES) that clashes
+//     with a saved booking or block, or with an earlier row of the file
+// Columns the import doesn't know, and the export-only links (customer_id
+// and the like), are ignored. A missing id gets a new one.
+//
+// → { ok, entity, committed, total, imported, errors: [{ row, id, errors }],
+//     skipped: [{ row, id, reason }], warnings: [{ row, id, warnings }] }
+//   plus ready (rows that would be saved) on a check, and customers (the
+//   link_existing summary) on a commit. row counts data rows from 1 (the CSV
+//   header isn't one). A commit with any errors saves nothing and answers
+//   422 with the same report; otherwise the rows go in in one batch, with
+//   one audit entry, and are then linked to customer records. A busy booking
+//   whose hours were booked since the check takes the whole commit back out
+//   and answers 409 with taken: [ids].
+//
+// Owner only (jobs.run).
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { isDate } from "../../_lib/dates.js";
+import { emailKey, phoneKey, linkExisting } from "../../_lib/customers.js";
+import { ENTITIES, FORMATS, parseRecords } from "../../_lib/data-transfer.js";
+import { insertBookingStatement } from "../../_lib/bookings.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const MAX_ROWS  = 1000;
+const MAX_CHARS = 2_000_000;
+
+const ID_PATTERN      = /^[A-Za-z0-9_-]{1,100}$/;
+const VALID_OVERRIDES = ["overlap"];
+const AUDIT_ENTITY    = { bookings: "booking", memberships: "membership" };
+
+// Statuses whose hours are taken — the same as BUSY_SQL (_lib/bookings.js)
+const BUSY_STATUSES = ["active", "checked_in", "completed"];
+
+// Text columns → max length
+const TEXT_LIMITS = {
+  bookings:    { service: 200, name: 200, vehicle: 200, city: 200, notes: 2000, staff_notes: 2000, created_by: 200 },
+  memberships: { name: 200, vehicle: 200, city: 200, parking: 100, preferred_start: 100, message: 2000,
+                 rejection_reason: 1000, last_payment_status: 100 },
+};
+const DATE_COLUMNS      = { bookings: [], memberships: ["start_date", "next_billing_date"] };
+const TIMESTAMP_COLUMNS = {
+  bookings:    ["checked_in_at", "completed_at", "no_show_at"],
+  memberships: ["activated_at", "cancel_at", "cancelled_at", "waitlisted_at"],
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "jobs.run")) return json({ ok: false, error: "Only the owner can import data." }, 403);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Invalid JSON body." }, 400);
+  }
+
+  const { entity, format } = body;
+  if (!ENTITIES[entity]) {
+    return json({ ok: false, error: `Invalid entity. Must be one of: ${Object.keys(ENTITIES).join(", ")}` }, 400);
+  }
+  if (!FORMATS.includes(format)) {
+    return json({ ok: false, error: `Invalid format. Must be one of: ${FORMATS.join(", ")}` }, 400);
+  }
+  if (typeof body.data !== "string" || !body.data.trim()) {
+    return json({ ok: false, error: "data must be the file's contents." }, 400);
+  }
+  if (body.data.length > MAX_CHARS) {
+    return json({ ok: false, error: `The file is too large (${MAX_CHARS.toLocaleString("en-CA")} characters max).` }, 413);
+  }
+  const override = Array.isArray(body.override) ? body.override.filter(o => VALID_OVERRIDES.includes(o)) : [];
+
+  const parsed = parseRecords(body.data, format);
+  if (!parsed.length) return json({ ok: false, error: "The file has no rows." }, 400);
+  if (parsed.length > MAX_ROWS) {
+    return json({ ok: false, error: `Too many rows (${parsed.length}); import ${MAX_ROWS} at a time.` }, 413);
+  }
+
+  const now = new Date().toISOString();
+  let report;
+  try {
+    report = await checkRows(env.DB, entity, parsed, {
+      now, user: data.user, skipDuplicates: body.skip_duplicates === true, override,
+    });
+  } catch (e) {
+    console.error("[admin/import] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  const summary = {
+    entity, total: parsed.length, errors: report.errors, skipped: report.skipped, warnings: report.warnings,
+  };
+  if (body.commit !== true) {
+    return json({ ok: true, ...summary, committed: false, imported: 0, ready: report.rows.length });
+  }
+  if (report.errors.length) {
+    return json({
+      ok: false, error: `${report.errors.length} row(s) have errors; nothing was imported.`,
+      ...summary, committed: false, imported: 0,
+    }, 422);
+  }
+  if (!report.rows.length) return json({ ok: true, ...summary, committed: false, imported: 0 });
+
+  const { table } = ENTITIES[entity];
+  // Busy bookings go in only while their hours are still free, so one booked
+  // since the check isn't double-booked (insertBookingStatement, _lib/bookings.js)
+  const guarded = row => entity === "bookings" && BUSY_STATUSES.includes(row.status) && !override.includes("overlap");
+  let results;
+  try {
+    results = await env.DB.batch([
+      ...report.rows.map(row => guarded(row) ? insertBookingStatement(env.DB, row) : insertStatement(env.DB, table, row)),
+      auditStatement(env.DB, data.user, {
+        action: `${AUDIT_ENTITY[entity]}.import`, entity_type: AUDIT_ENTITY[entity],
+        after:  { format, rows: report.rows.length, skipped: report.skipped.length, override, ids: report.rows.map(r => r.id) },
+      }),
+    ]);
+  } catch (e) {
+    // A row saved by someone else since the check (same id) fails the batch
+    console.error("[admin/import] DB write error:", e?.message ?? e);
+    if (/UNIQUE|PRIMARY KEY/i.test(e?.message ?? "")) {
+      return json({ ok: false, error: "Records changed while importing; nothing was imported. Check the file again." }, 409);
+    }
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  const taken = report.rows.filter((row, i) => (results[i].meta?.changes ?? 0) === 0);
+  if (taken.length) {
+    try {
+      await undoImport(env.DB, data.user, report.rows.filter((row, i) => results[i].meta?.changes > 0).map(r => r.id), taken);
+    } catch (e) {
+      console.error("[admin/import] DB undo error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+    return json({
+      ok: false, error: `${taken.length} booking(s) overlap one made while importing; nothing was imported. Check the file again.`,
+      ...summary, committed: false, imported: 0, taken: taken.map(r => r.id),
+    }, 409);
+  }
+
+  // Best effort — "link_existing" on /api/admin/customers picks up the rest
+  let customers = null;
+  try {
+    customers = await linkExisting(env.DB, { limit: Math.max(200, report.rows.length) });
+  } catch (e) {
+    console.error("[admin/import] customer link error:", e?.message ?? e);
+  }
+
+  return json({ ok: true, ...summary, committed: true, imported: report.rows.length, customers });
+}
+
+function insertStatement(db, table, row) {
+  const cols = Object.keys(row);
+  return db.prepare(
+    `INSERT INTO ${table} (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => row[c]));
+}
+
+// Takes a commit's rows back out after some busy bookings lost their hours,
+// so the import saves all of its rows or none
+function undoImport(db, user, ids, taken) {
+  const pages = [];
+  for (let i = 0; i < ids.length; i += 100) pages.push(ids.slice(i, i + 100));
+  return db.batch([
+    ...pages.map(page => db.prepare(
+      `DELETE FROM bookings WHERE id IN (${page.map(() => "?").join(", ")})`
+    ).bind(...page)),
+    auditStatement(db, user, {
+      action: "booking.import_undone", entity_type: "booking",
+      before: { ids }, after: { reason: "overlap", taken: taken.map(r => r.id) },
+    }),
+  ]);
+}
+
+// ── Checking ──────────────────────────────────────────────────────────────────
+// → { rows: [row to insert], errors, skipped, warnings } (see the header)
+async function checkRows(db, entity, parsed, opts) {
+  const errors = [], skipped = [], warnings = [];
+  const normalized = [];
+  for (const { row, record, error } of parsed) {
+    if (error) { errors.push({ row, id: null, errors: [error] }); continue; }
+    const result = entity === "bookings" ? normalizeBooking(record, opts) : normalizeMembership(record, opts);
+    if (result.errors.length) errors.push({ row, id: result.values.id, errors: result.errors });
+    else normalized.push({ row, values: result.values });
+  }
+
+  const existing = entity === "bookings"
+    ? await loadBookingsFor(db, normalized.map(n => n.values))
+    : await loadMembershipsFor(db, normalized.map(n => n.values));
+
+  const seenIds = new Map(), seenKeys = new Map(), placed = [];
+  const rows = [];
+  for (const { row, values } of normalized) {
+    const duplicate = duplicateOf(entity, values, existing, seenIds, seenKeys);
+    seenIds.set(values.id, row);
+    for (const key of naturalKeys(entity, values)) if (!seenKeys.has(key)) seenKeys.set(key, row);
+
+    if (duplicate) {
+      if (opts.skipDuplicates) skipped.push({ row, id: values.id, reason: duplicate });
+      else errors.push({ row, id: values.id, errors: [duplicate] });
+      continue;
+    }
+
+    if (entity === "bookings" && BUSY_STATUSES.includes(values.status)) {
+      const clash = overlapOf(values, existing.busy, placed);
+      placed.push({ ...values, row });
+      if (clash) {
+        if (!opts.override.includes("overlap")) {
+          errors.push({ row, id: values.id, errors: [clash] });
+          continue;
+        }
+        warnings.push({ row, id: values.id, warnings: [clash] });
+        values.overrides = JSON.stringify(["overlap"]);
+      }
+    }
+    rows.push(values);
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { rows, errors, skipped, warnings };
+}
+
+// What makes two rows the same record, besides the id
+function naturalKeys(entity, v) {
+  if (entity === "bookings") {
+    if (v.kind !== "booking") return [];
+    const who = emailKey(v.email) ?? phoneKey(v.phone) ?? (String(v.name ?? "").trim().toLowerCase() || null);
+    return who ? [`${v.date}|${v.start_hour}|${who}`] : [];
+  }
+  const day = v.created_at.slice(0, 10);
+  return [emailKey(v.email), phoneKey(v.phone)].filter(Boolean).map(k => `${day}|${k}`);
+}
+
+// → why `values` duplicates a saved record or an earlier row, or null
+function duplicateOf(entity, values, existing, seenIds, seenKeys) {
+  if (existing.ids.has(values.id)) return `Duplicate: id ${values.id} is already saved.`;
+  if (seenIds.has(values.id))      return `Duplicate: id ${values.id} repeats row ${seenIds.get(values.id)}.`;
+
+  for (const key of naturalKeys(entity, values)) {
+    const saved = existing.keys.get(key);
+    if (saved) {
+      return entity === "bookings"
+        ? `Duplicate: booking ${saved} is the same person at the same date and hour.`
+        : `Duplicate: application ${saved} came in the same day from the same email or phone.`;
+    }
+    if (seenKeys.has(key)) {
+      return entity === "bookings"
+        ? `Duplicate: row ${seenKeys.get(key)} is the same person at the same date and hour.`
+        : `Duplicate: row ${seenKeys.get(key)} came in the same day from the same email or phone.`;
+    }
+  }
+  return null;
+}
+
+// → why a busy booking can't have its hours, or null
+function overlapOf(v, busy, placed) {
+  const clashes = b => b.date === v.date && b.start_hour < v.end_hour && b.end_hour > v.start_hour;
+  const saved = busy.find(clashes);
+  if (saved) {
+    return `Overlaps ${saved.kind === "block" ? "block" : "booking"} ${saved.id} (${saved.date}, ${saved.start_hour}:00–${saved.end_hour}:00).`;
+  }
+  const earlier = placed.find(clashes);
+  return earlier ? `Overlaps row ${earlier.row} of this file.` : null;
+}
+
+// ── Saved records ─────────────────────────────────────────────────────────────
+// Ids already saved, in pages of 100 so the bind count stays small
+async function savedIds(db, table, ids) {
+  const found = new Set();
+  for (let i = 0; i < ids.length; i += 100) {
+    const page = ids.slice(i, i + 100);
+    const { results } = await db.prepare(
+      `SELECT id FROM ${table} WHERE id IN (${page.map(() => "?").join(", ")})`
+    ).bind(...page).all();
+    for (const r of results || []) found.add(r.id);
+  }
+  return found;
+}
+
+// → { ids, keys: Map(natural key → id), busy: [saved busy bookings] } over
+//   the dates the file covers
+async function loadBookingsFor(db, rows) {
+  const ids = await savedIds(db, "bookings", rows.map(r => r.id));
+  if (!rows.length) return { ids, keys: new Map(), busy: [] };
+
+  const dates = rows.map(r => r.date).sort();
+  const { results } = await db.prepare(
+    `SELECT id, kind, date, start_hour, end_hour, name, email, phone, status
+       FROM bookings WHERE date BETWEEN ? AND ?`
+  ).bind(dates[0], dates[dates.length - 1]).all();
+
+  const keys = new Map(), busy = [];
+  for (const b of results || []) {
+    for (const key of naturalKeys("bookings", b)) if (!keys.has(key)) keys.set(key, b.id);
+    if (BUSY_STATUSES.includes(b.status)) busy.push(b);
+  }
+  return { ids, keys, busy };
+}
+
+// → { ids, keys: Map(natural key → id) } over the days the file covers
+async function loadMembershipsFor(db, rows) {
+  const ids = await savedIds(db, "membership_applications", rows.map(r => r.id));
+  if (!rows.length) return { ids, keys: new Map() };
+
+  const days = rows.map(r => r.created_at.slice(0, 10)).sort();
+  const { results } = await db.prepare(
+    `SELECT id, email, phone, created_at FROM membership_applications
+      WHERE substr(created_at, 1, 10) BETWEEN ? AND ?`
+  ).bind(days[0], days[days.length - 1]).all();
+
+  const keys = new Map();
+  for (const m of results || []) {
+    if (!m.created_at) continue;
+    for (const key of naturalKeys("memberships", m)) if (!keys.has(key)) keys.set(key, m.id);
+  }
+  return { ids, keys };
+}
+
+// ── Fields ────────────────────────────────────────────────────────────────────
+// CSV gives every value as text, NDJSON may give numbers or nulls; both come
+// out as trimmed text, with "" meaning not set
+function field(record, name) {
+  const value = record[name];
+  if (value == null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value).trim();
+}
+
+function isTimestamp(str) {
+  return /^\d{4}-\d{2}-\d{2}T/.test(str) && !isNaN(new Date(str).getTime());
+}
+
+// Columns both entities read the same way. Adds to `values`, `errors`.
+function commonFields(entity, record, values, errors, { now }) {
+  // Ids end up in the admin page's markup, so only plain characters
+  const id = field(record, "id");
+  if (id && !ID_PATTERN.test(id)) errors.push("id must be 1–100 letters, digits, hyphens or underscores.");
+  values.id = id || crypto.randomUUID();
+
+  for (const [name, max] of Object.entries(TEXT_LIMITS[entity])) {
+    const value = field(record, name);
+    if (value.length > max) errors.push(`${name} is longer than ${max} characters.`);
+    values[name] = value || null;
+  }
+
+  const email = field(record, "email");
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push(`Invalid email "${email}".`);
+  values.email = email || null;
+
+  const phone = field(record, "phone");
+  if (phone && !phoneKey(phone)) errors.push(`Invalid phone "${phone}".`);
+  values.phone = phone || null;
+
+  const { statuses } = ENTITIES[entity];
+  const status = field(record, "status") || statuses[0];
+  if (!statuses.includes(status)) errors.push(`Invalid status "${status}". Valid: ${statuses.join(", ")}`);
+  values.status = status;
+
+  for (const name of DATE_COLUMNS[entity]) {
+    const value = field(record, name);
+    if (value && !isDate(value)) errors.push(`Invalid ${name} (expect YYYY-MM-DD).`);
+    values[name] = value || null;
+  }
+  for (const name of [...TIMESTAMP_COLUMNS[entity], "created_at"]) {
+    const value = field(record, name);
+    if (value && !isTimestamp(value)) errors.push(`Invalid ${name} (expect an ISO timestamp, e.g. 2026-10-19T14:00:00Z).`);
+    values[name] = value || null;
+  }
+  values.created_at ??= now;
+}
+
+// → { values, errors }
+function normalizeBooking(record, opts) {
+  const values = {}, errors = [];
+  commonFields("bookings", record, values, errors, opts);
+
+  const kind = field(record, "kind") || "booking";
+  if (!["booking", "block"].includes(kind)) errors.push(`Invalid kind "${kind}". Valid: booking, block`);
+  values.kind = kind;
+
+  values.date = field(record, "date");
+  if (!isDate(values.date)) errors.push("Invalid date (expect YYYY-MM-DD).");
+
+  const hour = name => {
+    const value = field(record, name);
+    if (!value) return null;
+    const n = Number(value);
+    return Number.isInteger(n) ? n : NaN;
+  };
+  const start_hour = hour("start_hour"), duration = hour("duration_hours");
+  const end_hour   = hour("end_hour") ?? (start_hour != null && duration != null ? start_hour + duration : null);
+  if (!Number.isInteger(start_hour) || !Number.isInteger(end_hour) ||
+      start_hour < 0 || end_hour > 24 || start_hour >= end_hour) {
+    errors.push("start_hour and end_hour must be whole hours with 0 ≤ start < end ≤ 24.");
+  } else if (duration != null && duration !== end_hour - start_hour) {
+    errors.push("duration_hours doesn't match start_hour and end_hour.");
+  }
+  Object.assign(values, { start_hour, end_hour, duration_hours: end_hour - start_hour });
+
+  if (kind === "booking") {
+    if (!values.service) errors.push("service is required.");
+    if (!values.name)    errors.push("name is required.");
+  }
+
+  for (const name of ["quote_total_cents", "final_price_cents"]) {
+    const value = field(record, name);
+    const cents = Number(value);
+    if (value && !(Number.isInteger(cents) && cents >= 0)) errors.push(`${name} must be a whole number of cents.`);
+    values[name] = value ? cents : null;
+  }
+
+  const quote = field(record, "quote");
+  if (quote) {
+    try {
+      const parsed = JSON.parse(quote);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("not an object");
+    } catch {
+      errors.push("quote must be a JSON object.");
+    }
+  }
+  values.quote = quote || null;
+  values.created_by ??= opts.user?.email ?? null;
+
+  return { values, errors };
+}
+
+// → { values, errors }
+function normalizeMembership(record, opts) {
+  const values = {}, errors = [];
+  commonFields("memberships", record, values, errors, opts);
+
+  if (!values.name) errors.push("name is required.");
+  if (!values.email && !values.phone) errors.push("An email or a phone number is required.");
+
+  if (values.status === "waitlisted") values.waitlisted_at ??= values.created_at;
+  values.event_log = JSON.stringify([{
+    event: "imported", note: "Imported from a file.", at: opts.now, by: opts.user?.email ?? null,
+  }]);
+
+  return { values, errors };
+}
@@ -0,0 +1,327 @@
+// =============================================================================
+// /functions/api/admin/member-visits.js
+// Recurring visit series for members (see _lib/member-visits.js).
+//
+// GET  /api/admin/member-visits[?membership_id=…]
+//   → { ok, series: [...], visits: [...], conflicts: [...] }
+//     visits: series bookings from today on (any status);
+//     conflicts: occurrences still waiting for a slot
+//
+// POST /api/admin/member-visits   Body: { action, ... }
+//   action: "create_series"  { membership_id, anchor_date, start_hour, service,
+//                              interval_days? (default 14) } → books the first
+//                              visits straight away
+//           "end_series"     { series_id } → upcoming visits are cancelled
+//           "skip_visit"     { booking_id } → cancels one visit; its
+//                              occurrence is not booked again
+//           "place_visit"    { series_id, series_date, date, start_hour }
+//                              → books a conflicting occurrence at another time
+//           "skip_conflict"  { series_id, series_date } → stop retrying it
+//
+// Visits are moved with the regular booking move (POST /api/admin,
+// action "move"), which lets them go as far ahead as the series books.
+//
+// Series are owner only (memberships.decide); skipping and placing single
+// visits needs bookings.change. Every change is recorded in the audit log.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { loadCatalog } from "../../_lib/services.js";
+import { loadSchedule, dayHours, studioToday } from "../../_lib/schedule.js";
+import { checkMove, insertBookingStatement } from "../../_lib/bookings.js";
+import { runMemberVisits, endSeriesStatements, visitRow } from "../../_lib/member-visits.js";
+import { appendEventStatement } from "../../_lib/membership.js";
+import { sendCancellationEmail } from "../../_lib/booking-emails.js";
+import { isDate, daysBetween } from "../../_lib/dates.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = ["create_series", "end_series", "skip_visit", "place_visit", "skip_conflict"];
+const SERIES_ACTIONS = ["create_series", "end_series"];
+const VALID_INTERVALS = [7, 14, 21, 28];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "memberships.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const membershipId = new URL(request.url).searchParams.get("membership_id");
+  const filter = membershipId ? "AND s.membership_id = ?" : "";
+  const binds  = membershipId ? [membershipId] : [];
+
+  try {
+    const schedule = await loadSchedule(env.DB, new Date().toISOString().slice(0, 10));
+    const today    = studioToday(schedule);
+
+    const [seriesRes, visitsRes, conflictsRes] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT s.*, m.name AS member_name
+           FROM member_visit_series s
+           JOIN membership_applications m ON m.id = s.membership_id
+          WHERE 1 = 1 ${filter}
+          ORDER BY s.status ASC, s.created_at DESC`
+      ).bind(...binds),
+      env.DB.prepare(
+        `SELECT b.id, b.date, b.start_hour, b.end_hour, b.service, b.status,
+                b.series_id, b.series_date, b.membership_id, b.name
+           FROM bookings b
+           JOIN member_visit_series s ON s.id = b.series_id
+          WHERE b.date >= ? ${filter}
+          ORDER BY b.date ASC, b.start_hour ASC`
+      ).bind(today, ...binds),
+      env.DB.prepare(
+        `SELECT c.series_id, c.series_date, c.reason, c.detected_at,
+                s.membership_id, s.start_hour, s.service, m.name AS member_name
+           FROM member_visit_conflicts c
+           JOIN member_visit_series s ON s.id = c.series_id
+           JOIN membership_applications m ON m.id = s.membership_id
+          WHERE c.resolved_at IS NULL ${filter}
+          ORDER BY c.series_date ASC`
+      ).bind(...binds),
+    ]);
+
+    return json({
+      ok:        true,
+      today,
+      series:    seriesRes.results || [],
+      visits:    visitsRes.results || [],
+      conflicts: conflictsRes.results || [],
+    });
+  } catch (e) {
+    console.error("[admin/member-visits] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+  if (SERIES_ACTIONS.includes(action) && !can(data.user, "memberships.decide")) {
+    return json({ ok: false, error: "Only the owner can set up or end visit series." }, 403);
+  }
+  if (!can(data.user, "bookings.change")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  try {
+    if (action === "create_series") return await createSeries(env, data.user, body);
+    if (action === "end_series")    return await endSeries(env, data.user, body);
+    if (action === "skip_visit")    return await skipVisit(env, data.user, body);
+    if (action === "place_visit")   return await placeVisit(env, data.user, body);
+    return await skipConflict(env, data.user, body);
+  } catch (e) {
+    console.error(`[admin/member-visits] ${action} error:`, e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+// ── Series ────────────────────────────────────────────────────────────────────
+async function createSeries(env, user, body) {
+  const membership_id = sanitize(body.membership_id, 40);
+  const anchor_date   = sanitize(body.anchor_date, 10);
+  const service       = sanitize(body.service, 80);
+  const start_hour    = Number(body.start_hour);
+  const interval_days = body.interval_days == null ? 14 : Number(body.interval_days);
+
+  if (!membership_id) return json({ ok: false, error: "Missing membership_id." }, 400);
+  if (!isDate(anchor_date)) return json({ ok: false, error: "anchor_date must be YYYY-MM-DD." }, 400);
+  if (!Number.isInteger(start_hour)) return json({ ok: false, error: "start_hour must be an integer hour." }, 400);
+  if (!VALID_INTERVALS.includes(interval_days)) {
+    return json({ ok: false, error: `interval_days must be one of ${VALID_INTERVALS.join(", ")}.` }, 400);
+  }
+
+  const [member, running, catalog, schedule] = await Promise.all([
+    env.DB.prepare(`SELECT id, status FROM membership_applications WHERE id = ?`).bind(membership_id).first(),
+    env.DB.prepare(
+      `SELECT id FROM member_visit_series WHERE membership_id = ? AND status = 'active'`
+    ).bind(membership_id).first(),
+    loadCatalog(env.DB),
+    loadSchedule(env.DB, anchor_date),
+  ]);
+
+  if (!member) return json({ ok: false, error: "Membership not found." }, 404);
+  if (!["accepted", "active"].includes(member.status)) {
+    return json({ ok: false, error: `Visits can only be set up for accepted or active members (this one is '${member.status}').` }, 409);
+  }
+  if (running) return json({ ok: false, error: "This member already has a visit series. End it first." }, 409);
+
+  const serviceRow = catalog.find(s => s.name === service);
+  if (!serviceRow) {
+    return json({ ok: false, error: `Unknown service. Valid: ${catalog.map(s => s.name).join(", ")}` }, 400);
+  }
+
+  const ahead = daysBetween(studioToday(schedule), anchor_date);
+  if (ahead < 1 || ahead > 365) {
+    return json({ ok: false, error: "anchor_date must be between tomorrow and a year from now." }, 400);
+  }
+  const day = dayHours(schedule, anchor_date);
+  if (!day.open) return json({ ok: false, error: "The studio is closed on the first visit date." }, 400);
+  if (start_hour < day.open_hour || start_hour + serviceRow.duration_hours > day.close_hour) {
+    return json({ ok: false, error: "The visit doesn't fit inside opening hours on the first visit date." }, 400);
+  }
+
+  const id  = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const series = {
+    membership_id, anchor_date, interval_days, start_hour,
+    service, duration_hours: serviceRow.duration_hours,
+  };
+
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO member_visit_series
+         (id, membership_id, anchor_date, interval_days, start_hour, service,
+          duration_hours, status, created_at, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)`
+    ).bind(id, membership_id, anchor_date, interval_days, start_hour, service,
+           serviceRow.duration_hours, now, user.email),
+    appendEventStatement(env.DB, membership_id, {
+      event: "visits_scheduled",
+      note:  `Recurring visits every ${interval_days} days from ${anchor_date} at ${start_hour}:00 (${service}).`,
+      at: now, by: user.email,
+    }),
+    auditStatement(env.DB, user, {
+      action: "member_visits.create", entity_type: "member_visit_series", entity_id: id, after: series,
+    }),
+  ]);
+
+  const filled = await runMemberVisits(env, new Date(), { seriesId: id });
+  return json({ ok: true, id, booked: filled.booked, conflicts: filled.conflicts }, 201);
+}
+
+async function endSeries(env, user, body) {
+  const id = sanitize(body.series_id, 40);
+  if (!id) return json({ ok: false, error: "Missing series_id." }, 400);
+
+  const series = await env.DB.prepare(`SELECT * FROM member_visit_series WHERE id = ?`).bind(id).first();
+  if (!series) return json({ ok: false, error: "Series not found." }, 404);
+  if (series.status !== "active") return json({ ok: false, error: "This series has already ended." }, 409);
+
+  const now      = new Date().toISOString();
+  const schedule = await loadSchedule(env.DB, now.slice(0, 10));
+  const results  = await env.DB.batch([
+    ...endSeriesStatements(env.DB, id, studioToday(schedule), now),
+    appendEventStatement(env.DB, series.membership_id, {
+      event: "visits_ended", note: "Recurring visits stopped; upcoming visits cancelled.", at: now, by: user.email,
+    }),
+    auditStatement(env.DB, user, {
+      action: "member_visits.end", entity_type: "member_visit_series", entity_id: id,
+      before: { status: "active" }, after: { status: "ended" },
+    }),
+  ]);
+
+  return json({ ok: true, id, cancelled: results[1].meta?.changes ?? 0 });
+}
+
+// ── Single visits ─────────────────────────────────────────────────────────────
+async function skipVisit(env, user, body) {
+  const id = sanitize(body.booking_id, 40);
+  if (!id) return json({ ok: false, error: "Missing booking_id." }, 400);
+
+  const booking = await env.DB.prepare(
+    `SELECT id, name, email, date, start_hour, end_hour, service, series_id, series_date
+       FROM bookings WHERE id = ? AND series_id IS NOT NULL AND status = 'active'`
+  ).bind(id).first();
+  if (!booking) return json({ ok: false, error: "Member visit not found or already cancelled." }, 404);
+
+  const [result] = await env.DB.batch([
+    env.DB.prepare(`UPDATE bookings SET status = 'cancelled' WHERE id = ? AND status = 'active'`).bind(id),
+    auditStatement(env.DB, user, {
+      action: "member_visits.skip", entity_type: "booking", entity_id: id,
+      before: { status: "active", date: booking.date }, after: { status: "cancelled" },
+    }, { ifChanged: true }),
+  ]);
+  if ((result.meta?.changes ?? 0) === 0) {
+    return json({ ok: false, error: "Member visit not found or already cancelled." }, 404);
+  }
+
+  await sendCancellationEmail(booking, env);
+  return json({ ok: true, id });
+}
+
+async function placeVisit(env, user, body) {
+  const series_id   = sanitize(body.series_id, 40);
+  const series_date = sanitize(body.series_date, 10);
+  const date        = sanitize(body.date, 10);
+  const start_hour  = Number(body.start_hour);
+  if (!series_id || !series_date) return json({ ok: false, error: "Missing series_id or series_date." }, 400);
+
+  const series = await env.DB.prepare(
+    `SELECT s.*, m.name, m.phone, m.email, m.vehicle, m.city, m.customer_id, m.vehicle_id
+       FROM member_visit_conflicts c
+       JOIN member_visit_series s ON s.id = c.series_id
+       JOIN membership_applications m ON m.id = s.membership_id
+      WHERE c.series_id = ? AND c.series_date = ? AND c.resolved_at IS NULL`
+  ).bind(series_id, series_date).first();
+  if (!series) return json({ ok: false, error: "No open conflict for that visit." }, 404);
+
+  // Same rules as moving a visit: open, in hours, not past, slot free
+  const check = await checkMove(env.DB, {
+    id: "", status: "active", duration_hours: series.duration_hours, series_id,
+  }, date, start_hour);
+  if (!check.ok) return json({ ok: false, error: check.error }, check.status);
+
+  const id  = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const [inserted] = await env.DB.batch([
+    insertBookingStatement(env.DB, visitRow(series, { id, series_date, date, start_hour, at: now })),
+    auditStatement(env.DB, user, {
+      action: "member_visits.place", entity_type: "booking", entity_id: id,
+      after: { series_id, series_date, date, start_hour, end_hour: check.end_hour },
+    }, { ifChanged: true }),
+    env.DB.prepare(
+      `UPDATE member_visit_conflicts SET resolved_at = ?, resolution = 'placed'
+        WHERE series_id = ? AND series_date = ? AND resolved_at IS NULL
+          AND EXISTS (SELECT 1 FROM bookings WHERE id = ?)`
+    ).bind(now, series_id, series_date, id),
+  ]);
+  if ((inserted.meta?.changes ?? 0) === 0) {
+    return json({ ok: false, error: "Target time is already booked." }, 409);
+  }
+
+  return json({ ok: true, id, date, start_hour, end_hour: check.end_hour }, 201);
+}
+
+async function skipConflict(env, user, body) {
+  const series_id   = sanitize(body.series_id, 40);
+  const series_date = sanitize(body.series_date, 10);
+  if (!series_id || !series_date) return json({ ok: false, error: "Missing series_id or series_date." }, 400);
+
+  const [result] = await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE member_visit_conflicts SET resolved_at = ?, resolution = 'skipped'
+        WHERE series_id = ? AND series_date = ? AND resolved_at IS NULL`
+    ).bind(new Date().toISOString(), series_id, series_date),
+    auditStatement(env.DB, user, {
+      action: "member_visits.skip", entity_type: "member_visit_series", entity_id: series_id,
+      after: { series_date, resolution: "skipped" },
+    }, { ifChanged: true }),
+  ]);
+  if ((result.meta?.changes ?? 0) === 0) return json({ ok: false, error: "No open conflict for that visit." }, 404);
+
+  return json({ ok: true, series_id, series_date });
+}
@@ -2,15 +2,53 @@
 // /functions/api/admin/membership-action.js
 // POST /api/admin/membership-action
 //
-// Body: { id, action, reason? }
-// action: "accept" | "reject" | "cancel" | "cancel_immediate"
-// Protected by x-admin-token header.
+// Body: { id, action, reason?, start_date? }
+// action: "accept"             { start_date?: YYYY-MM-DD } → the member
+//                                becomes active on first payment or on
+//                                start_date, whichever comes first
+//                                (_lib/membership-lifecycle.js)
+//                                Refused (409) once the roster is full.
+//         "reject"             { reason } pending / waitlisted → rejected
+//         "waitlist"           pending → waitlisted (back of the queue)
+//         "offer"              waitlisted → pending, e.g. the next in line
+//                                once a spot opens
+//         "cancel"             accepted / active → cancel_scheduled, ends
+//                                30 days out
+//         "undo_cancel"        → back to the previous status, while the
+//                                30 days haven't passed
+//         "cancel_immediate"   accepted / active / cancel_scheduled →
+//                                cancelled now, Square subscription and
+//                                upcoming member visits too; the freed spot
+//                                is offered on if auto-offer is on
+//         "send_payment_link"  → (re)send the Square link to an accepted
+//                                applicant
+// Accepting also creates a Square subscription payment link and emails it
+// (see _lib/membership-billing.js) when Square is configured; the response
+// then carries { payment_link: { ok, url?, sent_to?, error? } }. A Square
+// failure doesn't undo the acceptance — use send_payment_link to retry.
+//
+// Every action except send_payment_link emails the applicant (see
+// _lib/membership-emails.js); the email is logged in event_log too.
+//
+// Owner only. Each event_log entry records which admin acted ("by").
+// Requires an admin session (functions/_middleware.js).
 // =============================================================================
 
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { squareConfigured } from "../../_lib/square.js";
+import { sendPaymentLink } from "../../_lib/membership-billing.js";
+import { notifyMember } from "../../_lib/membership-emails.js";
+import { endSquareSubscription } from "../../_lib/membership-lifecycle.js";
+import { endMemberVisits } from "../../_lib/member-visits.js";
+import { loadRoster, waitlistPosition, fillOpenSpots, SEATS_TAKEN_SQL } from "../../_lib/membership-roster.js";
+import { appendEventStatement } from "../../_lib/membership.js";
+import { isDate } from "../../_lib/dates.js";
+
 const CORS = {
   "access-control-allow-origin":  "https://lussoautostudio.ca",
   "access-control-allow-methods": "POST, OPTIONS",
-  "access-control-allow-headers": "content-type, x-admin-token",
+  "access-control-allow-headers": "content-type",
 };
 
 function json(data, status = 200) {
@@ -28,11 +66,9 @@ export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: CORS });
 }
 
-export async function onRequestPost({ request, env }) {
-  // ── Auth ──────────────────────────────────────────────────────────────────
-  const token = request.headers.get("x-admin-token");
-  if (!token || token !== env.ADMIN_TOKEN) {
-    return json({ ok: false, error: "Unauthorized" }, 401);
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "memberships.decide")) {
+    return json({ ok: false, error: "Only the owner can make membership decisions." }, 403);
   }
 
   // ── Parse ─────────────────────────────────────────────────────────────────
@@ -47,7 +83,9 @@ export async function onRequestPost({ request, env }) {
   if (!id)     return json({ ok: false, error: "Missing id." }, 400);
   if (!action) return json({ ok: false, error: "Missing action." }, 400);
 
-  const VALID_ACTIONS = ["accept", "reject", "cancel", "cancel_immediate"];
+  const VALID_ACTIONS = [
+    "accept", "reject", "waitlist", "offer", "cancel", "undo_cancel", "cancel_immediate", "send_payment_link",
+  ];
   if (!VALID_ACTIONS.includes(action)) {
     return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
   }
@@ -56,11 +94,16 @@ export async function onRequestPost({ request, env }) {
     return json({ ok: false, error: "Rejection reason is required." }, 400);
   }
 
+  const start_date = sanitize(body.start_date, 10) || null;
+  if (start_date && !isDate(start_date)) {
+    return json({ ok: false, error: "start_date must be YYYY-MM-DD." }, 400);
+  }
+
   // ── Fetch existing record ──────────────────────────────────────────────────
   let existing;
   try {
     existing = await env.DB.prepare(
-      `SELECT id, status, event_log FROM membership_applications WHERE id = ?`
+      `SELECT * FROM membership_applications WHERE id = ?`
     ).bind(id).first();
   } catch (e) {
     console.error("[membership-action] DB fetch error:", e?.message ?? e);
@@ -72,28 +115,77 @@ export async function onRequestPost({ request, env }) {
   }
 
   const now      = new Date().toISOString();
-  let eventLog   = [];
-  try { eventLog = JSON.parse(existing.event_log || "[]"); } catch {}
+  const by       = data.user.email;
+
+  // ── Payment link only — no status change ─────────────────────────────────
+  if (action === "send_payment_link") {
+    if (existing.status !== "accepted") {
+      return json({ ok: false, error: `Payment links are only sent to accepted applications (this one is '${existing.status}').` }, 409);
+    }
+    if (!squareConfigured(env)) {
+      return json({ ok: false, error: "Square billing is not configured." }, 503);
+    }
+    let payment_link;
+    try {
+      payment_link = await sendPaymentLink(env, existing, by);
+    } catch (e) {
+      console.error("[membership-action] payment link error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+    if (!payment_link.ok) return json({ ok: false, error: payment_link.error }, 502);
+    return json({ ok: true, id, action, payment_link });
+  }
 
   // ── Apply action ──────────────────────────────────────────────────────────
-  let updateSQL   = "";
-  let updateBinds = [];
+  // Each update appends its event in SQL (_lib/membership.js), so entries a
+  // webhook, the scheduler or an email adds meanwhile are kept
+  let update;
+  let after = {};
 
   if (action === "accept") {
     if (!["pending"].includes(existing.status)) {
       return json({ ok: false, error: `Cannot accept an application with status '${existing.status}'.` }, 409);
     }
-    eventLog.push({ event: "accepted", note: "Application accepted by admin.", at: now });
-    updateSQL   = `UPDATE membership_applications SET status = 'accepted', event_log = ? WHERE id = ?`;
-    updateBinds = [JSON.stringify(eventLog), id];
+    let roster;
+    try { roster = await loadRoster(env.DB); }
+    catch (e) {
+      console.error("[membership-action] roster error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+    if (roster.open === 0) {
+      return json({ ok: false, error: `The roster is full (${roster.members} of ${roster.capacity} spots taken).` }, 409);
+    }
+    after  = { status: "accepted", start_date };
+    // The capacity is checked again in SQL, so two accepts can't both take the last spot
+    update = appendEventStatement(env.DB, id, {
+      event: "accepted",
+      note:  `Application accepted by admin.${start_date ? ` Membership starts ${start_date}.` : ""}`,
+      at: now, by,
+    }, after, "pending", roster.capacity != null ? { sql: `${SEATS_TAKEN_SQL} < ?`, binds: [roster.capacity] } : null);
 
   } else if (action === "reject") {
-    if (!["pending"].includes(existing.status)) {
+    if (!["pending", "waitlisted"].includes(existing.status)) {
       return json({ ok: false, error: `Cannot reject an application with status '${existing.status}'.` }, 409);
     }
-    eventLog.push({ event: "rejected", note: `Rejected. Reason: ${reason}`, at: now });
-    updateSQL   = `UPDATE membership_applications SET status = 'rejected', rejection_reason = ?, event_log = ? WHERE id = ?`;
-    updateBinds = [reason, JSON.stringify(eventLog), id];
+    after  = { status: "rejected", rejection_reason: reason };
+    update = appendEventStatement(env.DB, id, { event: "rejected", note: `Rejected. Reason: ${reason}`, at: now, by },
+                                  after, ["pending", "waitlisted"]);
+
+  } else if (action === "waitlist") {
+    if (existing.status !== "pending") {
+      return json({ ok: false, error: `Only pending applications can be waitlisted (this one is '${existing.status}').` }, 409);
+    }
+    after  = { status: "waitlisted" };
+    update = appendEventStatement(env.DB, id, { event: "waitlisted", note: "Moved to the waitlist by admin.", at: now, by },
+                                  { ...after, waitlisted_at: now }, "pending");
+
+  } else if (action === "offer") {
+    if (existing.status !== "waitlisted") {
+      return json({ ok: false, error: `Only waitlisted applications can be offered a spot (this one is '${existing.status}').` }, 409);
+    }
+    after  = { status: "pending" };
+    update = appendEventStatement(env.DB, id,
+      { event: "spot_offered", note: "Offered a spot — moved from the waitlist back to review.", at: now, by }, after, "waitlisted");
 
   } else if (action === "cancel") {
     // Graceful cancel — membership stays active for 30 more days
@@ -101,26 +193,95 @@ export async function onRequestPost({ request, env }) {
       return json({ ok: false, error: `Cannot cancel an application with status '${existing.status}'.` }, 409);
     }
     const cancelAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-    eventLog.push({ event: "cancel_scheduled", note: `Membership will end on ${cancelAt.slice(0,10)}.`, at: now });
-    updateSQL   = `UPDATE membership_applications SET status = 'cancel_scheduled', cancel_at = ?, event_log = ? WHERE id = ?`;
-    updateBinds = [cancelAt, JSON.stringify(eventLog), id];
+    after  = { status: "cancel_scheduled", cancel_at: cancelAt };
+    update = appendEventStatement(env.DB, id,
+      { event: "cancel_scheduled", note: `Membership will end on ${cancelAt.slice(0,10)}.`, at: now, by },
+      { ...after, status_before_cancel: existing.status }, ["active", "accepted"]);
+
+  } else if (action === "undo_cancel") {
+    if (existing.status !== "cancel_scheduled") {
+      return json({ ok: false, error: `Only a scheduled cancellation can be undone (status is '${existing.status}').` }, 409);
+    }
+    if (existing.cancel_at && existing.cancel_at <= now) {
+      return json({ ok: false, error: "The cancellation date has already passed." }, 409);
+    }
+    // Rows scheduled before status_before_cancel existed: infer from activation
+    const restored = existing.status_before_cancel || (existing.activated_at ? "active" : "accepted");
+    after  = { status: restored, cancel_at: null };
+    update = appendEventStatement(env.DB, id,
+      { event: "cancel_undone", note: `Scheduled cancellation withdrawn; membership is ${restored} again.`, at: now, by },
+      { ...after, status_before_cancel: null }, "cancel_scheduled");
 
   } else if (action === "cancel_immediate") {
-    eventLog.push({ event: "cancelled_immediate", note: "Membership cancelled immediately by admin.", at: now });
-    updateSQL   = `UPDATE membership_applications SET status = 'cancelled', cancelled_at = ?, event_log = ? WHERE id = ?`;
-    updateBinds = [now, JSON.stringify(eventLog), id];
+    if (!["accepted", "active", "cancel_scheduled"].includes(existing.status)) {
+      return json({ ok: false, error: `Cannot cancel an application with status '${existing.status}'.` }, 409);
+    }
+    after  = { status: "cancelled", cancelled_at: now };
+    // Status-guarded, so a repeat (or a race with the scheduler) can't end
+    // the subscription, the visits or offer the spot a second time
+    update = appendEventStatement(env.DB, id,
+      { event: "cancelled_immediate", note: "Membership cancelled immediately by admin.", at: now, by },
+      after, ["accepted", "active", "cancel_scheduled"]);
   }
 
   // ── Execute ───────────────────────────────────────────────────────────────
   try {
-    const result = await env.DB.prepare(updateSQL).bind(...updateBinds).run();
-    if (result.changes === 0) {
-      return json({ ok: false, error: "No rows updated. Application may not exist." }, 404);
+    const [result] = await env.DB.batch([
+      update,
+      auditStatement(env.DB, data.user, {
+        action: `membership.${action}`, entity_type: "membership", entity_id: id,
+        before: { status: existing.status, ...(action === "undo_cancel" ? { cancel_at: existing.cancel_at } : {}) }, after,
+      }, { ifChanged: true }),
+    ]);
+    if ((result.meta?.changes ?? 0) === 0) {
+      // Another admin (or the scheduler) got there first, or took the last spot
+      if (action === "accept") {
+        return json({ ok: false, error: "The roster filled up or the application changed. Refresh and try again." }, 409);
+      }
+      return json({ ok: false, error: "The application changed meanwhile. Refresh and try again." }, 409);
     }
   } catch (e) {
     console.error("[membership-action] DB update error:", e?.message ?? e);
     return json({ ok: false, error: "A server error occurred." }, 500);
   }
 
+  // ── Billing + member email ─────────────────────────────────────────────────
+  const member = { ...existing, ...after };
+  if (action === "cancel_immediate") {
+    await endSquareSubscription(env, existing, by);
+    await endMemberVisits(env, existing, by);
+  }
+
+  if (action === "accept") {
+    // With Square, the acceptance email carries the payment link
+    let payment_link = null;
+    if (squareConfigured(env)) {
+      try {
+        payment_link = await sendPaymentLink(env, member, by, { accepted: true });
+      } catch (e) {
+        console.error("[membership-action] payment link error:", e?.message ?? e);
+        payment_link = { ok: false, error: "A server error occurred." };
+      }
+    }
+    if (!payment_link?.ok) await notifyMember(env, member, "accepted", {}, by);
+    return json({ ok: true, id, action, ...(payment_link ? { payment_link } : {}) });
+  }
+
+  if (action === "waitlist") {
+    const position = await waitlistPosition(env.DB, id);
+    await notifyMember(env, member, "waitlisted", { position }, by);
+    return json({ ok: true, id, action, waitlist_position: position });
+  }
+
+  if (action === "reject")           await notifyMember(env, member, "rejected", { reason }, by);
+  if (action === "offer")            await notifyMember(env, member, "spot_offered", {}, by);
+  if (action === "cancel")           await notifyMember(env, member, "cancel_scheduled", { cancelAt: member.cancel_at }, by);
+  if (action === "undo_cancel")      await notifyMember(env, member, "cancel_undone", {}, by);
+  if (action === "cancel_immediate") {
+    await notifyMember(env, member, "cancelled", {}, by);
+    const offered = await fillOpenSpots(env, by);
+    if (offered.length) return json({ ok: true, id, action, offered });
+  }
+
   return json({ ok: true, id, action });
 }
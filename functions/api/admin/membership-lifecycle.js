@@ -0,0 +1,61 @@
+// =============================================================================
+// /functions/api/admin/membership-lifecycle.js
+// POST /api/admin/membership-lifecycle  { now?: ISO timestamp }
+//
+// Runs the scheduled membership transitions on demand (accepted → active,
+// cancel_scheduled → cancelled) — the same code the Cron Trigger in
+// workers/scheduler runs every 15 minutes. Pass `now` to apply everything
+// due by that moment; transitions are recorded exactly as on a scheduled run.
+//
+// Response: { ok, now, activated: [id], cancelled: [id], offered: [id] }
+// Owner only; each manual run is recorded in the audit log.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { runMembershipLifecycle } from "../../_lib/membership-lifecycle.js";
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "jobs.run")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body = {};
+  try { body = await request.json(); }
+  catch { /* empty body → run for the current time */ }
+
+  const now = body.now ? new Date(body.now) : new Date();
+  if (isNaN(now.getTime())) {
+    return json({ ok: false, error: "now must be an ISO timestamp." }, 400);
+  }
+
+  // ── Run ───────────────────────────────────────────────────────────────────
+  try {
+    const summary = await runMembershipLifecycle(env, now);
+    await auditStatement(env.DB, data.user, {
+      action: "job.membership_lifecycle", entity_type: "job", entity_id: "membership_lifecycle",
+      after: summary,
+    }).run();
+    return json({ ok: true, ...summary });
+  } catch (e) {
+    console.error("[admin/membership-lifecycle] job error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
@@ -0,0 +1,121 @@
+// =============================================================================
+// /functions/api/admin/membership-roster.js
+// Roster capacity and the membership waitlist (see _lib/membership-roster.js).
+//
+// GET  /api/admin/membership-roster
+//   → { ok, roster: { capacity, autoOffer, members, pending, waitlisted, open },
+//       waitlist: [{ id, name, email, waitlisted_at, position }] }  (queue order)
+//
+// POST /api/admin/membership-roster   Body: { action, ... }
+//   action: "set_capacity"    { capacity: integer ≥ 1, or null for no limit }
+//           "set_auto_offer"  { enabled: boolean }
+// Raising the capacity or turning auto-offer on offers any open spots to the
+// waitlist straight away (auto-offer only). Individual applicants are moved
+// with the "waitlist" / "offer" actions in membership-action.js.
+//
+// GET needs memberships.view; changes are owner only and audited.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { loadRoster, fillOpenSpots, WAITLIST_POSITION_SQL } from "../../_lib/membership-roster.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = ["set_capacity", "set_auto_offer"];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ env, data }) {
+  if (!can(data.user, "memberships.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  try {
+    const [roster, waitlistRes] = await Promise.all([
+      loadRoster(env.DB),
+      env.DB.prepare(
+        `SELECT m.id, m.name, m.email, m.waitlisted_at, ${WAITLIST_POSITION_SQL} AS position
+           FROM membership_applications m
+          WHERE m.status = 'waitlisted'
+          ORDER BY m.waitlisted_at ASC, m.id ASC`
+      ).all(),
+    ]);
+    return json({ ok: true, roster, waitlist: waitlistRes.results || [] });
+  } catch (e) {
+    console.error("[admin/membership-roster] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "memberships.decide")) {
+    return json({ ok: false, error: "Only the owner can change the roster." }, 403);
+  }
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+
+  let key, value, before, after;
+  try {
+    const roster = await loadRoster(env.DB);
+
+    if (action === "set_capacity") {
+      const capacity = body.capacity == null || body.capacity === "" ? null : Number(body.capacity);
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1 || capacity > 1000)) {
+        return json({ ok: false, error: "capacity must be an integer 1–1000, or null for no limit." }, 400);
+      }
+      key    = "membership_capacity";
+      value  = capacity == null ? "" : String(capacity);
+      before = { membership_capacity: roster.capacity };
+      after  = { membership_capacity: capacity };
+    } else {
+      if (typeof body.enabled !== "boolean") {
+        return json({ ok: false, error: "enabled must be true or false." }, 400);
+      }
+      key    = "membership_auto_offer";
+      value  = body.enabled ? "1" : "0";
+      before = { membership_auto_offer: roster.autoOffer };
+      after  = { membership_auto_offer: body.enabled };
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO schedule_settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+      ).bind(key, value),
+      auditStatement(env.DB, data.user, {
+        action: `membership.${action}`, entity_type: "setting", entity_id: key, before, after,
+      }),
+    ]);
+  } catch (e) {
+    console.error("[admin/membership-roster] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  const offered = await fillOpenSpots(env, data.user.email);
+  return json({ ok: true, action, roster: await loadRoster(env.DB), offered });
+}
@@ -1,13 +1,17 @@
 // =============================================================================
 // /functions/api/admin/membership.js
-// GET /api/admin/membership  →  returns all membership applications
-// Protected by x-admin-token header (same ADMIN_TOKEN secret as bookings)
+// GET /api/admin/membership  →  returns all membership applications;
+// waitlisted ones carry their waitlist_position (1 = next in line)
+// Requires an admin session (functions/_middleware.js)
 // =============================================================================
 
+import { can } from "../../_lib/auth.js";
+import { WAITLIST_POSITION_SQL } from "../../_lib/membership-roster.js";
+
 const CORS = {
   "access-control-allow-origin":  "https://lussoautostudio.ca",
   "access-control-allow-methods": "GET, OPTIONS",
-  "access-control-allow-headers": "content-type, x-admin-token",
+  "access-control-allow-headers": "content-type",
 };
 
 function json(data, status = 200) {
@@ -21,12 +25,8 @@ export async function onRequestOptions() {
   return new Response(null, { status: 204, headers: CORS });
 }
 
-export async function onRequestGet({ request, env }) {
-  // ── Auth ──────────────────────────────────────────────────────────────────
-  const token = request.headers.get("x-admin-token");
-  if (!token || token !== env.ADMIN_TOKEN) {
-    return json({ ok: false, error: "Unauthorized" }, 401);
-  }
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "memberships.view")) return json({ ok: false, error: "Forbidden" }, 403);
 
   // ── Optional status filter ─────────────────────────────────────────────────
   const url    = new URL(request.url);
@@ -34,11 +34,13 @@ export async function onRequestGet({ request, env }) {
 
   try {
     let query = `
-      SELECT id, name, phone, vehicle, city, parking, preferred_start,
-             message, status, rejection_reason, payment_link_sent_at,
-             square_subscription_id, next_billing_date, last_payment_status,
-             cancel_at, event_log, created_at
-        FROM membership_applications
+      SELECT id, name, email, phone, vehicle, city, parking, preferred_start,
+             message, status, rejection_reason, payment_link_url,
+             payment_link_sent_at, square_subscription_id,
+             square_subscription_status, next_billing_date, last_payment_status,
+             start_date, activated_at, cancel_at, waitlisted_at, event_log, created_at,
+             CASE WHEN status = 'waitlisted' THEN ${WAITLIST_POSITION_SQL} END AS waitlist_position
+        FROM membership_applications m
     `;
     const binds = [];
     if (status) {
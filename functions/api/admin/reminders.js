@@ -0,0 +1,61 @@
+// =============================================================================
+// /functions/api/admin/reminders.js
+// POST /api/admin/reminders  { now?: ISO timestamp }
+//
+// Runs the appointment reminder job on demand — the same code the Cron Trigger
+// in workers/scheduler runs every 15 minutes. Pass `now` to see what the job
+// would do at another moment (e.g. "2025-06-13T14:00:00Z"); reminders it sends
+// are recorded exactly as on a scheduled run.
+//
+// Response: { ok, now, checked, sent: [{ id, kind }], failed: [{ id, kind }] }
+// Owner only; each manual run is recorded in the audit log.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { runReminders } from "../../_lib/reminders.js";
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "jobs.run")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body = {};
+  try { body = await request.json(); }
+  catch { /* empty body → run for the current time */ }
+
+  const now = body.now ? new Date(body.now) : new Date();
+  if (isNaN(now.getTime())) {
+    return json({ ok: false, error: "now must be an ISO timestamp." }, 400);
+  }
+
+  // ── Run ───────────────────────────────────────────────────────────────────
+  try {
+    const summary = await runReminders(env, now);
+    await auditStatement(env.DB, data.user, {
+      action: "job.reminders", entity_type: "job", entity_id: "reminders",
+      after: { now: summary.now, checked: summary.checked, sent: summary.sent.length, failed: summary.failed.length },
+    }).run();
+    return json({ ok: true, ...summary });
+  } catch (e) {
+    console.error("[admin/reminders] job error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
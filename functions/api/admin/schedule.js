@@ -0,0 +1,286 @@
+// =============================================================================
+// /functions/api/admin/schedule.js
+// Manage the business calendar used by /api/book, /api/slots and /api/admin.
+//
+// GET  /api/admin/schedule
+//   → { ok, hours: [{ weekday, open_hour, close_hour }], exceptions: [...],
+//       horizon_days, cutoff_hours, timezone }
+//   Exceptions are listed from today (studio time) onwards (?all=1 for
+//   every row).
+//
+// POST /api/admin/schedule   Body: { action, ... }
+//   action: "set_hours"         { weekday: 0–6, open_hour, close_hour }
+//                               (both null → closed that weekday; one alone → 400)
+//           "add_exception"     { date | from + to, kind: "closed" | "open",
+//                                 open_hour?, close_hour?, note? }
+//                               A from/to range adds one row per date — handy
+//                               for vacations. Existing rows are replaced.
+//           "remove_exception"  { date | from + to }
+//           "set_horizon"       { days: 1–365 }
+//           "set_cutoff"        { hours: 0–168 }  → customer self-service
+//                               changes close this long before the appointment
+//           "set_timezone"      { timezone: IANA name, e.g. "America/Toronto" }
+//                               → the clock every date rule is evaluated on
+//
+// Changes are owner only and recorded in the audit log.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+import { DEFAULT_TIMEZONE, isValidTimeZone, isDate, todayIn, addDays } from "../../_lib/dates.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const MAX_RANGE_DAYS = 366;
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+function isHour(val) {
+  return Number.isInteger(val) && val >= 0 && val <= 24;
+}
+
+// Expand { date } or { from, to } into a list of YYYY-MM-DD strings
+function datesFromBody(body) {
+  const date = sanitize(body.date, 10);
+  if (date) return isDate(date) ? [date] : null;
+
+  const from = sanitize(body.from, 10);
+  const to   = sanitize(body.to, 10);
+  if (!isDate(from) || !isDate(to) || to < from) return null;
+
+  const dates = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  while (dates.length <= MAX_RANGE_DAYS) {
+    const str = cursor.toISOString().slice(0, 10);
+    if (str > to) break;
+    dates.push(str);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates.length > MAX_RANGE_DAYS ? null : dates;
+}
+
+// "2025-12-24" or "2025-12-24..2026-01-02" — audit entity_id for a date list
+function rangeLabel(dates) {
+  return dates.length > 1 ? `${dates[0]}..${dates[dates.length - 1]}` : dates[0];
+}
+
+const SETTING_KEYS = {
+  set_horizon:  "booking_horizon_days",
+  set_cutoff:   "manage_cutoff_hours",
+  set_timezone: "studio_timezone",
+};
+
+// Current value(s) a change will overwrite, for the audit "before"
+async function snapshot(db, action, body) {
+  if (action === "set_hours") {
+    return db.prepare(`SELECT open_hour, close_hour FROM business_hours WHERE weekday = ?`)
+      .bind(Number(body.weekday)).first();
+  }
+  if (action === "add_exception" || action === "remove_exception") {
+    const dates = datesFromBody(body);
+    const { results } = await db.prepare(
+      `SELECT date, kind, open_hour, close_hour, note FROM schedule_exceptions WHERE date BETWEEN ? AND ? ORDER BY date`
+    ).bind(dates[0], dates[dates.length - 1]).all();
+    return results?.length ? { exceptions: results } : null;
+  }
+  const key = SETTING_KEYS[action];
+  const row = await db.prepare(`SELECT value FROM schedule_settings WHERE key = ?`).bind(key).first();
+  if (!row) return null;
+  return { [key]: key === "studio_timezone" ? row.value : Number(row.value) };
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ request, env, data }) {
+  if (!can(data.user, "schedule.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  const url   = new URL(request.url);
+  const all = url.searchParams.get("all") === "1";
+  // The studio's date is at most a day off UTC's; trim to it once the
+  // timezone setting has been read
+  const since = all ? "0000-00-00" : addDays(new Date().toISOString().slice(0, 10), -1);
+
+  try {
+    const [hoursRes, exceptionsRes, settingsRes] = await env.DB.batch([
+      env.DB.prepare(`SELECT weekday, open_hour, close_hour FROM business_hours ORDER BY weekday ASC`),
+      env.DB.prepare(
+        `SELECT date, kind, open_hour, close_hour, note, created_at
+           FROM schedule_exceptions
+          WHERE date >= ?
+          ORDER BY date ASC`
+      ).bind(since),
+      env.DB.prepare(`SELECT key, value FROM schedule_settings`),
+    ]);
+
+    const settings = {};
+    for (const row of settingsRes.results || []) settings[row.key] = row.value;
+
+    const timeZone = isValidTimeZone(settings.studio_timezone) ? settings.studio_timezone : DEFAULT_TIMEZONE;
+    const today    = todayIn(timeZone);
+
+    return json({
+      ok:           true,
+      hours:        hoursRes.results || [],
+      exceptions:   (exceptionsRes.results || []).filter(e => all || e.date >= today),
+      horizon_days: settings.booking_horizon_days != null ? Number(settings.booking_horizon_days) : null,
+      cutoff_hours: settings.manage_cutoff_hours  != null ? Number(settings.manage_cutoff_hours)  : null,
+      timezone:     timeZone,
+    });
+  } catch (e) {
+    console.error("[admin/schedule] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "schedule.edit")) {
+    return json({ ok: false, error: "Only the owner can change the business calendar." }, 403);
+  }
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  const VALID_ACTIONS = ["set_hours", "add_exception", "remove_exception", "set_horizon", "set_cutoff", "set_timezone"];
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+
+  // ── Build statements ──────────────────────────────────────────────────────
+  let statements = [];
+  let audit;
+
+  if (action === "set_hours") {
+    const weekday    = Number(body.weekday);
+    const closed     = body.open_hour == null && body.close_hour == null;
+    const open_hour  = closed ? null : Number(body.open_hour);
+    const close_hour = closed ? null : Number(body.close_hour);
+
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return json({ ok: false, error: "weekday must be 0 (Sunday) – 6 (Saturday)." }, 400);
+    }
+    // Number(null) is 0, so one missing hour would open the day at midnight
+    if (!closed && (body.open_hour == null || body.close_hour == null)) {
+      return json({ ok: false, error: "Give both open_hour and close_hour, or neither to close the day." }, 400);
+    }
+    if (!closed && (!isHour(open_hour) || !isHour(close_hour) || close_hour <= open_hour)) {
+      return json({ ok: false, error: "open_hour and close_hour must be hours 0–24 with close after open." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `INSERT INTO business_hours (weekday, open_hour, close_hour) VALUES (?, ?, ?)
+       ON CONFLICT(weekday) DO UPDATE SET open_hour = excluded.open_hour, close_hour = excluded.close_hour`
+    ).bind(weekday, open_hour, close_hour));
+    audit = { entity_id: `weekday:${weekday}`, after: { open_hour, close_hour } };
+
+  } else if (action === "add_exception") {
+    const dates = datesFromBody(body);
+    const kind  = sanitize(body.kind, 10);
+    const note  = sanitize(body.note, 200) || null;
+    const open_hour  = body.open_hour  == null ? null : Number(body.open_hour);
+    const close_hour = body.close_hour == null ? null : Number(body.close_hour);
+
+    if (!dates) {
+      return json({ ok: false, error: `Provide date, or from/to (YYYY-MM-DD, max ${MAX_RANGE_DAYS} days).` }, 400);
+    }
+    if (!["closed", "open"].includes(kind)) {
+      return json({ ok: false, error: "kind must be 'closed' or 'open'." }, 400);
+    }
+    if (kind === "open" && (open_hour !== null || close_hour !== null)) {
+      if (!isHour(open_hour) || !isHour(close_hour) || close_hour <= open_hour) {
+        return json({ ok: false, error: "open_hour and close_hour must be hours 0–24 with close after open." }, 400);
+      }
+    }
+
+    const created_at = new Date().toISOString();
+    statements = dates.map(date => env.DB.prepare(
+      `INSERT OR REPLACE INTO schedule_exceptions (date, kind, open_hour, close_hour, note, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(date, kind, kind === "open" ? open_hour : null, kind === "open" ? close_hour : null, note, created_at));
+    audit = {
+      entity_id: rangeLabel(dates),
+      after: { kind, open_hour: kind === "open" ? open_hour : null, close_hour: kind === "open" ? close_hour : null, note },
+    };
+
+  } else if (action === "remove_exception") {
+    const dates = datesFromBody(body);
+    if (!dates) {
+      return json({ ok: false, error: `Provide date, or from/to (YYYY-MM-DD, max ${MAX_RANGE_DAYS} days).` }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `DELETE FROM schedule_exceptions WHERE date BETWEEN ? AND ?`
+    ).bind(dates[0], dates[dates.length - 1]));
+    audit = { entity_id: rangeLabel(dates), after: null };
+
+  } else if (action === "set_horizon") {
+    const days = Number(body.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return json({ ok: false, error: "days must be an integer 1–365." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `INSERT INTO schedule_settings (key, value) VALUES ('booking_horizon_days', ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+    ).bind(String(days)));
+    audit = { entity_id: "booking_horizon_days", after: { booking_horizon_days: days } };
+
+  } else if (action === "set_cutoff") {
+    const hours = Number(body.hours);
+    if (!Number.isInteger(hours) || hours < 0 || hours > 168) {
+      return json({ ok: false, error: "hours must be an integer 0–168." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `INSERT INTO schedule_settings (key, value) VALUES ('manage_cutoff_hours', ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+    ).bind(String(hours)));
+    audit = { entity_id: "manage_cutoff_hours", after: { manage_cutoff_hours: hours } };
+
+  } else if (action === "set_timezone") {
+    const timezone = sanitize(body.timezone, 64);
+    if (!isValidTimeZone(timezone)) {
+      return json({ ok: false, error: "timezone must be an IANA name, e.g. America/Toronto." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `INSERT INTO schedule_settings (key, value) VALUES ('studio_timezone', ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+    ).bind(timezone));
+    audit = { entity_id: "studio_timezone", after: { studio_timezone: timezone } };
+  }
+
+  // ── Audit ─────────────────────────────────────────────────────────────────
+  try {
+    const before = await snapshot(env.DB, action, body);
+    statements.push(auditStatement(env.DB, data.user, {
+      action: `schedule.${action}`, entity_type: "schedule", before, ...audit,
+    }));
+  } catch (e) {
+    console.error("[admin/schedule] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  // ── Execute ───────────────────────────────────────────────────────────────
+  try {
+    await env.DB.batch(statements);
+  } catch (e) {
+    console.error("[admin/schedule] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  return json({ ok: true, action });
+}
@@ -0,0 +1,261 @@
+// =============================================================================
+// /functions/api/admin/services.js
+// Manage the service catalog behind /api/services and /api/book.
+//
+// GET  /api/admin/services  →  { ok, services: [...] } incl. retired rows
+//
+// POST /api/admin/services   Body: { action, ... }
+//   action: "create"         { name, duration_hours, base_price_cents?,
+//                              description?, addon_ids? }
+//           "reprice"        { id, base_price_cents }   (null = quoted on request)
+//           "retire"         { id }   → hidden from the site, kept for history
+//           "restore"        { id }
+//           "set_addons"     { id, addon_ids: [...] }
+//           "create_addon"   { name, price_cents, duration_hours? }
+//           "reprice_addon"  { id, price_cents, duration_hours? }
+//           "retire_addon"   { id }
+//           "restore_addon"  { id }
+//
+// Services are never renamed or deleted: bookings store the service name.
+// Changes are owner only and recorded in the audit log.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { loadCatalog, slugify } from "../../_lib/services.js";
+import { can } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = [
+  "create", "reprice", "retire", "restore", "set_addons",
+  "create_addon", "reprice_addon", "retire_addon", "restore_addon",
+];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+function isAddonHours(val) {
+  return Number.isInteger(val) && val >= 0 && val <= 4;
+}
+
+function isCents(val) {
+  return Number.isInteger(val) && val >= 0 && val <= 10_000_000;
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ env, data }) {
+  if (!can(data.user, "catalog.view")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  try {
+    const [services, addonsRes] = await Promise.all([
+      loadCatalog(env.DB, { includeRetired: true }),
+      env.DB.prepare(
+        `SELECT id, name, price_cents, duration_hours, sort_order, active
+           FROM addons
+          ORDER BY sort_order ASC, name ASC`
+      ).all(),
+    ]);
+    return json({ ok: true, services, addons: addonsRes.results || [] });
+  } catch (e) {
+    console.error("[admin/services] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  if (!can(data.user, "catalog.edit")) {
+    return json({ ok: false, error: "Only the owner can change services and pricing." }, 403);
+  }
+
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  const id     = sanitize(body.id, 60);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+  if (!["create", "create_addon"].includes(action) && !id) {
+    return json({ ok: false, error: "Missing id." }, 400);
+  }
+
+  const now = new Date().toISOString();
+  const addonIds = Array.isArray(body.addon_ids)
+    ? [...new Set(body.addon_ids.map(a => sanitize(a, 60)).filter(Boolean))]
+    : [];
+  const isAddon = action.endsWith("_addon");
+
+  // ── Current row, for the audit "before" ───────────────────────────────────
+  let existing = null;
+  if (!["create", "create_addon"].includes(action)) {
+    try {
+      existing = isAddon
+        ? await env.DB.prepare(
+            `SELECT price_cents, duration_hours, active FROM addons WHERE id = ?`
+          ).bind(id).first()
+        : await env.DB.prepare(
+            `SELECT s.base_price_cents, s.active,
+                    (SELECT json_group_array(addon_id) FROM service_addons WHERE service_id = s.id) AS addon_ids
+               FROM services s WHERE s.id = ?`
+          ).bind(id).first();
+    } catch (e) {
+      console.error("[admin/services] DB fetch error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+    if (!existing) return json({ ok: false, error: "Not found." }, 404);
+  }
+
+  // ── Build statements ──────────────────────────────────────────────────────
+  const statements = [];
+  let newId = null;
+  let before = null;
+  let after  = null;
+
+  if (action === "create") {
+    const name             = sanitize(body.name, 80);
+    const duration_hours   = Number(body.duration_hours);
+    const base_price_cents = body.base_price_cents == null ? null : Number(body.base_price_cents);
+    const description      = sanitize(body.description, 500) || null;
+
+    if (!name) return json({ ok: false, error: "Name is required." }, 400);
+    if (!Number.isInteger(duration_hours) || duration_hours < 1 || duration_hours > 8) {
+      return json({ ok: false, error: "duration_hours must be an integer 1–8." }, 400);
+    }
+    if (base_price_cents !== null && !isCents(base_price_cents)) {
+      return json({ ok: false, error: "base_price_cents must be a whole number of cents." }, 400);
+    }
+
+    newId = slugify(name);
+    if (!newId) return json({ ok: false, error: "Name must contain letters or numbers." }, 400);
+    statements.push(env.DB.prepare(
+      `INSERT INTO services
+         (id, name, duration_hours, base_price_cents, description, sort_order, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM services), 1, ?, ?)`
+    ).bind(newId, name, duration_hours, base_price_cents, description, now, now));
+    for (const addonId of addonIds) {
+      statements.push(env.DB.prepare(
+        `INSERT OR IGNORE INTO service_addons (service_id, addon_id) VALUES (?, ?)`
+      ).bind(newId, addonId));
+    }
+    after = { name, duration_hours, base_price_cents, description, addon_ids: addonIds };
+
+  } else if (action === "reprice") {
+    const base_price_cents = body.base_price_cents == null ? null : Number(body.base_price_cents);
+    if (base_price_cents !== null && !isCents(base_price_cents)) {
+      return json({ ok: false, error: "base_price_cents must be a whole number of cents." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `UPDATE services SET base_price_cents = ?, updated_at = ? WHERE id = ?`
+    ).bind(base_price_cents, now, id));
+    before = { base_price_cents: existing.base_price_cents };
+    after  = { base_price_cents };
+
+  } else if (action === "retire" || action === "restore") {
+    statements.push(env.DB.prepare(
+      `UPDATE services SET active = ?, updated_at = ? WHERE id = ?`
+    ).bind(action === "restore" ? 1 : 0, now, id));
+    before = { active: existing.active };
+    after  = { active: action === "restore" ? 1 : 0 };
+
+  } else if (action === "set_addons") {
+    if (!Array.isArray(body.addon_ids)) {
+      return json({ ok: false, error: "addon_ids must be an array." }, 400);
+    }
+    statements.push(env.DB.prepare(`UPDATE services SET updated_at = ? WHERE id = ?`).bind(now, id));
+    statements.push(env.DB.prepare(`DELETE FROM service_addons WHERE service_id = ?`).bind(id));
+    for (const addonId of addonIds) {
+      statements.push(env.DB.prepare(
+        `INSERT INTO service_addons (service_id, addon_id) VALUES (?, ?)`
+      ).bind(id, addonId));
+    }
+    before = { addon_ids: JSON.parse(existing.addon_ids || "[]") };
+    after  = { addon_ids: addonIds };
+
+  } else if (action === "create_addon") {
+    const name           = sanitize(body.name, 80);
+    const price_cents    = Number(body.price_cents);
+    const duration_hours = Number(body.duration_hours ?? 0);
+    if (!name) return json({ ok: false, error: "Name is required." }, 400);
+    if (!isCents(price_cents)) {
+      return json({ ok: false, error: "price_cents must be a whole number of cents." }, 400);
+    }
+    if (!isAddonHours(duration_hours)) {
+      return json({ ok: false, error: "duration_hours must be an integer 0–4." }, 400);
+    }
+
+    newId = slugify(name);
+    if (!newId) return json({ ok: false, error: "Name must contain letters or numbers." }, 400);
+    statements.push(env.DB.prepare(
+      `INSERT INTO addons (id, name, price_cents, duration_hours, sort_order, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM addons), 1, ?, ?)`
+    ).bind(newId, name, price_cents, duration_hours, now, now));
+    after = { name, price_cents, duration_hours };
+
+  } else if (action === "reprice_addon") {
+    const price_cents    = Number(body.price_cents);
+    const duration_hours = body.duration_hours == null ? null : Number(body.duration_hours);
+    if (!isCents(price_cents)) {
+      return json({ ok: false, error: "price_cents must be a whole number of cents." }, 400);
+    }
+    if (duration_hours !== null && !isAddonHours(duration_hours)) {
+      return json({ ok: false, error: "duration_hours must be an integer 0–4." }, 400);
+    }
+    statements.push(env.DB.prepare(
+      `UPDATE addons SET price_cents = ?, duration_hours = COALESCE(?, duration_hours), updated_at = ?
+        WHERE id = ?`
+    ).bind(price_cents, duration_hours, now, id));
+    before = { price_cents: existing.price_cents, duration_hours: existing.duration_hours };
+    after  = { price_cents, duration_hours: duration_hours ?? existing.duration_hours };
+
+  } else if (action === "retire_addon" || action === "restore_addon") {
+    statements.push(env.DB.prepare(
+      `UPDATE addons SET active = ?, updated_at = ? WHERE id = ?`
+    ).bind(action === "restore_addon" ? 1 : 0, now, id));
+    before = { active: existing.active };
+    after  = { active: action === "restore_addon" ? 1 : 0 };
+  }
+
+  statements.push(auditStatement(env.DB, data.user, {
+    action:      isAddon ? `addon.${action.replace(/_addon$/, "")}` : `service.${action}`,
+    entity_type: isAddon ? "addon" : "service",
+    entity_id:   newId || id,
+    before, after,
+  }));
+
+  // ── Execute ───────────────────────────────────────────────────────────────
+  try {
+    const results = await env.DB.batch(statements);
+    if ((results[0]?.meta?.changes ?? 0) === 0) {
+      return json({ ok: false, error: "Not found." }, 404);
+    }
+  } catch (e) {
+    if (/UNIQUE|PRIMARY KEY/i.test(e?.message ?? "")) {
+      return json({ ok: false, error: "A service or add-on with that name already exists." }, 409);
+    }
+    if (/FOREIGN KEY/i.test(e?.message ?? "")) {
+      return json({ ok: false, error: "Unknown add-on id." }, 400);
+    }
+    console.error("[admin/services] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  return json({ ok: true, action, id: newId || id });
+}
@@ -0,0 +1,158 @@
+// =============================================================================
+// /functions/api/admin/users.js
+// Staff accounts for the admin dashboards.
+//
+// GET  /api/admin/users
+//   → { ok, users: [{ id, email, name, role, active, created_at,
+//                     last_login_at }], me }
+//
+// POST /api/admin/users   Body: { action, ... }
+//   action: "create"        { email, name, role, password }
+//           "set_password"  { id, password }   → also signs that user out
+//                                                everywhere else
+//           "set_role"      { id, role: "owner" | "staff" }
+//           "deactivate"    { id }             → blocks login, ends sessions
+//           "reactivate"    { id }
+//
+// Owner only, except that anyone may set their own password.
+// Requires an admin session (functions/_middleware.js).
+// =============================================================================
+
+import { hashPassword, passwordProblem, can, ROLES } from "../../_lib/auth.js";
+import { auditStatement } from "../../_lib/audit.js";
+
+const CORS = {
+  "access-control-allow-origin":  "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const VALID_ACTIONS = ["create", "set_password", "set_role", "deactivate", "reactivate"];
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS });
+}
+
+export async function onRequestGet({ env, data }) {
+  if (!can(data.user, "users.manage")) return json({ ok: false, error: "Forbidden" }, 403);
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT id, email, name, role, active, created_at, last_login_at
+         FROM admin_users
+        ORDER BY active DESC, name ASC`
+    ).all();
+    return json({ ok: true, users: results || [], me: data.user.id });
+  } catch (e) {
+    console.error("[admin/users] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
+
+export async function onRequestPost({ request, env, data }) {
+  // ── Parse ─────────────────────────────────────────────────────────────────
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const action = sanitize(body.action, 30);
+  const id     = sanitize(body.id, 60);
+  if (!VALID_ACTIONS.includes(action)) {
+    return json({ ok: false, error: `Invalid action. Valid: ${VALID_ACTIONS.join(", ")}` }, 400);
+  }
+  if (action !== "create" && !id) return json({ ok: false, error: "Missing id." }, 400);
+
+  const ownPassword = action === "set_password" && id === data.user.id;
+  if (!ownPassword && !can(data.user, "users.manage")) {
+    return json({ ok: false, error: "Forbidden" }, 403);
+  }
+
+  let existing = null;
+  if (action !== "create") {
+    try {
+      existing = await env.DB.prepare(`SELECT id, role, active FROM admin_users WHERE id = ?`).bind(id).first();
+    } catch (e) {
+      console.error("[admin/users] DB fetch error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred." }, 500);
+    }
+    if (!existing) return json({ ok: false, error: "User not found." }, 404);
+  }
+
+  // ── Build statements ──────────────────────────────────────────────────────
+  const statements = [];
+  let newId = null;
+  let audit;
+
+  if (action === "create") {
+    const email = sanitize(body.email, 200).toLowerCase();
+    const name  = sanitize(body.name, 100);
+    const role  = sanitize(body.role, 10) || "staff";
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return json({ ok: false, error: "A valid email is required." }, 400);
+    if (!name) return json({ ok: false, error: "Name is required." }, 400);
+    if (!ROLES.includes(role)) return json({ ok: false, error: `role must be one of: ${ROLES.join(", ")}` }, 400);
+    const problem = passwordProblem(body.password);
+    if (problem) return json({ ok: false, error: problem }, 400);
+
+    newId = crypto.randomUUID();
+    statements.push(env.DB.prepare(
+      `INSERT INTO admin_users (id, email, name, role, password_hash) VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, email, name, role, await hashPassword(body.password)));
+    audit = { entity_id: newId, after: { email, name, role } };
+
+  } else if (action === "set_password") {
+    const problem = passwordProblem(body.password);
+    if (problem) return json({ ok: false, error: problem }, 400);
+    statements.push(
+      env.DB.prepare(`UPDATE admin_users SET password_hash = ? WHERE id = ?`).bind(await hashPassword(body.password), id),
+      // Keep the session making this request; end every other one
+      env.DB.prepare(`DELETE FROM admin_sessions WHERE user_id = ? AND id != ?`).bind(id, data.user.session_id),
+    );
+    audit = { entity_id: id };
+
+  } else if (action === "set_role") {
+    const role = sanitize(body.role, 10);
+    if (!ROLES.includes(role)) return json({ ok: false, error: `role must be one of: ${ROLES.join(", ")}` }, 400);
+    // Stops the last owner locking everyone out of owner-only settings
+    if (id === data.user.id) return json({ ok: false, error: "You can't change your own role." }, 400);
+    statements.push(env.DB.prepare(`UPDATE admin_users SET role = ? WHERE id = ?`).bind(role, id));
+    audit = { entity_id: id, before: { role: existing.role }, after: { role } };
+
+  } else if (action === "deactivate") {
+    if (id === data.user.id) return json({ ok: false, error: "You can't deactivate your own account." }, 400);
+    statements.push(
+      env.DB.prepare(`UPDATE admin_users SET active = 0 WHERE id = ?`).bind(id),
+      env.DB.prepare(`DELETE FROM admin_sessions WHERE user_id = ?`).bind(id),
+    );
+    audit = { entity_id: id, before: { active: existing.active }, after: { active: 0 } };
+
+  } else if (action === "reactivate") {
+    statements.push(env.DB.prepare(`UPDATE admin_users SET active = 1 WHERE id = ?`).bind(id));
+    audit = { entity_id: id, before: { active: existing.active }, after: { active: 1 } };
+  }
+
+  statements.push(auditStatement(env.DB, data.user, { action: `user.${action}`, entity_type: "user", ...audit }));
+
+  // ── Execute ───────────────────────────────────────────────────────────────
+  try {
+    await env.DB.batch(statements);
+  } catch (e) {
+    if (/UNIQUE/i.test(e?.message ?? "")) {
+      return json({ ok: false, error: "An account with that email already exists." }, 409);
+    }
+    console.error("[admin/users] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  return json({ ok: true, action, ...(newId ? { id: newId } : {}) });
+}
@@ -0,0 +1,64 @@
+// =============================================================================
+// /functions/api/auth/login.js
+// POST /api/auth/login   Body: { email, password }
+//   → { ok, user: { id, email, name, role } } and sets the HttpOnly session cookie
+//     (valid SESSION_TTL_HOURS, see _lib/auth.js)
+// =============================================================================
+
+import { createSession, sessionCookie, verifyPassword, burnPasswordCheck } from "../../_lib/auth.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS_HEADERS, ...headers },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestPost({ request, env }) {
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const email    = sanitize(body.email, 200).toLowerCase();
+  const password = typeof body.password === "string" ? body.password.slice(0, 200) : "";
+  if (!email || !password) return json({ ok: false, error: "Email and password are required." }, 400);
+
+  try {
+    const user = await env.DB.prepare(
+      `SELECT id, email, name, role, password_hash FROM admin_users WHERE email = ? AND active = 1`
+    ).bind(email).first();
+
+    // Same message and roughly the same time whether or not the email exists
+    if (!user) {
+      await burnPasswordCheck(password);
+      return json({ ok: false, error: "Incorrect email or password." }, 401);
+    }
+    if (!(await verifyPassword(password, user.password_hash))) {
+      return json({ ok: false, error: "Incorrect email or password." }, 401);
+    }
+
+    const token = await createSession(env.DB, user, request);
+    return json(
+      { ok: true, user: { id: user.id, email: user.email, name: user.name, role: user.role } },
+      200,
+      { "set-cookie": sessionCookie(token) }
+    );
+  } catch (e) {
+    console.error("[auth/login] error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
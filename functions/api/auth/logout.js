@@ -0,0 +1,34 @@
+// =============================================================================
+// /functions/api/auth/logout.js
+// POST /api/auth/logout  →  { ok }  Ends the current session and clears the
+// cookie. Safe to call when already signed out.
+// =============================================================================
+
+import { destroySession, clearedSessionCookie } from "../../_lib/auth.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    await destroySession(env.DB, request);
+  } catch (e) {
+    console.error("[auth/logout] error:", e?.message ?? e);
+  }
+
+  return new Response(JSON.stringify({ ok: true }), {
+    headers: {
+      "content-type":  "application/json",
+      "cache-control": "no-store",
+      "set-cookie":    clearedSessionCookie(),
+      ...CORS_HEADERS,
+    },
+  });
+}
@@ -0,0 +1,26 @@
+// =============================================================================
+// /functions/api/auth/me.js
+// GET /api/auth/me  →  { ok, user: { id, email, name, role } } for the signed-in
+// staff member, or 401. The dashboards call this on load to skip the login
+// screen while a session is still valid.
+// =============================================================================
+
+import { getSessionUser } from "../../_lib/auth.js";
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store" },
+  });
+}
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const user = await getSessionUser(env.DB, request);
+    if (!user) return json({ ok: false, error: "Unauthorized" }, 401);
+    return json({ ok: true, user: { id: user.id, email: user.email, name: user.name, role: user.role } });
+  } catch (e) {
+    console.error("[auth/me] error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
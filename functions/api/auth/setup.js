@@ -0,0 +1,64 @@
+// =============================================================================
+// /functions/api/auth/setup.js
+// POST /api/auth/setup   Body: { setup_token, email, name, password }
+//   → { ok, user }  Creates the FIRST account, as owner. Refused once any account
+//   exists; add further staff from /api/admin/users.
+//
+// Environment variables:
+//   ADMIN_SETUP_TOKEN  → one-off secret proving you own the deployment.
+//                        Remove it once the first account exists.
+//
+//   curl -X POST https://lussoautostudio.ca/api/auth/setup \
+//        -H 'content-type: application/json' \
+//        -d '{"setup_token":"…","email":"you@example.com","name":"You","password":"…"}'
+// =============================================================================
+
+import { hashPassword, passwordProblem } from "../../_lib/auth.js";
+import { safeEqual } from "../../_lib/signing.js";
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store" },
+  });
+}
+
+function sanitize(val, max = 200) {
+  return typeof val === "string" ? val.trim().slice(0, max) : "";
+}
+
+export async function onRequestPost({ request, env }) {
+  let body;
+  try { body = await request.json(); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  if (!env.ADMIN_SETUP_TOKEN || !safeEqual(sanitize(body.setup_token, 500), env.ADMIN_SETUP_TOKEN)) {
+    return json({ ok: false, error: "Unauthorized" }, 401);
+  }
+
+  const email = sanitize(body.email, 200).toLowerCase();
+  const name  = sanitize(body.name, 100);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return json({ ok: false, error: "A valid email is required." }, 400);
+  if (!name) return json({ ok: false, error: "Name is required." }, 400);
+
+  const problem = passwordProblem(body.password);
+  if (problem) return json({ ok: false, error: problem }, 400);
+
+  const user = { id: crypto.randomUUID(), email, name, role: "owner" };
+  try {
+    // Conditional insert — only ever succeeds into an empty table
+    const result = await env.DB.prepare(
+      `INSERT INTO admin_users (id, email, name, role, password_hash)
+       SELECT ?, ?, ?, 'owner', ? WHERE NOT EXISTS (SELECT 1 FROM admin_users)`
+    ).bind(user.id, email, name, await hashPassword(body.password)).run();
+
+    if ((result.meta?.changes ?? 0) === 0) {
+      return json({ ok: false, error: "Setup is already complete. Sign in and add staff from the dashboard." }, 409);
+    }
+  } catch (e) {
+    console.error("[auth/setup] error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  return json({ ok: true, user });
+}
@@ -0,0 +1,142 @@
+// =============================================================================
+// /functions/api/availability/calendar.js  —  Which days still have room, for
+// a date range, in one request.
+//
+// GET /api/availability/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD&duration_hours=4
+//   from            default today (the studio's date, see _lib/dates.js)
+//   to              default the last bookable day (today + booking horizon)
+//   duration_hours  1–12 — service plus add-on time, as for /api/slots
+//
+// Response:
+//   { ok, from, to, duration_hours, horizon_days,
+//     days: [{ date, open, reason?, open_hour?, close_hour?,
+//              available_starts, booked_hours }] }
+//
+//   open              false when the date can't be booked at all
+//   reason            "closed" | "past" | "day_over" | "too_far" (only when
+//                     open is false)
+//   available_starts  start hours where the whole duration fits before
+//                     closing without touching a booking, skipping hours
+//                     that have already begun today — the same rules
+//                     /api/book enforces
+//   booked_hours      hours covered by bookings and blocks that hold their
+//                     time (replaces the old /api/availability?date= endpoint)
+//
+// The schedule and every booking in the range come from one D1 batch,
+// however many days are asked for.
+// =============================================================================
+
+import { scheduleStatements, parseSchedule, checkBookable, studioToday } from "../../_lib/schedule.js";
+import { isDate, addDays } from "../../_lib/dates.js";
+import { BUSY_SQL } from "../../_lib/bookings.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+const MAX_RANGE_DAYS = 92;
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS_HEADERS },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestGet({ request, env }) {
+  const url = new URL(request.url);
+  const duration_hours = Number(url.searchParams.get("duration_hours"));
+  let from = url.searchParams.get("from") || "";
+  let to   = url.searchParams.get("to")   || "";
+
+  // ── Input validation ────────────────────────────────────────────────────────
+  if (!Number.isInteger(duration_hours) || duration_hours < 1 || duration_hours > 12) {
+    return json({ ok: false, error: "duration_hours must be an integer 1–12" }, 400);
+  }
+  if (from && !isDate(from)) return json({ ok: false, error: "Invalid from date (expect YYYY-MM-DD)" }, 400);
+  if (to && !isDate(to))     return json({ ok: false, error: "Invalid to date (expect YYYY-MM-DD)" }, 400);
+
+  // The studio's timezone and horizon live in the settings table, read in the
+  // same batch. Until then, the studio's today is known to be within a day of
+  // UTC's — read one extra day either side and trim afterwards.
+  const utcToday = new Date().toISOString().slice(0, 10);
+  if (from && to && to < from) return json({ ok: false, error: "to must not be before from" }, 400);
+  if (to && addDays(from || utcToday, MAX_RANGE_DAYS - 1) < to) {
+    return json({ ok: false, error: `Range is limited to ${MAX_RANGE_DAYS} days` }, 400);
+  }
+
+  const rangeFrom = from || addDays(utcToday, -1);
+  const rangeEnd  = to   || addDays(from || utcToday, MAX_RANGE_DAYS);
+
+  // ── One batch: schedule + bookings ─────────────────────────────────────────
+  let schedule, bookings;
+  try {
+    const results = await env.DB.batch([
+      ...scheduleStatements(env.DB, rangeFrom, rangeEnd),
+      env.DB.prepare(
+        `SELECT date, start_hour, end_hour
+           FROM bookings
+          WHERE date BETWEEN ? AND ? AND ${BUSY_SQL}`
+      ).bind(rangeFrom, rangeEnd),
+    ]);
+    schedule = parseSchedule(results);
+    bookings = results[3].results || [];
+  } catch (e) {
+    console.error("[availability/calendar] DB error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const today = studioToday(schedule);
+  from ||= today;
+  if (to && to < from) return json({ ok: false, error: "to must not be before from" }, 400);
+  if (!to) {
+    const horizonEnd = addDays(today, schedule.horizonDays);
+    const maxEnd     = addDays(from, MAX_RANGE_DAYS - 1);
+    to = horizonEnd < from ? from : horizonEnd < maxEnd ? horizonEnd : maxEnd;
+  }
+
+  const byDate = {};
+  for (const b of bookings) (byDate[b.date] ||= []).push(b);
+
+  // ── Per day ─────────────────────────────────────────────────────────────────
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const booked = new Set();
+    for (const b of byDate[date] || []) {
+      for (let h = b.start_hour; h < b.end_hour; h++) booked.add(h);
+    }
+    const booked_hours = [...booked].sort((a, b) => a - b);
+
+    const day = checkBookable(schedule, date);
+    if (!day.ok) {
+      days.push({ date, open: false, reason: day.reason, available_starts: 0, booked_hours });
+      continue;
+    }
+
+    let available_starts = 0;
+    for (let h = day.first_start; h + duration_hours <= day.close_hour; h++) {
+      let free = true;
+      for (let k = h; k < h + duration_hours; k++) {
+        if (booked.has(k)) { free = false; break; }
+      }
+      if (free) available_starts++;
+    }
+
+    days.push({
+      date,
+      open:       true,
+      open_hour:  day.open_hour,
+      close_hour: day.close_hour,
+      available_starts,
+      booked_hours,
+    });
+  }
+
+  return json({ ok: true, from, to, duration_hours, horizon_days: schedule.horizonDays, days });
+}
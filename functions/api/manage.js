@@ -0,0 +1,186 @@
+// =============================================================================
+// /functions/api/manage.js  —  Customer self-service for one booking, using
+// the signed link from the confirmation email (see _lib/manage-token.js).
+//
+// GET  /api/manage?token=…
+//   → { ok, booking: { id, date, start_hour, end_hour, duration_hours,
+//                      service, name, status, quote },
+//       can_change, cutoff_hours }
+//
+// POST /api/manage   Body: { token, action, ... }
+//   action: "cancel"
+//           "reschedule"  { date, start_hour }  → same duration, same rules as
+//                          /api/book (open day, horizon, hours, no overlap)
+//   → { ok, booking, token }   (token = fresh link for the new date)
+//
+// Changes are refused within schedule_settings.manage_cutoff_hours of the
+// appointment (default 24). Every change emails the customer and the owner,
+// and the freed time is offered to the booking waitlist.
+// =============================================================================
+
+import { verifyManageToken, createManageToken, manageUrl } from "../_lib/manage-token.js";
+import { loadSchedule, hoursUntil } from "../_lib/schedule.js";
+import { checkMove, moveBookingStatement } from "../_lib/bookings.js";
+import { sendCancellationEmail, sendRescheduleEmail, sendOwnerChangeEmail } from "../_lib/booking-emails.js";
+import { notifyWaitlist } from "../_lib/booking-waitlist.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS_HEADERS },
+  });
+}
+
+// Only what the customer needs to see — no internal notes or phone
+function publicBooking(b) {
+  let quote = null;
+  try { quote = b.quote ? JSON.parse(b.quote) : null; } catch {}
+  return {
+    id:             b.id,
+    date:           b.date,
+    start_hour:     b.start_hour,
+    end_hour:       b.end_hour,
+    duration_hours: b.duration_hours,
+    service:        b.service,
+    name:           b.name,
+    status:         b.status,
+    quote,
+  };
+}
+
+// Resolves the token to a booking row.
+// → { ok: true, booking } | { ok: false, response }
+async function loadFromToken(env, token) {
+  const verified = await verifyManageToken(env, token);
+  if (!verified.ok) return { ok: false, response: json({ ok: false, error: verified.error }, 401) };
+
+  try {
+    const booking = await env.DB.prepare(`SELECT * FROM bookings WHERE id = ?`).bind(verified.id).first();
+    if (!booking) return { ok: false, response: json({ ok: false, error: "Booking not found." }, 404) };
+    return { ok: true, booking };
+  } catch (e) {
+    console.error("[manage] DB fetch error:", e?.message ?? e);
+    return { ok: false, response: json({ ok: false, error: "A server error occurred. Please try again." }, 500) };
+  }
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestGet({ request, env }) {
+  const token = new URL(request.url).searchParams.get("token");
+  const found = await loadFromToken(env, token);
+  if (!found.ok) return found.response;
+  const { booking } = found;
+
+  let schedule;
+  try {
+    schedule = await loadSchedule(env.DB, booking.date);
+  } catch (e) {
+    console.error("[manage] schedule load error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const can_change = booking.status === "active" &&
+    hoursUntil(schedule, booking.date, booking.start_hour) >= schedule.cutoffHours;
+
+  return json({ ok: true, booking: publicBooking(booking), can_change, cutoff_hours: schedule.cutoffHours });
+}
+
+export async function onRequestPost({ request, env }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Request body must be valid JSON" }, 400);
+  }
+
+  const found = await loadFromToken(env, body.token);
+  if (!found.ok) return found.response;
+  const { booking } = found;
+
+  const action = body.action;
+  if (action !== "cancel" && action !== "reschedule") {
+    return json({ ok: false, error: "Unknown action. Valid: cancel, reschedule" }, 400);
+  }
+  if (booking.status !== "active") {
+    return json({ ok: false, error: "This booking is no longer active." }, 409);
+  }
+
+  // ── Cutoff window ───────────────────────────────────────────────────────────
+  let schedule;
+  try {
+    schedule = await loadSchedule(env.DB, booking.date);
+  } catch (e) {
+    console.error("[manage] schedule load error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+  if (hoursUntil(schedule, booking.date, booking.start_hour) < schedule.cutoffHours) {
+    return json({
+      ok: false,
+      error: `Online changes close ${schedule.cutoffHours} hours before your appointment. Please contact us directly.`,
+    }, 409);
+  }
+
+  // ── Cancel ──────────────────────────────────────────────────────────────────
+  if (action === "cancel") {
+    try {
+      const result = await env.DB.prepare(
+        `UPDATE bookings SET status = 'cancelled' WHERE id = ? AND status = 'active'`
+      ).bind(booking.id).run();
+      // Cancelled or moved meanwhile (a second click, the owner) — that
+      // request has sent the emails and offered the time
+      if ((result.meta?.changes ?? 0) === 0) {
+        return json({ ok: false, error: "This booking is no longer active." }, 409);
+      }
+    } catch (e) {
+      console.error("[manage] cancel error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+    }
+
+    await sendCancellationEmail(booking, env);
+    await sendOwnerChangeEmail(booking, { kind: "cancelled", by: "customer" }, env);
+    await notifyWaitlist(env, booking.date, "manage");
+
+    return json({ ok: true, booking: publicBooking({ ...booking, status: "cancelled" }) });
+  }
+
+  // ── Reschedule ──────────────────────────────────────────────────────────────
+  const date       = typeof body.date === "string" ? body.date.trim() : "";
+  const start_hour = Number(body.start_hour);
+
+  let check;
+  try {
+    check = await checkMove(env.DB, booking, date, start_hour);
+  } catch (e) {
+    console.error("[manage] reschedule check error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+  if (!check.ok) return json({ ok: false, error: check.error }, check.status);
+
+  const moved = { ...booking, date, start_hour, end_hour: check.end_hour };
+  try {
+    const result = await moveBookingStatement(env.DB, booking.id, date, start_hour, check.end_hour).run();
+    if ((result.meta?.changes ?? 0) === 0) {
+      return json({ ok: false, error: "That time was just taken. Please choose another." }, 409);
+    }
+  } catch (e) {
+    console.error("[manage] reschedule error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const previous = { date: booking.date, start_hour: booking.start_hour };
+  const manage   = { url: await manageUrl(env, moved), cutoffHours: schedule.cutoffHours };
+  await sendRescheduleEmail(moved, previous, env, manage);
+  await sendOwnerChangeEmail(moved, { kind: "rescheduled", by: "customer", previous }, env);
+  await notifyWaitlist(env, booking.date, "manage");
+
+  return json({ ok: true, booking: publicBooking(moved), token: await createManageToken(env, moved) });
+}
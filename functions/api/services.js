@@ -0,0 +1,59 @@
+// =============================================================================
+// /functions/api/services.js  —  Public service catalog for the booking widget
+//
+// GET /api/services
+//
+// Response:
+//   { ok: true, services: [{ id, name, duration_hours, base_price_cents,
+//                            description, addons: [{ id, name, price_cents,
+//                                                    duration_hours }] }] }
+//
+// Prices are integer cents; base_price_cents null = quoted on request.
+// Retired services and add-ons are not listed.
+// =============================================================================
+
+import { loadCatalog } from "../_lib/services.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS_HEADERS, ...headers },
+  });
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestGet({ env }) {
+  let catalog;
+  try {
+    catalog = await loadCatalog(env.DB);
+  } catch (e) {
+    console.error("[services] DB error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const services = catalog.map(s => ({
+    id:               s.id,
+    name:             s.name,
+    duration_hours:   s.duration_hours,
+    base_price_cents: s.base_price_cents,
+    description:      s.description,
+    addons:           s.addons.map(a => ({
+      id:             a.id,
+      name:           a.name,
+      price_cents:    a.price_cents,
+      duration_hours: a.duration_hours,
+    })),
+  }));
+
+  // Short edge cache — admin price changes show up within a minute
+  return json({ ok: true, services }, 200, { "cache-control": "public, max-age=60" });
+}
@@ -19,24 +19,22 @@
 //   customer cannot book a slot whose duration would run into a booked block.
 //   The frontend should also warn the user if their selected start + duration
 //   would collide (see end_hour in the response for the booked slots).
+//
+// Opening hours, closed dates and the booking horizon come from the business
+// calendar (see functions/_lib/schedule.js). For today, start times that have
+// already begun on the studio's clock are left out.
 // =============================================================================
 
+import { loadSchedule, checkBookable } from "../_lib/schedule.js";
+import { BUSY_SQL } from "../_lib/bookings.js";
+import { isDate } from "../_lib/dates.js";
+
 const CORS_HEADERS = {
   "access-control-allow-origin": "https://lussoautostudio.ca",
   "access-control-allow-methods": "GET, OPTIONS",
   "access-control-allow-headers": "content-type",
 };
 
-const OPEN_HOUR  = 8;   // 8:00 AM  — first possible start
-const CLOSE_HOUR = 20;  // 8:00 PM  — no booking may end after this
-
-// Map duration (hours) → friendly service name for reference / error messages
-const DURATION_LABELS = {
-  1: "Maintenance Wash (1 hr)",
-  2: "Interior Deep Clean (2 hrs)",
-  4: "Full Detail (4 hrs)",
-};
-
 function json(data, status = 200) {
   return new Response(JSON.stringify(data), {
     status,
@@ -61,38 +59,33 @@ export async function onRequestGet({ request, env }) {
   const rawDuration = url.searchParams.get("duration_hours");
 
   // ── Input validation ────────────────────────────────────────────────────────
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+  // Real calendar dates only — 2025-02-31 is refused, not rolled into March
+  if (!isDate(date)) {
     return json({ ok: false, error: "Missing or invalid date (expect YYYY-MM-DD)" }, 400);
   }
 
   const duration_hours = Number(rawDuration);
-  if (!Number.isInteger(duration_hours) || duration_hours < 1 || duration_hours > 8) {
-    return json({ ok: false, error: "duration_hours must be an integer 1–8" }, 400);
+  // Up to a full 12-hour day: service duration plus any add-on time
+  if (!Number.isInteger(duration_hours) || duration_hours < 1 || duration_hours > 12) {
+    return json({ ok: false, error: "duration_hours must be an integer 1–12" }, 400);
   }
 
-  // ── Weekend-only guard ──────────────────────────────────────────────────────
-  // Parse as UTC midnight so the weekday is always stable regardless of server TZ
-  const d = new Date(`${date}T00:00:00Z`);
-  if (isNaN(d.getTime())) {
-    return json({ ok: false, error: "Invalid date" }, 400);
-  }
-  const dow = d.getUTCDay(); // 0 = Sunday, 6 = Saturday
-  if (dow !== 0 && dow !== 6) {
-    // Return an empty slot list — not an error.  The frontend can show a
-    // "weekends only" message based on the empty array.
-    return json({ ok: true, slots: [], reason: "weekday" }, 200);
+  // ── Business calendar guard ─────────────────────────────────────────────────
+  let schedule;
+  try {
+    schedule = await loadSchedule(env.DB, date);
+  } catch (e) {
+    console.error("[slots] schedule load error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
   }
 
-  // ── 30-day booking window guard ─────────────────────────────────────────────
-  const todayUTC = new Date();
-  todayUTC.setUTCHours(0, 0, 0, 0);
-  const diffDays = (d.getTime() - todayUTC.getTime()) / 86_400_000;
-  if (diffDays < 0) {
-    return json({ ok: true, slots: [], reason: "past" }, 200);
-  }
-  if (diffDays > 30) {
-    return json({ ok: true, slots: [], reason: "too_far" }, 200);
+  // Closed / past / too-far dates return an empty slot list — not an error.
+  // The frontend shows a message based on `reason`.
+  const day = checkBookable(schedule, date);
+  if (!day.ok) {
+    return json({ ok: true, slots: [], reason: day.reason, horizon_days: schedule.horizonDays }, 200);
   }
+  const { first_start: firstStart, close_hour: closeHour } = day;
 
   // ── Fetch existing bookings ─────────────────────────────────────────────────
   let existingBookings;
@@ -100,7 +93,7 @@ export async function onRequestGet({ request, env }) {
     const { results } = await env.DB.prepare(
       `SELECT start_hour, end_hour
          FROM bookings
-        WHERE date = ? AND status = 'active'`
+        WHERE date = ? AND ${BUSY_SQL}`
     )
       .bind(date)
       .all();
@@ -121,14 +114,15 @@ export async function onRequestGet({ request, env }) {
   }
 
   // ── Build slot list ─────────────────────────────────────────────────────────
-  // Show every hour from OPEN to CLOSE as a potential start time.
+  // Show every hour from opening (or, today, the next full hour) to closing as
+  // a potential start time.
   // A slot is "booked" if that specific hour is occupied by an existing booking.
   // Slots where the duration would run past closing are excluded silently.
   const slots = [];
-  for (let h = OPEN_HOUR; h < CLOSE_HOUR; h++) {
+  for (let h = firstStart; h < closeHour; h++) {
     const end = h + duration_hours;
     const isOccupied = occupiedHours.has(h);
-    const fitsBeforeClose = end <= CLOSE_HOUR;
+    const fitsBeforeClose = end <= closeHour;
 
     // Drop unselectable free slots at end of day (e.g. 8 PM start for 4hr service)
     if (!fitsBeforeClose && !isOccupied) continue;
@@ -137,7 +131,7 @@ export async function onRequestGet({ request, env }) {
       start_hour: h,
       end_hour:   end,
       label:      formatHour(h),
-      end_label:  formatHour(Math.min(end, CLOSE_HOUR)),
+      end_label:  formatHour(Math.min(end, closeHour)),
       // Occupied hours grey out. Hours that don't fit the duration also grey
       // so the grid looks complete near closing time.
       status: (isOccupied || !fitsBeforeClose) ? "booked" : "available",
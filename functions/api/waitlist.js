@@ -0,0 +1,158 @@
+// =============================================================================
+// /functions/api/waitlist.js  —  Join the waitlist for a fully booked day
+// (see _lib/booking-waitlist.js).
+//
+// POST /api/waitlist
+//   Body: { date, service, window_start?, window_end?,
+//           name, phone, email, vehicle, city?, notes? }
+//   window_start / window_end: the customer's preferred time window in whole
+//   hours (start no earlier than, finish by). Default: the day's opening hours.
+//   → 201 { ok, id, date, window_start, window_end }
+//   → 409 { ok: false, error, available_starts } when the window still has a
+//          free time — book it directly instead
+//
+// One entry per email, date and service: joining again returns the existing
+// entry. Waitlisted bookings are for the service on its own; add-ons can be
+// arranged when we confirm. Idempotency-Key is honoured as on /api/book.
+// =============================================================================
+
+import { loadSchedule, checkBookable } from "../_lib/schedule.js";
+import { loadCatalog, buildQuote } from "../_lib/services.js";
+import { withIdempotency } from "../_lib/idempotency.js";
+import { BUSY_SQL } from "../_lib/bookings.js";
+import { isDate } from "../_lib/dates.js";
+import { sendWaitlistJoinedEmail } from "../_lib/booking-waitlist.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "POST, OPTIONS",
+  "access-control-allow-headers": "content-type, idempotency-key",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", ...CORS_HEADERS },
+  });
+}
+
+function sanitize(value, fallback = "") {
+  return typeof value === "string" ? value.trim().slice(0, 500) : fallback;
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestPost(context) {
+  return withIdempotency(context, "waitlist", joinWaitlist, CORS_HEADERS);
+}
+
+async function joinWaitlist({ request, env }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Request body must be valid JSON" }, 400);
+  }
+
+  const date    = sanitize(body.date);
+  const service = sanitize(body.service);
+  const name    = sanitize(body.name);
+  const phone   = sanitize(body.phone);
+  const email   = sanitize(body.email);
+  const vehicle = sanitize(body.vehicle);
+  const city    = sanitize(body.city);
+  const notes   = sanitize(body.notes);
+
+  // ── Validation ──────────────────────────────────────────────────────────────
+  if (!isDate(date)) {
+    return json({ ok: false, error: "Missing or invalid date (expect YYYY-MM-DD)" }, 400);
+  }
+  if (!name) return json({ ok: false, error: "Name is required" }, 400);
+  if (!/^[\d\s\(\)\+\-\.]{7,20}$/.test(phone)) {
+    return json({ ok: false, error: "Invalid phone number format" }, 400);
+  }
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return json({ ok: false, error: "A valid email address is required" }, 400);
+  }
+  if (!vehicle) return json({ ok: false, error: "Vehicle is required" }, 400);
+
+  let catalog, schedule;
+  try {
+    [catalog, schedule] = await Promise.all([loadCatalog(env.DB), loadSchedule(env.DB, date)]);
+  } catch (e) {
+    console.error("[waitlist] load error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const serviceRow = catalog.find(s => s.name === service);
+  if (!serviceRow) {
+    return json({ ok: false, error: `Unknown service. Valid: ${catalog.map(s => s.name).join(", ")}` }, 400);
+  }
+  const { duration_hours } = buildQuote(serviceRow, []);
+
+  const day = checkBookable(schedule, date);
+  if (!day.ok) return json({ ok: false, error: day.error }, 400);
+
+  const window_start = body.window_start == null ? day.open_hour  : Number(body.window_start);
+  const window_end   = body.window_end   == null ? day.close_hour : Number(body.window_end);
+  if (!Number.isInteger(window_start) || !Number.isInteger(window_end)) {
+    return json({ ok: false, error: "window_start and window_end must be integer hours" }, 400);
+  }
+  if (window_start < day.open_hour || window_end > day.close_hour) {
+    return json({ ok: false, error: `The time window must fall within opening hours (${day.open_hour}–${day.close_hour})` }, 400);
+  }
+  if (window_end - Math.max(window_start, day.first_start) < duration_hours) {
+    return json({ ok: false, error: `"${service}" takes ${duration_hours} hr(s) — that window is too short` }, 400);
+  }
+
+  // ── Still bookable? ─────────────────────────────────────────────────────────
+  let existing, bookings;
+  try {
+    [existing, bookings] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT id, window_start, window_end FROM booking_waitlist
+          WHERE email = ? COLLATE NOCASE AND date = ? AND service = ? AND status IN ('waiting', 'offered')`
+      ).bind(email, date, service),
+      env.DB.prepare(
+        `SELECT start_hour, end_hour FROM bookings WHERE date = ? AND ${BUSY_SQL}`
+      ).bind(date),
+    ]);
+  } catch (e) {
+    console.error("[waitlist] DB fetch error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  const entry = existing.results?.[0];
+  if (entry) return json({ ok: true, id: entry.id, date, window_start: entry.window_start, window_end: entry.window_end });
+
+  const busy = bookings.results || [];
+  const available_starts = [];
+  for (let h = Math.max(window_start, day.first_start); h + duration_hours <= window_end; h++) {
+    if (!busy.some(b => b.start_hour < h + duration_hours && b.end_hour > h)) available_starts.push(h);
+  }
+  if (available_starts.length) {
+    return json({ ok: false, error: "There are still open times in that window — book one directly.", available_starts }, 409);
+  }
+
+  // ── Insert ──────────────────────────────────────────────────────────────────
+  const id = crypto.randomUUID();
+  const row = {
+    id, date, service, duration_hours, window_start, window_end,
+    name, phone, email, vehicle, city, notes, created_at: new Date().toISOString(),
+  };
+  try {
+    const cols = Object.keys(row);
+    await env.DB.prepare(
+      `INSERT INTO booking_waitlist (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+    ).bind(...cols.map(c => row[c])).run();
+  } catch (e) {
+    console.error("[waitlist] insert error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  await sendWaitlistJoinedEmail(env, row);
+
+  return json({ ok: true, id, date, window_start, window_end }, 201);
+}
@@ -0,0 +1,195 @@
+// =============================================================================
+// /functions/api/waitlist/claim.js  —  Claims a slot offered from the booking
+// waitlist, using the signed link from the offer email (see
+// _lib/booking-waitlist.js and _lib/manage-token.js).
+//
+// GET  /api/waitlist/claim?token=…
+//   → { ok, offer: { id, date, start_hour, end_hour, service, name, status,
+//                    expires_at } }
+//
+// POST /api/waitlist/claim   Body: { token }
+//   → 201 { ok, booking: { id, date, start_hour, end_hour, service, quote } }
+//   → 410 the offer expired or was withdrawn
+//   → 409 someone booked the time first — the customer goes back on the
+//         waitlist for that day
+//
+// The booking is inserted with the same race-safe statement as /api/book, and
+// the offer is marked claimed in the same batch only if that insert landed.
+// Claiming twice returns the booking from the first claim.
+// =============================================================================
+
+import { verifyClaimToken, manageUrl } from "../../_lib/manage-token.js";
+import { loadSchedule } from "../../_lib/schedule.js";
+import { loadCatalog, buildQuote } from "../../_lib/services.js";
+import { insertBookingStatement, noShowCount } from "../../_lib/bookings.js";
+import { sendBookingEmail, sendCustomerConfirmation } from "../../_lib/booking-emails.js";
+import { sendConfirmationSms } from "../../_lib/booking-sms.js";
+import { linkCustomer } from "../../_lib/customers.js";
+
+const CORS_HEADERS = {
+  "access-control-allow-origin": "https://lussoautostudio.ca",
+  "access-control-allow-methods": "GET, POST, OPTIONS",
+  "access-control-allow-headers": "content-type",
+};
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json", "cache-control": "no-store", ...CORS_HEADERS },
+  });
+}
+
+function publicOffer(entry) {
+  return {
+    id:         entry.id,
+    date:       entry.date,
+    start_hour: entry.offered_start_hour,
+    end_hour:   entry.offered_start_hour + entry.duration_hours,
+    service:    entry.service,
+    name:       entry.name,
+    status:     entry.status,
+    expires_at: entry.offer_expires_at,
+  };
+}
+
+function publicBooking(b) {
+  let quote = null;
+  try { quote = b.quote ? JSON.parse(b.quote) : null; } catch {}
+  return { id: b.id, date: b.date, start_hour: b.start_hour, end_hour: b.end_hour, service: b.service, quote };
+}
+
+// Resolves the token to a waitlist row.
+// → { ok: true, entry } | { ok: false, response }
+async function loadFromToken(env, token) {
+  const verified = await verifyClaimToken(env, token);
+  if (!verified.ok) return { ok: false, response: json({ ok: false, error: verified.error }, 401) };
+
+  try {
+    const entry = await env.DB.prepare(`SELECT * FROM booking_waitlist WHERE id = ?`).bind(verified.id).first();
+    if (!entry || entry.offered_start_hour == null) {
+      return { ok: false, response: json({ ok: false, error: "Offer not found." }, 404) };
+    }
+    return { ok: true, entry };
+  } catch (e) {
+    console.error("[waitlist/claim] DB fetch error:", e?.message ?? e);
+    return { ok: false, response: json({ ok: false, error: "A server error occurred. Please try again." }, 500) };
+  }
+}
+
+export async function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+export async function onRequestGet({ request, env }) {
+  const token = new URL(request.url).searchParams.get("token");
+  const found = await loadFromToken(env, token);
+  if (!found.ok) return found.response;
+  return json({ ok: true, offer: publicOffer(found.entry) });
+}
+
+export async function onRequestPost({ request, env }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: "Request body must be valid JSON" }, 400);
+  }
+
+  const found = await loadFromToken(env, body.token);
+  if (!found.ok) return found.response;
+  const { entry } = found;
+
+  // ── Already claimed ─────────────────────────────────────────────────────────
+  if (entry.status === "claimed") {
+    try {
+      const booking = await env.DB.prepare(`SELECT * FROM bookings WHERE id = ?`).bind(entry.booking_id).first();
+      return json({ ok: true, booking: booking ? publicBooking(booking) : null });
+    } catch (e) {
+      console.error("[waitlist/claim] DB fetch error:", e?.message ?? e);
+      return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+    }
+  }
+
+  const now = new Date();
+  if (entry.status !== "offered" || !(entry.offer_expires_at > now.toISOString())) {
+    return json({ ok: false, error: "This offer has expired. We'll email you if another time opens up." }, 410);
+  }
+
+  // ── Quote ───────────────────────────────────────────────────────────────────
+  let catalog, schedule;
+  try {
+    [catalog, schedule] = await Promise.all([loadCatalog(env.DB), loadSchedule(env.DB, entry.date)]);
+  } catch (e) {
+    console.error("[waitlist/claim] load error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+  const serviceRow = catalog.find(s => s.name === entry.service);
+  if (!serviceRow) {
+    return json({ ok: false, error: "This service is no longer offered. Please contact us directly." }, 410);
+  }
+  const { quote } = buildQuote(serviceRow, []);
+
+  // ── Book ────────────────────────────────────────────────────────────────────
+  const id         = crypto.randomUUID();
+  const start_hour = entry.offered_start_hour;
+  const end_hour   = start_hour + entry.duration_hours;
+  const booking    = {
+    id, date: entry.date, start_hour, duration_hours: entry.duration_hours, end_hour,
+    service: entry.service, name: entry.name, phone: entry.phone, email: entry.email,
+    vehicle: entry.vehicle, city: entry.city, notes: entry.notes,
+    status: "active", created_at: now.toISOString(),
+    quote: JSON.stringify(quote), quote_total_cents: quote.total_cents,
+  };
+
+  // The offer is claimed only if the booking went in and the offer was still
+  // live; if the offer lapsed between the check above and here, the booking is
+  // removed again by the last statement.
+  try {
+    const [inserted, claimed] = await env.DB.batch([
+      insertBookingStatement(env.DB, booking),
+      env.DB.prepare(
+        `UPDATE booking_waitlist SET status = 'claimed', booking_id = ?
+          WHERE id = ? AND status = 'offered' AND offer_expires_at > ?
+            AND EXISTS (SELECT 1 FROM bookings WHERE id = ?)`
+      ).bind(id, entry.id, now.toISOString(), id),
+      env.DB.prepare(
+        `DELETE FROM bookings
+          WHERE id = ? AND NOT EXISTS (SELECT 1 FROM booking_waitlist WHERE id = ? AND booking_id = ?)`
+      ).bind(id, entry.id, id),
+    ]);
+
+    if ((claimed.meta?.changes ?? 0) === 0) {
+      // A double click: the other request claimed it first
+      const current = await env.DB.prepare(
+        `SELECT b.* FROM booking_waitlist w JOIN bookings b ON b.id = w.booking_id
+          WHERE w.id = ? AND w.status = 'claimed'`
+      ).bind(entry.id).first();
+      if (current) return json({ ok: true, booking: publicBooking(current) });
+    }
+    if ((inserted.meta?.changes ?? 0) === 0) {
+      await env.DB.prepare(
+        `UPDATE booking_waitlist
+            SET status = 'waiting', offered_start_hour = NULL, offered_at = NULL, offer_expires_at = NULL
+          WHERE id = ? AND status = 'offered'`
+      ).bind(entry.id).run();
+      return json({ ok: false, error: "Sorry — that time was just booked by someone else. You're still on the waitlist for this day." }, 409);
+    }
+    if ((claimed.meta?.changes ?? 0) === 0) {
+      return json({ ok: false, error: "This offer has expired. We'll email you if another time opens up." }, 410);
+    }
+  } catch (e) {
+    console.error("[waitlist/claim] insert error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred. Please try again." }, 500);
+  }
+
+  await linkCustomer(env.DB, "bookings", id, booking, "waitlist/claim");
+
+  // ── Send notification emails + text (non-blocking) ──────────────────────────
+  const sent = { ...booking, quote };
+  await sendBookingEmail({ ...sent, no_show_count: await noShowCount(env.DB, booking).catch(() => 0) }, env);
+  const manage = { url: await manageUrl(env, booking), cutoffHours: schedule.cutoffHours };
+  await sendCustomerConfirmation({ ...sent, manage }, env);
+  await sendConfirmationSms(booking, env);
+
+  return json({ ok: true, booking: publicBooking(booking) }, 201);
+}
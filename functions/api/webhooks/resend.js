@@ -0,0 +1,91 @@
+// =============================================================================
+// /functions/api/webhooks/resend.js
+// POST /api/webhooks/resend  —  Resend delivery events for the email outbox
+// (see _lib/outbox.js).
+//
+// Every delivery must carry a valid Svix signature (see _lib/resend.js);
+// anything else gets 401.
+//
+// Events (subscribe to these in the Resend dashboard), matched to the outbox
+// by data.email_id:
+//   email.delivered         → status 'delivered'
+//   email.bounced           → status 'bounced', with the bounce reason
+//   email.complained        → status 'complained' (marked as spam)
+//   email.delivery_delayed  → noted in last_error; stays 'sent'
+// Each update only moves a message forward, so repeats and out-of-order
+// deliveries are harmless. Other event types, and emails that aren't in the
+// outbox (or were already purged), are acknowledged and ignored.
+// =============================================================================
+
+import { verifyResendSignature } from "../../_lib/resend.js";
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+// type → { status it moves to, statuses it may move from }. A delay keeps the
+// message 'sent' and only notes it.
+const TRANSITIONS = {
+  "email.delivered":        { to: "delivered",  from: ["sent"] },
+  "email.bounced":          { to: "bounced",    from: ["sent", "delivered"] },
+  "email.complained":       { to: "complained", from: ["sent", "delivered"] },
+  "email.delivery_delayed": { to: "sent",       from: ["sent"] },
+};
+
+function detailFor(type, data) {
+  if (type === "email.bounced")          return `Bounced: ${data.bounce?.message || data.bounce?.type || "no reason given"}`;
+  if (type === "email.complained")       return "Marked as spam by the recipient";
+  if (type === "email.delivery_delayed") return "Delivery delayed — the receiving server hasn't accepted it yet";
+  return null;
+}
+
+function updateStatement(db, type, emailId, data, at) {
+  const { to, from } = TRANSITIONS[type];
+  const fields = { status: to, updated_at: at };
+  if (to === "delivered") Object.assign(fields, { delivered_at: at, last_error: null });
+  if (to === "bounced" || to === "complained") fields.bounced_at = at;
+  const detail = detailFor(type, data);
+  if (detail) fields.last_error = detail;
+
+  const cols = Object.keys(fields);
+  return db.prepare(
+    `UPDATE email_outbox SET ${cols.map(c => `${c} = ?`).join(", ")}
+      WHERE provider_id = ? AND status IN (${from.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => fields[c]), emailId, ...from);
+}
+
+export async function onRequestPost({ request, env }) {
+  if (!env.RESEND_WEBHOOK_SECRET) {
+    return json({ ok: false, error: "Resend webhooks are not configured." }, 503);
+  }
+
+  const rawBody = await request.text();
+  if (!(await verifyResendSignature(env, request.headers, rawBody))) {
+    return json({ ok: false, error: "Invalid signature." }, 401);
+  }
+
+  let event;
+  try { event = JSON.parse(rawBody); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const type    = typeof event.type === "string" ? event.type : "";
+  const emailId = typeof event.data?.email_id === "string" ? event.data.email_id : "";
+  if (!type) return json({ ok: false, error: "Missing type." }, 400);
+  if (!TRANSITIONS[type] || !emailId) return json({ ok: true, ignored: true });
+
+  const at = typeof event.created_at === "string" && !isNaN(Date.parse(event.created_at))
+    ? new Date(event.created_at).toISOString()
+    : new Date().toISOString();
+
+  try {
+    const res = await updateStatement(env.DB, type, emailId, event.data, at).run();
+    return json({ ok: true, updated: (res.meta?.changes ?? 0) > 0 });
+  } catch (e) {
+    // 500 → Resend retries the delivery
+    console.error("[webhooks/resend] DB update error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
@@ -0,0 +1,62 @@
+// =============================================================================
+// /functions/api/webhooks/sms.js
+// POST /api/webhooks/sms  —  Inbound texts from customers (see
+// _lib/booking-sms.js for what a reply does).
+//
+// Set this URL as the "A message comes in" webhook of the Twilio number (or
+// Messaging Service). Twilio posts form fields — From, Body, MessageSid — and
+// signs them (X-Twilio-Signature, checked in _lib/sms.js); anything unsigned
+// gets 401.
+//
+// The answer goes back in the response as TwiML, so Twilio texts it to the
+// customer without a second API call; an empty <Response/> sends nothing.
+// =============================================================================
+
+import { smsProvider } from "../../_lib/sms.js";
+import { handleReply } from "../../_lib/booking-sms.js";
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+function twiml(message) {
+  const body = message ? `<Message>${escXml(message)}</Message>` : "";
+  return new Response(`<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`, {
+    headers: { "content-type": "text/xml; charset=utf-8" },
+  });
+}
+
+function escXml(str) {
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export async function onRequestPost({ request, env }) {
+  const provider = smsProvider(env);
+  if (!provider) return json({ ok: false, error: "Text messages are not configured." }, 503);
+
+  let params;
+  try {
+    params = Object.fromEntries(new URLSearchParams(await request.text()));
+  } catch {
+    return json({ ok: false, error: "Invalid form body." }, 400);
+  }
+
+  if (!(await provider.verify(env, request.url, params, request.headers))) {
+    return json({ ok: false, error: "Invalid signature." }, 401);
+  }
+  if (!params.From) return json({ ok: false, error: "Missing From." }, 400);
+
+  try {
+    const answer = await handleReply(env, {
+      from: params.From, body: (params.Body || "").slice(0, 1600), provider_id: params.MessageSid || null,
+    });
+    return twiml(answer);
+  } catch (e) {
+    // 500 → Twilio logs the failure; the customer gets no answer
+    console.error("[webhooks/sms] reply error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
@@ -0,0 +1,164 @@
+// =============================================================================
+// /functions/api/webhooks/square.js
+// POST /api/webhooks/square  —  Square webhook receiver for membership billing.
+//
+// Every delivery must carry a valid x-square-hmacsha256-signature (see
+// _lib/square.js); anything else gets 401. Each event_id is processed once —
+// repeats are acknowledged with { ok: true, duplicate: true }.
+//
+// Events (subscribe to these in the Square Developer Dashboard):
+//   payment.created / payment.updated
+//       → matched by order_id to the payment link's order; stores the Square
+//         customer and last_payment_status
+//   subscription.created / subscription.updated
+//       → matched by subscription id, else by customer; stores
+//         square_subscription_id, its status and next_billing_date
+//   invoice.payment_made            → last_payment_status = "paid"
+//   invoice.scheduled_charge_failed → last_payment_status = "failed"
+// Changes that matter to the owner are appended to the application's
+// event_log. Other event types, and events for no known application, are
+// acknowledged and ignored so Square stops retrying them.
+//
+// A 500 releases the event_id, so Square's retry is processed again.
+// =============================================================================
+
+import { verifySquareSignature } from "../../_lib/square.js";
+import { appendEventStatement } from "../../_lib/membership.js";
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+async function findApplication(db, column, value) {
+  if (!value) return null;
+  return db.prepare(
+    `SELECT id, status, square_subscription_id, square_subscription_status,
+            next_billing_date, last_payment_status
+       FROM membership_applications WHERE ${column} = ?`
+  ).bind(value).first();
+}
+
+// ── Handlers ──────────────────────────────────────────────────────────────────
+// Each returns the statement to run, or null when there is nothing to do.
+// `at` is the event's created_at, so replays keep the original time.
+
+async function onPayment(db, payment, at) {
+  const app = await findApplication(db, "square_order_id", payment?.order_id);
+  if (!app) return null;
+
+  const status = String(payment.status || "").toLowerCase();
+  const fields = { last_payment_status: status };
+  if (payment.customer_id) fields.square_customer_id = payment.customer_id;
+
+  // Log only when the outcome changes — Square sends several updates per payment
+  if (status === app.last_payment_status || !["completed", "failed", "canceled"].includes(status)) {
+    return updateFieldsStatement(db, app.id, fields);
+  }
+  const note = status === "completed" ? "First payment received through Square."
+             : `Payment ${status} at checkout.`;
+  return appendEventStatement(db, app.id, { event: `payment_${status}`, note, at, by: "square" }, fields);
+}
+
+async function onSubscription(db, subscription, at) {
+  const app = await findApplication(db, "square_subscription_id", subscription?.id)
+           ?? await findApplication(db, "square_customer_id", subscription?.customer_id);
+  if (!app) return null;
+  // A customer match only claims a subscription for an application that
+  // doesn't have one yet
+  if (app.square_subscription_id && app.square_subscription_id !== subscription.id) return null;
+
+  const status = String(subscription.status || "").toLowerCase();
+  const fields = {
+    square_subscription_id:     subscription.id,
+    square_subscription_status: status,
+    next_billing_date:          subscription.charged_through_date ?? app.next_billing_date,
+  };
+
+  if (status === app.square_subscription_status) return updateFieldsStatement(db, app.id, fields);
+  return appendEventStatement(db, app.id, {
+    event: `subscription_${status}`,
+    note:  `Square subscription is now ${status}${fields.next_billing_date ? `; next billing ${fields.next_billing_date}` : ""}.`,
+    at, by: "square",
+  }, fields);
+}
+
+async function onInvoice(db, invoice, paid, at) {
+  const app = await findApplication(db, "square_subscription_id", invoice?.subscription_id);
+  if (!app) return null;
+
+  const amount = invoice.payment_requests?.[0]?.computed_amount_money?.amount;
+  const label  = Number.isInteger(amount) ? ` ($${(amount / 100).toFixed(2)})` : "";
+  return appendEventStatement(db, app.id, paid
+    ? { event: "payment_received", note: `Membership payment received${label}.`, at, by: "square" }
+    : { event: "payment_failed",   note: `Scheduled membership charge failed${label}. Square will retry per the plan's settings.`, at, by: "square" },
+    { last_payment_status: paid ? "paid" : "failed" },
+  );
+}
+
+// Field update without an event_log entry
+function updateFieldsStatement(db, id, fields) {
+  const cols = Object.keys(fields);
+  return db.prepare(
+    `UPDATE membership_applications SET ${cols.map(c => `${c} = ?`).join(", ")} WHERE id = ?`
+  ).bind(...cols.map(c => fields[c]), id);
+}
+
+// ── Endpoint ──────────────────────────────────────────────────────────────────
+export async function onRequestPost({ request, env }) {
+  if (!env.SQUARE_WEBHOOK_SIGNATURE_KEY) {
+    return json({ ok: false, error: "Square webhooks are not configured." }, 503);
+  }
+
+  const rawBody   = await request.text();
+  const signature = request.headers.get("x-square-hmacsha256-signature") || "";
+  const notifyUrl = env.SQUARE_WEBHOOK_URL || request.url;
+  if (!(await verifySquareSignature(env, notifyUrl, rawBody, signature))) {
+    return json({ ok: false, error: "Invalid signature." }, 401);
+  }
+
+  let event;
+  try { event = JSON.parse(rawBody); }
+  catch { return json({ ok: false, error: "Invalid JSON." }, 400); }
+
+  const eventId = typeof event.event_id === "string" ? event.event_id : "";
+  const type    = typeof event.type === "string" ? event.type : "";
+  if (!eventId || !type) return json({ ok: false, error: "Missing event_id or type." }, 400);
+
+  // ── Dedupe ────────────────────────────────────────────────────────────────
+  try {
+    const claim = await env.DB.prepare(
+      `INSERT OR IGNORE INTO square_webhook_events (event_id, type, received_at) VALUES (?, ?, ?)`
+    ).bind(eventId, type, new Date().toISOString()).run();
+    if ((claim.meta?.changes ?? 0) === 0) return json({ ok: true, duplicate: true });
+  } catch (e) {
+    console.error("[webhooks/square] dedupe error:", e?.message ?? e);
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+
+  // ── Apply ─────────────────────────────────────────────────────────────────
+  const object = event.data?.object ?? {};
+  const at     = typeof event.created_at === "string" ? event.created_at : new Date().toISOString();
+
+  try {
+    let statement = null;
+    if (type === "payment.created" || type === "payment.updated") {
+      statement = await onPayment(env.DB, object.payment, at);
+    } else if (type === "subscription.created" || type === "subscription.updated") {
+      statement = await onSubscription(env.DB, object.subscription, at);
+    } else if (type === "invoice.payment_made" || type === "invoice.scheduled_charge_failed") {
+      statement = await onInvoice(env.DB, object.invoice, type === "invoice.payment_made", at);
+    }
+
+    if (!statement) return json({ ok: true, ignored: true });
+    await statement.run();
+    return json({ ok: true });
+  } catch (e) {
+    console.error("[webhooks/square] apply error:", e?.message ?? e);
+    await env.DB.prepare(`DELETE FROM square_webhook_events WHERE event_id = ?`).bind(eventId).run().catch(() => {});
+    return json({ ok: false, error: "A server error occurred." }, 500);
+  }
+}
@@ -0,0 +1,48 @@
+-- =============================================================================
+-- 0001_business_calendar.sql  —  Data-driven opening hours, exceptions and
+-- booking horizon. Read by functions/_lib/schedule.js.
+--
+-- Apply with:  wrangler d1 migrations apply <database-name>
+-- =============================================================================
+
+-- One row per weekday (0 = Sunday … 6 = Saturday).
+-- open_hour / close_hour NULL means the studio is closed that weekday.
+CREATE TABLE IF NOT EXISTS business_hours (
+  weekday     INTEGER PRIMARY KEY CHECK (weekday BETWEEN 0 AND 6),
+  open_hour   INTEGER CHECK (open_hour  BETWEEN 0 AND 23),
+  close_hour  INTEGER CHECK (close_hour BETWEEN 1 AND 24),
+  CHECK (open_hour IS NULL OR close_hour > open_hour)
+);
+
+-- One-off overrides for a single date:
+--   kind = 'closed' → holiday / vacation / blackout (nothing bookable)
+--   kind = 'open'   → extra open day, e.g. a long-weekend Monday.
+--                     open_hour / close_hour NULL → default 8–20.
+CREATE TABLE IF NOT EXISTS schedule_exceptions (
+  date        TEXT PRIMARY KEY,
+  kind        TEXT NOT NULL CHECK (kind IN ('closed', 'open')),
+  open_hour   INTEGER,
+  close_hour  INTEGER,
+  note        TEXT,
+  created_at  TEXT NOT NULL
+);
+
+-- Simple key/value settings for the calendar.
+CREATE TABLE IF NOT EXISTS schedule_settings (
+  key    TEXT PRIMARY KEY,
+  value  TEXT NOT NULL
+);
+
+-- Seed with the rules that used to be hard-coded: weekends 8 AM – 8 PM,
+-- weekdays closed, bookable up to 30 days ahead.
+INSERT OR IGNORE INTO business_hours (weekday, open_hour, close_hour) VALUES
+  (0, 8, 20),
+  (1, NULL, NULL),
+  (2, NULL, NULL),
+  (3, NULL, NULL),
+  (4, NULL, NULL),
+  (5, NULL, NULL),
+  (6, 8, 20);
+
+INSERT OR IGNORE INTO schedule_settings (key, value) VALUES
+  ('booking_horizon_days', '30');
@@ -0,0 +1,58 @@
+-- =============================================================================
+-- 0002_service_catalog.sql  —  Services, add-ons and which add-ons each
+-- service offers. Read by functions/_lib/services.js.
+--
+-- Prices are stored in cents. A NULL base price means "quoted on request"
+-- (the site does not advertise a price for that service).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS services (
+  id                TEXT PRIMARY KEY,              -- slug, e.g. 'full-detail'
+  name              TEXT NOT NULL UNIQUE,          -- stored on bookings.service
+  duration_hours    INTEGER NOT NULL CHECK (duration_hours BETWEEN 1 AND 8),
+  base_price_cents  INTEGER CHECK (base_price_cents >= 0),
+  description       TEXT,
+  sort_order        INTEGER NOT NULL DEFAULT 0,
+  active            INTEGER NOT NULL DEFAULT 1,    -- 0 = retired
+  created_at        TEXT NOT NULL,
+  updated_at        TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS addons (
+  id           TEXT PRIMARY KEY,                   -- slug, e.g. 'pet-hair'
+  name         TEXT NOT NULL UNIQUE,
+  price_cents  INTEGER NOT NULL CHECK (price_cents >= 0),
+  sort_order   INTEGER NOT NULL DEFAULT 0,
+  active       INTEGER NOT NULL DEFAULT 1,         -- 0 = retired
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT NOT NULL
+);
+
+-- Which add-ons can be ordered with which service
+CREATE TABLE IF NOT EXISTS service_addons (
+  service_id  TEXT NOT NULL REFERENCES services(id),
+  addon_id    TEXT NOT NULL REFERENCES addons(id),
+  PRIMARY KEY (service_id, addon_id)
+);
+
+-- Seed with the three services and add-ons that used to be hard-coded
+INSERT OR IGNORE INTO services
+  (id, name, duration_hours, base_price_cents, description, sort_order, active, created_at, updated_at)
+VALUES
+  ('interior-deep-clean', 'Interior Deep Clean', 2, 15000,
+   'Vacuum + blow-out, touch-point steam, plastics/leather care, interior glass.',
+   1, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('full-detail', 'Full Detail', 4, 23000,
+   'Interior deep clean + safe exterior wash, wheels/tires, refined sealant finish.',
+   2, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('maintenance-wash', 'Maintenance Wash', 1, NULL,
+   NULL,
+   3, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+INSERT OR IGNORE INTO addons (id, name, price_cents, sort_order, active, created_at, updated_at) VALUES
+  ('pet-hair',   'Pet hair',   4000,  1, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('odour',      'Odour',      5000,  2, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ('headlights', 'Headlights', 10000, 3, 1, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+INSERT OR IGNORE INTO service_addons (service_id, addon_id)
+  SELECT s.id, a.id FROM services s CROSS JOIN addons a;
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- 0003_booking_quotes.sql  —  Add-on time cost and itemized quotes on bookings.
+-- =============================================================================
+
+-- Extra hours an add-on adds to the booking (0 = fits inside the service)
+ALTER TABLE addons ADD COLUMN duration_hours INTEGER NOT NULL DEFAULT 0;
+
+-- Itemized quote computed server-side when the booking is made:
+--   quote             → JSON { items: [{ kind, id, name, price_cents,
+--                                        duration_hours }], total_cents }
+--   quote_total_cents → copy of total_cents for reporting (NULL when any
+--                       item is quoted on request)
+ALTER TABLE bookings ADD COLUMN quote TEXT;
+ALTER TABLE bookings ADD COLUMN quote_total_cents INTEGER;
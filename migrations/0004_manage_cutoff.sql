@@ -0,0 +1,8 @@
+-- =============================================================================
+-- 0004_manage_cutoff.sql  —  Self-service cutoff for customer reschedule /
+-- cancel links (/api/manage). No online changes this many hours before the
+-- appointment.
+-- =============================================================================
+
+INSERT OR IGNORE INTO schedule_settings (key, value) VALUES
+  ('manage_cutoff_hours', '24');
@@ -0,0 +1,10 @@
+-- =============================================================================
+-- 0005_booking_reminders.sql  —  Reminder bookkeeping for the scheduled job
+-- (functions/_lib/reminders.js). A non-NULL timestamp means that reminder went
+-- out and must never be sent again. Both are cleared when a booking moves.
+-- =============================================================================
+
+ALTER TABLE bookings ADD COLUMN reminder_48h_sent_at TEXT;
+ALTER TABLE bookings ADD COLUMN reminder_2h_sent_at  TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_status_date ON bookings (status, date);
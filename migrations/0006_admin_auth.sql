@@ -0,0 +1,31 @@
+-- =============================================================================
+-- 0006_admin_auth.sql  —  Staff accounts and login sessions for the admin
+-- dashboards (functions/_lib/auth.js, functions/_middleware.js).
+--
+-- admin_users.password_hash   "pbkdf2-sha256$<iterations>$<salt>$<hash>"
+-- admin_sessions.id           SHA-256 of the cookie value — a leaked table
+--                             can't be replayed as a login
+--
+-- The first account is created with POST /api/auth/setup (needs the
+-- ADMIN_SETUP_TOKEN secret, and only works while this table is empty).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id             TEXT    PRIMARY KEY,
+  email          TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+  name           TEXT    NOT NULL,
+  password_hash  TEXT    NOT NULL,
+  active         INTEGER NOT NULL DEFAULT 1,
+  created_at     TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  last_login_at  TEXT
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id          TEXT PRIMARY KEY,
+  user_id     TEXT NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  expires_at  TEXT NOT NULL,
+  user_agent  TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id);
@@ -0,0 +1,35 @@
+-- =============================================================================
+-- 0007_roles_audit.sql  —  Staff roles and the admin audit trail.
+--
+-- admin_users.role   'owner' → everything
+--                    'staff' → view bookings / memberships / calendar, cancel
+--                              and move bookings (see can() in _lib/auth.js)
+-- Accounts that existed before roles had full access, so they become owners.
+--
+-- audit_log: one row per admin change, written in the same batch as the
+-- change itself (_lib/audit.js). before/after are JSON snapshots of just the
+-- fields that changed. The actor's email and role are copied in so the trail
+-- still reads correctly after an account is renamed or deactivated.
+-- =============================================================================
+
+ALTER TABLE admin_users ADD COLUMN role TEXT NOT NULL DEFAULT 'staff'
+  CHECK (role IN ('owner', 'staff'));
+
+UPDATE admin_users SET role = 'owner';
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at   TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+  actor_id     TEXT,
+  actor_email  TEXT,
+  actor_role   TEXT,
+  action       TEXT    NOT NULL,
+  entity_type  TEXT    NOT NULL,
+  entity_id    TEXT,
+  before       TEXT,
+  after        TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_entity  ON audit_log (entity_type, entity_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor   ON audit_log (actor_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log (created_at);
@@ -0,0 +1,21 @@
+-- =============================================================================
+-- 0008_idempotency_keys.sql  —  Idempotency-Key support for public form
+-- submissions (/api/book, /api/membership/apply). See _lib/idempotency.js.
+--
+-- One row per (scope, key). request_hash is the SHA-256 of the raw request
+-- body; status/response stay NULL while the first request is still running.
+-- Rows older than 24 hours are ignored and recycled.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope         TEXT    NOT NULL,
+  key           TEXT    NOT NULL,
+  request_hash  TEXT    NOT NULL,
+  status        INTEGER,
+  headers       TEXT,
+  response      TEXT,
+  created_at    TEXT    NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_created ON idempotency_keys (created_at);
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- 0009_studio_timezone.sql  —  The timezone every date rule is evaluated in
+-- ("today", the booking horizon, start times that have already passed,
+-- reminder and self-service cutoffs). IANA name; read by
+-- functions/_lib/schedule.js.
+-- =============================================================================
+
+INSERT OR IGNORE INTO schedule_settings (key, value) VALUES
+  ('studio_timezone', 'America/Toronto');
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- 0010_square_billing.sql  —  Square payment links and subscription state for
+-- accepted membership applications. Written by functions/_lib/membership-
+-- billing.js (on accept) and functions/api/webhooks/square.js.
+--
+-- Existing columns now filled in:
+--   payment_link_sent_at    → when the payment link was emailed
+--   square_subscription_id  → set by the first subscription.* webhook
+--   next_billing_date       → subscription charged_through_date (YYYY-MM-DD)
+--   last_payment_status     → "completed" | "failed" | … (lower-cased Square
+--                             payment status, "paid" / "failed" for invoices)
+-- =============================================================================
+
+-- Where the payment link is sent. Applications filed before the apply form
+-- collected an email have NULL here; their link goes to the owner to forward.
+ALTER TABLE membership_applications ADD COLUMN email TEXT;
+
+ALTER TABLE membership_applications ADD COLUMN payment_link_url TEXT;
+ALTER TABLE membership_applications ADD COLUMN square_payment_link_id TEXT;
+-- Order behind the payment link; the first payment webhook carries it
+ALTER TABLE membership_applications ADD COLUMN square_order_id TEXT;
+ALTER TABLE membership_applications ADD COLUMN square_customer_id TEXT;
+-- Square subscription status, lower-cased: "active", "paused", "canceled", …
+ALTER TABLE membership_applications ADD COLUMN square_subscription_status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_membership_square_order
+  ON membership_applications (square_order_id);
+CREATE INDEX IF NOT EXISTS idx_membership_square_subscription
+  ON membership_applications (square_subscription_id);
+CREATE INDEX IF NOT EXISTS idx_membership_square_customer
+  ON membership_applications (square_customer_id);
+
+-- Square retries deliveries and may send an event more than once; each
+-- event_id is processed only once.
+CREATE TABLE IF NOT EXISTS square_webhook_events (
+  event_id     TEXT PRIMARY KEY,
+  type         TEXT NOT NULL,
+  received_at  TEXT NOT NULL
+);
@@ -0,0 +1,17 @@
+-- =============================================================================
+-- 0011_membership_lifecycle.sql  —  Columns for the scheduled membership
+-- transitions in functions/_lib/membership-lifecycle.js:
+--   accepted         → active     on first payment, or on start_date
+--   cancel_scheduled → cancelled  once cancel_at has passed
+-- =============================================================================
+
+-- Optional first day of the membership (YYYY-MM-DD, studio time), set when
+-- the application is accepted. NULL → becomes active on first payment only.
+ALTER TABLE membership_applications ADD COLUMN start_date TEXT;
+ALTER TABLE membership_applications ADD COLUMN activated_at TEXT;
+
+-- Status a scheduled cancellation returns to if the owner undoes it
+ALTER TABLE membership_applications ADD COLUMN status_before_cancel TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_membership_status
+  ON membership_applications (status);
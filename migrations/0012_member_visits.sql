@@ -0,0 +1,52 @@
+-- =============================================================================
+-- 0012_member_visits.sql  —  Recurring visit series for members (see
+-- functions/_lib/member-visits.js).
+--
+-- A series ("every other Saturday at 10") books its visits straight into
+-- bookings, further ahead than the public booking horizon, so members get
+-- their slots before anyone else can take them. Each visit remembers the
+-- occurrence it fills (series_date), which never changes when the visit is
+-- moved — so a moved or skipped visit is never booked a second time.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS member_visit_series (
+  id              TEXT    PRIMARY KEY,
+  membership_id   TEXT    NOT NULL REFERENCES membership_applications(id),
+  anchor_date     TEXT    NOT NULL,              -- first visit (YYYY-MM-DD)
+  interval_days   INTEGER NOT NULL DEFAULT 14,
+  start_hour      INTEGER NOT NULL,
+  service         TEXT    NOT NULL,              -- services.name
+  duration_hours  INTEGER NOT NULL,
+  status          TEXT    NOT NULL DEFAULT 'active',  -- 'active' | 'ended'
+  created_at      TEXT    NOT NULL,
+  created_by      TEXT,
+  ended_at        TEXT
+);
+
+-- One running series per member
+CREATE UNIQUE INDEX IF NOT EXISTS idx_member_visit_series_active
+  ON member_visit_series (membership_id) WHERE status = 'active';
+
+ALTER TABLE bookings ADD COLUMN membership_id TEXT;
+ALTER TABLE bookings ADD COLUMN series_id     TEXT;
+ALTER TABLE bookings ADD COLUMN series_date   TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_series_occurrence
+  ON bookings (series_id, series_date) WHERE series_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_membership
+  ON bookings (membership_id) WHERE membership_id IS NOT NULL;
+
+-- Occurrences that could not be booked. Retried on every run until an admin
+-- resolves them (resolution 'placed' or 'skipped') or the slot frees up
+-- ('booked').
+--   reason: 'closed' (studio closed that day) | 'hours' (outside opening
+--           hours) | 'booked' (slot already taken)
+CREATE TABLE IF NOT EXISTS member_visit_conflicts (
+  series_id    TEXT NOT NULL REFERENCES member_visit_series(id),
+  series_date  TEXT NOT NULL,
+  reason       TEXT NOT NULL,
+  detected_at  TEXT NOT NULL,
+  resolved_at  TEXT,
+  resolution   TEXT,
+  PRIMARY KEY (series_id, series_date)
+);
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 0013_membership_waitlist.sql  —  Roster capacity and the membership
+-- waitlist (see functions/_lib/membership-roster.js).
+--
+-- Settings (schedule_settings):
+--   membership_capacity    → most members at once (accepted, active or
+--                            cancel_scheduled). Unset or empty = no limit.
+--   membership_auto_offer  → '1': when a spot opens, the next waitlisted
+--                            applicant is moved back to pending and emailed.
+--                            '0': the admin page surfaces them instead.
+--
+-- Applications arriving while the roster is full (or people are already
+-- waiting) get status 'waitlisted'; their queue position is their rank by
+-- waitlisted_at.
+-- =============================================================================
+
+ALTER TABLE membership_applications ADD COLUMN waitlisted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_membership_waitlist
+  ON membership_applications (status, waitlisted_at);
+
+INSERT OR IGNORE INTO schedule_settings (key, value) VALUES
+  ('membership_auto_offer', '0');
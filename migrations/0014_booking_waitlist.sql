@@ -0,0 +1,36 @@
+-- =============================================================================
+-- 0014_booking_waitlist.sql  —  Waitlist for fully booked days (see
+-- functions/_lib/booking-waitlist.js).
+--
+-- A customer waits for a date, service and time window. When a cancellation
+-- or move frees a slot that fits, the earliest entries are offered it by
+-- email with a claim link that expires at offer_expires_at.
+--
+--   status: 'waiting' → 'offered' → 'claimed'
+--                                 → 'expired'  (offer not claimed in time)
+--           'waiting' → 'expired'             (the date passed)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS booking_waitlist (
+  id                  TEXT    PRIMARY KEY,
+  date                TEXT    NOT NULL,
+  service             TEXT    NOT NULL,            -- services.name
+  duration_hours      INTEGER NOT NULL,
+  window_start        INTEGER NOT NULL,            -- earliest start hour
+  window_end          INTEGER NOT NULL,            -- must be finished by
+  name                TEXT    NOT NULL,
+  phone               TEXT    NOT NULL,
+  email               TEXT    NOT NULL,
+  vehicle             TEXT    NOT NULL,
+  city                TEXT,
+  notes               TEXT,
+  status              TEXT    NOT NULL DEFAULT 'waiting',
+  offered_start_hour  INTEGER,
+  offered_at          TEXT,
+  offer_expires_at    TEXT,
+  booking_id          TEXT,                        -- set once claimed
+  created_at          TEXT    NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_date
+  ON booking_waitlist (date, status, created_at);
@@ -0,0 +1,13 @@
+-- =============================================================================
+-- 0015_admin_bookings.sql  —  Bookings entered by an admin, and manual time
+-- blocks (see functions/api/admin/bookings.js).
+--
+-- A block is a bookings row with kind = 'block': status 'active', no customer
+-- and no service, the reason in notes. Because it is an ordinary active row,
+-- /api/slots, the availability calendar, the overlap guards and the booking
+-- waitlist all treat its hours as taken without any changes of their own.
+-- =============================================================================
+
+ALTER TABLE bookings ADD COLUMN kind       TEXT NOT NULL DEFAULT 'booking';  -- 'booking' | 'block'
+ALTER TABLE bookings ADD COLUMN created_by TEXT;  -- admin email; NULL when booked online
+ALTER TABLE bookings ADD COLUMN overrides  TEXT;  -- JSON array of the booking rules an admin set aside
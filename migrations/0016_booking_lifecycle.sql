@@ -0,0 +1,24 @@
+-- =============================================================================
+-- 0016_booking_lifecycle.sql  —  What happened to a booking on the day (see
+-- functions/api/admin/booking-status.js).
+--
+--   status: 'active'     → 'checked_in' → 'completed'
+--           'active'     → 'completed'    (marked done without a check-in)
+--           'active'     → 'no_show'
+--           'active'     → 'cancelled'    (as before)
+--
+-- Checked-in and completed bookings keep their hours taken; a no-show frees
+-- them like a cancellation. Each step stamps its own *_at column.
+-- =============================================================================
+
+ALTER TABLE bookings ADD COLUMN checked_in_at     TEXT;
+ALTER TABLE bookings ADD COLUMN completed_at      TEXT;
+ALTER TABLE bookings ADD COLUMN no_show_at        TEXT;
+ALTER TABLE bookings ADD COLUMN final_price_cents INTEGER;  -- what was actually charged
+ALTER TABLE bookings ADD COLUMN staff_notes       TEXT;     -- internal, never shown to the customer
+
+-- Past no-shows are looked up by the customer's email or phone on every new booking
+CREATE INDEX IF NOT EXISTS idx_bookings_no_show_email
+  ON bookings (email COLLATE NOCASE) WHERE status = 'no_show';
+CREATE INDEX IF NOT EXISTS idx_bookings_no_show_phone
+  ON bookings (phone) WHERE status = 'no_show';
@@ -0,0 +1,57 @@
+-- =============================================================================
+-- 0017_customers.sql  —  One record per client and their vehicles, linked
+-- from bookings and membership applications (see functions/_lib/customers.js).
+--
+-- /api/book, /api/membership/apply (and the other places that create a
+-- booking) match the contact details to a customer by email, then by phone,
+-- and create one when neither is known. The typed name / phone / vehicle
+-- columns on bookings and applications stay as entered; customer_id and
+-- vehicle_id say who it was.
+--
+--   email_key: lower-cased email        phone_key: digits only, without a
+--                                                   leading North American 1
+-- Rows from before this migration are linked by POST /api/admin/customers
+-- (action "link_existing").
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS customers (
+  id          TEXT PRIMARY KEY,
+  name        TEXT NOT NULL,
+  email       TEXT,
+  phone       TEXT,
+  city        TEXT,
+  email_key   TEXT,
+  phone_key   TEXT,
+  notes       TEXT,                    -- internal, never shown to the customer
+  created_at  TEXT NOT NULL,
+  updated_at  TEXT NOT NULL
+);
+
+-- An email belongs to one customer; a phone may be shared (e.g. a household)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_email_key
+  ON customers (email_key) WHERE email_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_customers_phone_key
+  ON customers (phone_key) WHERE phone_key IS NOT NULL;
+
+-- description: as the customer typed it the first time ("2021 Tesla Model 3")
+-- description_key: lower-cased, whitespace collapsed — same car, same row
+CREATE TABLE IF NOT EXISTS vehicles (
+  id               TEXT PRIMARY KEY,
+  customer_id      TEXT NOT NULL REFERENCES customers(id),
+  description      TEXT NOT NULL,
+  description_key  TEXT NOT NULL,
+  created_at       TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_customer_key
+  ON vehicles (customer_id, description_key);
+
+ALTER TABLE bookings ADD COLUMN customer_id TEXT;
+ALTER TABLE bookings ADD COLUMN vehicle_id  TEXT;
+ALTER TABLE membership_applications ADD COLUMN customer_id TEXT;
+ALTER TABLE membership_applications ADD COLUMN vehicle_id  TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_customer
+  ON bookings (customer_id) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_membership_customer
+  ON membership_applications (customer_id) WHERE customer_id IS NOT NULL;
@@ -0,0 +1,43 @@
+-- =============================================================================
+-- 0018_email_outbox.sql  —  Every outgoing email, kept until it is delivered
+-- (see functions/_lib/outbox.js).
+--
+-- sendEmail() saves the message here and makes the first attempt straight
+-- away; failed attempts are retried by the scheduler with exponential backoff.
+--
+--   status: 'queued' → 'sent' (Resend accepted it) → 'delivered'
+--                                                  → 'bounced' | 'complained'
+--           'queued' → 'failed'  (rejected by Resend, or out of attempts —
+--                                 an admin can queue it again)
+--
+-- next_attempt_at is also pushed forward while an attempt is in flight, so a
+-- message is never picked up twice; an attempt that dies mid-way is retried
+-- once that time passes. Delivery states come from Resend's webhook
+-- (/api/webhooks/resend), matched on provider_id.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id               TEXT    PRIMARY KEY,
+  tag              TEXT    NOT NULL,              -- sender, e.g. "booking-emails"
+  to_email         TEXT    NOT NULL,
+  subject          TEXT    NOT NULL,
+  html             TEXT    NOT NULL,
+  status           TEXT    NOT NULL DEFAULT 'queued',
+  attempts         INTEGER NOT NULL DEFAULT 0,    -- in the current round
+  requeues         INTEGER NOT NULL DEFAULT 0,    -- rounds an admin started again
+  next_attempt_at  TEXT,
+  last_error       TEXT,
+  provider_id      TEXT,                          -- Resend email id
+  created_at       TEXT    NOT NULL,
+  sent_at          TEXT,
+  delivered_at     TEXT,
+  bounced_at       TEXT,                          -- bounce or spam complaint
+  updated_at       TEXT    NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+  ON email_outbox (next_attempt_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status
+  ON email_outbox (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_provider
+  ON email_outbox (provider_id) WHERE provider_id IS NOT NULL;
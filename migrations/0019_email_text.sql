@@ -0,0 +1,9 @@
+-- =============================================================================
+-- 0019_email_text.sql  —  Plain-text part of each outgoing email, sent
+-- alongside the HTML (see functions/_lib/email-templates.js).
+--
+-- NULL for messages queued before templates made one; those go out as HTML
+-- only, as before.
+-- =============================================================================
+
+ALTER TABLE email_outbox ADD COLUMN text TEXT;
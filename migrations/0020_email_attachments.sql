@@ -0,0 +1,9 @@
+-- =============================================================================
+-- 0020_email_attachments.sql  —  Attachments of outgoing emails, e.g. the .ics
+-- calendar invite on booking emails (see functions/_lib/ical.js).
+--
+-- JSON array of { filename, content (base64), content_type }, sent to Resend
+-- as it is; NULL when there are none.
+-- =============================================================================
+
+ALTER TABLE email_outbox ADD COLUMN attachments TEXT;
@@ -0,0 +1,32 @@
+-- =============================================================================
+-- 0021_sms.sql  —  Text messages to and from customers (see
+-- functions/_lib/sms.js and functions/_lib/booking-sms.js).
+--
+-- Every text is logged here, sent or received. A reply is matched to the
+-- booking of the last text sent to that number, so customers can answer a
+-- confirmation or reminder with "C" (confirm) or "R" (reschedule).
+--
+--   direction: 'out' | 'in'
+--   status:    'sent' | 'failed' (out) · 'received' (in)
+--   kind:      'confirmation' | 'reminder_48h' | 'reminder_2h' | 'reply' (out)
+--              'confirm' | 'reschedule' | 'other' (in, what the reply asked)
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id           TEXT PRIMARY KEY,
+  direction    TEXT NOT NULL,
+  phone        TEXT NOT NULL,          -- E.164, e.g. +15195550000
+  body         TEXT NOT NULL,
+  booking_id   TEXT,
+  kind         TEXT,
+  status       TEXT NOT NULL,
+  provider_id  TEXT,                   -- Twilio message SID
+  error        TEXT,
+  created_at   TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_messages_phone   ON sms_messages (phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_booking ON sms_messages (booking_id) WHERE booking_id IS NOT NULL;
+
+ALTER TABLE bookings ADD COLUMN sms_confirmed_at        TEXT;  -- customer replied "C"
+ALTER TABLE bookings ADD COLUMN reschedule_requested_at TEXT;  -- customer replied "R"; cleared when the booking moves
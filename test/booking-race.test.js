@@ -0,0 +1,127 @@
+// Double bookings: /api/book and the admin move both reserve a slot with a
+// conditional write (insertBookingStatement / moveBookingStatement in
+// functions/_lib/bookings.js). These fire requests at the same slot at once
+// against a local D1 and expect exactly one to win.
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { insertBookingStatement } from "../functions/_lib/bookings.js";
+import { onRequestPost as book } from "../functions/api/book.js";
+import { onRequest as admin } from "../functions/api/admin.js";
+
+// Monday 2026-10-19, 8 AM in Toronto; the studio is open weekends 8–20
+const NOW      = new Date("2026-10-19T12:00:00Z");
+const SATURDAY = "2026-10-24";
+const SUNDAY   = "2026-10-25";
+
+const RACERS = 10;
+
+let db, dispose, env;
+
+beforeAll(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+  ({ db, dispose } = await createDatabase());
+  env = { DB: db };
+});
+
+afterAll(async () => {
+  vi.useRealTimers();
+  await dispose();
+});
+
+function bookingRequest(i, start_hour) {
+  return call(book, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/book",
+    body: {
+      date: SATURDAY, start_hour, duration_hours: 2, service: "Interior Deep Clean",
+      name: `Customer ${i}`, phone: `519-555-01${String(i).padStart(2, "0")}`,
+      email: `customer${i}@example.com`, vehicle: "2021 Honda Civic",
+    },
+  });
+}
+
+async function busyCount(date, start_hour, end_hour) {
+  const row = await db.prepare(
+    `SELECT COUNT(*) AS n FROM bookings
+      WHERE date = ? AND status = 'active' AND start_hour < ? AND end_hour > ?`
+  ).bind(date, end_hour, start_hour).first();
+  return row.n;
+}
+
+function statuses(results) {
+  return results.map(r => r.status).sort();
+}
+
+describe("POST /api/book", () => {
+  it("gives a slot to exactly one of many simultaneous customers", async () => {
+    const results = await Promise.all(Array.from({ length: RACERS }, (_, i) => bookingRequest(i, 10)));
+
+    expect(statuses(results)).toEqual([201, ...Array(RACERS - 1).fill(409)]);
+    for (const r of results.filter(r => r.status === 409)) {
+      expect(r.json.error).toMatch(/no longer available/);
+    }
+    expect(await busyCount(SATURDAY, 10, 12)).toBe(1);
+  });
+
+  it("refuses overlapping slots, not only identical ones", async () => {
+    // 11–13 and 12–14 both overlap each other and 10–12 is already taken
+    const results = await Promise.all([bookingRequest(20, 11), bookingRequest(21, 12), bookingRequest(22, 12)]);
+
+    expect(statuses(results)).toEqual([201, 409, 409]);
+    expect(await busyCount(SATURDAY, 10, 14)).toBe(2);
+  });
+});
+
+describe("insertBookingStatement", () => {
+  it("lets one write through even when every caller skipped the early check", async () => {
+    const rows = Array.from({ length: RACERS }, (_, i) => ({
+      id: `direct-${i}`, date: SATURDAY, start_hour: 16, duration_hours: 2, end_hour: 18,
+      service: "Interior Deep Clean", name: `Direct ${i}`, status: "active", created_at: NOW.toISOString(),
+    }));
+    const results = await Promise.all(rows.map(row => insertBookingStatement(db, row).run()));
+
+    expect(results.map(r => r.meta.changes).sort()).toEqual([...Array(RACERS - 1).fill(0), 1]);
+    expect(await busyCount(SATURDAY, 16, 18)).toBe(1);
+  });
+});
+
+describe("admin move", () => {
+  it("moves exactly one of many bookings into the same free slot", async () => {
+    // Ten one-hour bookings on Sunday, all moved to Saturday 18:00 at once
+    await db.batch(Array.from({ length: RACERS }, (_, i) => db.prepare(
+      `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, status, created_at)
+       VALUES (?, ?, ?, 1, ?, 'Maintenance Wash', ?, 'active', ?)`
+    ).bind(`move-${i}`, SUNDAY, 8 + i, 9 + i, `Mover ${i}`, NOW.toISOString())));
+
+    const results = await Promise.all(Array.from({ length: RACERS }, (_, i) => call(admin, {
+      env, method: "POST", url: "https://lussoautostudio.ca/api/admin", user: OWNER,
+      body: { action: "move", id: `move-${i}`, date: SATURDAY, start_hour: 18 },
+    })));
+
+    expect(statuses(results)).toEqual([200, ...Array(RACERS - 1).fill(409)]);
+    expect(await busyCount(SATURDAY, 18, 19)).toBe(1);
+    const stayed = await db.prepare(`SELECT COUNT(*) AS n FROM bookings WHERE id LIKE 'move-%' AND date = ?`).bind(SUNDAY).first();
+    expect(stayed.n).toBe(RACERS - 1);
+  });
+
+  it("never lets a move and a new booking share a slot", async () => {
+    await db.prepare(
+      `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, status, created_at)
+       VALUES ('mixed', ?, 19, 2, 21, 'Interior Deep Clean', 'Mixed', 'active', ?)`
+    ).bind(SUNDAY, NOW.toISOString()).run();
+
+    const results = await Promise.all([
+      call(admin, {
+        env, method: "POST", url: "https://lussoautostudio.ca/api/admin", user: OWNER,
+        body: { action: "move", id: "mixed", date: SATURDAY, start_hour: 8 },
+      }),
+      ...Array.from({ length: 4 }, (_, i) => bookingRequest(30 + i, 8)),
+    ]);
+
+    expect(results.filter(r => r.status === 200 || r.status === 201)).toHaveLength(1);
+    expect(results.filter(r => r.status === 409)).toHaveLength(4);
+    expect(await busyCount(SATURDAY, 8, 10)).toBe(1);
+  });
+});
@@ -0,0 +1,80 @@
+// Linking old bookings and applications to customers ("link_existing" on
+// /api/admin/customers, linkExisting in functions/_lib/customers.js): rows
+// that can't be linked must not stop the ones after them.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { onRequestPost as customers } from "../functions/api/admin/customers.js";
+
+const PAGE = 200;
+
+let db, dispose, env;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  env = { DB: db };
+});
+
+afterAll(() => dispose());
+
+beforeEach(async () => {
+  await db.batch([
+    db.prepare(`DELETE FROM bookings`),
+    db.prepare(`DELETE FROM membership_applications`),
+    db.prepare(`DELETE FROM vehicles`),
+    db.prepare(`DELETE FROM customers`),
+  ]);
+});
+
+// `count` bookings from `day` on, one a minute
+function insertBookings(prefix, count, contact, day = "2024-03-01") {
+  return db.batch(Array.from({ length: count }, (_, i) => db.prepare(
+    `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, email, phone, vehicle, status, created_at)
+     VALUES (?, '2024-03-02', 10, 1, 11, 'Maintenance Wash', ?, ?, ?, '2018 Mazda 3', 'completed', ?)`
+  ).bind(`${prefix}-${String(i).padStart(3, "0")}`, `Customer ${prefix} ${i}`, contact(i).email ?? null,
+         contact(i).phone ?? null, new Date(Date.parse(`${day}T12:00:00Z`) + i * 60_000).toISOString())));
+}
+
+function linkExisting(after) {
+  return call(customers, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin/customers", user: OWNER,
+    body: { action: "link_existing", ...(after ? { after } : {}) },
+  });
+}
+
+describe("link_existing", () => {
+  it("gets past more than a page of rows it can't link", async () => {
+    // The oldest 250: no email, and a number too short to be one
+    await insertBookings("old", PAGE + 50, () => ({ email: "  ", phone: "555-01" }));
+    await insertBookings("new", 3, i => ({ email: `Customer${i}@Example.com`, phone: "(519) 555-0142" }), "2025-01-01");
+
+    const pages = [];
+    let after = null;
+    do {
+      const res = await linkExisting(after);
+      expect(res.status).toBe(200);
+      pages.push(res.json);
+      after = res.json.after;
+    } while (pages.at(-1).more && pages.length < 5);
+
+    expect(pages.map(p => [p.linked, p.skipped, p.more])).toEqual([[0, PAGE, true], [3, 50, false]]);
+    expect(after).toMatchObject({ id: "new-002" });
+
+    const linked = await db.prepare(`SELECT COUNT(*) AS n FROM bookings WHERE customer_id IS NOT NULL`).first();
+    expect(linked.n).toBe(3);
+    const people = await db.prepare(`SELECT email_key FROM customers ORDER BY email_key`).all();
+    expect(people.results.map(c => c.email_key)).toEqual(["customer0@example.com", "customer1@example.com", "customer2@example.com"]);
+  });
+
+  it("starts from the oldest without a cursor, and only picks up what is still unlinked", async () => {
+    await insertBookings("a", 2, () => ({ phone: "+1 519 555 0100" }));
+
+    expect((await linkExisting()).json).toMatchObject({ linked: 2, skipped: 0, more: false });
+    expect((await linkExisting()).json).toEqual({ ok: true, linked: 0, skipped: 0, more: false, after: null });
+
+    // Both are one customer, matched on the phone
+    const people = await db.prepare(`SELECT COUNT(*) AS n FROM customers`).first();
+    expect(people.n).toBe(1);
+  });
+});
@@ -0,0 +1,241 @@
+// The email outbox (functions/_lib/outbox.js) against a local stand-in for
+// Resend: the first attempt, retries with backoff, giving up, an admin
+// resend, and delivery updates from the Resend webhook
+// (functions/api/webhooks/resend.js).
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call } from "./helpers/request.js";
+import { startStub } from "./helpers/stub-server.js";
+import { sendEmail } from "../functions/_lib/email.js";
+import { MAX_ATTEMPTS, deliverMessage, enqueueEmail, resendMessage, runEmailOutbox } from "../functions/_lib/outbox.js";
+import { onRequestPost as webhook } from "../functions/api/webhooks/resend.js";
+
+const NOW     = new Date("2026-10-19T12:00:00Z");
+const MESSAGE = { to: "jordan@example.com", subject: "Booking confirmed", html: "<p>See you Saturday</p>", text: "See you Saturday" };
+const SECRET  = `whsec_${btoa("outbox-test-signing-key")}`;
+
+let db, dispose, stub, env;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  stub = await startStub();
+  env = { DB: db, RESEND_API_KEY: "re_test", FROM_EMAIL: "bookings@lussoautostudio.ca", RESEND_API_BASE: stub.url, RESEND_WEBHOOK_SECRET: SECRET };
+});
+
+afterAll(async () => {
+  await stub.close();
+  await dispose();
+});
+
+beforeEach(async () => {
+  await db.prepare(`DELETE FROM email_outbox`).run();
+  stub.requests.length = 0;
+  stub.respond = () => ({ status: 200, body: { id: "re_1" } });
+});
+
+const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60_000);
+
+function outboxRow(id) {
+  return db.prepare(`SELECT * FROM email_outbox WHERE id = ?`).bind(id).first();
+}
+
+describe("sending", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it("saves the message and sends it straight away", async () => {
+    expect(await sendEmail(env, MESSAGE, "booking-emails")).toBe("sent");
+
+    const [req] = stub.requests;
+    expect(req.path).toBe("/emails");
+    expect(req.headers.authorization).toBe("Bearer re_test");
+    expect(req.body).toEqual({ from: "bookings@lussoautostudio.ca", to: ["jordan@example.com"], subject: MESSAGE.subject, html: MESSAGE.html, text: MESSAGE.text });
+
+    const row = await db.prepare(`SELECT * FROM email_outbox`).first();
+    expect(row).toMatchObject({ tag: "booking-emails", status: "sent", attempts: 1, provider_id: "re_1", sent_at: NOW.toISOString(), next_attempt_at: null });
+    expect(req.headers["idempotency-key"]).toBe(`${row.id}.0`);
+  });
+
+  it("keeps a message Resend couldn't take for the scheduler", async () => {
+    stub.respond = () => ({ status: 503, body: { message: "Service unavailable" } });
+    expect(await sendEmail(env, MESSAGE, "booking-emails")).toBe("queued");
+
+    const row = await db.prepare(`SELECT * FROM email_outbox`).first();
+    expect(row).toMatchObject({ status: "queued", attempts: 1, last_error: "Resend responded 503: Service unavailable" });
+    expect(row.next_attempt_at).toBe(minutesAfter(NOW, 5).toISOString());
+  });
+
+  it("skips sending without an API key", async () => {
+    expect(await sendEmail({ ...env, RESEND_API_KEY: undefined }, MESSAGE)).toBe(false);
+    expect(stub.requests).toHaveLength(0);
+  });
+});
+
+describe("retries", () => {
+  it("backs off 5, 10, 20 … minutes and fails after the last attempt", async () => {
+    stub.respond = () => ({ status: 500, body: {} });
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+
+    const delays = [];
+    let at = NOW;
+    for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+      expect(await deliverMessage(env, id, at)).toBe("queued");
+      const next = new Date((await outboxRow(id)).next_attempt_at);
+      delays.push((next - at) / 60_000);
+
+      // Not due a minute early
+      expect(await runEmailOutbox(env, minutesAfter(next, -1))).toMatchObject({ due: 0 });
+      at = next;
+    }
+    expect(delays).toEqual([5, 10, 20, 40, 80, 160, 320]);
+
+    expect(await runEmailOutbox(env, at)).toMatchObject({ due: 1, failed: 1 });
+    expect(await outboxRow(id)).toMatchObject({
+      status: "failed", attempts: MAX_ATTEMPTS, next_attempt_at: null, last_error: "Resend responded 500",
+    });
+
+    // Every attempt was the same message to Resend
+    const keys = new Set(stub.requests.map(r => r.headers["idempotency-key"]));
+    expect(stub.requests).toHaveLength(MAX_ATTEMPTS);
+    expect([...keys]).toEqual([`${id}.0`]);
+
+    // and a failed message is left alone
+    expect(await runEmailOutbox(env, minutesAfter(at, 24 * 60))).toMatchObject({ due: 0 });
+  });
+
+  it("gives up at once when Resend refuses the message itself", async () => {
+    stub.respond = () => ({ status: 422, body: { message: "Invalid `to` field" } });
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+
+    expect(await deliverMessage(env, id, NOW)).toBe("failed");
+    expect(await outboxRow(id)).toMatchObject({ status: "failed", attempts: 1, last_error: "Resend responded 422: Invalid `to` field" });
+  });
+
+  it("retries on 429 and when Resend can't be reached", async () => {
+    stub.respond = () => ({ status: 429, body: { message: "Too many requests" } });
+    const first = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+    expect(await deliverMessage(env, first, NOW)).toBe("queued");
+
+    const second = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+    expect(await deliverMessage({ ...env, RESEND_API_BASE: "http://127.0.0.1:9" }, second, NOW)).toBe("queued");
+    expect((await outboxRow(second)).last_error).toMatch(/^Resend could not be reached/);
+  });
+
+  it("sends on a later attempt once Resend is back", async () => {
+    stub.respond = () => ({ status: 502, body: {} });
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+    await deliverMessage(env, id, NOW);
+
+    stub.respond = () => ({ status: 200, body: { id: "re_later" } });
+    const later = minutesAfter(NOW, 5);
+    expect(await runEmailOutbox(env, later)).toMatchObject({ due: 1, sent: 1 });
+    expect(await outboxRow(id)).toMatchObject({
+      status: "sent", attempts: 2, provider_id: "re_later", sent_at: later.toISOString(), last_error: null,
+    });
+  });
+
+  it("never sends a message twice from overlapping runs", async () => {
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+    const outcomes = await Promise.all(Array.from({ length: 5 }, () => deliverMessage(env, id, NOW)));
+
+    expect(outcomes.sort()).toEqual([null, null, null, null, "sent"]);
+    expect(stub.requests).toHaveLength(1);
+    expect((await outboxRow(id)).attempts).toBe(1);
+  });
+
+  it("starts a failed message over when an admin resends it", async () => {
+    stub.respond = () => ({ status: 400, body: { message: "Bad request" } });
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails", NOW);
+    await deliverMessage(env, id, NOW);
+
+    stub.respond = () => ({ status: 200, body: { id: "re_again" } });
+    const later = minutesAfter(NOW, 60);
+    expect(await resendMessage(env, id, later)).toBe("sent");
+    expect(await outboxRow(id)).toMatchObject({ status: "sent", attempts: 1, requeues: 1, provider_id: "re_again" });
+
+    // A fresh idempotency key, or Resend would treat it as the first one
+    expect(stub.requests.map(r => r.headers["idempotency-key"])).toEqual([`${id}.0`, `${id}.1`]);
+
+    // A sent message can't be resent
+    expect(await resendMessage(env, id, later)).toBeNull();
+  });
+});
+
+describe("POST /api/webhooks/resend", () => {
+  async function sign(body, { id = "msg_1", timestamp = Math.floor(Date.now() / 1000), secret = SECRET } = {}) {
+    const key = await crypto.subtle.importKey(
+      "raw", Uint8Array.from(atob(secret.replace(/^whsec_/, "")), c => c.charCodeAt(0)),
+      { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+    );
+    const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${id}.${timestamp}.${body}`));
+    return { "svix-id": id, "svix-timestamp": String(timestamp), "svix-signature": `v1,${btoa(String.fromCharCode(...new Uint8Array(mac)))}` };
+  }
+
+  async function deliver(event, signing) {
+    const body = JSON.stringify(event);
+    return call(webhook, {
+      env, method: "POST", url: "https://lussoautostudio.ca/api/webhooks/resend",
+      body, headers: { "content-type": "application/json", ...(await sign(body, signing)) },
+    });
+  }
+
+  async function sentMessage(providerId) {
+    stub.respond = () => ({ status: 200, body: { id: providerId } });
+    const id = await enqueueEmail(db, MESSAGE, "booking-emails");
+    await deliverMessage(env, id);
+    return id;
+  }
+
+  it("marks a message delivered", async () => {
+    const id = await sentMessage("re_delivered");
+    const res = await deliver({ type: "email.delivered", created_at: "2026-10-19T12:05:00.000Z", data: { email_id: "re_delivered" } });
+
+    expect(res.json).toEqual({ ok: true, updated: true });
+    expect(await outboxRow(id)).toMatchObject({ status: "delivered", delivered_at: "2026-10-19T12:05:00.000Z" });
+  });
+
+  it("records a bounce with its reason, even after delivery", async () => {
+    const id = await sentMessage("re_bounced");
+    await deliver({ type: "email.delivered", data: { email_id: "re_bounced" } });
+    await deliver({ type: "email.bounced", data: { email_id: "re_bounced", bounce: { message: "Mailbox does not exist" } } });
+
+    expect(await outboxRow(id)).toMatchObject({ status: "bounced", last_error: "Bounced: Mailbox does not exist" });
+  });
+
+  it("notes a delay without changing the status", async () => {
+    const id = await sentMessage("re_delayed");
+    await deliver({ type: "email.delivery_delayed", data: { email_id: "re_delayed" } });
+
+    expect(await outboxRow(id)).toMatchObject({ status: "sent", last_error: expect.stringMatching(/^Delivery delayed/) });
+  });
+
+  it("never moves a message back", async () => {
+    const id = await sentMessage("re_late");
+    await deliver({ type: "email.complained", data: { email_id: "re_late" } });
+    const res = await deliver({ type: "email.delivered", data: { email_id: "re_late" } });
+
+    expect(res.json).toEqual({ ok: true, updated: false });
+    expect((await outboxRow(id)).status).toBe("complained");
+  });
+
+  it("acknowledges events it doesn't track", async () => {
+    expect((await deliver({ type: "email.opened", data: { email_id: "re_x" } })).json).toEqual({ ok: true, ignored: true });
+    expect((await deliver({ type: "email.delivered", data: { email_id: "re_unknown" } })).json).toEqual({ ok: true, updated: false });
+  });
+
+  it("refuses unsigned, wrongly signed and stale deliveries", async () => {
+    const id = await sentMessage("re_forged");
+    const event = { type: "email.delivered", data: { email_id: "re_forged" } };
+
+    const unsigned = await call(webhook, { env, method: "POST", url: "https://lussoautostudio.ca/api/webhooks/resend", body: event });
+    expect(unsigned.status).toBe(401);
+    expect((await deliver(event, { secret: `whsec_${btoa("someone-else")}` })).status).toBe(401);
+    expect((await deliver(event, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 })).status).toBe(401);
+
+    expect((await outboxRow(id)).status).toBe("sent");
+  });
+});
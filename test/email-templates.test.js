@@ -0,0 +1,75 @@
+// Every email template rendered with the preview samples, pinned to a fixed
+// clock so the samples (taken from the seeded catalog and calendar) don't
+// move. See functions/_lib/email-templates.js and functions/_lib/email-samples.js.
+
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { listTemplates, previewEmail } from "../functions/_lib/email-templates.js";
+import { sampleContext } from "../functions/_lib/email-samples.js";
+import { loadCatalog } from "../functions/_lib/services.js";
+import { weekdayOf } from "../functions/_lib/dates.js";
+import { PARKING_OPTIONS, START_OPTIONS } from "../functions/_lib/membership.js";
+
+// Monday 2026-10-19, 8:00 in Toronto
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+let db, dispose, ctx;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+  ctx = await sampleContext(db, NOW);
+});
+
+afterAll(() => {
+  vi.useRealTimers();
+  return dispose();
+});
+
+describe("templates", () => {
+  for (const { name } of listTemplates()) {
+    it(name, () => {
+      const { subject, html, text } = previewEmail(name, ctx);
+      expect({ subject, text }).toMatchSnapshot();
+      expect(html).toMatchSnapshot();
+    });
+  }
+});
+
+describe("samples", () => {
+  it("fall on open days a few days out", () => {
+    // Weekends only in the seeded schedule
+    expect(ctx.booking.date).toBe("2026-10-24");
+    expect(ctx.previous.date).toBe("2026-10-25");
+    for (const date of [ctx.booking.date, ctx.previous.date, ctx.entry.date, ctx.app.start_date, ...ctx.visits.map(v => v.series_date)]) {
+      expect([0, 6]).toContain(weekdayOf(date));
+    }
+    expect(ctx.booking.start_hour).toBeGreaterThanOrEqual(8);
+    expect(ctx.booking.end_hour).toBeLessThanOrEqual(20);
+  });
+
+  it("use a real service, add-on and price", async () => {
+    const catalog = await loadCatalog(db);
+    const service = catalog.find(s => s.name === ctx.booking.service);
+    expect(service).toBeDefined();
+
+    const [base, addon] = ctx.booking.quote.items;
+    expect(base.price_cents).toBe(service.base_price_cents);
+    expect(service.addons.find(a => a.id === addon.id)?.price_cents).toBe(addon.price_cents);
+    expect(ctx.booking.quote.total_cents).toBe(base.price_cents + addon.price_cents);
+    expect(ctx.booking.end_hour - ctx.booking.start_hour).toBe(service.duration_hours);
+
+    expect(catalog.map(s => s.name)).toContain(ctx.entry.service);
+    expect(catalog.map(s => s.name)).toContain(ctx.visits[0].service);
+  });
+
+  it("answer the membership form as it allows", () => {
+    expect(PARKING_OPTIONS).toContain(ctx.app.parking);
+    expect(START_OPTIONS).toContain(ctx.app.preferred_start);
+  });
+
+  it("escape what the customer typed", () => {
+    expect(previewEmail("booking_owner_new", ctx).html).toContain("&lt;please&gt; &amp; trunk");
+  });
+});
@@ -0,0 +1,24 @@
+// =============================================================================
+// test/helpers/request.js  —  Calls a Pages Function handler the way the
+// runtime does, and signed-in users for the admin routes (the session check
+// in functions/_middleware.js is what puts `user` on context.data).
+// =============================================================================
+
+export const OWNER = { id: 1, email: "owner@lussoautostudio.ca", role: "owner" };
+export const STAFF = { id: 2, email: "staff@lussoautostudio.ca", role: "staff" };
+
+// → { status, headers, text, json } (json: the parsed body, or null)
+export async function call(handler, { env, method = "GET", url = "https://lussoautostudio.ca/",
+                                      body, headers = {}, user = null } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+    if (typeof body !== "string") init.headers["content-type"] ??= "application/json";
+  }
+
+  const res  = await handler({ request: new Request(url, init), env, data: { user } });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch {}
+  return { status: res.status, headers: res.headers, text, json };
+}
@@ -0,0 +1,40 @@
+// =============================================================================
+// test/helpers/stub-server.js  —  A local stand-in for a provider's API
+// (Resend, Square, Twilio). Point the matching *_API_BASE variable at `url`.
+//
+//   const stub = await startStub(req => ({ status: 200, body: { id: "re_1" } }));
+//   env.RESEND_API_BASE = stub.url;
+//   stub.requests  → every request: { method, path, headers, raw, body }
+//   stub.respond = req => …   → change the answer mid-test
+//   await stub.close();
+//
+// body is the parsed JSON or form body (raw holds the text as sent).
+// =============================================================================
+
+import http from "node:http";
+
+export async function startStub(respond = () => ({ status: 200, body: {} })) {
+  const stub = { requests: [], respond };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const entry = { method: req.method, path: req.url, headers: req.headers, raw, body: parseBody(raw, req.headers["content-type"]) };
+    stub.requests.push(entry);
+
+    const { status = 200, body = {} } = (await stub.respond(entry)) ?? {};
+    res.writeHead(status, { "content-type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  stub.url   = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => new Promise(resolve => server.close(resolve));
+  return stub;
+}
+
+function parseBody(raw, type = "") {
+  if (!raw) return null;
+  if (type.includes("application/x-www-form-urlencoded")) return Object.fromEntries(new URLSearchParams(raw));
+  try { return JSON.parse(raw); } catch { return raw; }
+}
@@ -0,0 +1,102 @@
+// Importing bookings (POST /api/admin/import, functions/api/admin/import.js):
+// a booking made between the check and the save must not be double-booked,
+// and ids must be safe to put in the admin page.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { onRequestPost as importData } from "../functions/api/admin/import.js";
+
+const CSV = [
+  "id,date,start_hour,end_hour,service,name,status",
+  "imported-1,2026-10-24,8,10,Interior Deep Clean,Jordan Reyes,active",
+  "imported-2,2026-10-24,14,16,Interior Deep Clean,Alex Kim,active",
+].join("\n");
+
+let db, dispose;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+});
+
+afterAll(() => dispose());
+
+beforeEach(async () => {
+  await db.batch([db.prepare(`DELETE FROM bookings`), db.prepare(`DELETE FROM audit_log`)]);
+});
+
+// A DB where `meanwhile` runs just before the import saves its rows
+function racingDb(meanwhile) {
+  let raced = false;
+  return {
+    prepare: sql => db.prepare(sql),
+    async batch(statements) {
+      if (!raced) { raced = true; await meanwhile(); }
+      return db.batch(statements);
+    },
+  };
+}
+
+function importCsv(env, data = CSV, extra = {}) {
+  return call(importData, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin/import", user: OWNER,
+    body: { entity: "bookings", format: "csv", data, commit: true, ...extra },
+  });
+}
+
+const bookSaturdayAfternoon = () => db.prepare(
+  `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, status, created_at)
+   VALUES ('booked-online', '2026-10-24', 15, 2, 17, 'Interior Deep Clean', 'Sam Patel', 'active', '2026-10-19T12:00:00.000Z')`
+).run();
+
+async function bookingIds() {
+  const { results } = await db.prepare(`SELECT id FROM bookings ORDER BY id`).all();
+  return results.map(b => b.id);
+}
+
+describe("commit", () => {
+  it("saves the rows when their hours are free", async () => {
+    const res = await importCsv({ DB: db });
+
+    expect(res.status).toBe(200);
+    expect(res.json).toMatchObject({ committed: true, imported: 2 });
+    expect(await bookingIds()).toEqual(["imported-1", "imported-2"]);
+  });
+
+  it("saves nothing when a booking takes a row's hours after the check", async () => {
+    const res = await importCsv({ DB: racingDb(bookSaturdayAfternoon) });
+
+    expect(res.status).toBe(409);
+    expect(res.json).toMatchObject({ committed: false, imported: 0, taken: ["imported-2"] });
+    expect(await bookingIds()).toEqual(["booked-online"]);
+
+    const { results } = await db.prepare(`SELECT action FROM audit_log ORDER BY id`).all();
+    expect(results.map(a => a.action)).toEqual(["booking.import", "booking.import_undone"]);
+  });
+
+  it("saves an overlapping row anyway with the overlap override", async () => {
+    const res = await importCsv({ DB: racingDb(bookSaturdayAfternoon) }, CSV, { override: ["overlap"] });
+
+    expect(res.status).toBe(200);
+    expect(await bookingIds()).toEqual(["booked-online", "imported-1", "imported-2"]);
+  });
+});
+
+describe("ids", () => {
+  it("refuses an id that isn't letters, digits, hyphens and underscores", async () => {
+    const data = [
+      "id,date,start_hour,end_hour,service,name,status",
+      `"x');alert(1);('",2026-10-24,8,10,Interior Deep Clean,Jordan Reyes,active`,
+      `${"a".repeat(101)},2026-10-24,10,12,Interior Deep Clean,Alex Kim,active`,
+      "ok_id-1,2026-10-24,12,14,Interior Deep Clean,Sam Patel,active",
+    ].join("\n");
+    const res = await importCsv({ DB: db }, data);
+
+    expect(res.status).toBe(422);
+    expect(res.json.errors.map(e => [e.row, e.errors])).toEqual([
+      [1, ["id must be 1–100 letters, digits, hyphens or underscores."]],
+      [2, ["id must be 1–100 letters, digits, hyphens or underscores."]],
+    ]);
+    expect(await bookingIds()).toEqual([]);
+  });
+});
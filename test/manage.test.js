@@ -0,0 +1,122 @@
+// Customer self-service cancel (POST /api/manage, functions/api/manage.js)
+// and the admin cancels (functions/api/admin/cancel.js, the "cancel" action
+// of functions/api/admin.js): a cancel that loses to another — a second
+// click, another tab, the owner and the customer at once — must not email
+// anyone or offer the time to the waitlist a second time.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { startStub } from "./helpers/stub-server.js";
+import { createManageToken } from "../functions/_lib/manage-token.js";
+import { onRequestPost as manage } from "../functions/api/manage.js";
+import { onRequestPost as adminCancel } from "../functions/api/admin/cancel.js";
+import { onRequest as admin } from "../functions/api/admin.js";
+
+// Monday 2026-10-19, 8 AM in Toronto; the booking is Saturday at 10
+const NOW      = new Date("2026-10-19T12:00:00Z");
+const SATURDAY = "2026-10-24";
+const BOOKING  = { id: "booking-1", date: SATURDAY };
+
+let db, dispose, stub, env;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  stub = await startStub(() => ({ status: 200, body: { id: "re_1" } }));
+  env = {
+    DB: db, MANAGE_TOKEN_SECRET: "manage-test-secret", NOTIFY_EMAIL: "owner@lussoautostudio.ca",
+    RESEND_API_KEY: "re_test", RESEND_API_BASE: stub.url,
+  };
+});
+
+afterAll(async () => {
+  await stub.close();
+  await dispose();
+});
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+  stub.requests.length = 0;
+  await db.batch([
+    db.prepare(`DELETE FROM bookings`),
+    db.prepare(`DELETE FROM booking_waitlist`),
+    db.prepare(`DELETE FROM audit_log`),
+    db.prepare(
+      `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, phone, email, vehicle, status, created_at)
+       VALUES (?, ?, 10, 2, 12, 'Interior Deep Clean', 'Jordan Reyes', '(519) 555-0142', 'jordan@example.com', '2021 Audi Q5', 'active', ?)`
+    ).bind(BOOKING.id, SATURDAY, NOW.toISOString()),
+    // Waiting for exactly the time the booking holds
+    db.prepare(
+      `INSERT INTO booking_waitlist (id, date, service, duration_hours, window_start, window_end, name, phone, email, vehicle, created_at)
+       VALUES ('wait-1', ?, 'Interior Deep Clean', 2, 10, 12, 'Alex Kim', '(519) 555-0177', 'alex@example.com', '2019 BMW X3', ?)`
+    ).bind(SATURDAY, NOW.toISOString()),
+    // The rest of the day is taken
+    db.prepare(
+      `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, status, created_at)
+       VALUES ('rest-am', ?, 8, 2, 10, 'Interior Deep Clean', 'Other', 'active', ?),
+              ('rest-pm', ?, 12, 8, 20, 'Full Detail', 'Other', 'active', ?)`
+    ).bind(SATURDAY, NOW.toISOString(), SATURDAY, NOW.toISOString()),
+  ]);
+});
+
+afterEach(() => vi.useRealTimers());
+
+async function cancel() {
+  return call(manage, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/manage",
+    body: { token: await createManageToken(env, BOOKING), action: "cancel" },
+  });
+}
+
+function cancelAsOwner() {
+  return call(adminCancel, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin/cancel", user: OWNER, body: { id: BOOKING.id },
+  });
+}
+
+function cancelFromDayView() {
+  return call(admin, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin", user: OWNER, body: { action: "cancel", id: BOOKING.id },
+  });
+}
+
+const emailsTo = address => stub.requests.filter(r => r.path === "/emails" && r.body.to.includes(address));
+
+describe("POST /api/manage cancel", () => {
+  it("cancels, tells the customer and the owner, and offers the time on", async () => {
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(res.json.booking.status).toBe("cancelled");
+    expect(emailsTo("jordan@example.com")).toHaveLength(1);
+    expect(emailsTo("owner@lussoautostudio.ca")).toHaveLength(1);
+    expect(emailsTo("alex@example.com")).toHaveLength(1);
+  });
+
+  it("does all of that once when several cancels arrive at the same moment", async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => cancel()));
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 409, 409, 409, 409]);
+    for (const r of results.filter(r => r.status === 409)) {
+      expect(r.json.error).toBe("This booking is no longer active.");
+    }
+    expect(emailsTo("jordan@example.com")).toHaveLength(1);
+    expect(emailsTo("owner@lussoautostudio.ca")).toHaveLength(1);
+    expect(emailsTo("alex@example.com")).toHaveLength(1);
+  });
+});
+
+describe("admin cancel", () => {
+  it("emails the customer and offers the time once when it races the customer's cancel", async () => {
+    const results = await Promise.all([cancelAsOwner(), cancelAsOwner(), cancel(), cancelFromDayView()]);
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 409, 409, 409]);
+    expect(emailsTo("jordan@example.com")).toHaveLength(1);
+    expect(emailsTo("alex@example.com")).toHaveLength(1);
+
+    const audits = await db.prepare(`SELECT COUNT(*) AS n FROM audit_log WHERE action = 'booking.cancel'`).first();
+    // Only the admin cancels are audited
+    expect(audits.n).toBe(results[2].status === 200 ? 0 : 1);
+  });
+});
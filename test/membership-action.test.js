@@ -0,0 +1,107 @@
+// Membership status actions (functions/api/admin/membership-action.js) when
+// something else writes to the application between the action reading it and
+// updating it — a Square webhook, the lifecycle run, another admin.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { appendEventStatement } from "../functions/_lib/membership.js";
+import { onRequestPost as membershipAction } from "../functions/api/admin/membership-action.js";
+
+let db, dispose;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+});
+
+afterAll(() => dispose());
+
+beforeEach(async () => {
+  await db.batch([
+    db.prepare(`DELETE FROM bookings`),
+    db.prepare(`DELETE FROM member_visit_series`),
+    db.prepare(`DELETE FROM membership_applications`),
+  ]);
+});
+
+async function insertApplication(id, fields = {}) {
+  const row = {
+    id, name: "Sam Patel", email: "sam@example.com", phone: "(226) 555-0199", vehicle: "2023 Porsche 911",
+    city: "Kitchener", status: "active", event_log: "[]", created_at: "2026-09-01T12:00:00.000Z", ...fields,
+  };
+  const cols = Object.keys(row);
+  await db.prepare(
+    `INSERT INTO membership_applications (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => row[c])).run();
+}
+
+// A DB that runs `meanwhile` right after the action has read the application
+function racingDb(meanwhile) {
+  return {
+    prepare(sql) {
+      const statement = db.prepare(sql);
+      if (!sql.startsWith("SELECT * FROM membership_applications")) return statement;
+      return {
+        bind: (...binds) => ({
+          async first() {
+            const row = await statement.bind(...binds).first();
+            await meanwhile();
+            return row;
+          },
+        }),
+      };
+    },
+    batch: statements => db.batch(statements),
+  };
+}
+
+function act(id, action, meanwhile, extra = {}) {
+  return call(membershipAction, {
+    env: { DB: racingDb(meanwhile) }, method: "POST", url: "https://lussoautostudio.ca/api/admin/membership-action",
+    user: OWNER, body: { id, action, ...extra },
+  });
+}
+
+async function row(id) {
+  const app = await db.prepare(`SELECT * FROM membership_applications WHERE id = ?`).bind(id).first();
+  return { ...app, events: JSON.parse(app.event_log).map(e => e.event) };
+}
+
+describe("event log", () => {
+  it("keeps an entry added while the action was running", async () => {
+    await insertApplication("app-1", { status: "pending" });
+
+    const res = await act("app-1", "waitlist", () => appendEventStatement(db, "app-1", {
+      event: "email_sent", note: "Sent meanwhile.", at: "2026-10-19T12:00:00.000Z",
+    }).run());
+
+    expect(res.status).toBe(200);
+    expect((await row("app-1")).events).toEqual(["email_sent", "waitlisted", "email_failed"]);
+  });
+});
+
+describe("cancel", () => {
+  it("leaves a membership ended meanwhile ended", async () => {
+    await insertApplication("app-2", { status: "active" });
+
+    const res = await act("app-2", "cancel", () =>
+      db.prepare(`UPDATE membership_applications SET status = 'cancelled' WHERE id = 'app-2'`).run());
+
+    expect(res.status).toBe(409);
+    expect(res.json.error).toBe("The application changed meanwhile. Refresh and try again.");
+    expect(await row("app-2")).toMatchObject({ status: "cancelled", cancel_at: null, status_before_cancel: null, events: [] });
+  });
+});
+
+describe("reject", () => {
+  it("leaves an applicant accepted meanwhile alone and doesn't email them", async () => {
+    await insertApplication("app-3", { status: "pending" });
+
+    const res = await act("app-3", "reject", () =>
+      db.prepare(`UPDATE membership_applications SET status = 'accepted' WHERE id = 'app-3'`).run(),
+      { reason: "Outside the service area." });
+
+    expect(res.status).toBe(409);
+    expect(await row("app-3")).toMatchObject({ status: "accepted", rejection_reason: null, events: [] });
+  });
+});
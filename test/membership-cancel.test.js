@@ -0,0 +1,179 @@
+// Cancelling a membership at once (the "cancel_immediate" action in
+// functions/api/admin/membership-action.js): which applications it applies
+// to, and that repeated or simultaneous calls end the membership once — one
+// email, one Square cancellation, the member's visits ended once and the
+// freed spot offered once (functions/_lib/membership-roster.js).
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { startStub } from "./helpers/stub-server.js";
+import { onRequestPost as membershipAction } from "../functions/api/admin/membership-action.js";
+
+// Monday 2026-10-19; the member's visits are on the Saturdays after
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+let db, dispose, stub, env;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  stub = await startStub(req => ({ status: 200, body: req.path === "/emails" ? { id: "re_1" } : {} }));
+  env = {
+    DB: db, SQUARE_ACCESS_TOKEN: "sq_test", SQUARE_API_BASE: stub.url,
+    RESEND_API_KEY: "re_test", RESEND_API_BASE: stub.url,
+  };
+});
+
+afterAll(async () => {
+  await stub.close();
+  await dispose();
+});
+
+beforeEach(async () => {
+  await db.batch([
+    db.prepare(`DELETE FROM bookings`),
+    db.prepare(`DELETE FROM member_visit_series`),
+    db.prepare(`DELETE FROM membership_applications`),
+  ]);
+  stub.requests.length = 0;
+});
+
+async function insertApplication(id, fields = {}) {
+  const row = {
+    id, name: "Sam Patel", email: "sam@example.com", phone: "(226) 555-0199", vehicle: "2023 Porsche 911",
+    city: "Kitchener", status: "active", event_log: "[]", created_at: "2026-09-01T12:00:00.000Z", ...fields,
+  };
+  const cols = Object.keys(row);
+  await db.prepare(
+    `INSERT INTO membership_applications (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => row[c])).run();
+}
+
+function cancelNow(id) {
+  return call(membershipAction, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin/membership-action", user: OWNER,
+    body: { id, action: "cancel_immediate" },
+  });
+}
+
+async function events(id) {
+  const row = await db.prepare(`SELECT event_log FROM membership_applications WHERE id = ?`).bind(id).first();
+  return JSON.parse(row.event_log).map(e => e.event);
+}
+
+const emails        = () => stub.requests.filter(r => r.path === "/emails");
+const squareCancels = () => stub.requests.filter(r => r.path.endsWith("/cancel"));
+
+describe("cancel_immediate", () => {
+  for (const status of ["accepted", "active", "cancel_scheduled"]) {
+    it(`cancels an application that is ${status}`, async () => {
+      await insertApplication("app-1", { status });
+      const res = await cancelNow("app-1");
+
+      expect(res.status).toBe(200);
+      const row = await db.prepare(`SELECT status, cancelled_at FROM membership_applications WHERE id = 'app-1'`).first();
+      expect(row.status).toBe("cancelled");
+      expect(row.cancelled_at).toBeTruthy();
+    });
+  }
+
+  for (const status of ["pending", "waitlisted", "rejected", "cancelled"]) {
+    it(`refuses an application that is ${status}`, async () => {
+      await insertApplication("app-2", { status, square_subscription_id: "SUB2" });
+      const res = await cancelNow("app-2");
+
+      expect(res.status).toBe(409);
+      expect(res.json.error).toBe(`Cannot cancel an application with status '${status}'.`);
+      expect(await events("app-2")).toEqual([]);
+      expect(stub.requests).toEqual([]);
+    });
+  }
+
+  it("ends the membership once when called twice", async () => {
+    await insertApplication("app-3", { square_subscription_id: "SUB3" });
+
+    expect((await cancelNow("app-3")).status).toBe(200);
+    expect((await cancelNow("app-3")).status).toBe(409);
+
+    expect(squareCancels().map(r => r.path)).toEqual(["/v2/subscriptions/SUB3/cancel"]);
+    expect(emails()).toHaveLength(1);
+    expect(await events("app-3")).toEqual(["cancelled_immediate", "subscription_cancel_requested", "email_sent"]);
+  });
+
+  it("ends the membership once when called at the same moment", async () => {
+    await insertApplication("app-4", { square_subscription_id: "SUB4" });
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => cancelNow("app-4")));
+
+    expect(results.map(r => r.status).sort()).toEqual([200, 409, 409, 409, 409]);
+    expect(squareCancels()).toHaveLength(1);
+    expect(emails()).toHaveLength(1);
+    expect((await events("app-4")).filter(e => e === "cancelled_immediate")).toHaveLength(1);
+  });
+});
+
+describe("the freed spot", () => {
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(NOW);
+    // One seat, offered on to the waitlist as soon as it frees up
+    await db.prepare(
+      `INSERT OR REPLACE INTO schedule_settings (key, value) VALUES ('membership_capacity', '1'), ('membership_auto_offer', '1')`
+    ).run();
+
+    await insertApplication("member");
+    await insertApplication("first-in-line", { status: "waitlisted", waitlisted_at: "2026-10-01T12:00:00.000Z", email: "first@example.com" });
+    await insertApplication("next-in-line",  { status: "waitlisted", waitlisted_at: "2026-10-02T12:00:00.000Z", email: "next@example.com" });
+
+    await db.batch([
+      db.prepare(
+        `INSERT INTO member_visit_series (id, membership_id, anchor_date, interval_days, start_hour, service, duration_hours, created_at)
+         VALUES ('series-1', 'member', '2026-10-24', 14, 10, 'Maintenance Wash', 1, ?)`
+      ).bind(NOW.toISOString()),
+      ...["2026-10-24", "2026-11-07"].map(date => db.prepare(
+        `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, status, created_at,
+                               membership_id, series_id, series_date)
+         VALUES (?, ?, 10, 1, 11, 'Maintenance Wash', 'Sam Patel', 'active', ?, 'member', 'series-1', ?)`
+      ).bind(`visit-${date}`, date, NOW.toISOString(), date)),
+    ]);
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await db.prepare(`DELETE FROM schedule_settings WHERE key IN ('membership_capacity', 'membership_auto_offer')`).run();
+  });
+
+  const statusOf = async id =>
+    (await db.prepare(`SELECT status FROM membership_applications WHERE id = ?`).bind(id).first()).status;
+  const emailsTo = address => emails().filter(r => r.body.to.includes(address));
+
+  it("is offered once and the visits end once when the member is cancelled again", async () => {
+    const first = await cancelNow("member");
+    expect(first.json.offered).toEqual(["first-in-line"]);
+    expect(await statusOf("first-in-line")).toBe("pending");
+
+    const visits = await db.prepare(`SELECT status FROM bookings WHERE series_id = 'series-1'`).all();
+    expect(visits.results.map(v => v.status)).toEqual(["cancelled", "cancelled"]);
+
+    // The owner turns down the applicant offered the spot, so it is open again
+    await db.prepare(`UPDATE membership_applications SET status = 'rejected' WHERE id = 'first-in-line'`).run();
+
+    // A repeat must not offer it on — that's for the owner to decide now
+    expect((await cancelNow("member")).status).toBe(409);
+    expect(await statusOf("next-in-line")).toBe("waitlisted");
+    expect(emailsTo("next@example.com")).toHaveLength(0);
+    expect(emailsTo("first@example.com")).toHaveLength(1);
+    expect((await events("member")).filter(e => e === "visits_ended")).toHaveLength(1);
+  });
+
+  it("is offered once when the member is cancelled from two places at once", async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => cancelNow("member")));
+
+    expect(results.filter(r => r.json.offered)).toHaveLength(1);
+    expect(await statusOf("first-in-line")).toBe("pending");
+    expect(await statusOf("next-in-line")).toBe("waitlisted");
+    expect((await events("first-in-line")).filter(e => e === "spot_offered")).toHaveLength(1);
+    expect(emailsTo("first@example.com")).toHaveLength(1);
+    expect((await events("member")).filter(e => e === "visits_ended")).toHaveLength(1);
+  });
+});
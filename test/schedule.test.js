@@ -0,0 +1,48 @@
+// Weekly opening hours ("set_hours" on POST /api/admin/schedule,
+// functions/api/admin/schedule.js).
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { onRequestPost as schedule } from "../functions/api/admin/schedule.js";
+
+// Monday
+const WEEKDAY = 1;
+
+let db, dispose;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+});
+
+afterAll(() => dispose());
+
+function setHours(hours) {
+  return call(schedule, {
+    env: { DB: db }, method: "POST", url: "https://lussoautostudio.ca/api/admin/schedule", user: OWNER,
+    body: { action: "set_hours", weekday: WEEKDAY, ...hours },
+  });
+}
+
+const hours = () => db.prepare(`SELECT open_hour, close_hour FROM business_hours WHERE weekday = ?`).bind(WEEKDAY).first();
+
+describe("set_hours", () => {
+  it("sets the hours, and closes the day with neither", async () => {
+    expect((await setHours({ open_hour: 9, close_hour: 17 })).status).toBe(200);
+    expect(await hours()).toEqual({ open_hour: 9, close_hour: 17 });
+
+    expect((await setHours({ open_hour: null, close_hour: null })).status).toBe(200);
+    expect(await hours()).toEqual({ open_hour: null, close_hour: null });
+  });
+
+  it("refuses one hour without the other instead of opening at midnight", async () => {
+    await setHours({ open_hour: 9, close_hour: 17 });
+
+    for (const half of [{ open_hour: null, close_hour: 17 }, { close_hour: 17 }, { open_hour: 9, close_hour: null }]) {
+      const res = await setHours(half);
+      expect(res.status).toBe(400);
+      expect(res.json.error).toBe("Give both open_hour and close_hour, or neither to close the day.");
+    }
+    expect(await hours()).toEqual({ open_hour: 9, close_hour: 17 });
+  });
+});
@@ -0,0 +1,43 @@
+-- =============================================================================
+-- base.sql  —  The two tables that were created by hand, before migrations/
+-- existed. Every deployed database has them; the test database is built from
+-- this file followed by migrations/ in order (test/helpers/d1.js).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS bookings (
+  id             TEXT PRIMARY KEY,
+  date           TEXT,
+  start_hour     INTEGER,
+  duration_hours INTEGER,
+  end_hour       INTEGER,
+  service        TEXT,
+  name           TEXT,
+  phone          TEXT,
+  email          TEXT,
+  vehicle        TEXT,
+  city           TEXT,
+  notes          TEXT,
+  status         TEXT,
+  created_at     TEXT
+);
+
+CREATE TABLE IF NOT EXISTS membership_applications (
+  id                     TEXT PRIMARY KEY,
+  name                   TEXT,
+  phone                  TEXT,
+  vehicle                TEXT,
+  city                   TEXT,
+  parking                TEXT,
+  preferred_start        TEXT,
+  message                TEXT,
+  status                 TEXT,
+  rejection_reason       TEXT,
+  payment_link_sent_at   TEXT,
+  square_subscription_id TEXT,
+  next_billing_date      TEXT,
+  last_payment_status    TEXT,
+  cancel_at              TEXT,
+  cancelled_at           TEXT,
+  event_log              TEXT,
+  created_at             TEXT
+);
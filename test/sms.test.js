@@ -0,0 +1,235 @@
+// Booking texts through the fake SMS provider (SMS_PROVIDER=fake, see
+// functions/_lib/sms.js): the confirmation /api/book sends, the reminder job's
+// texts, and C / R replies arriving at /api/webhooks/sms
+// (functions/_lib/booking-sms.js). Then the Twilio provider's send and
+// signature check against a local stand-in.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call } from "./helpers/request.js";
+import { startStub } from "./helpers/stub-server.js";
+import { onRequestPost as book } from "../functions/api/book.js";
+import { onRequestPost as inbound } from "../functions/api/webhooks/sms.js";
+import { runReminders } from "../functions/_lib/reminders.js";
+import { sendSms } from "../functions/_lib/sms.js";
+
+// Monday 2026-10-19, 8 AM in Toronto; bookings are on Saturday the 24th
+const NOW      = new Date("2026-10-19T12:00:00Z");
+const SATURDAY = "2026-10-24";
+const PHONE    = "+15195550142";
+const HOOK_URL = "https://lussoautostudio.ca/api/webhooks/sms";
+
+let db, dispose, env, texted;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  env = { DB: db, SMS_PROVIDER: "fake", MANAGE_TOKEN_SECRET: "manage-test-secret" };
+});
+
+afterAll(() => dispose());
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+  await db.batch([db.prepare(`DELETE FROM bookings`), db.prepare(`DELETE FROM sms_messages`)]);
+  // The fake provider "sends" by logging
+  texted = vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+async function bookSaturday(start_hour = 10, fields = {}) {
+  const res = await call(book, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/book",
+    body: {
+      date: SATURDAY, start_hour, duration_hours: 2, service: "Interior Deep Clean",
+      name: "Jordan Reyes", phone: "(519) 555-0142", email: "jordan@example.com", vehicle: "2021 Audi Q5", ...fields,
+    },
+  });
+  expect(res.status).toBe(201);
+  return res.json.id;
+}
+
+function texts(where = "1 = 1", ...binds) {
+  return db.prepare(`SELECT * FROM sms_messages WHERE ${where} ORDER BY created_at, direction`)
+    .bind(...binds).all().then(r => r.results);
+}
+
+function booking(id) {
+  return db.prepare(`SELECT * FROM bookings WHERE id = ?`).bind(id).first();
+}
+
+async function reply(body, from = PHONE) {
+  const res = await call(inbound, {
+    env, method: "POST", url: HOOK_URL,
+    body: new URLSearchParams({ From: from, Body: body, MessageSid: "SM_in" }).toString(),
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+  });
+  expect(res.status).toBe(200);
+  expect(res.headers.get("content-type")).toMatch(/^text\/xml/);
+  return res.text.match(/<Message>(.*)<\/Message>/s)?.[1] ?? null;
+}
+
+describe("confirmation", () => {
+  it("texts the customer when they book", async () => {
+    const id = await bookSaturday();
+
+    const [sms] = await texts();
+    expect(sms).toMatchObject({ direction: "out", phone: PHONE, booking_id: id, kind: "confirmation", status: "sent" });
+    expect(sms.body).toBe("Lusso Auto Studio: you're booked for Interior Deep Clean on Saturday, Oct 24, 2026 at 10:00 AM. Reply C to confirm or R to reschedule.");
+    expect(sms.provider_id).toMatch(/^fake_/);
+    expect(texted).toHaveBeenCalledWith(`[sms:fake] → ${PHONE}: ${sms.body}`);
+  });
+
+  it("sends nothing without a number it can text, or without a provider", async () => {
+    await bookSaturday(10, { phone: "555-0142" });
+    await call(book, {
+      env: { ...env, SMS_PROVIDER: "twilio" }, method: "POST", url: "https://lussoautostudio.ca/api/book",
+      body: { date: SATURDAY, start_hour: 14, duration_hours: 2, service: "Interior Deep Clean",
+              name: "Alex Kim", phone: "(519) 555-0177", email: "alex@example.com", vehicle: "2019 BMW X3" },
+    });
+    expect(await texts()).toEqual([]);
+  });
+});
+
+describe("reminders", () => {
+  // Saturday 10 AM in Toronto is 14:00 UTC
+  const BEFORE_48H = new Date("2026-10-22T20:00:00Z");  // 42 hours ahead
+  const BEFORE_2H  = new Date("2026-10-24T12:30:00Z");  // 1.5 hours ahead
+
+  it("texts the 48-hour and 2-hour reminders once each", async () => {
+    const id = await bookSaturday();
+
+    const first = await runReminders(env, BEFORE_48H);
+    expect(first.sent).toEqual([{ id, kind: "48h", email: false, sms: true }]);
+    expect((await runReminders(env, BEFORE_48H)).sent).toEqual([]);
+
+    const second = await runReminders(env, BEFORE_2H);
+    expect(second.sent).toEqual([{ id, kind: "2h", email: false, sms: true }]);
+
+    const reminders = await texts("kind LIKE 'reminder_%'");
+    expect(reminders.map(t => [t.kind, t.body])).toEqual([
+      ["reminder_48h", "Lusso Auto Studio reminder: Interior Deep Clean on Saturday, Oct 24, 2026 at 10:00 AM. Reply C to confirm or R to reschedule."],
+      ["reminder_2h",  "Lusso Auto Studio: see you at 10:00 AM today for your Interior Deep Clean."],
+    ]);
+    expect(reminders.every(t => t.booking_id === id && t.phone === PHONE)).toBe(true);
+  });
+
+  it("skips a booking it can neither email nor text", async () => {
+    // Added by the owner without an email, and with a number that isn't one
+    await db.prepare(
+      `INSERT INTO bookings (id, date, start_hour, duration_hours, end_hour, service, name, phone, status, created_at)
+       VALUES ('walk-in', ?, 10, 2, 12, 'Interior Deep Clean', 'Walk-in', '555-0142', 'active', ?)`
+    ).bind(SATURDAY, NOW.toISOString()).run();
+    expect(await runReminders(env, BEFORE_48H)).toMatchObject({ checked: 1, sent: [], failed: [] });
+  });
+});
+
+describe("replies", () => {
+  it("confirms the booking on C", async () => {
+    const id = await bookSaturday();
+
+    expect(await reply("c")).toBe("Thanks — your appointment on Saturday, Oct 24, 2026 at 10:00 AM is confirmed. See you then!");
+    expect((await booking(id)).sms_confirmed_at).toBe(NOW.toISOString());
+
+    // A second "yes" keeps the first confirmation time
+    vi.setSystemTime(new Date(NOW.getTime() + 60_000));
+    await reply("Yes!");
+    expect((await booking(id)).sms_confirmed_at).toBe(NOW.toISOString());
+
+    const [received, answer] = (await texts("kind IN ('confirm', 'reply')")).slice(0, 2);
+    expect(received).toMatchObject({ direction: "in", kind: "confirm", status: "received", booking_id: id, provider_id: "SM_in", body: "c" });
+    expect(answer).toMatchObject({ direction: "out", kind: "reply", booking_id: id });
+  });
+
+  it("sends the self-service link on R", async () => {
+    const id = await bookSaturday();
+
+    const answer = await reply("R");
+    expect(answer).toMatch(/^No problem — pick a new time here: https:\/\/lussoautostudio\.ca\/manage\?token=/);
+    expect((await booking(id)).reschedule_requested_at).toBe(NOW.toISOString());
+  });
+
+  it("answers for the booking last texted about", async () => {
+    const earlier = await bookSaturday(10);
+    vi.setSystemTime(new Date(NOW.getTime() + 60_000));
+    const later = await bookSaturday(14, { service: "Full Detail", duration_hours: 4 });
+
+    await reply("C");
+    expect((await booking(later)).sms_confirmed_at).toBeTruthy();
+    expect((await booking(earlier)).sms_confirmed_at).toBeNull();
+  });
+
+  it("explains itself for anything else, and leaves carrier keywords to Twilio", async () => {
+    const id = await bookSaturday();
+
+    expect(await reply("what time again?")).toBe("Lusso Auto Studio: about your appointment on Saturday, Oct 24, 2026 at 10:00 AM — Reply C to confirm or R to reschedule.");
+    expect(await reply("STOP")).toBeNull();
+    expect(await booking(id)).toMatchObject({ sms_confirmed_at: null, reschedule_requested_at: null });
+  });
+
+  it("finds no booking for an unknown number, or once the booking is cancelled", async () => {
+    const id = await bookSaturday();
+    const none = /^Lusso Auto Studio: we couldn't find an upcoming appointment for this number/;
+
+    expect(await reply("C", "+15195550999")).toMatch(none);
+
+    await db.prepare(`UPDATE bookings SET status = 'cancelled' WHERE id = ?`).bind(id).run();
+    expect(await reply("C")).toMatch(none);
+    expect((await booking(id)).sms_confirmed_at).toBeNull();
+  });
+});
+
+describe("Twilio", () => {
+  const AUTH_TOKEN = "twilio-test-token";
+  let stub, twilio;
+
+  beforeAll(async () => {
+    stub = await startStub(() => ({ status: 201, body: { sid: "SM_out_1" } }));
+    twilio = {
+      DB: db, TWILIO_ACCOUNT_SID: "AC123", TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+      TWILIO_FROM_NUMBER: "+15195550100", TWILIO_API_BASE: stub.url,
+    };
+  });
+
+  afterAll(() => stub.close());
+
+  async function twilioSignature(params, url = HOOK_URL) {
+    const payload = url + Object.keys(params).sort().map(k => k + params[k]).join("");
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(AUTH_TOKEN), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+    const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+    return btoa(String.fromCharCode(...new Uint8Array(mac)));
+  }
+
+  function post(params, signature) {
+    return call(inbound, {
+      env: twilio, method: "POST", url: HOOK_URL, body: new URLSearchParams(params).toString(),
+      headers: { "content-type": "application/x-www-form-urlencoded", ...(signature ? { "x-twilio-signature": signature } : {}) },
+    });
+  }
+
+  it("sends through the Messages API", async () => {
+    expect(await sendSms(twilio, { to: "519-555-0142", body: "Hello", kind: "confirmation" })).toBe(true);
+
+    const [req] = stub.requests;
+    expect(req.path).toBe("/2010-04-01/Accounts/AC123/Messages.json");
+    expect(req.headers.authorization).toBe(`Basic ${btoa(`AC123:${AUTH_TOKEN}`)}`);
+    expect(req.body).toEqual({ To: PHONE, Body: "Hello", From: "+15195550100" });
+    expect((await texts())[0]).toMatchObject({ status: "sent", provider_id: "SM_out_1" });
+  });
+
+  it("takes only replies Twilio signed", async () => {
+    const params = { From: PHONE, Body: "C", MessageSid: "SM_in" };
+
+    expect((await post(params)).status).toBe(401);
+    expect((await post(params, await twilioSignature({ ...params, Body: "R" }))).status).toBe(401);
+    expect((await post(params, await twilioSignature(params, "https://example.com/sms"))).status).toBe(401);
+    expect(await texts()).toEqual([]);
+
+    expect((await post(params, await twilioSignature(params))).status).toBe(200);
+    expect(await texts("direction = 'in'")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,238 @@
+// Square membership billing against a local mock of the Square API
+// (SQUARE_API_BASE): the payment link made when the owner accepts an
+// application, and the webhook (functions/api/webhooks/square.js) — its
+// signature check, event_id dedupe and the billing updates it applies.
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call, OWNER } from "./helpers/request.js";
+import { startStub } from "./helpers/stub-server.js";
+import { onRequestPost as membershipAction } from "../functions/api/admin/membership-action.js";
+import { onRequestPost as webhook } from "../functions/api/webhooks/square.js";
+import { runMembershipLifecycle } from "../functions/_lib/membership-lifecycle.js";
+
+const WEBHOOK_URL   = "https://lussoautostudio.ca/api/webhooks/square";
+const SIGNATURE_KEY = "square-test-signature-key";
+
+let db, dispose, stub, env;
+
+// The mock answers Square and Resend both; `square` is what the payment link
+// call gets back
+let square;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  stub = await startStub(req => {
+    if (req.path === "/emails") return { status: 200, body: { id: "re_1" } };
+    if (req.path === "/v2/online-checkout/payment-links") return square;
+    return { status: 200, body: {} };
+  });
+  env = {
+    DB: db, SITE_URL: "https://lussoautostudio.ca",
+    SQUARE_ACCESS_TOKEN: "sq_test", SQUARE_LOCATION_ID: "L1", SQUARE_PLAN_VARIATION_ID: "PLAN_VAR_1",
+    MEMBERSHIP_PRICE_CENTS: "9900", SQUARE_API_BASE: stub.url,
+    SQUARE_WEBHOOK_SIGNATURE_KEY: SIGNATURE_KEY, SQUARE_WEBHOOK_URL: WEBHOOK_URL,
+    RESEND_API_KEY: "re_test", RESEND_API_BASE: stub.url,
+  };
+});
+
+afterAll(async () => {
+  await stub.close();
+  await dispose();
+});
+
+beforeEach(async () => {
+  await db.batch([
+    db.prepare(`DELETE FROM membership_applications`),
+    db.prepare(`DELETE FROM square_webhook_events`),
+  ]);
+  stub.requests.length = 0;
+  square = { status: 200, body: { payment_link: { id: "PL1", url: "https://square.link/u/abc123", order_id: "ORDER1" } } };
+});
+
+async function insertApplication(id, fields = {}) {
+  const row = {
+    id, name: "Sam Patel", email: "sam@example.com", phone: "(226) 555-0199", vehicle: "2023 Porsche 911",
+    city: "Kitchener", parking: "Private driveway", preferred_start: "2–3 weeks", status: "pending",
+    event_log: "[]", created_at: "2026-10-01T12:00:00.000Z", ...fields,
+  };
+  const cols = Object.keys(row);
+  await db.prepare(
+    `INSERT INTO membership_applications (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+  ).bind(...cols.map(c => row[c])).run();
+}
+
+function application(id) {
+  return db.prepare(`SELECT * FROM membership_applications WHERE id = ?`).bind(id).first();
+}
+
+async function events(id) {
+  return JSON.parse((await application(id)).event_log).map(e => e.event);
+}
+
+function act(id, action, body = {}) {
+  return call(membershipAction, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/admin/membership-action", user: OWNER,
+    body: { id, action, ...body },
+  });
+}
+
+const squareCalls = () => stub.requests.filter(r => r.path.startsWith("/v2/"));
+const emails      = () => stub.requests.filter(r => r.path === "/emails");
+
+describe("accepting an application", () => {
+  it("creates a Square payment link and emails it to the applicant", async () => {
+    await insertApplication("app-1");
+    const res = await act("app-1", "accept");
+
+    expect(res.status).toBe(200);
+    expect(res.json.payment_link).toEqual({ ok: true, url: "https://square.link/u/abc123", sent_to: "applicant" });
+
+    const [req] = squareCalls();
+    expect(req.method).toBe("POST");
+    expect(req.headers.authorization).toBe("Bearer sq_test");
+    expect(req.headers["square-version"]).toBeTruthy();
+    expect(req.body).toMatchObject({
+      idempotency_key:    "membership-link-app-1",
+      quick_pay:          { price_money: { amount: 9900, currency: "CAD" }, location_id: "L1" },
+      checkout_options:   { subscription_plan_id: "PLAN_VAR_1", redirect_url: "https://lussoautostudio.ca/#membership" },
+      pre_populated_data: { buyer_email: "sam@example.com" },
+    });
+
+    const app = await application("app-1");
+    expect(app).toMatchObject({
+      status: "accepted", payment_link_url: "https://square.link/u/abc123",
+      square_payment_link_id: "PL1", square_order_id: "ORDER1",
+    });
+    expect(app.payment_link_sent_at).toBeTruthy();
+
+    // One email, the acceptance, with the link in it
+    expect(emails()).toHaveLength(1);
+    expect(emails()[0].body.html).toContain("https://square.link/u/abc123");
+  });
+
+  it("still accepts when Square fails, and the link can be sent later", async () => {
+    await insertApplication("app-2");
+    square = { status: 400, body: { errors: [{ code: "INVALID_REQUEST_ERROR", detail: "Invalid location id" }] } };
+
+    const res = await act("app-2", "accept");
+    expect(res.status).toBe(200);
+    expect(res.json.payment_link).toEqual({ ok: false, error: "Square: Invalid location id" });
+    expect((await application("app-2")).status).toBe("accepted");
+    expect(await events("app-2")).toContain("payment_link_failed");
+    // The plain acceptance email went out instead
+    expect(emails()).toHaveLength(1);
+    expect(emails()[0].body.html).not.toContain("square.link");
+
+    square = { status: 200, body: { payment_link: { id: "PL2", url: "https://square.link/u/retry", order_id: "ORDER2" } } };
+    const retry = await act("app-2", "send_payment_link");
+    expect(retry.json.payment_link).toEqual({ ok: true, url: "https://square.link/u/retry", sent_to: "applicant" });
+    expect(await application("app-2")).toMatchObject({ payment_link_url: "https://square.link/u/retry", square_order_id: "ORDER2" });
+  });
+
+  it("reuses the link it already made when it is sent again", async () => {
+    await insertApplication("app-3");
+    await act("app-3", "accept");
+    const res = await act("app-3", "send_payment_link");
+
+    expect(res.json.payment_link.url).toBe("https://square.link/u/abc123");
+    expect(squareCalls()).toHaveLength(1);
+    expect(emails()).toHaveLength(2);
+  });
+});
+
+describe("POST /api/webhooks/square", () => {
+  async function signature(body, url = WEBHOOK_URL, key = SIGNATURE_KEY) {
+    const encoder = new TextEncoder();
+    const hmac = await crypto.subtle.importKey("raw", encoder.encode(key), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    const mac  = await crypto.subtle.sign("HMAC", hmac, encoder.encode(url + body));
+    return btoa(String.fromCharCode(...new Uint8Array(mac)));
+  }
+
+  let eventCount = 0;
+  // sign: body → the signature to send (default: a valid one)
+  async function deliver(type, object, { event_id = `evt-${++eventCount}`, sign = signature } = {}) {
+    const body = JSON.stringify({ event_id, type, created_at: "2026-10-19T12:00:00Z", data: { object } });
+    return call(webhook, {
+      env, method: "POST", url: WEBHOOK_URL, body,
+      headers: { "content-type": "application/json", "x-square-hmacsha256-signature": await sign(body) },
+    });
+  }
+
+  const received = async () => (await db.prepare(`SELECT COUNT(*) AS n FROM square_webhook_events`).first()).n;
+
+  it("refuses deliveries that aren't signed by Square", async () => {
+    await insertApplication("app-sig", { status: "accepted", square_order_id: "ORDER1" });
+    const payment = { payment: { order_id: "ORDER1", status: "COMPLETED" } };
+
+    expect((await deliver("payment.updated", payment, { sign: () => "" })).status).toBe(401);
+    expect((await deliver("payment.updated", payment, { sign: body => signature(body, WEBHOOK_URL, "wrong-key") })).status).toBe(401);
+    // Signed for another URL
+    expect((await deliver("payment.updated", payment, { sign: body => signature(body, "https://example.com/hook") })).status).toBe(401);
+    // A good signature on a body that was changed afterwards
+    expect((await deliver("payment.updated", payment, { sign: body => signature(body.replace("COMPLETED", "FAILED")) })).status).toBe(401);
+
+    expect(await received()).toBe(0);
+    expect((await application("app-sig")).last_payment_status).toBeNull();
+  });
+
+  it("processes each event_id once", async () => {
+    await insertApplication("app-dup", { status: "accepted", square_subscription_id: "SUB1" });
+    const invoice = { invoice: { subscription_id: "SUB1", payment_requests: [{ computed_amount_money: { amount: 9900 } }] } };
+
+    expect((await deliver("invoice.payment_made", invoice, { event_id: "evt-dup" })).json).toEqual({ ok: true });
+    expect((await deliver("invoice.payment_made", invoice, { event_id: "evt-dup" })).json).toEqual({ ok: true, duplicate: true });
+    expect(await events("app-dup")).toEqual(["payment_received"]);
+  });
+
+  it("follows the application from first payment to a failed charge", async () => {
+    await insertApplication("app-flow", { status: "accepted", square_order_id: "ORDER9" });
+
+    // Checkout: Square sends several updates for one payment; only the outcome is logged
+    await deliver("payment.created", { payment: { order_id: "ORDER9", status: "APPROVED" } });
+    await deliver("payment.updated", { payment: { order_id: "ORDER9", status: "COMPLETED", customer_id: "CUST9" } });
+    await deliver("payment.updated", { payment: { order_id: "ORDER9", status: "COMPLETED", customer_id: "CUST9" } });
+    expect(await application("app-flow")).toMatchObject({ last_payment_status: "completed", square_customer_id: "CUST9" });
+    expect(await events("app-flow")).toEqual(["payment_completed"]);
+
+    // The first payment makes the member active
+    const lifecycle = await runMembershipLifecycle(env, new Date("2026-10-19T13:00:00Z"));
+    expect(lifecycle.activated).toEqual(["app-flow"]);
+
+    // The subscription is found by its customer, then by its own id
+    await deliver("subscription.created", { subscription: { id: "SUB9", customer_id: "CUST9", status: "ACTIVE", charged_through_date: "2026-11-19" } });
+    await deliver("subscription.updated", { subscription: { id: "SUB9", status: "ACTIVE", charged_through_date: "2026-11-19" } });
+    expect(await application("app-flow")).toMatchObject({
+      status: "active", square_subscription_id: "SUB9", square_subscription_status: "active", next_billing_date: "2026-11-19",
+    });
+
+    await deliver("invoice.payment_made", { invoice: { subscription_id: "SUB9", payment_requests: [{ computed_amount_money: { amount: 9900 } }] } });
+    expect((await application("app-flow")).last_payment_status).toBe("paid");
+
+    await deliver("invoice.scheduled_charge_failed", { invoice: { subscription_id: "SUB9" } });
+    expect((await application("app-flow")).last_payment_status).toBe("failed");
+
+    await deliver("subscription.updated", { subscription: { id: "SUB9", status: "CANCELED" } });
+    expect((await application("app-flow")).square_subscription_status).toBe("canceled");
+
+    const log = JSON.parse((await application("app-flow")).event_log);
+    expect(log.map(e => e.event)).toEqual([
+      "payment_completed", "activated", "email_sent", "subscription_active", "payment_received", "payment_failed", "subscription_canceled",
+    ]);
+    expect(log.find(e => e.event === "payment_received").note).toBe("Membership payment received ($99.00).");
+  });
+
+  it("won't hand a customer's second subscription to an application that has one", async () => {
+    await insertApplication("app-own", { status: "active", square_customer_id: "CUST5", square_subscription_id: "SUB5" });
+    const res = await deliver("subscription.created", { subscription: { id: "SUB6", customer_id: "CUST5", status: "ACTIVE" } });
+
+    expect(res.json).toEqual({ ok: true, ignored: true });
+    expect((await application("app-own")).square_subscription_id).toBe("SUB5");
+  });
+
+  it("acknowledges events it doesn't act on", async () => {
+    expect((await deliver("refund.created", { refund: {} })).json).toEqual({ ok: true, ignored: true });
+    expect((await deliver("payment.updated", { payment: { order_id: "NO_SUCH_ORDER", status: "COMPLETED" } })).json)
+      .toEqual({ ok: true, ignored: true });
+  });
+});
@@ -0,0 +1,190 @@
+// Date rules on the studio's clock (America/Toronto), each pinned to a fixed
+// instant: a Saturday evening when UTC is already Sunday, a day that has
+// partly gone by, and both DST changes. See functions/_lib/dates.js and
+// functions/_lib/schedule.js.
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import { createDatabase } from "./helpers/d1.js";
+import { call } from "./helpers/request.js";
+import { isDate, localNow, zonedTime, addDays, weekdayOf } from "../functions/_lib/dates.js";
+import { loadSchedule, checkBookable, hoursUntil, studioToday } from "../functions/_lib/schedule.js";
+import { checkMove } from "../functions/_lib/bookings.js";
+import { formatDate } from "../functions/_lib/email.js";
+import { onRequestGet as slots } from "../functions/api/slots.js";
+import { onRequestPost as book } from "../functions/api/book.js";
+
+const TZ = "America/Toronto";
+
+let db, dispose, env;
+
+beforeAll(async () => {
+  ({ db, dispose } = await createDatabase());
+  env = { DB: db };
+});
+
+afterAll(() => dispose());
+
+afterEach(() => vi.useRealTimers());
+
+function pinClock(iso) {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(new Date(iso));
+  return new Date(iso);
+}
+
+async function openSlots(date, duration_hours = 1) {
+  const res = await call(slots, { env, url: `https://lussoautostudio.ca/api/slots?date=${date}&duration_hours=${duration_hours}` });
+  return res.json;
+}
+
+function bookAt(date, start_hour) {
+  return call(book, {
+    env, method: "POST", url: "https://lussoautostudio.ca/api/book",
+    body: {
+      date, start_hour, duration_hours: 1, service: "Maintenance Wash",
+      name: "Clock Test", phone: "519-555-0199", email: "clock@example.com", vehicle: "2019 Mazda 3",
+    },
+  });
+}
+
+describe("Saturday 21:30 in Toronto (already Sunday in UTC)", () => {
+  const NOW = "2026-10-25T01:30:00Z";  // Sat 2026-10-24 21:30 EDT
+
+  it("is still Saturday on the studio's clock", async () => {
+    const now = pinClock(NOW);
+    expect(localNow(TZ, now)).toEqual({ date: "2026-10-24", hour: 21, minute: 30 });
+    expect(studioToday(await loadSchedule(db, "2026-10-24"), now)).toBe("2026-10-24");
+  });
+
+  it("has no start times left today, and treats Sunday as tomorrow", async () => {
+    const now      = pinClock(NOW);
+    const schedule = await loadSchedule(db, "2026-10-24", "2026-10-25");
+
+    expect(checkBookable(schedule, "2026-10-24", now)).toMatchObject({ ok: false, reason: "day_over" });
+    expect(checkBookable(schedule, "2026-10-25", now)).toEqual({ ok: true, open_hour: 8, close_hour: 20, first_start: 8 });
+    expect(checkBookable(schedule, "2026-10-23", now)).toMatchObject({ ok: false, reason: "past" });
+  });
+
+  it("offers every Sunday hour through /api/slots and none on Saturday", async () => {
+    pinClock(NOW);
+    expect(await openSlots("2026-10-24")).toMatchObject({ ok: true, slots: [], reason: "day_over" });
+
+    const sunday = await openSlots("2026-10-25");
+    expect(sunday.slots.map(s => s.start_hour)).toEqual([8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+  });
+
+  it("measures the 30-day horizon from the studio's date", async () => {
+    const now      = pinClock(NOW);
+    // Open every day, so only the horizon decides: Mon 2026-11-23 is 30 days
+    // after Saturday the 24th, the 24th would be 31
+    const everyDay = { ...await loadSchedule(db, "2026-11-23", "2026-11-24"), hours: Array(7).fill({ open_hour: 8, close_hour: 20 }) };
+    expect(checkBookable(everyDay, "2026-11-23", now).ok).toBe(true);
+    expect(checkBookable(everyDay, "2026-11-24", now)).toMatchObject({ ok: false, reason: "too_far" });
+  });
+});
+
+describe("a day that has partly gone by", () => {
+  const NOW = "2026-10-24T14:40:00Z";  // Sat 2026-10-24 10:40 EDT
+
+  it("starts from the next whole hour", async () => {
+    const now      = pinClock(NOW);
+    const schedule = await loadSchedule(db, "2026-10-24");
+    expect(checkBookable(schedule, "2026-10-24", now)).toMatchObject({ ok: true, first_start: 11 });
+  });
+
+  it("leaves started hours out of /api/slots", async () => {
+    pinClock(NOW);
+    const today = await openSlots("2026-10-24");
+    expect(today.slots.map(s => s.start_hour)).toEqual([11, 12, 13, 14, 15, 16, 17, 18, 19]);
+  });
+
+  it("refuses a booking for the hour in progress and takes the next one", async () => {
+    pinClock(NOW);
+    const started = await bookAt("2026-10-24", 10);
+    expect(started.status).toBe(400);
+    expect(started.json.error).toMatch(/already passed/);
+
+    expect((await bookAt("2026-10-24", 11)).status).toBe(201);
+  });
+});
+
+describe("DST starts (Sunday 2026-03-08, 2:00 → 3:00)", () => {
+  it("converts hours on either side with the offset in force", () => {
+    expect(zonedTime("2026-03-07", 10, TZ).toISOString()).toBe("2026-03-07T15:00:00.000Z");  // EST, UTC-5
+    expect(zonedTime("2026-03-08", 10, TZ).toISOString()).toBe("2026-03-08T14:00:00.000Z");  // EDT, UTC-4
+  });
+
+  it("reads the wall clock across the jump", () => {
+    expect(localNow(TZ, new Date("2026-03-08T06:59:00Z"))).toEqual({ date: "2026-03-08", hour: 1, minute: 59 });
+    expect(localNow(TZ, new Date("2026-03-08T07:00:00Z"))).toEqual({ date: "2026-03-08", hour: 3, minute: 0 });
+  });
+
+  it("counts the night as 23 hours", async () => {
+    const now      = pinClock("2026-03-07T17:00:00Z");  // Sat 12:00 EST
+    const schedule = await loadSchedule(db, "2026-03-08");
+    expect(hoursUntil(schedule, "2026-03-08", 12, now)).toBe(23);
+  });
+
+  it("keeps 8:00 as the first start on the Sunday morning itself", async () => {
+    const now      = pinClock("2026-03-08T11:30:00Z");  // 7:30 EDT
+    const schedule = await loadSchedule(db, "2026-03-08");
+    expect(checkBookable(schedule, "2026-03-08", now)).toMatchObject({ ok: true, first_start: 8 });
+  });
+});
+
+describe("DST ends (Sunday 2026-11-01, 2:00 → 1:00)", () => {
+  it("converts hours on either side with the offset in force", () => {
+    expect(zonedTime("2026-10-31", 10, TZ).toISOString()).toBe("2026-10-31T14:00:00.000Z");  // EDT
+    expect(zonedTime("2026-11-01", 10, TZ).toISOString()).toBe("2026-11-01T15:00:00.000Z");  // EST
+  });
+
+  it("resolves the repeated 1:00 to its first occurrence", () => {
+    expect(zonedTime("2026-11-01", 1, TZ).toISOString()).toBe("2026-11-01T05:00:00.000Z");
+    expect(localNow(TZ, new Date("2026-11-01T05:30:00Z"))).toMatchObject({ hour: 1, minute: 30 });
+    expect(localNow(TZ, new Date("2026-11-01T06:30:00Z"))).toMatchObject({ hour: 1, minute: 30 });
+  });
+
+  it("counts the night as 25 hours", async () => {
+    const now      = pinClock("2026-10-31T16:00:00Z");  // Sat 12:00 EDT
+    const schedule = await loadSchedule(db, "2026-11-01");
+    expect(hoursUntil(schedule, "2026-11-01", 12, now)).toBe(25);
+  });
+
+  it("keeps Saturday evening on Saturday after the change too", async () => {
+    const now      = pinClock("2026-11-08T02:30:00Z");  // Sat 2026-11-07 21:30 EST
+    const schedule = await loadSchedule(db, "2026-11-07", "2026-11-08");
+    expect(studioToday(schedule, now)).toBe("2026-11-07");
+    expect(checkBookable(schedule, "2026-11-08", now)).toMatchObject({ ok: true, first_start: 8 });
+  });
+});
+
+describe("calendar dates", () => {
+  it("rejects dates that don't exist instead of rolling them over", () => {
+    expect(isDate("2026-10-24")).toBe(true);
+    expect(isDate("2028-02-29")).toBe(true);
+    for (const bad of ["2025-02-31", "2026-02-29", "2026-04-31", "2026-13-01", "2026-00-10", "2026-10-24T00:00", "24-10-2026"]) {
+      expect(isDate(bad), bad).toBe(false);
+    }
+  });
+
+  it("is refused by /api/slots, /api/book and moves", async () => {
+    pinClock("2025-02-20T15:00:00Z");
+
+    const slotsRes = await call(slots, { env, url: "https://lussoautostudio.ca/api/slots?date=2025-02-31&duration_hours=1" });
+    expect(slotsRes.status).toBe(400);
+
+    const bookRes = await bookAt("2025-02-31", 10);
+    expect(bookRes.status).toBe(400);
+    expect(bookRes.json.error).toMatch(/invalid date/i);
+
+    const moved = await checkMove(db, { id: "x", status: "active", start_hour: 10, end_hour: 11 }, "2025-02-31", 10);
+    expect(moved).toMatchObject({ ok: false, status: 400 });
+  });
+
+  it("names weekdays the same whatever the server's timezone", () => {
+    expect(weekdayOf("2026-10-24")).toBe(6);
+    expect(formatDate("2026-10-24")).toBe("Saturday, Oct 24, 2026");
+    expect(addDays("2026-10-31", 1)).toBe("2026-11-01");
+    expect(addDays("2026-03-07", 1)).toBe("2026-03-08");
+  });
+});
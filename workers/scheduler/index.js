@@ -0,0 +1,49 @@
+// =============================================================================
+// /workers/scheduler/index.js  —  Cron Trigger worker for background jobs.
+//
+// Pages Functions cannot run on a schedule, so this small Worker is deployed
+// alongside the site (see wrangler.toml next to this file). It binds the same
+// D1 database and shares the job code in functions/_lib.
+//
+// Deploy:   npx wrangler deploy --config workers/scheduler/wrangler.toml
+// Secrets:  RESEND_API_KEY, FROM_EMAIL, MANAGE_TOKEN_SECRET, SQUARE_ACCESS_TOKEN,
+//           and for reminder texts TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+//           (same values as the Pages project) via
+//           `wrangler secret put <NAME> --config …`
+// Vars:     SITE_URL; SMS_PROVIDER and TWILIO_FROM_NUMBER (or
+//           TWILIO_MESSAGING_SERVICE_SID) for reminder texts — see
+//           wrangler.toml. Without the Twilio settings reminders go by email
+//           only.
+//
+// To run a job by hand for a chosen moment, use POST /api/admin/reminders or
+// POST /api/admin/membership-lifecycle. POST /api/admin/email-outbox
+// (action "run") delivers the emails that are due now.
+// =============================================================================
+
+import { runReminders } from "../../functions/_lib/reminders.js";
+import { runMembershipLifecycle } from "../../functions/_lib/membership-lifecycle.js";
+import { runMemberVisits } from "../../functions/_lib/member-visits.js";
+import { runBookingWaitlist } from "../../functions/_lib/booking-waitlist.js";
+import { runEmailOutbox } from "../../functions/_lib/outbox.js";
+
+// Jobs run independently — one failing doesn't stop the others
+const JOBS = {
+  reminders:            runReminders,
+  membership_lifecycle: runMembershipLifecycle,
+  member_visits:        runMemberVisits,
+  booking_waitlist:     runBookingWaitlist,
+  email_outbox:         runEmailOutbox,
+};
+
+export default {
+  async scheduled(event, env, ctx) {
+    const now = new Date(event.scheduledTime);
+    for (const [name, run] of Object.entries(JOBS)) {
+      ctx.waitUntil(
+        run(env, now)
+          .then(summary => console.log(`[scheduler] ${name}:`, JSON.stringify(summary)))
+          .catch(e => console.error(`[scheduler] ${name} failed:`, e?.message ?? e))
+      );
+    }
+  },
+};